@@ -0,0 +1,58 @@
+/**
+ * Server side of js/audit.js: adds admin audit entries for changes made
+ * by backend jobs, or by admins through callable functions, in the same
+ * shape the admin panel writes.
+ */
+
+const admin = require('firebase-admin');
+
+/** Longest `before`/`after` JSON the rules accept. */
+const MAX_VALUE_LENGTH = 10000;
+
+/**
+ * Serializes a value for an entry, truncating very large values.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+function serialize(value) {
+  const json = JSON.stringify(value === undefined ? null : value);
+  return json.length > MAX_VALUE_LENGTH ? json.slice(0, MAX_VALUE_LENGTH - 1) + '…' : json;
+}
+
+/**
+ * Adds an audit entry to a multi-path update. Entries by a service uid
+ * are shown as the scheduled job; entries by an admin who called a
+ * function carry the admin's name and role, as the panel's own entries
+ * do.
+ *
+ * @param {admin.database.Database} db
+ * @param {Object} updates
+ * @param {string} by Uid of the writing service or admin.
+ * @param {string} action
+ * @param {string} target
+ * @param {*} before
+ * @param {*} after
+ * @param {{name: string, role: string}} [actor] The calling admin.
+ * @returns {Object} The same updates object.
+ */
+function add(db, updates, by, action, target, before, after, actor) {
+  const entryId = db.ref('auditLog').push().key;
+  updates['auditLog/' + entryId] = {
+    by: by,
+    byName: actor ? actor.name : 'Scheduled job',
+    role: actor ? actor.role : 'service',
+    action: action,
+    target: target,
+    before: serialize(before),
+    after: serialize(after),
+    createdAt: admin.database.ServerValue.TIMESTAMP
+  };
+  // lets the rules tell the change carries its entry, as in js/audit.js
+  updates['auditHeads/' + by] = entryId;
+  return updates;
+}
+
+module.exports = {
+  add
+};
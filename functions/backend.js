@@ -0,0 +1,57 @@
+/**
+ * Database access for the backend. Each job signs in to the database
+ * as its own service uid through `databaseAuthVariableOverride`, so its
+ * writes are checked by the same rules as an admin's instead of
+ * bypassing them. A super-admin lists each uid in `/adminUids` and
+ * gives it the role below in `/adminRoles` once (see README).
+ *
+ * Work an admin asks for through a callable function runs as that
+ * admin instead, so the rules allow exactly what the admin could write
+ * from the panel.
+ */
+
+const admin = require('firebase-admin');
+
+/** Service uids with the admin role each needs. */
+const SERVICES = {
+  'svc-payments': 'finance',
+  'svc-scheduler': 'tournament-ops'
+};
+
+/**
+ * Returns the database as seen by a service uid.
+ *
+ * @param {string} uid One of SERVICES.
+ * @returns {admin.database.Database}
+ */
+function database(uid) {
+  if (!SERVICES[uid]) throw new Error('Unknown service: ' + uid);
+  const app = admin.apps.find(a => a && a.name === uid) || admin.initializeApp(
+    Object.assign(JSON.parse(process.env.FIREBASE_CONFIG || '{}'), { databaseAuthVariableOverride: { uid: uid } }),
+    uid
+  );
+  return app.database();
+}
+
+/**
+ * Returns the database as seen by the signed-in user who called a
+ * function. One app is kept per user, so this is meant for the few
+ * admins who call functions rather than for every player.
+ *
+ * @param {string} uid
+ * @returns {admin.database.Database}
+ */
+function userDatabase(uid) {
+  const name = 'user:' + uid;
+  const app = admin.apps.find(a => a && a.name === name) || admin.initializeApp(
+    Object.assign(JSON.parse(process.env.FIREBASE_CONFIG || '{}'), { databaseAuthVariableOverride: { uid: uid } }),
+    name
+  );
+  return app.database();
+}
+
+module.exports = {
+  SERVICES,
+  database,
+  userDatabase
+};
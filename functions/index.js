@@ -0,0 +1,99 @@
+/**
+ * Cloud Functions for the tournament apps. Work that must not be left
+ * to a browser runs here:
+ *
+ *   paymentCallback  verifies payment provider callbacks and credits
+ *                    deposits (functions/payments.js)
+ *   tournamentJobs   runs the scheduled tournament jobs every minute
+ *                    (functions/tournaments.js)
+ *   releaseNoShows   releases a tournament's no-shows when an admin
+ *                    asks from the panel (functions/tournaments.js)
+ */
+
+const { onCall, onRequest, HttpsError } = require('firebase-functions/v2/https');
+const { onSchedule } = require('firebase-functions/v2/scheduler');
+const { defineSecret } = require('firebase-functions/params');
+const { database, userDatabase } = require('./backend');
+const payments = require('./payments');
+const tournaments = require('./tournaments');
+
+/** Shared secret the payment provider signs its callbacks with. */
+const PAYMENT_WEBHOOK_SECRET = defineSecret('PAYMENT_WEBHOOK_SECRET');
+
+const PAYMENTS_UID = 'svc-payments';
+const SCHEDULER_UID = 'svc-scheduler';
+
+/**
+ * Receives a provider callback as a JSON POST body and answers as
+ * payments.handleCallback() says, or with 500 when settling failed, so
+ * the provider retries.
+ */
+exports.paymentCallback = onRequest({ secrets: [PAYMENT_WEBHOOK_SECRET] }, (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method not allowed');
+    return;
+  }
+  payments.handleCallback(database(PAYMENTS_UID), PAYMENTS_UID, PAYMENT_WEBHOOK_SECRET.value(), req.body || {}).then(({ code, body }) => {
+    res.status(code).send(body);
+  }).catch(err => {
+    console.error(err);
+    res.status(500).send('Unable to settle deposit');
+  });
+});
+
+/**
+ * Releases no-shows of tournaments whose check-in window has closed,
+ * then fills free slots from waitlists, so slots freed by the sweep are
+ * offered in the same run, and tells players when room details become
+ * visible. Fails the run when any tournament failed, so it shows up in
+ * the function's error reporting; the next run retries it.
+ */
+exports.tournamentJobs = onSchedule('every 1 minutes', () => {
+  const db = database(SCHEDULER_UID);
+  const now = Date.now();
+  let failed = 0;
+  return tournaments.openTournaments(db).then(open => {
+    return tournaments.sweepDueNoShows(db, SCHEDULER_UID, open, now);
+  }).then(count => {
+    failed += count;
+    return tournaments.openTournaments(db);
+  }).then(open => {
+    return tournaments.promoteDueWaitlists(db, SCHEDULER_UID, open, now).then(count => {
+      failed += count;
+      return tournaments.notifyDueRooms(db, open, now);
+    });
+  }).then(count => {
+    failed += count;
+    if (failed) throw new Error(failed + ' tournament job(s) failed.');
+  });
+});
+
+/** Callable error codes for the errors releaseNoShows() rejects with. */
+const RELEASE_ERRORS = {
+  'not-found': 'not-found',
+  'not-started': 'failed-precondition',
+  'already-swept': 'already-exists',
+  PERMISSION_DENIED: 'permission-denied'
+};
+
+/**
+ * Releases the no-shows of `{tournamentId}` as the calling admin, for
+ * the Release No-Shows button in the admin panel. Resolves with
+ * `{freed}`, the number of slots freed.
+ */
+exports.releaseNoShows = onCall((request) => {
+  if (!request.auth) throw new HttpsError('unauthenticated', 'Sign in first.');
+  const tId = request.data && request.data.tournamentId;
+  if (typeof tId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(tId)) {
+    throw new HttpsError('invalid-argument', 'Invalid tournament id.');
+  }
+  const uid = request.auth.uid;
+  const name = request.auth.token.email || uid;
+  return tournaments.releaseNoShows(userDatabase(uid), uid, name, tId).then(freed => {
+    return { freed: freed };
+  }).catch(err => {
+    if (RELEASE_ERRORS[err.code]) throw new HttpsError(RELEASE_ERRORS[err.code], err.message);
+    console.error(err);
+    throw new HttpsError('internal', 'Unable to release no-shows.');
+  });
+});
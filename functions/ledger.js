@@ -0,0 +1,132 @@
+/**
+ * Server side of js/ledger.js: writes wallet ledger entries, their
+ * wallet fields and analytics counters in one multi-path update, with
+ * the same shape the apps write so the same rules check it. See
+ * js/ledger.js and js/analytics.js for the model.
+ */
+
+const admin = require('firebase-admin');
+
+/** Known entry types, as in Ledger.TYPES. */
+const TYPES = {
+  join_fee: { sign: -1 },
+  prize: { sign: 1, earned: true },
+  refund: { sign: 1 },
+  deposit: { sign: 1 },
+  withdrawal: { sign: -1 },
+  withdrawal_refund: { sign: 1 },
+  withdrawal_approved: { sign: 0, withdrawn: true },
+  adjustment_credit: { sign: 1 },
+  adjustment_debit: { sign: -1 }
+};
+
+/** Daily counter fed by each entry type, as in Analytics.LEDGER_METRICS. */
+const LEDGER_METRICS = {
+  join_fee: 'entryFees',
+  prize: 'prizes',
+  refund: 'refunds',
+  deposit: 'deposits',
+  withdrawal_approved: 'withdrawalsPaid',
+  adjustment_credit: 'adjustmentCredits',
+  adjustment_debit: 'adjustmentDebits'
+};
+
+/** Number of times a commit is attempted before giving up. */
+const MAX_ATTEMPTS = 3;
+
+/**
+ * Adds an increment of an analytics counter to a multi-path update, on
+ * top of any increment of the same counter already in it.
+ *
+ * @param {Object} updates
+ * @param {string} path Counter path below `analytics/`.
+ * @param {number} amount
+ */
+function increment(updates, path, amount) {
+  const key = 'analytics/' + path;
+  const previous = updates[key] ? updates[key]['.sv'].increment : 0;
+  updates[key] = admin.database.ServerValue.increment(previous + amount);
+}
+
+/**
+ * Counts a tournament join for today, like Analytics.addJoin().
+ *
+ * @param {Object} updates
+ * @param {string} gameName
+ */
+function addJoin(updates, gameName) {
+  const game = String(gameName || 'Other').trim().replace(/[.#$[\]/]/g, '_') || 'Other';
+  increment(updates, 'daily/' + new Date().toISOString().slice(0, 10) + '/joinsByGame/' + game, 1);
+}
+
+/**
+ * Writes ledger entries together with other paths in one update, like
+ * Ledger.commit(). Each entry is `{uid, type, amount, ref, note}`, at
+ * most one per user. Retried with fresh wallets when the rules reject
+ * the write; rejects with an error whose `code` is `insufficient-funds`
+ * when a debit would take a balance below zero.
+ *
+ * @param {admin.database.Database} db Database of the writing service.
+ * @param {string} by Uid of the writing service.
+ * @param {Array<Object>} entries
+ * @param {Object} [extraUpdates]
+ * @returns {Promise<Object>} Resolves with the new entry id per uid.
+ */
+function commit(db, by, entries, extraUpdates = {}) {
+  const uids = entries.map(e => e.uid);
+  if (new Set(uids).size !== uids.length) {
+    return Promise.reject(new Error('Only one ledger entry per user can be committed at once.'));
+  }
+  const attempt = (remaining) => {
+    return Promise.all(uids.map(uid => db.ref('users/' + uid + '/wallet').once('value'))).then(snaps => {
+      const updates = Object.assign({}, extraUpdates);
+      const entryIds = {};
+      const day = new Date().toISOString().slice(0, 10);
+      let total = 0;
+      entries.forEach((e, i) => {
+        const wallet = snaps[i].val() || {};
+        const type = TYPES[e.type];
+        const before = wallet.balance || 0;
+        const delta = type.sign * e.amount;
+        const after = before + delta;
+        if (after < 0) {
+          const err = new Error('Insufficient wallet balance.');
+          err.code = 'insufficient-funds';
+          throw err;
+        }
+        const entryId = db.ref('walletHistory/' + e.uid).push().key;
+        const walletPath = 'users/' + e.uid + '/wallet/';
+        updates['walletHistory/' + e.uid + '/' + entryId] = {
+          type: e.type,
+          amount: e.amount,
+          delta: delta,
+          balanceBefore: before,
+          balanceAfter: after,
+          ref: e.ref || null,
+          note: e.note || '',
+          by: by,
+          createdAt: admin.database.ServerValue.TIMESTAMP
+        };
+        updates[walletPath + 'balance'] = after;
+        updates[walletPath + 'lastEntry'] = entryId;
+        if (type.earned) updates[walletPath + 'totalEarned'] = (wallet.totalEarned || 0) + e.amount;
+        if (type.withdrawn) updates[walletPath + 'totalWithdrawn'] = (wallet.totalWithdrawn || 0) + e.amount;
+        if (LEDGER_METRICS[e.type] && e.amount) increment(updates, 'daily/' + day + '/' + LEDGER_METRICS[e.type], e.amount);
+        total += delta;
+        entryIds[e.uid] = entryId;
+      });
+      if (total) increment(updates, 'totals/walletBalance', total);
+      return db.ref().update(updates).then(() => entryIds);
+    }).catch(err => {
+      if (err.code === 'insufficient-funds' || remaining <= 1) throw err;
+      return attempt(remaining - 1);
+    });
+  };
+  return attempt(MAX_ATTEMPTS);
+}
+
+module.exports = {
+  TYPES,
+  addJoin,
+  commit
+};
@@ -0,0 +1,39 @@
+/**
+ * Server side of js/notifications.js: adds in-app notifications to a
+ * multi-path update in the same shape the admin panel writes.
+ */
+
+const admin = require('firebase-admin');
+
+/** Longest title and body the rules accept. */
+const MAX_TITLE_LENGTH = 100;
+const MAX_BODY_LENGTH = 500;
+
+/**
+ * Adds the same notification for several users to a multi-path update,
+ * like Notifications.addToMany().
+ *
+ * @param {admin.database.Database} db
+ * @param {Object} updates
+ * @param {Array<string>} uids
+ * @param {{type: string, title: string, body: string, link?: string}} notification
+ * @returns {Object} The same updates object.
+ */
+function addToMany(db, updates, uids, notification) {
+  new Set(uids).forEach(uid => {
+    const id = db.ref('notifications/' + uid).push().key;
+    updates['notifications/' + uid + '/' + id] = {
+      type: notification.type,
+      title: notification.title.slice(0, MAX_TITLE_LENGTH),
+      body: (notification.body || '').slice(0, MAX_BODY_LENGTH),
+      link: notification.link || null,
+      read: false,
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    };
+  });
+  return updates;
+}
+
+module.exports = {
+  addToMany
+};
@@ -0,0 +1,116 @@
+/**
+ * Settles deposits from payment provider callbacks. A callback is
+ * `{depositId, providerOrderId, status, amount, signature}` where
+ * `signature` is the hex HMAC-SHA256 of
+ * `depositId|providerOrderId|status|amount` with the webhook secret,
+ * the same format js/payments.js describes. Only a callback with a
+ * valid signature that matches a pending deposit credits the wallet.
+ */
+
+const crypto = require('crypto');
+const ledger = require('./ledger');
+
+/**
+ * Returns the string a callback signature covers.
+ *
+ * @param {Object} callback
+ * @returns {string}
+ */
+function signedFields(callback) {
+  return [callback.depositId, callback.providerOrderId, callback.status, callback.amount].join('|');
+}
+
+/**
+ * Checks a callback's signature against the webhook secret.
+ *
+ * @param {string} secret
+ * @param {Object} callback
+ * @returns {boolean}
+ */
+function verifySignature(secret, callback) {
+  if (!secret || typeof callback.signature !== 'string') return false;
+  const expected = Buffer.from(crypto.createHmac('sha256', secret).update(signedFields(callback)).digest('hex'));
+  const actual = Buffer.from(callback.signature);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Settles the deposit a verified callback is for: credits it through
+ * the ledger when the payment succeeded and matches the deposit, marks
+ * it failed otherwise. Callbacks for deposits that are no longer
+ * pending are ignored, and the rules only accept a deposit entry
+ * together with its deposit's change from pending to success, so a
+ * repeated callback cannot credit twice. Resolves with the deposit
+ * status, or null when there is no such deposit.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by Uid of the writing service.
+ * @param {Object} callback
+ * @returns {Promise<string|null>}
+ */
+function settleDeposit(db, by, callback) {
+  const ref = db.ref('deposits/' + callback.depositId);
+  return ref.once('value').then(snap => {
+    const deposit = snap.val();
+    if (!deposit) return null;
+    if (deposit.status !== 'pending') return deposit.status;
+    const matches = callback.providerOrderId === deposit.providerOrderId &&
+      Number(callback.amount) === deposit.amount;
+    if (!matches || callback.status !== 'success') {
+      return ref.update({
+        status: 'failed',
+        failureReason: matches ? 'Payment ' + callback.status : 'Callback does not match the deposit',
+        updatedAt: Date.now()
+      }).then(() => 'failed');
+    }
+    const updates = {};
+    updates['deposits/' + snap.key + '/status'] = 'success';
+    updates['deposits/' + snap.key + '/updatedAt'] = Date.now();
+    return ledger.commit(db, by, [{
+      uid: deposit.uid,
+      type: 'deposit',
+      amount: deposit.amount,
+      ref: { kind: 'deposit', id: snap.key },
+      note: 'Added money via ' + deposit.provider
+    }], updates).then(() => 'success').catch(err => {
+      // a concurrent callback may have settled it first
+      return ref.child('status').once('value').then(status => {
+        if (status.val() !== 'pending') return status.val();
+        throw err;
+      });
+    });
+  });
+}
+
+/**
+ * Handles the JSON body of a provider callback. Resolves with the HTTP
+ * status and body to answer with: 400 for a malformed deposit id, 401
+ * when the signature is wrong, 404 for an unknown deposit and otherwise
+ * 200 with the deposit status. Rejects when settling failed, which the
+ * function answers with 500 so the provider retries.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by Uid of the writing service.
+ * @param {string} secret
+ * @param {Object} callback
+ * @returns {Promise<{code: number, body: (string|Object)}>}
+ */
+function handleCallback(db, by, secret, callback) {
+  if (typeof callback.depositId !== 'string' || !/^[A-Za-z0-9_-]+$/.test(callback.depositId)) {
+    return Promise.resolve({ code: 400, body: 'Invalid deposit id' });
+  }
+  if (!verifySignature(secret, callback)) {
+    return Promise.resolve({ code: 401, body: 'Invalid signature' });
+  }
+  return settleDeposit(db, by, callback).then(status => {
+    if (!status) return { code: 404, body: 'Unknown deposit' };
+    return { code: 200, body: { status: status } };
+  });
+}
+
+module.exports = {
+  signedFields,
+  verifySignature,
+  settleDeposit,
+  handleCallback
+};
@@ -0,0 +1,419 @@
+/**
+ * Scheduled tournament jobs, run every minute by `tournamentJobs` in
+ * functions/index.js so they no longer depend on an admin panel being
+ * open:
+ *
+ *   - releasing no-shows once a check-in window has closed
+ *   - promoting waitlisted players into free slots
+ *   - telling players when room details become visible
+ *
+ * Admins can also release a tournament's no-shows from the panel,
+ * which calls `releaseNoShows` in functions/index.js to run the same
+ * sweep as the admin. A sweep is written in one update with a marker
+ * the rules only accept once, so the panel and the schedule never do
+ * the same work twice; room notifications use such a marker too.
+ * Waitlist entries are claimed one at a time instead.
+ */
+
+const admin = require('firebase-admin');
+const audit = require('./audit');
+const ledger = require('./ledger');
+const notifications = require('./notifications');
+
+/** Minutes before the start room details are shown, as in js/admin.js. */
+const DEFAULT_ROOM_REVEAL_MIN = 15;
+
+/**
+ * How long a waitlist entry may stay claimed as `promoting` before it
+ * is treated as an interrupted promotion and skipped.
+ */
+const PROMOTION_TIMEOUT_MS = 5 * 60000;
+
+/**
+ * Reads the upcoming and active tournaments by id.
+ *
+ * @param {admin.database.Database} db
+ * @returns {Promise<Object>}
+ */
+function openTournaments(db) {
+  return Promise.all(['upcoming', 'active'].map(status => {
+    return db.ref('tournaments').orderByChild('status').equalTo(status).once('value');
+  })).then(snaps => Object.assign({}, ...snaps.map(snap => snap.val() || {})));
+}
+
+/**
+ * Runs a job for each tournament, one after another so a failure in
+ * one does not stop the others. Resolves with the number of
+ * tournaments whose job failed.
+ *
+ * @param {Array<string>} tIds
+ * @param {function(string): Promise} job
+ * @returns {Promise<number>}
+ */
+function forEachTournament(tIds, job) {
+  let failed = 0;
+  return tIds.reduce((chain, tId) => chain.then(() => job(tId).catch(err => {
+    console.error('Tournament ' + tId + ':', err);
+    failed++;
+  })), Promise.resolve()).then(() => failed);
+}
+
+/**
+ * Marks players who did not check in as no-shows and frees their
+ * slots. In duo and squad tournaments a team keeps its slot if any
+ * member checked in; otherwise every member is a no-show and the
+ * team's slot is freed. When the tournament refunds no-shows, each gets
+ * their fee back in the same commit, which also sets `noShowSweptAt`
+ * and a new `noShowSweepId`. The rules refuse to replace the id, so a
+ * second sweep fails instead of refunding twice. Resolves with the
+ * number of slots freed.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by Uid of the writing service or admin.
+ * @param {string} tId
+ * @param {Object} t
+ * @param {{name: string, role: string}} [actor] The admin who asked for
+ *   the sweep, when it was not the scheduled job.
+ * @returns {Promise<number>}
+ */
+function sweepNoShows(db, by, tId, t, actor) {
+  return db.ref('tournamentJoins/' + tId).once('value').then(snap => {
+    const units = {};
+    snap.forEach(child => {
+      const j = child.val();
+      const key = j.teamId || child.key;
+      units[key] = units[key] || { present: false, joins: [] };
+      units[key].joins.push({ uid: child.key, data: j });
+      if (j.status === 'checked_in') units[key].present = true;
+    });
+    const updates = {};
+    const entries = [];
+    const noShows = [];
+    let freed = 0;
+    Object.values(units).forEach(unit => {
+      if (unit.present || !unit.joins.some(({ data }) => data.status === 'joined')) return;
+      freed++;
+      unit.joins.forEach(({ uid, data }) => {
+        const refund = !!t.refundNoShows && data.feePaid > 0;
+        noShows.push({ uid: uid, name: data.userName || '', refunded: refund });
+        updates['tournamentJoins/' + tId + '/' + uid + '/status'] = 'no_show';
+        updates['tournamentJoins/' + tId + '/' + uid + '/refunded'] = refund;
+        updates['tournamentParticipants/' + tId + '/' + uid] = null;
+        if (refund) {
+          entries.push({
+            uid: uid,
+            type: 'refund',
+            amount: data.feePaid,
+            ref: { kind: 'tournament', id: tId },
+            note: 'No-show refund for ' + t.title
+          });
+        }
+      });
+    });
+    updates['tournaments/' + tId + '/noShowSweptAt'] = admin.database.ServerValue.TIMESTAMP;
+    updates['tournaments/' + tId + '/noShowSweepId'] = db.ref().push().key;
+    if (freed) {
+      updates['tournaments/' + tId + '/joinedCount'] = admin.database.ServerValue.increment(-freed);
+      audit.add(db, updates, by, 'tournament.no_show', 'tournamentJoins/' + tId, null, noShows, actor);
+    }
+    return ledger.commit(db, by, entries, updates).then(() => freed);
+  });
+}
+
+/**
+ * Releases a tournament's no-shows for an admin who asked from the
+ * panel. `db` is the admin's own view of the database, so the rules
+ * only let tournament ops do it. Rejects with an error whose `code` is
+ * `not-found` for an unknown tournament, `not-started` before the
+ * start and `already-swept` once its no-shows were released.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by Uid of the admin.
+ * @param {string} name Display name of the admin.
+ * @param {string} tId
+ * @returns {Promise<number>} Number of slots freed.
+ */
+function releaseNoShows(db, by, name, tId) {
+  return Promise.all([
+    db.ref('tournaments/' + tId).once('value'),
+    db.ref('adminRoles/' + by).once('value')
+  ]).then(([snap, roleSnap]) => {
+    const t = snap.val();
+    let code = null;
+    if (!t) code = 'not-found';
+    else if (t.noShowSweptAt) code = 'already-swept';
+    else if (!t.startTime || Date.now() < t.startTime) code = 'not-started';
+    if (code) {
+      const err = new Error('Cannot release no-shows of ' + tId + ': ' + code);
+      err.code = code;
+      throw err;
+    }
+    return sweepNoShows(db, by, tId, t, { name: name, role: roleSnap.val() || '' });
+  });
+}
+
+/**
+ * Sweeps every open tournament whose check-in window has closed and
+ * that has not been swept yet.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by
+ * @param {Object} tournaments Open tournaments by id.
+ * @param {number} now
+ * @returns {Promise<number>} Number of tournaments that failed.
+ */
+function sweepDueNoShows(db, by, tournaments, now) {
+  const due = Object.keys(tournaments).filter(tId => {
+    const t = tournaments[tId];
+    return t.checkInMin && t.startTime && !t.noShowSweptAt && now >= t.startTime;
+  });
+  return forEachTournament(due, tId => sweepNoShows(db, by, tId, tournaments[tId]));
+}
+
+/**
+ * Returns whether a tournament can take a player from its waitlist.
+ *
+ * @param {Object|null} t
+ * @returns {boolean}
+ */
+function hasFreeSlot(t) {
+  return !!t && t.status === 'upcoming' && (t.joinedCount || 0) < t.maxSlots;
+}
+
+/**
+ * Returns whether a user's block is in force, like Blocks.isActive().
+ *
+ * @param {Object} user
+ * @returns {boolean}
+ */
+function isBlocked(user) {
+  return user.isBlocked === true && (!user.blockedUntil || user.blockedUntil > Date.now());
+}
+
+/**
+ * Skips a waitlist entry, taking it out of the tournament's
+ * `waitlistCount`. The player sees the reason in their app and may join
+ * the waitlist again at the back.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by
+ * @param {string} tId
+ * @param {string} uid
+ * @param {string} skipReason
+ * @returns {Promise}
+ */
+function skipEntry(db, by, tId, uid, skipReason) {
+  const entryPath = 'tournamentWaitlist/' + tId + '/' + uid;
+  const updates = {};
+  updates[entryPath + '/status'] = 'skipped';
+  updates[entryPath + '/skipReason'] = skipReason;
+  updates[entryPath + '/promotingAt'] = null;
+  updates['tournaments/' + tId + '/waitlistCount'] = admin.database.ServerValue.increment(-1);
+  audit.add(db, updates, by, 'waitlist.skip', entryPath, { status: 'waiting' },
+    { status: 'skipped', skipReason: skipReason });
+  return db.ref().update(updates);
+}
+
+/**
+ * Promotes one waitlisted player. The entry is claimed by moving it from
+ * `waiting` to `promoting` in a transaction, with `promotingAt` set so an
+ * interrupted promotion can be told apart from one in progress.
+ *
+ * The join is then written exactly as a player's own join would be,
+ * with the entry fee charged through the ledger and the waitlist entry
+ * removed in the same commit. Players who are blocked or cannot afford
+ * the fee are skipped. When the commit fails for any other reason the
+ * entry is skipped too, so it cannot hold up the players behind it,
+ * unless the slot was taken meanwhile; then it goes back to `waiting`
+ * for the next free slot. Resolves true when the player was joined.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by
+ * @param {string} tId
+ * @param {Object} t
+ * @param {string} uid
+ * @returns {Promise<boolean>}
+ */
+function promoteWaitlistEntry(db, by, tId, t, uid) {
+  const entryPath = 'tournamentWaitlist/' + tId + '/' + uid;
+  const inc = admin.database.ServerValue.increment;
+  const TIMESTAMP = admin.database.ServerValue.TIMESTAMP;
+  return db.ref(entryPath).transaction((entry) => {
+    if (entry === null) {
+      return null; // not cached yet: the SDK retries with the server value
+    }
+    if (entry.status !== 'waiting') {
+      return; // abort: promoted, skipped or being promoted
+    }
+    return Object.assign({}, entry, { status: 'promoting', promotingAt: Date.now() });
+  }).then(({ committed, snapshot }) => {
+    if (!committed || !snapshot.exists()) return false; // left the waitlist meanwhile
+    return db.ref('users/' + uid).once('value').then(userSnap => {
+      const userData = userSnap.val() || {};
+      const fee = t.entryFee || 0;
+      const skipReason = isBlocked(userData) ? 'Account blocked'
+        : ((userData.wallet && userData.wallet.balance) || 0) < fee ? 'Insufficient wallet balance' : null;
+      if (skipReason) {
+        return skipEntry(db, by, tId, uid, skipReason).then(() => false);
+      }
+      const record = {
+        uid: uid,
+        userName: userData.name,
+        gameUidOrIgn: (userData.gameProfiles && userData.gameProfiles.ign) || '',
+        phone: userData.phone,
+        joinedAt: TIMESTAMP,
+        status: 'joined',
+        feePaid: fee,
+        fromWaitlist: true
+      };
+      const updates = {};
+      updates['tournamentJoins/' + tId + '/' + uid] = record;
+      updates['userJoins/' + uid + '/' + tId] = TIMESTAMP;
+      updates['tournamentParticipants/' + tId + '/' + uid] = {
+        name: record.gameUidOrIgn || userData.name,
+        joinedAt: TIMESTAMP
+      };
+      updates['tournaments/' + tId + '/joinedCount'] = inc(1);
+      ledger.addJoin(updates, t.gameName);
+      updates[entryPath] = null;
+      updates['tournaments/' + tId + '/waitlistCount'] = inc(-1);
+      audit.add(db, updates, by, 'waitlist.promote', 'tournamentJoins/' + tId + '/' + uid, null,
+        { userName: record.userName, feePaid: fee });
+      const entries = fee > 0 ? [{
+        uid: uid,
+        type: 'join_fee',
+        amount: fee,
+        ref: { kind: 'tournament', id: tId },
+        note: 'Entry fee for ' + t.title + ' (waitlist)'
+      }] : [];
+      return ledger.commit(db, by, entries, updates).then(() => true);
+    }).catch(err => {
+      if (err.code === 'insufficient-funds') {
+        return skipEntry(db, by, tId, uid, 'Insufficient wallet balance').then(() => false);
+      }
+      console.error('Promoting ' + uid + ' in ' + tId + ':', err);
+      return db.ref('tournaments/' + tId).once('value').then(snap => {
+        if (hasFreeSlot(snap.val())) return skipEntry(db, by, tId, uid, 'Promotion failed');
+        return db.ref(entryPath).update({ status: 'waiting', promotingAt: null });
+      }).then(() => false);
+    });
+  });
+}
+
+/**
+ * Fills free slots in a tournament from its waitlist, oldest entry
+ * first, re-reading the tournament before each promotion. Entries left
+ * `promoting` for longer than PROMOTION_TIMEOUT_MS by an interrupted
+ * run are skipped first. Resolves with the number of players promoted.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by
+ * @param {string} tId
+ * @param {number} now
+ * @returns {Promise<number>}
+ */
+function promoteWaitlist(db, by, tId, now) {
+  return db.ref('tournamentWaitlist/' + tId).orderByChild('joinedAt').once('value').then(snap => {
+    const queue = [];
+    const interrupted = [];
+    snap.forEach(child => {
+      const entry = child.val();
+      if (entry.status === 'waiting') queue.push(child.key);
+      else if (entry.status === 'promoting' && !(entry.promotingAt > now - PROMOTION_TIMEOUT_MS)) interrupted.push(child.key);
+    });
+    let promoted = 0;
+    const next = () => {
+      if (!queue.length) return promoted;
+      return db.ref('tournaments/' + tId).once('value').then(tSnap => {
+        const t = tSnap.val();
+        if (!hasFreeSlot(t)) return promoted;
+        return promoteWaitlistEntry(db, by, tId, t, queue.shift()).then(done => {
+          if (done) promoted++;
+          return next();
+        });
+      });
+    };
+    return interrupted.reduce((chain, uid) => chain.then(() => {
+      return skipEntry(db, by, tId, uid, 'Promotion interrupted');
+    }), Promise.resolve()).then(next);
+  });
+}
+
+/**
+ * Promotes waitlisted players in every open tournament that has both a
+ * waitlist and free slots, which covers players leaving, removals, the
+ * no-show sweep and `maxSlots` increases.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} by
+ * @param {Object} tournaments Open tournaments by id.
+ * @param {number} now
+ * @returns {Promise<number>} Number of tournaments that failed.
+ */
+function promoteDueWaitlists(db, by, tournaments, now) {
+  const due = Object.keys(tournaments).filter(tId => {
+    const t = tournaments[tId];
+    return t.status === 'upcoming' && t.waitlistCount > 0;
+  });
+  return forEachTournament(due, tId => promoteWaitlist(db, by, tId, now));
+}
+
+/**
+ * Sends every player of a tournament, except no-shows, a notification
+ * that the room details are available. The notifications are written
+ * in one update with `roomNotifiedAt` and a new `roomNotifyId`, which
+ * the rules refuse to replace, so players are told once even if two
+ * runs overlap.
+ *
+ * @param {admin.database.Database} db
+ * @param {string} tId
+ * @param {Object} t
+ * @returns {Promise}
+ */
+function notifyRoom(db, tId, t) {
+  return db.ref('tournamentJoins/' + tId).once('value').then(snap => {
+    const uids = [];
+    snap.forEach(child => {
+      if (child.val().status !== 'no_show') uids.push(child.key);
+    });
+    const updates = {};
+    updates['tournaments/' + tId + '/roomNotifiedAt'] = admin.database.ServerValue.TIMESTAMP;
+    updates['tournaments/' + tId + '/roomNotifyId'] = db.ref().push().key;
+    notifications.addToMany(db, updates, uids, {
+      type: 'room',
+      title: 'Room details are ready',
+      body: 'The room ID and password for ' + t.title + ' are now available.',
+      link: '/my-tournaments'
+    });
+    return db.ref().update(updates);
+  });
+}
+
+/**
+ * Notifies the players of every open tournament whose room details
+ * became visible before the start and who have not been told yet.
+ *
+ * @param {admin.database.Database} db
+ * @param {Object} tournaments Open tournaments by id.
+ * @param {number} now
+ * @returns {Promise<number>} Number of tournaments that failed.
+ */
+function notifyDueRooms(db, tournaments, now) {
+  const due = Object.keys(tournaments).filter(tId => {
+    const t = tournaments[tId];
+    if (!t.hasRoom || !t.startTime || t.roomNotifiedAt || now >= t.startTime) return false;
+    const revealMin = t.roomRevealMin != null ? t.roomRevealMin : DEFAULT_ROOM_REVEAL_MIN;
+    return now >= t.startTime - revealMin * 60000;
+  });
+  return forEachTournament(due, tId => notifyRoom(db, tId, tournaments[tId]));
+}
+
+module.exports = {
+  openTournaments,
+  sweepNoShows,
+  releaseNoShows,
+  sweepDueNoShows,
+  promoteWaitlist,
+  promoteDueWaitlists,
+  notifyDueRooms
+};
@@ -1,12 +1,15 @@
 /**
  * Admin panel logic for the Esports Tournament app. This module
  * handles authentication via email/password, verifies admin
- * privileges, wires up navigation between admin sections, and
- * implements realtime listeners for dashboard metrics, tournaments,
- * withdrawals, users, and app settings. Mutative actions (like
- * updating settings) write back to the database. Other management
- * features such as publishing results and exporting participants
- * should be added similarly.
+ * privileges and roles, wires up navigation between the admin sections
+ * the role can open, and implements realtime listeners for dashboard
+ * metrics, tournaments, home page content and announcements,
+ * withdrawals, users, the support inbox, app settings and the audit
+ * log. Mutative actions (like updating settings) write back to the
+ * database together with an audit entry from js/audit.js. Participant
+ * exports use the helpers in js/export.js, support tickets those in
+ * js/support.js, the content previews those in js/content.js and
+ * player notifications those in js/notifications.js.
  */
 
 // Wait for the DOM to initialize before wiring up event handlers.
@@ -56,18 +59,76 @@ function showAdminApp() {
   initAdminApp();
 }
 
+/**
+ * Admin roles with their display labels and the admin sections each
+ * can open. The database rules enforce the same split: finance settles
+ * money, tournament ops run tournaments and home page content, and
+ * moderators block players. Every admin can answer support tickets.
+ */
+const ADMIN_ROLES = {
+  'super-admin': {
+    label: 'Super admin',
+    sections: ['adminDashboardPage', 'adminTournamentsPage', 'adminContentPage', 'adminFinancialPage',
+      'adminUsersPage', 'adminSupportPage', 'adminSettingsPage', 'adminAuditPage']
+  },
+  finance: {
+    label: 'Finance',
+    sections: ['adminDashboardPage', 'adminFinancialPage', 'adminUsersPage', 'adminSupportPage']
+  },
+  'tournament-ops': {
+    label: 'Tournament ops',
+    sections: ['adminDashboardPage', 'adminTournamentsPage', 'adminContentPage', 'adminSupportPage']
+  },
+  moderator: {
+    label: 'Moderator',
+    sections: ['adminDashboardPage', 'adminUsersPage', 'adminSupportPage']
+  }
+};
+
+/** Role of the signed-in admin, set by checkAdminPriv(). */
+let adminRole = null;
+
+/**
+ * Returns whether the signed-in admin has one of the given roles.
+ * Super-admins have every role.
+ *
+ * @param {...string} roles
+ * @returns {boolean}
+ */
+function hasRole(...roles) {
+  return adminRole === 'super-admin' || roles.includes(adminRole);
+}
+
+/**
+ * Returns whether the signed-in admin's role can open an admin section.
+ *
+ * @param {string} section Id of the admin page.
+ * @returns {boolean}
+ */
+function canAccess(section) {
+  return !!adminRole && ADMIN_ROLES[adminRole].sections.includes(section);
+}
+
 /**
  * Verifies whether the authenticated user has administrative
- * privileges. Admin UIDs are stored at `/adminUids/{uid} = true`.
- * If verified, the admin panel is shown; otherwise, the user is
- * logged out and an error is displayed.
+ * privileges. Admin UIDs are stored at `/adminUids/{uid} = true` and
+ * their role at `/adminRoles/{uid}`; an admin without a role has no
+ * access, as in the database rules. If verified, the admin panel
+ * is shown; otherwise, the user is logged out and an error is
+ * displayed.
  *
  * @param {firebase.User} user
  */
 function checkAdminPriv(user) {
   if (!user) return;
-  db.ref('adminUids/' + user.uid).once('value').then((snap) => {
-    if (snap.val() === true) {
+  Promise.all([
+    db.ref('adminUids/' + user.uid).once('value'),
+    db.ref('adminRoles/' + user.uid).once('value')
+  ]).then(([snap, roleSnap]) => {
+    const role = roleSnap.val();
+    if (snap.val() === true && ADMIN_ROLES[role]) {
+      adminRole = role;
+      Audit.setActor(user.email || user.uid, role);
       showAdminApp();
     } else {
       Auth.signOut().then(() => {
@@ -85,9 +146,11 @@ function checkAdminPriv(user) {
  * privileges.
  */
 function initAdminApp() {
-  // Set up admin navigation switching
+  // Set up admin navigation switching, showing only the sections the
+  // admin's role can open
   const navBtns = document.querySelectorAll('.admin-nav button');
   navBtns.forEach(btn => {
+    btn.style.display = canAccess(btn.dataset.target) ? '' : 'none';
     btn.addEventListener('click', () => {
       navBtns.forEach(b => b.classList.remove('active'));
       btn.classList.add('active');
@@ -103,24 +166,43 @@ function initAdminApp() {
   document.querySelector('.admin-nav button').click();
   // Load dashboard metrics
   loadDashboard();
-  // Load lists
-  loadAdminTournaments();
-  loadWithdrawals();
-  loadUsersList();
-  loadAppSettings();
+  // Load the sections this admin can open
+  if (canAccess('adminTournamentsPage')) {
+    initTournamentEditor();
+    loadAdminTournaments();
+    initBulkExport();
+  }
+  if (canAccess('adminContentPage')) initContentEditor();
+  if (canAccess('adminFinancialPage')) {
+    loadWithdrawals();
+    loadDeposits();
+    initReconciliation();
+  }
+  if (canAccess('adminUsersPage')) loadUsersList();
+  if (canAccess('adminSupportPage')) loadSupportInbox();
+  if (canAccess('adminSettingsPage')) {
+    loadAppSettings();
+    loadAdminRoles();
+  }
+  if (canAccess('adminAuditPage')) initAuditLog();
 }
 
 /**
- * Loads dashboard metrics such as total users, active tournaments,
- * and pending withdrawals. Values are listened to in realtime.
+ * Loads dashboard metrics. Total users and pending liability (the sum
+ * of wallet balances) come from the counters in `/analytics/totals`,
+ * and active tournaments and pending withdrawals from indexed queries,
+ * all listened to in realtime. Revenue and engagement for the selected
+ * date range are read from the daily counters; revenue is only shown
+ * to finance.
  */
 function loadDashboard() {
   const usersCountEl = document.getElementById('dashUsersCount');
   const activeTournEl = document.getElementById('dashActiveTournaments');
   const pendingWithdrawsEl = document.getElementById('dashPendingWithdrawals');
+  const liabilityEl = document.getElementById('dashLiability');
   // Total users
-  db.ref('users').on('value', snap => {
-    usersCountEl.textContent = snap.numChildren();
+  db.ref('analytics/totals/users').on('value', snap => {
+    usersCountEl.textContent = snap.val() || 0;
   });
   // Active tournaments
   db.ref('tournaments').orderByChild('status').equalTo('active').on('value', snap => {
@@ -130,114 +212,2768 @@ function loadDashboard() {
   db.ref('withdrawals').orderByChild('status').equalTo('pending').on('value', snap => {
     pendingWithdrawsEl.textContent = snap.numChildren();
   });
+  const finance = hasRole('finance');
+  document.getElementById('dashLiabilityRow').style.display = finance ? '' : 'none';
+  document.getElementById('dashMoneySection').style.display = finance ? '' : 'none';
+  if (finance) {
+    db.ref('analytics/totals/walletBalance').on('value', snap => {
+      liabilityEl.textContent = snap.val() || 0;
+    });
+  }
+  const recountBtn = document.getElementById('recountTotalsBtn');
+  recountBtn.style.display = adminRole === 'super-admin' ? '' : 'none';
+  recountBtn.onclick = recountAnalyticsTotals;
+  // Date range: preset chips or custom dates
+  const fromInput = document.getElementById('dashFrom');
+  const toInput = document.getElementById('dashTo');
+  const chips = document.querySelectorAll('#dashRanges button');
+  const setRange = (days) => {
+    toInput.value = Analytics.dayKey();
+    fromInput.value = Analytics.dayKey(Date.now() - (days - 1) * 86400000);
+    loadDashboardRange(fromInput.value, toInput.value);
+  };
+  chips.forEach(chip => {
+    chip.addEventListener('click', () => {
+      chips.forEach(c => c.classList.remove('active'));
+      chip.classList.add('active');
+      setRange(Number(chip.dataset.days));
+    });
+  });
+  [fromInput, toInput].forEach(input => {
+    input.addEventListener('change', () => {
+      chips.forEach(c => c.classList.remove('active'));
+      loadDashboardRange(fromInput.value, toInput.value);
+    });
+  });
+  setRange(30);
 }
 
 /**
- * Loads all tournaments for management. Each tournament card includes
- * buttons for editing or publishing results. Implement further
- * management features as needed.
+ * Loads the daily counters and tournaments for a range of UTC days and
+ * renders the revenue and engagement figures with their charts.
+ *
+ * @param {string} from Day key of the first day.
+ * @param {string} to Day key of the last day.
  */
-function loadAdminTournaments() {
-  const list = document.getElementById('adminTournamentsList');
-  db.ref('tournaments').on('value', snap => {
-    list.innerHTML = '';
-    snap.forEach(child => {
+function loadDashboardRange(from, to) {
+  if (!from || !to || to < from) {
+    UI.showToast('Choose a valid date range.');
+    return;
+  }
+  const start = Date.parse(from + 'T00:00:00Z');
+  const end = Date.parse(to + 'T23:59:59.999Z');
+  Promise.all([
+    db.ref('analytics/daily').orderByKey().startAt(from).endAt(to).once('value'),
+    db.ref('tournaments').orderByChild('startTime').startAt(start).endAt(end).once('value')
+  ]).then(([dailySnap, tournamentsSnap]) => {
+    const summary = Analytics.summarize(dailySnap);
+    const byDay = {};
+    summary.days.forEach(d => {
+      byDay[d.day] = d;
+    });
+    // Every day in the range, including days without counters
+    const days = [];
+    for (let time = start; time <= end; time += 86400000) {
+      const key = Analytics.dayKey(time);
+      days.push(byDay[key] || { day: key, signups: 0, joins: 0, revenue: 0 });
+    }
+    const money = (value) => (value < 0 ? '-₹' : '₹') + Math.abs(value);
+    const moneyEl = document.getElementById('dashMoney');
+    moneyEl.innerHTML = Object.keys(Analytics.MONEY_METRICS).map(metric =>
+      `<p>${Analytics.MONEY_METRICS[metric]}: ${money(summary.totals[metric])}</p>`).join('') +
+      `<p><strong>Net revenue: ${money(summary.totals.revenue)}</strong></p>`;
+    Analytics.barChart(document.getElementById('dashRevenueChart'),
+      days.map(d => ({ label: d.day.slice(5), value: d.revenue })), money);
+    const tournaments = [];
+    tournamentsSnap.forEach(child => {
       const t = child.val();
-      const item = document.createElement('div');
-      item.className = 'card';
-      item.innerHTML = `
-        <h3>${t.title}</h3>
-        <p>${t.gameName} • ${t.type} • ${t.status}</p>
-        <button class="primary" data-action="edit">Edit</button>
-        <button class="success" data-action="results">Publish Results</button>
-      `;
-      // Additional listeners could be added here
-      list.appendChild(item);
+      if (t.status !== 'cancelled' && t.maxSlots) tournaments.push(t);
     });
+    const slots = tournaments.reduce((sum, t) => sum + t.maxSlots, 0);
+    const filled = tournaments.reduce((sum, t) => sum + Math.min(t.joinedCount || 0, t.maxSlots), 0);
+    document.getElementById('dashEngagement').innerHTML = `
+      <p>Signups: ${summary.totals.signups}</p>
+      <p>Joins: ${summary.totals.joins}</p>
+      <p>Tournaments: ${tournaments.length} • Average fill rate: ${slots ? Math.round(filled / slots * 100) : 0}%</p>
+    `;
+    Analytics.barChart(document.getElementById('dashSignupsChart'),
+      days.map(d => ({ label: d.day.slice(5), value: d.signups })));
+    Analytics.barChart(document.getElementById('dashGamesChart'),
+      Object.keys(summary.joinsByGame).sort((a, b) => summary.joinsByGame[b] - summary.joinsByGame[a])
+        .map(game => ({ label: game, value: summary.joinsByGame[game] })));
+    Analytics.barChart(document.getElementById('dashFillChart'),
+      tournaments.map(t => ({ label: t.title, value: Math.round(Math.min(t.joinedCount || 0, t.maxSlots) / t.maxSlots * 100) })),
+      value => value + '%');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error loading dashboard.');
   });
 }
 
 /**
- * Loads all withdrawals for admin review. Each withdrawal card
- * displays the requesting user and amount. Approve and reject buttons
- * are placeholders and should be implemented with transactional
- * updates to the wallet and withdrawal status.
+ * Recounts the user and wallet balance totals from every user record.
+ * Totals are kept by increments, so this is needed once when the
+ * counters are introduced, or to correct drift. Super-admins only.
  */
-function loadWithdrawals() {
-  const list = document.getElementById('adminWithdrawalsList');
-  db.ref('withdrawals').on('value', snap => {
-    list.innerHTML = '';
+function recountAnalyticsTotals() {
+  if (!confirm('Recount total users and wallet balances? This reads every user once.')) return;
+  const btn = document.getElementById('recountTotalsBtn');
+  btn.disabled = true;
+  Promise.all([
+    db.ref('users').once('value'),
+    db.ref('analytics/totals').once('value')
+  ]).then(([usersSnap, totalsSnap]) => {
+    let walletBalance = 0;
+    usersSnap.forEach(child => {
+      walletBalance += child.child('wallet/balance').val() || 0;
+    });
+    const totals = { users: usersSnap.numChildren(), walletBalance: walletBalance };
+    const updates = {
+      'analytics/totals/users': totals.users,
+      'analytics/totals/walletBalance': totals.walletBalance
+    };
+    Audit.add(updates, 'analytics.recount', 'analytics/totals', totalsSnap.val(), totals);
+    return db.ref().update(updates);
+  }).then(() => {
+    UI.showToast('Totals recounted.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error recounting totals.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/** Number of records per page in the paginated admin lists. */
+const ADMIN_PAGE_SIZE = 25;
+
+/**
+ * Waits until typing in a search box pauses, then calls `onSearch` with
+ * the trimmed text.
+ *
+ * @param {HTMLInputElement} input
+ * @param {function(string)} onSearch
+ */
+function onSearchInput(input, onSearch) {
+  let timer = null;
+  input.addEventListener('input', () => {
+    clearTimeout(timer);
+    timer = setTimeout(() => onSearch(input.value.trim()), 300);
+  });
+}
+
+/**
+ * Keeps `adminTournaments` in sync with the upcoming and active
+ * tournaments, which are the ones the participants modal and the
+ * content editor's tournament pickers need.
+ */
+function watchOpenTournaments() {
+  const open = { upcoming: {}, active: {} };
+  Object.keys(open).forEach(status => {
+    db.ref('tournaments').orderByChild('status').equalTo(status).on('value', snap => {
+      open[status] = snap.val() || {};
+      adminTournaments = Object.assign({}, open.upcoming, open.active);
+      const upcomingTarget = document.getElementById('upcomingForm').tournamentId;
+      fillTournamentSelect(upcomingTarget, upcomingTarget.value);
+      fillAnnouncementAudience();
+    });
+  });
+}
+
+/**
+ * Loads tournaments for management, newest start time first, a page at
+ * a time, with a search by title. Each tournament card includes buttons
+ * for editing, results, the bracket, exports and participants.
+ */
+function loadAdminTournaments() {
+  watchOpenTournaments();
+  const list = PagedList.create(document.getElementById('adminTournamentsList'), {
+    pageSize: ADMIN_PAGE_SIZE,
+    sortBy: 'startTime',
+    emptyText: 'No tournaments.',
+    render: renderAdminTournament
+  });
+  const show = (text) => {
+    if (text) {
+      list.search(PagedList.prefixQueries(db.ref('tournaments'), ['title'], text, ADMIN_PAGE_SIZE));
+    } else {
+      list.page(db.ref('tournaments'), 'startTime');
+    }
+  };
+  onSearchInput(document.getElementById('tournamentSearch'), show);
+  show('');
+}
+
+/**
+ * Builds the admin card for a tournament.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @returns {HTMLElement}
+ */
+function renderAdminTournament(tId, t) {
+  const item = document.createElement('div');
+  item.className = 'card';
+  item.innerHTML = `
+    <h3>${UI.escapeHtml(t.title)}</h3>
+    <p>${UI.escapeHtml(t.gameName)} • ${t.type} • ${t.status}</p>
+    <p>${t.joinedCount || 0}/${t.maxSlots} joined${t.waitlistCount ? ' • ' + t.waitlistCount + ' waitlisted' : ''} • Starts ${t.startTime ? new Date(t.startTime).toLocaleString() : 'TBA'}</p>
+    ${isSweepOverdue(t) ? '<p class="overdue-note">No-show sweep overdue: release no-shows from Participants.</p>' : ''}
+    <button class="primary" data-action="edit">Edit</button>
+    <button class="success" data-action="results">${t.resultsStatus === 'published' ? 'View Results' : 'Publish Results'}</button>
+    <button class="primary" data-action="bracket">Bracket</button>
+    <button class="primary" data-action="export">Export</button>
+    <button class="primary" data-action="participants">Participants</button>
+  `;
+  item.querySelector('[data-action="edit"]').addEventListener('click', () => {
+    openTournamentEditor(tId, t);
+  });
+  item.querySelector('[data-action="results"]').addEventListener('click', () => {
+    openResultsModal(tId, t);
+  });
+  item.querySelector('[data-action="bracket"]').addEventListener('click', () => {
+    openBracketModal(tId, t);
+  });
+  item.querySelector('[data-action="export"]').addEventListener('click', () => {
+    openExportModal(t.title, [{ id: tId, data: t }], false);
+  });
+  item.querySelector('[data-action="participants"]').addEventListener('click', () => {
+    openParticipantsModal(tId, t);
+  });
+  return item;
+}
+
+/**
+ * Id of the tournament currently open in the editor, or null when the
+ * editor is creating a new tournament.
+ */
+let editingTournamentId = null;
+
+/**
+ * Wires up the tournament editor modal: the "New Tournament" button,
+ * the category dropdown (kept in sync with `/categories`) and the form
+ * submit handler. Called once from initAdminApp().
+ */
+function initTournamentEditor() {
+  const form = document.getElementById('tournamentEditorForm');
+  document.getElementById('newTournamentBtn').onclick = () => {
+    openTournamentEditor(null, null);
+  };
+  db.ref('categories').orderByChild('order').on('value', snap => {
+    const select = form.categoryId;
+    const selected = select.value;
+    select.innerHTML = '<option value="">No category</option>';
     snap.forEach(child => {
-      const w = child.val();
-      const item = document.createElement('div');
-      item.className = 'card';
-      item.innerHTML = `
-        <p>${w.name || w.uid} requests ₹${w.amount} (fee: ₹${w.fee})</p>
-        <p>Status: ${w.status}</p>
-        <button class="success" data-action="approve">Approve</button>
-        <button class="danger" data-action="reject">Reject</button>
-      `;
-      list.appendChild(item);
+      const opt = document.createElement('option');
+      opt.value = child.key;
+      opt.textContent = child.val().name || child.key;
+      select.appendChild(opt);
     });
+    select.value = selected;
   });
+  // Ensure we don't attach multiple submit handlers
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    saveTournament(readTournamentForm(form));
+  };
 }
 
 /**
- * Loads all users for admin management. Each user card includes the
- * user's name and current wallet balance, with a button to block or
- * unblock. Blocking updates the `isBlocked` flag in the database.
+ * Opens the tournament editor. When `tId` is null the form is reset for
+ * creating a new tournament; otherwise it is filled from `t`.
+ *
+ * @param {string|null} tId
+ * @param {Object|null} t
  */
-function loadUsersList() {
-  const list = document.getElementById('adminUsersList');
-  db.ref('users').on('value', snap => {
+function openTournamentEditor(tId, t) {
+  const form = document.getElementById('tournamentEditorForm');
+  const data = t || {};
+  const prizes = data.prizes || {};
+  editingTournamentId = tId;
+  document.getElementById('tournamentEditorTitle').textContent = tId ? 'Edit Tournament' : 'New Tournament';
+  form.title.value = data.title || '';
+  form.gameName.value = data.gameName || '';
+  form.categoryId.value = data.categoryId || '';
+  form.type.value = data.type || 'solo';
+  form.entryFee.value = data.entryFee != null ? data.entryFee : '';
+  form.maxSlots.value = data.maxSlots || '';
+  form.startTime.value = data.startTime ? toDateTimeLocal(data.startTime) : '';
+  form.rules.value = data.rules || '';
+  form.rankPrizes.value = (prizes.ranks || []).join(', ');
+  form.perKill.value = prizes.perKill || '';
+  form.leaveCutoffMin.value = data.leaveCutoffMin != null ? data.leaveCutoffMin : '';
+  form.checkInMin.value = data.checkInMin || '';
+  form.refundNoShows.checked = !!data.refundNoShows;
+  form.roomRevealMin.value = data.roomRevealMin != null ? data.roomRevealMin : DEFAULT_ROOM_REVEAL_MIN;
+  form.roomId.value = '';
+  form.roomPassword.value = '';
+  form.status.value = data.status || 'upcoming';
+  UI.showModal('tournamentEditorModal');
+  // Room credentials live outside the public tournament node.
+  if (tId) {
+    db.ref('tournamentRooms/' + tId).once('value').then(snap => {
+      const room = snap.val() || {};
+      form.roomId.value = room.roomId || '';
+      form.roomPassword.value = room.password || '';
+    });
+  }
+}
+
+/**
+ * Default number of minutes before the start time at which room
+ * credentials are revealed to joined players.
+ */
+const DEFAULT_ROOM_REVEAL_MIN = 15;
+
+/**
+ * Formats a millisecond timestamp as the local `YYYY-MM-DDTHH:mm`
+ * string expected by datetime-local inputs.
+ *
+ * @param {number} ms
+ * @returns {string}
+ */
+function toDateTimeLocal(ms) {
+  const d = new Date(ms);
+  return new Date(ms - d.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+}
+
+/**
+ * Reads the editor form into a plain object. Numeric fields are parsed
+ * but not validated here; see validateTournament(). Room credentials
+ * are returned separately under `room` because they are stored in
+ * `/tournamentRooms`, which only participants can read.
+ *
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+function readTournamentForm(form) {
+  const ranks = form.rankPrizes.value.split(',')
+    .map(v => v.trim())
+    .filter(v => v !== '')
+    .map(v => Number(v));
+  return {
+    title: form.title.value.trim(),
+    gameName: form.gameName.value.trim(),
+    categoryId: form.categoryId.value || '',
+    type: form.type.value,
+    entryFee: Number(form.entryFee.value || 0),
+    maxSlots: Number(form.maxSlots.value),
+    startTime: form.startTime.value ? new Date(form.startTime.value).getTime() : 0,
+    rules: form.rules.value.trim(),
+    prizes: {
+      ranks: ranks,
+      perKill: Number(form.perKill.value || 0)
+    },
+    prizePool: ranks.reduce((sum, v) => sum + (v || 0), 0),
+    leaveCutoffMin: form.leaveCutoffMin.value === '' ? null : Number(form.leaveCutoffMin.value),
+    checkInMin: form.checkInMin.value === '' ? null : Number(form.checkInMin.value),
+    refundNoShows: form.refundNoShows.checked,
+    roomRevealMin: form.roomRevealMin.value === '' ? DEFAULT_ROOM_REVEAL_MIN : Number(form.roomRevealMin.value),
+    hasRoom: !!(form.roomId.value.trim() || form.roomPassword.value.trim()),
+    status: form.status.value,
+    room: {
+      roomId: form.roomId.value.trim(),
+      password: form.roomPassword.value.trim()
+    }
+  };
+}
+
+/**
+ * Validates tournament editor input. Returns an error message for the
+ * first problem found, or null when the data is valid. `joinedCount`
+ * is the number of players (or teams, for duo and squad tournaments)
+ * already in the tournament; slots cannot be lowered below it.
+ *
+ * @param {Object} data
+ * @param {number} joinedCount
+ * @returns {string|null}
+ */
+function validateTournament(data, joinedCount) {
+  if (!data.title) return 'Title is required.';
+  if (!data.gameName) return 'Game name is required.';
+  if (!['solo', 'duo', 'squad'].includes(data.type)) return 'Invalid tournament type.';
+  if (!Number.isInteger(data.entryFee) || data.entryFee < 0) return 'Entry fee must be a whole number of ₹0 or more.';
+  if (!Number.isInteger(data.maxSlots) || data.maxSlots < 1) return 'Max slots must be at least 1.';
+  if (data.maxSlots < joinedCount) return 'Max slots cannot be lower than taken slots (' + joinedCount + ').';
+  if (!data.startTime) return 'Start time is required.';
+  if (data.prizes.ranks.some(v => !Number.isInteger(v) || v < 0)) return 'Rank prizes must be whole amounts of ₹0 or more.';
+  if (!Number.isInteger(data.prizes.perKill) || data.prizes.perKill < 0) return 'Per kill prize must be a whole number of ₹0 or more.';
+  if (data.leaveCutoffMin !== null && (!Number.isInteger(data.leaveCutoffMin) || data.leaveCutoffMin < 0)) return 'Leave cutoff must be a whole number of minutes.';
+  if (!Number.isInteger(data.roomRevealMin) || data.roomRevealMin < 0) return 'Room reveal time must be a whole number of minutes.';
+  if (data.checkInMin !== null && (!Number.isInteger(data.checkInMin) || data.checkInMin < 1)) return 'Check-in window must be a whole number of minutes.';
+  if (!['upcoming', 'active', 'completed', 'cancelled'].includes(data.status)) return 'Invalid status.';
+  return null;
+}
+
+/**
+ * Creates or updates a tournament from editor data. New tournaments are
+ * written with a zero `joinedCount` together with their room node.
+ * Edits run in a transaction so the `maxSlots` check sees the latest
+ * `joinedCount` even while players are joining; the room node is saved
+ * once the transaction commits.
+ *
+ * @param {Object} data
+ */
+function saveTournament(data) {
+  const tId = editingTournamentId;
+  const room = data.room;
+  const fields = Object.assign({}, data);
+  delete fields.room;
+  const roomValue = fields.hasRoom ? Object.assign({}, room, { updatedAt: Date.now() }) : null;
+  if (!tId) {
+    const error = validateTournament(fields, 0);
+    if (error) {
+      UI.showToast(error);
+      return;
+    }
+    const newId = db.ref('tournaments').push().key;
+    const updates = {};
+    updates['tournaments/' + newId] = Object.assign(fields, {
+      joinedCount: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    });
+    updates['tournamentRooms/' + newId] = roomValue;
+    Audit.add(updates, 'tournament.create', 'tournaments/' + newId, null, fields);
+    db.ref().update(updates).then(() => {
+      UI.closeModal('tournamentEditorModal');
+      UI.showToast('Tournament created.');
+    }).catch((err) => {
+      console.error(err);
+      UI.showToast('Error saving tournament.');
+    });
+    return;
+  }
+  let error = null;
+  let before = null;
+  db.ref('tournaments/' + tId).transaction((curr) => {
+    if (curr) {
+      before = {};
+      Object.keys(fields).forEach(key => {
+        before[key] = curr[key] === undefined ? null : curr[key];
+      });
+      error = validateTournament(fields, curr.joinedCount || 0);
+      if (!error && curr.joinedCount > 0 && (curr.type || 'solo') !== fields.type) {
+        error = 'Type cannot be changed after players have joined.';
+      }
+      if (error) {
+        return; // abort the transaction
+      }
+      Object.assign(curr, fields, { updatedAt: Date.now() });
+    }
+    return curr;
+  }, (err, committed, snapshot) => {
+    if (err) {
+      console.error(err);
+      UI.showToast('Error saving tournament.');
+    } else if (!committed || !snapshot.exists()) {
+      UI.showToast(error || 'Tournament no longer exists.');
+    } else {
+      const updates = { ['tournamentRooms/' + tId]: roomValue };
+      Audit.add(updates, 'tournament.update', 'tournaments/' + tId, before, fields);
+      db.ref().update(updates).then(() => {
+        UI.closeModal('tournamentEditorModal');
+        UI.showToast('Tournament updated.');
+      }).catch((err2) => {
+        console.error(err2);
+        UI.showToast('Tournament saved, but room details failed to save.');
+      });
+    }
+  });
+}
+
+/**
+ * Opens the results modal for a tournament. Every participant in
+ * `/tournamentJoins/{tId}` gets a row for placement, kills and points,
+ * with the computed prize shown live. In duo and squad tournaments each
+ * team gets a single row instead. Once results are published the rows
+ * are shown read-only. `placements` pre-fills placements by entrant id
+ * (uid or team id), as produced by a completed bracket.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {Object} [placements]
+ */
+function openResultsModal(tId, t, placements = {}) {
+  const list = document.getElementById('resultsList');
+  const publishBtn = document.getElementById('publishResultsBtn');
+  const published = t.resultsStatus === 'published';
+  const prizes = t.prizes || {};
+  document.getElementById('resultsModalTitle').textContent = t.title;
+  document.getElementById('resultsPrizeInfo').textContent =
+    'Rank prizes: ' + ((prizes.ranks || []).map((v, i) => '#' + (i + 1) + ' ₹' + v).join(', ') || 'none') +
+    ' • Per kill: ₹' + (prizes.perKill || 0);
+  document.getElementById('resultsTotal').textContent = '';
+  list.innerHTML = '<div class="skeleton"></div>';
+  publishBtn.style.display = published ? 'none' : '';
+  publishBtn.disabled = false;
+  UI.showModal('resultsModal');
+  Promise.all([
+    db.ref('tournamentJoins/' + tId).once('value'),
+    db.ref('tournamentTeams/' + tId).once('value')
+  ]).then(([snap, teamsSnap]) => {
     list.innerHTML = '';
-    snap.forEach(child => {
-      const u = child.val();
-      const li = document.createElement('div');
-      li.className = 'card';
-      li.innerHTML = `
-        <p>${u.name || 'Unnamed'} (${child.key})</p>
-        <p>Balance: ₹${u.wallet?.balance || 0}</p>
-        <button class="${u.isBlocked ? 'success' : 'danger'}" data-action="${u.isBlocked ? 'unblock' : 'block'}">${u.isBlocked ? 'Unblock' : 'Block'}</button>
+    if (!snap.exists()) {
+      list.innerHTML = '<p>No participants.</p>';
+      publishBtn.style.display = 'none';
+      return;
+    }
+    groupResultEntries(snap, teamsSnap.val() || {}).forEach(entry => {
+      const j = entry.join;
+      const row = document.createElement('div');
+      row.className = 'result-row';
+      row.dataset.uids = entry.uids.join(',');
+      row.dataset.names = JSON.stringify(entry.names);
+      row.innerHTML = `
+        <p><strong>${UI.escapeHtml(entry.title)}</strong> • ${UI.escapeHtml(entry.subtitle)}</p>
+        <div class="result-inputs">
+          <input type="number" min="1" name="placement" placeholder="Place" value="${placements[entry.id] || j.placement || ''}">
+          <input type="number" min="0" name="kills" placeholder="Kills" value="${j.kills || ''}">
+          <input type="number" min="0" name="points" placeholder="Points" value="${j.points || ''}">
+        </div>
+        <p class="result-prize"></p>
       `;
-      // Block/unblock logic
-      li.querySelector('button').addEventListener('click', () => {
-        const newStatus = !u.isBlocked;
-        db.ref('users/' + child.key + '/isBlocked').set(newStatus);
-        UI.showToast(newStatus ? 'User blocked.' : 'User unblocked.');
+      row.querySelectorAll('input').forEach(input => {
+        input.disabled = published;
+        input.addEventListener('input', () => updateResultsPreview(t));
       });
-      list.appendChild(li);
+      list.appendChild(row);
     });
+    updateResultsPreview(t);
   });
+  publishBtn.onclick = () => {
+    publishResults(tId, t);
+  };
 }
 
 /**
- * Loads the global app settings into the admin settings form and
- * listens for changes to update the database. When the form is
- * submitted, values are parsed and saved to `/appSettings`.
+ * Groups join records into result entries: one per player in solo
+ * tournaments and one per team otherwise. No-shows are left out. Each entry has the player's
+ * uid or the team id as `id`, lists its member uids and names with the
+ * captain first, and `join` is the record whose results are shown (the
+ * captain's for teams).
+ *
+ * @param {firebase.database.DataSnapshot} joinsSnap
+ * @param {Object} teams The tournament's `/tournamentTeams/{tId}` node.
+ * @returns {Array<{id: string, uids: Array<string>, names: Array<string>, title: string, subtitle: string, join: Object}>}
  */
-function loadAppSettings() {
-  const form = document.getElementById('settingsForm');
-  db.ref('appSettings').on('value', snap => {
-    const settings = snap.val() || {};
-    form.minWithdraw.value = settings.minWithdraw || '';
-    form.withdrawFeePercent.value = settings.withdrawFeePercent || '';
-    form.maintenanceMode.checked = settings.maintenanceMode || false;
-    form.joinCooldownSec.value = settings.joinCooldownSec || '';
-    form.supportAutoMsg.value = settings.supportAutoMsg || '';
+function groupResultEntries(joinsSnap, teams) {
+  const entries = [];
+  const byTeam = {};
+  joinsSnap.forEach(child => {
+    const j = child.val();
+    if (j.status === 'no_show') return;
+    if (!j.teamId) {
+      entries.push({ id: child.key, uids: [child.key], names: [j.userName || ''], title: j.userName || child.key, subtitle: j.gameUidOrIgn || '-', join: j });
+      return;
+    }
+    let entry = byTeam[j.teamId];
+    if (!entry) {
+      const team = teams[j.teamId] || {};
+      entry = byTeam[j.teamId] = { id: j.teamId, uids: [], names: [], title: team.name || j.teamId, subtitle: '', join: j, igns: [] };
+      entries.push(entry);
+    }
+    if (j.role === 'captain') {
+      entry.uids.unshift(child.key);
+      entry.names.unshift(j.userName || '');
+      entry.igns.unshift(j.gameUidOrIgn || '-');
+      entry.join = j;
+    } else {
+      entry.uids.push(child.key);
+      entry.names.push(j.userName || '');
+      entry.igns.push(j.gameUidOrIgn || '-');
+    }
+    entry.subtitle = entry.igns.join(', ');
   });
-  // Ensure we don't attach multiple submit handlers
+  return entries;
+}
+
+/**
+ * Reads the result rows from the results modal. Each row holds the
+ * uids and names it applies to: a single player, or a whole team
+ * captain first.
+ *
+ * @returns {Array<{uids: Array<string>, names: Array<string>, placement: number, kills: number, points: number}>}
+ */
+function readResultRows() {
+  return Array.from(document.querySelectorAll('#resultsList .result-row')).map(row => ({
+    uids: row.dataset.uids.split(','),
+    names: JSON.parse(row.dataset.names),
+    placement: Number(row.querySelector('[name="placement"]').value || 0),
+    kills: Number(row.querySelector('[name="kills"]').value || 0),
+    points: Number(row.querySelector('[name="points"]').value || 0)
+  }));
+}
+
+/**
+ * Splits a prize between the members of a result row. Every member
+ * gets an equal whole-rupee share and any remainder goes to the first
+ * uid (the team captain).
+ *
+ * @param {number} prize
+ * @param {Array<string>} uids
+ * @returns {Array<number>}
+ */
+function splitPrize(prize, uids) {
+  const share = Math.floor(prize / uids.length);
+  return uids.map((uid, i) => share + (i === 0 ? prize - share * uids.length : 0));
+}
+
+/**
+ * Computes the prize for each result row from the tournament's prize
+ * configuration: the rank prize for the row's placement plus the per
+ * kill prize times kills. Returns new row objects with a `prize` field.
+ *
+ * @param {Object} prizes The tournament's `prizes` node.
+ * @param {Array<Object>} rows
+ * @returns {Array<Object>}
+ */
+function computePayouts(prizes, rows) {
+  const ranks = (prizes && prizes.ranks) || [];
+  const perKill = (prizes && prizes.perKill) || 0;
+  return rows.map(r => {
+    const rankPrize = r.placement > 0 ? (ranks[r.placement - 1] || 0) : 0;
+    return Object.assign({}, r, { prize: rankPrize + r.kills * perKill });
+  });
+}
+
+/**
+ * Validates result rows. Placements must be unique positive integers
+ * (or empty for unranked players) and kills/points non-negative
+ * integers. Returns an error message or null.
+ *
+ * @param {Array<Object>} rows
+ * @returns {string|null}
+ */
+function validateResults(rows) {
+  const seen = {};
+  for (const r of rows) {
+    if (!Number.isInteger(r.placement) || r.placement < 0) return 'Placements must be whole numbers.';
+    if (!Number.isInteger(r.kills) || r.kills < 0) return 'Kills must be whole numbers of 0 or more.';
+    if (!Number.isInteger(r.points) || r.points < 0) return 'Points must be whole numbers of 0 or more.';
+    if (r.placement > 0) {
+      if (seen[r.placement]) return 'Placement #' + r.placement + ' is used twice.';
+      seen[r.placement] = true;
+    }
+  }
+  return null;
+}
+
+/**
+ * Updates the per-row prize labels and the payout total in the results
+ * modal as the admin types.
+ *
+ * @param {Object} t
+ */
+function updateResultsPreview(t) {
+  const rows = computePayouts(t.prizes, readResultRows());
+  const rowEls = document.querySelectorAll('#resultsList .result-row');
+  let total = 0;
+  rows.forEach((r, i) => {
+    total += r.prize;
+    rowEls[i].querySelector('.result-prize').textContent = r.prize ? 'Prize: ₹' + r.prize : '';
+  });
+  document.getElementById('resultsTotal').textContent = 'Total payout: ₹' + total;
+}
+
+/**
+ * Publishes tournament results and pays out prizes. All effects are
+ * written in one ledger commit: result fields on each join record,
+ * prize entries for the winners, player stats, leaderboards and the
+ * tournament's completed status. Team results are copied to every
+ * member and the team's prize is split between them with splitPrize().
+ *
+ * The same commit sets `resultsStatus` to 'published' with a new
+ * `resultsPublishId`, and the rules refuse to publish again over
+ * results published with a different id, so a double click or a second
+ * admin cannot pay out twice and nothing is left half done when the
+ * tab closes mid-way. A 'publishing' status left by older versions is
+ * treated as unpublished.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ */
+function publishResults(tId, t) {
+  const rows = computePayouts(t.prizes, readResultRows());
+  const error = validateResults(rows);
+  if (error) {
+    UI.showToast(error);
+    return;
+  }
+  if (t.resultsStatus === 'published') {
+    UI.showToast('Results are already published.');
+    return;
+  }
+  const publishBtn = document.getElementById('publishResultsBtn');
+  publishBtn.disabled = true;
+  const inc = firebase.database.ServerValue.increment;
+  const now = Date.now();
+  const updates = {};
+  const entries = [];
+  rows.forEach(r => {
+    const shares = splitPrize(r.prize, r.uids);
+    r.uids.forEach((uid, i) => {
+      const joinPath = 'tournamentJoins/' + tId + '/' + uid;
+      updates[joinPath + '/placement'] = r.placement || null;
+      updates[joinPath + '/kills'] = r.kills;
+      updates[joinPath + '/points'] = r.points;
+      updates[joinPath + '/prize'] = shares[i];
+      updates[joinPath + '/status'] = r.placement === 1 || r.prize > 0 ? 'won' : 'played';
+      updates['users/' + uid + '/stats/matches'] = inc(1);
+      updates['users/' + uid + '/stats/wins'] = inc(r.placement === 1 ? 1 : 0);
+      updates['users/' + uid + '/stats/points'] = inc(r.points);
+      Leaderboard.addResult(updates, uid, {
+        name: r.names[i],
+        gameName: t.gameName,
+        time: t.startTime || now,
+        won: r.placement === 1,
+        points: r.points,
+        prize: shares[i]
+      });
+      Notifications.add(updates, uid, {
+        type: 'results',
+        title: 'Results are out',
+        body: t.title + ': ' + (r.placement ? 'placed #' + r.placement : r.points + ' points') +
+          (shares[i] > 0 ? ', you won ₹' + shares[i] : '') + '.',
+        link: '/my-tournaments'
+      });
+      if (shares[i] > 0) {
+        entries.push({
+          uid: uid,
+          type: 'prize',
+          amount: shares[i],
+          ref: { kind: 'tournament', id: tId },
+          note: 'Prize for ' + t.title
+        });
+      }
+    });
+  });
+  updates['tournaments/' + tId + '/status'] = 'completed';
+  updates['tournaments/' + tId + '/resultsStatus'] = 'published';
+  updates['tournaments/' + tId + '/resultsPublishId'] = db.ref().push().key;
+  updates['tournaments/' + tId + '/resultsPublishedAt'] = now;
+  updates['tournaments/' + tId + '/updatedAt'] = now;
+  Audit.add(updates, 'tournament.results', 'tournaments/' + tId, { resultsStatus: null },
+    rows.map(r => ({ names: r.names, placement: r.placement, kills: r.kills, points: r.points, prize: r.prize })));
+  Ledger.commit(entries, updates).then(() => {
+    UI.closeModal('resultsModal');
+    UI.showToast('Results published.');
+  }).catch((err) => {
+    console.error(err);
+    publishBtn.disabled = false;
+    // the write is refused when someone else published first
+    return db.ref('tournaments/' + tId + '/resultsStatus').once('value').then(snap => {
+      UI.showToast(snap.val() === 'published' ? 'Results are already published.' : 'Error publishing results.');
+    });
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast('Error publishing results.');
+  });
+}
+
+/**
+ * Tournament whose bracket is open in the bracket modal and the live
+ * bracket listener for it.
+ */
+let bracketTournament = null;
+let bracketRef = null;
+
+/**
+ * Opens the bracket modal for a tournament. Shows the bracket live and
+ * lets the admin generate it (until the first score is in) and record
+ * scores by clicking a match that is ready to be played.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ */
+function openBracketModal(tId, t) {
+  closeBracketModal();
+  bracketTournament = { id: tId, data: t };
+  document.getElementById('bracketModalTitle').textContent = t.title;
+  document.getElementById('bracketScoreForm').style.display = 'none';
+  document.getElementById('generateBracketBtn').onclick = () => generateBracket(tId, t);
+  const view = document.getElementById('bracketView');
+  const setup = document.getElementById('bracketSetup');
+  const resultsBtn = document.getElementById('bracketResultsBtn');
+  view.innerHTML = '<div class="skeleton"></div>';
+  bracketRef = db.ref('brackets/' + tId);
+  bracketRef.on('value', snap => {
+    const bracket = snap.val();
+    if (!bracket) {
+      view.innerHTML = '<p>No bracket yet.</p>';
+      setup.style.display = '';
+      resultsBtn.style.display = 'none';
+      return;
+    }
+    const scored = Object.values(bracket.matches).some(m => m.scoreA != null);
+    setup.style.display = scored ? 'none' : '';
+    resultsBtn.style.display = bracket.status === 'completed' && t.resultsStatus !== 'published' ? '' : 'none';
+    resultsBtn.onclick = () => sendBracketToResults(tId, t, bracket);
+    Bracket.render(view, bracket, {
+      onMatchClick: (matchId, m) => openBracketScore(tId, bracket, matchId, m)
+    });
+  });
+  UI.showModal('bracketModal');
+}
+
+/**
+ * Closes the bracket modal and stops listening to its bracket.
+ */
+function closeBracketModal() {
+  if (bracketRef) bracketRef.off();
+  bracketRef = null;
+  bracketTournament = null;
+  UI.closeModal('bracketModal');
+}
+
+/**
+ * Loads the entrants for a tournament's bracket in join order: players
+ * who are still in for solo tournaments, or teams otherwise. No-shows
+ * (and teams made up only of no-shows) are left out.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @returns {Promise<Array<{id: string, name: string}>>}
+ */
+function loadBracketEntrants(tId, t) {
+  return Promise.all([
+    db.ref('tournamentJoins/' + tId).orderByChild('joinedAt').once('value'),
+    db.ref('tournamentTeams/' + tId).orderByChild('createdAt').once('value')
+  ]).then(([joinsSnap, teamsSnap]) => {
+    const entrants = [];
+    const presentTeams = {};
+    joinsSnap.forEach(child => {
+      const j = child.val();
+      if (j.status === 'no_show') return;
+      if (j.teamId) {
+        presentTeams[j.teamId] = true;
+      } else {
+        entrants.push({ id: child.key, name: j.gameUidOrIgn || j.userName || child.key });
+      }
+    });
+    if ((t.type || 'solo') === 'solo') return entrants;
+    const teams = [];
+    teamsSnap.forEach(child => {
+      if (presentTeams[child.key]) teams.push({ id: child.key, name: child.val().name || child.key });
+    });
+    return teams;
+  });
+}
+
+/**
+ * Generates a bracket from the tournament's entrants with the format
+ * and seeding chosen in the modal. A bracket that already has scores
+ * is never replaced.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ */
+function generateBracket(tId, t) {
+  const format = document.getElementById('bracketFormat').value;
+  const seeding = document.getElementById('bracketSeeding').value;
+  loadBracketEntrants(tId, t).then(entrants => {
+    if (seeding === 'random') {
+      for (let i = entrants.length - 1; i > 0; i--) {
+        const k = Math.floor(Math.random() * (i + 1));
+        [entrants[i], entrants[k]] = [entrants[k], entrants[i]];
+      }
+    }
+    let bracket;
+    try {
+      bracket = Bracket.generate(entrants, format);
+    } catch (err) {
+      UI.showToast(err.message);
+      return;
+    }
+    bracket.createdAt = Date.now();
+    let error = null;
+    db.ref('brackets/' + tId).transaction((curr) => {
+      if (curr && Object.values(curr.matches || {}).some(m => m.scoreA != null)) {
+        error = 'Scores have been entered; the bracket can no longer be regenerated.';
+        return; // abort the transaction
+      }
+      return bracket;
+    }, (err, committed) => {
+      if (err || !committed) {
+        if (err) console.error(err);
+        UI.showToast(error || 'Error generating bracket.');
+        return;
+      }
+      const updates = { ['tournaments/' + tId + '/hasBracket']: true };
+      Audit.add(updates, 'bracket.generate', 'brackets/' + tId, null,
+        { format: format, seeding: seeding, entrants: entrants.length });
+      db.ref().update(updates);
+      UI.showToast('Bracket generated.');
+    });
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error generating bracket.');
+  });
+}
+
+/**
+ * Shows the score form for a match that is ready to be played.
+ *
+ * @param {string} tId
+ * @param {Object} bracket
+ * @param {string} matchId
+ * @param {Object} m
+ */
+function openBracketScore(tId, bracket, matchId, m) {
+  const form = document.getElementById('bracketScoreForm');
+  const nameA = bracket.entrants[m.a].name;
+  const nameB = bracket.entrants[m.b].name;
+  document.getElementById('bracketScoreMatch').textContent = nameA + ' vs ' + nameB;
+  form.scoreA.value = '';
+  form.scoreB.value = '';
+  form.scoreA.placeholder = nameA;
+  form.scoreB.placeholder = nameB;
+  form.style.display = '';
   form.onsubmit = (e) => {
     e.preventDefault();
-    const payload = {
-      minWithdraw: parseInt(form.minWithdraw.value) || 0,
-      withdrawFeePercent: parseInt(form.withdrawFeePercent.value) || 0,
-      maintenanceMode: form.maintenanceMode.checked,
-      joinCooldownSec: parseInt(form.joinCooldownSec.value) || 0,
-      supportAutoMsg: form.supportAutoMsg.value || ''
-    };
-    db.ref('appSettings').set(payload).then(() => {
-      UI.showToast('Settings updated.');
-    });
+    saveBracketScore(tId, matchId, Number(form.scoreA.value), Number(form.scoreB.value));
   };
-}
\ No newline at end of file
+}
+
+/**
+ * Records a match score and advances the bracket in a transaction, so
+ * two admins scoring at once cannot overwrite each other. When the
+ * final is decided the results modal opens with placements taken from
+ * the bracket, ready to publish.
+ *
+ * @param {string} tId
+ * @param {string} matchId
+ * @param {number} scoreA
+ * @param {number} scoreB
+ */
+function saveBracketScore(tId, matchId, scoreA, scoreB) {
+  let error = null;
+  db.ref('brackets/' + tId).transaction((curr) => {
+    if (curr) {
+      error = Bracket.scoreError(curr, matchId, scoreA, scoreB);
+      if (error) {
+        return; // abort the transaction
+      }
+      Bracket.reportScore(curr, matchId, scoreA, scoreB);
+    }
+    return curr;
+  }, (err, committed, snapshot) => {
+    if (err) {
+      console.error(err);
+      UI.showToast('Error saving score.');
+    } else if (!committed || !snapshot.exists()) {
+      UI.showToast(error || 'Bracket no longer exists.');
+    } else {
+      document.getElementById('bracketScoreForm').style.display = 'none';
+      const bracket = snapshot.val();
+      Audit.record('bracket.score', 'brackets/' + tId + '/matches/' + matchId, null,
+        { scoreA: scoreA, scoreB: scoreB });
+      if (bracket.status === 'completed' && bracketTournament && bracketTournament.id === tId) {
+        UI.showToast('Bracket complete. Review and publish the results.');
+        sendBracketToResults(tId, bracketTournament.data, bracket);
+      } else {
+        UI.showToast('Score saved.');
+      }
+    }
+  });
+}
+
+/**
+ * Opens the results modal with placements from a completed bracket.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {Object} bracket
+ */
+function sendBracketToResults(tId, t, bracket) {
+  const placements = {};
+  Bracket.standings(bracket).forEach((id, i) => {
+    placements[id] = i + 1;
+  });
+  closeBracketModal();
+  openResultsModal(tId, t, placements);
+}
+
+/**
+ * Latest upcoming and active `/tournaments` values by id, kept by
+ * watchOpenTournaments() for the participants modal.
+ */
+let adminTournaments = {};
+
+/**
+ * How long after the start a tournament may stay unswept before its
+ * card warns admins; the scheduled backend job normally sweeps within
+ * a minute.
+ */
+const NO_SHOW_SWEEP_GRACE_MS = 5 * 60000;
+
+/**
+ * Returns whether a tournament's check-in window closed a while ago
+ * without its no-shows being released, which means the scheduled job
+ * is not running.
+ *
+ * @param {Object} t
+ * @returns {boolean}
+ */
+function isSweepOverdue(t) {
+  return !!t.checkInMin && !!t.startTime && !t.noShowSweptAt &&
+    (t.status === 'upcoming' || t.status === 'active') &&
+    Date.now() > t.startTime + NO_SHOW_SWEEP_GRACE_MS;
+}
+
+/**
+ * Releases a tournament's no-shows now instead of waiting for the
+ * scheduled job, by calling the `releaseNoShows` function, which runs
+ * the job's own sweep from functions/tournaments.js as this admin.
+ * Resolves with the number of slots freed.
+ *
+ * @param {string} tId
+ * @returns {Promise<number>}
+ */
+function sweepNoShows(tId) {
+  return firebase.functions().httpsCallable('releaseNoShows')({ tournamentId: tId }).then(result => result.data.freed);
+}
+
+/** Live listener for the participants modal, if open. */
+let participantsRef = null;
+
+/**
+ * Opens the participants modal for a tournament, showing its joins
+ * live with a Remove action per player or team. For tournaments with a
+ * check-in window it also shows check-in progress, and the admin can
+ * release no-shows early once the tournament has started.
+ *
+ * @param {string} tId
+ * @param {Object} [tournament] Used when the tournament is not open.
+ */
+function openParticipantsModal(tId, tournament) {
+  closeParticipantsModal();
+  const progress = document.getElementById('participantsProgress');
+  const list = document.getElementById('participantsList');
+  const sweepBtn = document.getElementById('noShowSweepBtn');
+  const t = adminTournaments[tId] || tournament || {};
+  document.getElementById('participantsModalTitle').textContent = 'Participants: ' + (t.title || '');
+  list.innerHTML = '<div class="skeleton"></div>';
+  sweepBtn.style.display = t.checkInMin ? '' : 'none';
+  participantsRef = db.ref('tournamentJoins/' + tId);
+  participantsRef.on('value', snap => {
+    const latest = adminTournaments[tId] || t;
+    let checkedIn = 0;
+    let total = 0;
+    list.innerHTML = '';
+    snap.forEach(child => {
+      const uid = child.key;
+      const j = child.val();
+      total++;
+      if (j.status === 'checked_in') checkedIn++;
+      const removable = j.role !== 'member' && (j.status === 'joined' || j.status === 'checked_in');
+      const row = document.createElement('div');
+      row.className = 'result-row';
+      row.innerHTML = `
+        <p><strong>${UI.escapeHtml(j.userName || uid)}</strong> • ${UI.escapeHtml(j.gameUidOrIgn || '-')} • ${j.status}${j.checkedInAt ? ' at ' + new Date(j.checkedInAt).toLocaleTimeString() : ''}${j.role ? ' • ' + j.role : ''}</p>
+        ${removable ? `<button class="danger" type="button">${j.role === 'captain' ? 'Remove Team' : 'Remove'}</button>` : ''}
+      `;
+      if (removable) {
+        row.querySelector('button').addEventListener('click', (e) => {
+          removeParticipant(tId, adminTournaments[tId] || t, uid, j, e.currentTarget);
+        });
+      }
+      list.appendChild(row);
+    });
+    if (!latest.checkInMin) {
+      progress.textContent = total + ' player(s) • ' + (latest.joinedCount || 0) + '/' + latest.maxSlots + ' slots' +
+        (latest.waitlistCount ? ' • ' + latest.waitlistCount + ' waitlisted' : '');
+      return;
+    }
+    const opens = latest.startTime - latest.checkInMin * 60000;
+    progress.textContent = checkedIn + '/' + total + ' checked in • Window ' +
+      new Date(opens).toLocaleString() + ' to ' + new Date(latest.startTime).toLocaleString() +
+      (latest.noShowSweptAt ? ' • No-shows released' : '');
+    sweepBtn.disabled = !!latest.noShowSweptAt || Date.now() < latest.startTime;
+  });
+  sweepBtn.onclick = () => {
+    sweepBtn.disabled = true;
+    sweepNoShows(tId).then(freed => {
+      UI.showToast(freed ? freed + ' slot(s) released.' : 'No slots to release.');
+    }).catch(err => {
+      console.error(err);
+      return db.ref('tournaments/' + tId + '/noShowSweptAt').once('value').then(snap => {
+        if (snap.exists()) {
+          UI.showToast('No-shows were already released.');
+          return;
+        }
+        sweepBtn.disabled = false;
+        UI.showToast('Error releasing no-shows.');
+      });
+    });
+  };
+  UI.showModal('participantsModal');
+}
+
+/**
+ * Closes the participants modal and stops listening to its joins.
+ */
+function closeParticipantsModal() {
+  if (participantsRef) participantsRef.off();
+  participantsRef = null;
+  UI.closeModal('participantsModal');
+}
+
+/**
+ * Removes a player, or a captain's whole team, from a tournament and
+ * frees the slot, optionally refunding entry fees. The freed slot is
+ * then offered to the waitlist by the scheduled `tournamentJobs`
+ * function.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {string} uid
+ * @param {Object} j The player's join record.
+ * @param {HTMLButtonElement} button
+ */
+function removeParticipant(tId, t, uid, j, button) {
+  const name = j.userName || uid;
+  if (!confirm('Remove ' + (j.role === 'captain' ? name + "'s team" : name) + ' from ' + t.title + '?')) return;
+  const refund = confirm('Refund the entry fee' + (j.role === 'captain' ? 's' : '') + '?');
+  button.disabled = true;
+  const loadMembers = j.teamId
+    ? db.ref('tournamentJoins/' + tId).orderByChild('teamId').equalTo(j.teamId).once('value')
+    : Promise.resolve(null);
+  loadMembers.then(snap => {
+    const members = [];
+    if (snap) {
+      snap.forEach(child => {
+        members.push({ uid: child.key, data: child.val() });
+      });
+    } else {
+      members.push({ uid: uid, data: j });
+    }
+    const updates = {};
+    const entries = [];
+    members.forEach(({ uid: memberUid, data }) => {
+      updates['tournamentJoins/' + tId + '/' + memberUid] = null;
+      updates['userJoins/' + memberUid + '/' + tId] = null;
+      updates['tournamentParticipants/' + tId + '/' + memberUid] = null;
+      if (refund && data.feePaid > 0) {
+        entries.push({
+          uid: memberUid,
+          type: 'refund',
+          amount: data.feePaid,
+          ref: { kind: 'tournament', id: tId },
+          note: 'Removed from ' + t.title
+        });
+      }
+    });
+    if (j.teamId) {
+      updates['tournamentTeams/' + tId + '/' + j.teamId] = null;
+      if (j.inviteCode) updates['teamInvites/' + j.inviteCode] = null;
+    }
+    updates['tournaments/' + tId + '/joinedCount'] = firebase.database.ServerValue.increment(-1);
+    Audit.add(updates, 'tournament.remove_player', 'tournamentJoins/' + tId + '/' + uid,
+      members.map(m => m.data), { refunded: entries.length > 0 });
+    return Ledger.commit(entries, updates);
+  }).then(() => {
+    UI.showToast('Removed ' + name + '.');
+  }).catch(err => {
+    console.error(err);
+    button.disabled = false;
+    UI.showToast('Error removing participant.');
+  });
+}
+
+/**
+ * Loads export rows for one tournament: one row per join record, with
+ * team names from `/tournamentTeams/{tId}` for duo and squad events.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @returns {Promise<Array<Object>>}
+ */
+function loadExportRows(tId, t) {
+  return Promise.all([
+    db.ref('tournamentJoins/' + tId).orderByChild('joinedAt').once('value'),
+    db.ref('tournamentTeams/' + tId).once('value')
+  ]).then(([joinsSnap, teamsSnap]) => {
+    const teams = teamsSnap.val() || {};
+    const rows = [];
+    joinsSnap.forEach(child => {
+      const j = child.val();
+      rows.push({
+        tournament: t.title,
+        startTime: t.startTime,
+        name: j.userName,
+        ign: j.gameUidOrIgn,
+        phone: j.phone,
+        joinedAt: j.joinedAt,
+        status: j.status,
+        team: j.teamId ? (teams[j.teamId] ? teams[j.teamId].name : j.teamId) : '',
+        role: j.role || '',
+        feePaid: j.feePaid || 0,
+        placement: j.placement || '',
+        prize: j.prize || 0
+      });
+    });
+    // Keep teammates together, in the order their teams were formed.
+    if (rows.some(r => r.team)) {
+      const firstSeen = {};
+      rows.forEach((r, i) => {
+        if (!(r.team in firstSeen)) firstSeen[r.team] = i;
+      });
+      rows.sort((x, y) => firstSeen[x.team] - firstSeen[y.team]);
+    }
+    return rows;
+  });
+}
+
+/**
+ * Opens the export modal for one or more tournaments. Rows are loaded
+ * up front so that the CSV and print buttons work straight from the
+ * click (browsers block print windows opened later). Bulk exports also
+ * offer the tournament name and start time columns.
+ *
+ * @param {string} title
+ * @param {Array<{id: string, data: Object}>} tournaments
+ * @param {boolean} bulk
+ */
+function openExportModal(title, tournaments, bulk) {
+  const summary = document.getElementById('exportSummary');
+  const columnsEl = document.getElementById('exportColumns');
+  const csvBtn = document.getElementById('exportCsvBtn');
+  const printBtn = document.getElementById('exportPrintBtn');
+  document.getElementById('exportModalTitle').textContent = title;
+  summary.textContent = 'Loading participants...';
+  csvBtn.disabled = true;
+  printBtn.disabled = true;
+  const defaults = bulk ? ['tournament', 'startTime'].concat(Export.DEFAULT_COLUMNS, ['feePaid', 'prize']) : Export.DEFAULT_COLUMNS;
+  columnsEl.innerHTML = Export.COLUMNS.filter(c => bulk || !c.bulk).map(c =>
+    `<label><input type="checkbox" value="${c.id}"${defaults.includes(c.id) ? ' checked' : ''}> ${c.label}</label>`).join('');
+  UI.showModal('exportModal');
+  Promise.all(tournaments.map(({ id, data }) => loadExportRows(id, data))).then(results => {
+    const rows = [].concat(...results);
+    summary.textContent = rows.length + ' participants in ' + tournaments.length + ' tournament' + (tournaments.length === 1 ? '' : 's');
+    const selected = () => Array.from(columnsEl.querySelectorAll('input:checked')).map(input => input.value);
+    const options = () => ({ maskPhone: document.getElementById('exportMaskPhone').checked });
+    const filename = title.replace(/[^a-z0-9]+/gi, '-').replace(/^-|-$/g, '').toLowerCase() || 'participants';
+    csvBtn.disabled = false;
+    printBtn.disabled = false;
+    csvBtn.onclick = () => {
+      if (!selected().length) return UI.showToast('Choose at least one column.');
+      Export.download(filename + '.csv', Export.toCsv(rows, selected(), options()));
+    };
+    printBtn.onclick = () => {
+      if (!selected().length) return UI.showToast('Choose at least one column.');
+      if (!Export.printSheet(title, rows, selected(), options())) {
+        UI.showToast('Allow pop-ups to print the sheet.');
+      }
+    };
+  }).catch(err => {
+    console.error(err);
+    summary.textContent = 'Error loading participants.';
+  });
+}
+
+/**
+ * Wires up the date range export on the tournaments page. Exports
+ * every tournament starting between the two dates (inclusive).
+ */
+function initBulkExport() {
+  document.getElementById('bulkExportBtn').onclick = () => {
+    const from = document.getElementById('exportFrom').value;
+    const to = document.getElementById('exportTo').value;
+    if (!from || !to) {
+      UI.showToast('Choose a date range.');
+      return;
+    }
+    const start = new Date(from + 'T00:00').getTime();
+    const end = new Date(to + 'T23:59:59.999').getTime();
+    if (end < start) {
+      UI.showToast('The end date is before the start date.');
+      return;
+    }
+    db.ref('tournaments').orderByChild('startTime').startAt(start).endAt(end).once('value').then(snap => {
+      const tournaments = [];
+      snap.forEach(child => {
+        tournaments.push({ id: child.key, data: child.val() });
+      });
+      if (!tournaments.length) {
+        UI.showToast('No tournaments in that range.');
+        return;
+      }
+      openExportModal('Participants ' + from + ' to ' + to, tournaments, true);
+    }).catch(err => {
+      console.error(err);
+      UI.showToast('Error loading tournaments.');
+    });
+  };
+}
+
+/**
+ * Id and saved values of the slide open in the slide editor (null for a
+ * new slide), and the autoplay timer of the slider preview.
+ */
+let editingSlideId = null;
+let editingSlide = null;
+let slidesPreviewInterval;
+
+/**
+ * Sets up the Content page: the news slider, categories and home card
+ * editors, and announcements. Each list is live and shows a preview
+ * rendered with the same js/content.js helpers as the user app's home
+ * page.
+ */
+function initContentEditor() {
+  const slidesList = document.getElementById('adminSlidesList');
+  const categoriesList = document.getElementById('adminCategoriesList');
+  makeSortable(slidesList, ids => writeContentOrder('newsSlider', ids));
+  makeSortable(categoriesList, ids => writeContentOrder('categories', ids));
+  db.ref('newsSlider').orderByChild('order').on('value', renderAdminSlides);
+  db.ref('categories').orderByChild('order').on('value', renderAdminCategories);
+  db.ref('homeUpcoming').on('value', snap => {
+    const form = document.getElementById('upcomingForm');
+    const data = snap.val() || {};
+    form.title.value = data.title || '';
+    form.subtitle.value = data.subtitle || '';
+    fillTournamentSelect(form.tournamentId, data.target || '');
+    form.enabled.checked = !!data.enabled;
+    renderUpcomingPreview();
+  });
+  document.getElementById('newSlideBtn').onclick = () => {
+    openSlideEditor(null, null);
+  };
+  const slideForm = document.getElementById('slideEditorForm');
+  slideForm.addEventListener('input', renderSlideEditorPreview);
+  slideForm.addEventListener('change', renderSlideEditorPreview);
+  slideForm.onsubmit = (e) => {
+    e.preventDefault();
+    saveSlide(slideForm);
+  };
+  document.getElementById('newCategoryForm').onsubmit = (e) => {
+    e.preventDefault();
+    addCategory(e.target);
+  };
+  const upcomingForm = document.getElementById('upcomingForm');
+  upcomingForm.addEventListener('input', renderUpcomingPreview);
+  upcomingForm.addEventListener('change', renderUpcomingPreview);
+  upcomingForm.onsubmit = (e) => {
+    e.preventDefault();
+    saveUpcoming(upcomingForm);
+  };
+  fillAnnouncementAudience();
+  db.ref('announcements').orderByChild('createdAt').limitToLast(ANNOUNCEMENT_LIST_SIZE).on('value', renderAdminAnnouncements);
+  document.getElementById('announcementForm').onsubmit = (e) => {
+    e.preventDefault();
+    sendAnnouncement(e.target);
+  };
+}
+
+/**
+ * Lets the rows of a list be reordered by dragging. Rows are the
+ * list's children with a `data-id` and `draggable` set; after a drop
+ * `onReorder(ids)` receives every id in the new order. Listeners are
+ * attached to the list itself, so rows can be re-rendered freely.
+ *
+ * @param {HTMLElement} list
+ * @param {function(Array<string>)} onReorder
+ */
+function makeSortable(list, onReorder) {
+  let dragged = null;
+  list.addEventListener('dragstart', (e) => {
+    dragged = e.target.closest('[data-id]');
+    if (!dragged) return;
+    dragged.classList.add('dragging');
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', dragged.dataset.id);
+  });
+  list.addEventListener('dragover', (e) => {
+    if (!dragged) return;
+    e.preventDefault();
+    const over = e.target.closest('[data-id]');
+    if (!over || over === dragged || over.parentNode !== list) return;
+    const rect = over.getBoundingClientRect();
+    list.insertBefore(dragged, e.clientY > rect.top + rect.height / 2 ? over.nextSibling : over);
+  });
+  list.addEventListener('drop', (e) => {
+    e.preventDefault();
+  });
+  list.addEventListener('dragend', () => {
+    if (!dragged) return;
+    dragged.classList.remove('dragging');
+    dragged = null;
+    onReorder(Array.from(list.children).filter(row => row.dataset.id).map(row => row.dataset.id));
+  });
+}
+
+/**
+ * Writes `order` for every item of a content node in one update.
+ *
+ * @param {string} node 'newsSlider' or 'categories'
+ * @param {Array<string>} ids Item ids in display order.
+ */
+function writeContentOrder(node, ids) {
+  const updates = {};
+  ids.forEach((id, i) => {
+    updates[node + '/' + id + '/order'] = i;
+  });
+  Audit.add(updates, 'content.reorder', node, null, ids);
+  db.ref().update(updates).catch(err => {
+    console.error(err);
+    UI.showToast('Error saving order.');
+  });
+}
+
+/**
+ * Returns the `order` to give a new item so it goes last.
+ *
+ * @param {firebase.database.DataSnapshot} snap
+ * @returns {number}
+ */
+function nextContentOrder(snap) {
+  let max = -1;
+  snap.forEach(child => {
+    max = Math.max(max, child.val().order || 0);
+  });
+  return max + 1;
+}
+
+/**
+ * Fills a select with the tournaments, upcoming first, keeping the
+ * given selection. The first option links to the tournament list.
+ *
+ * @param {HTMLSelectElement} select
+ * @param {string} selected Tournament id.
+ */
+function fillTournamentSelect(select, selected) {
+  select.innerHTML = '<option value="">Tournament list</option>';
+  const ids = Object.keys(adminTournaments).sort((a, b) => {
+    const ta = adminTournaments[a];
+    const tb = adminTournaments[b];
+    return (ta.status === 'upcoming' ? 0 : 1) - (tb.status === 'upcoming' ? 0 : 1) ||
+      (ta.startTime || 0) - (tb.startTime || 0);
+  });
+  if (selected && !ids.includes(selected)) ids.unshift(selected);
+  ids.forEach(id => {
+    const t = adminTournaments[id];
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = t ? t.title + ' (' + t.status + ')' : id;
+    select.appendChild(opt);
+  });
+  select.value = selected;
+}
+
+/**
+ * Renders the slide list and the slider preview.
+ *
+ * @param {firebase.database.DataSnapshot} snap
+ */
+function renderAdminSlides(snap) {
+  const list = document.getElementById('adminSlidesList');
+  const preview = document.getElementById('slidesPreview');
+  list.innerHTML = snap.exists() ? '' : '<p>No slides yet.</p>';
+  preview.innerHTML = '';
+  snap.forEach(child => {
+    const slide = child.val();
+    if (slide.enabled) preview.appendChild(Content.slideElement(slide));
+    const row = document.createElement('div');
+    row.className = 'card content-row';
+    row.draggable = true;
+    row.dataset.id = child.key;
+    row.innerHTML = `
+      <div class="content-thumb"></div>
+      <div class="content-row-body">
+        <p><strong>${UI.escapeHtml(slide.title || '(untitled)')}</strong></p>
+        <p>${Content.LINK_TYPES[slide.linkType] || Content.LINK_TYPES.none}${slide.linkValue ? ': ' + UI.escapeHtml(slideLinkLabel(slide)) : ''}</p>
+        <label><input type="checkbox" ${slide.enabled ? 'checked' : ''}> Enabled</label>
+        <button class="primary" data-action="edit">Edit</button>
+        <button class="danger" data-action="delete">Delete</button>
+      </div>
+    `;
+    row.querySelector('.content-thumb').style.backgroundImage = Content.slideElement(slide).style.backgroundImage;
+    row.querySelector('input').addEventListener('change', (e) => {
+      const updates = { ['newsSlider/' + child.key + '/enabled']: e.target.checked };
+      Audit.add(updates, 'content.slide_enable', 'newsSlider/' + child.key,
+        { enabled: !!slide.enabled }, { enabled: e.target.checked });
+      db.ref().update(updates);
+    });
+    row.querySelector('[data-action="edit"]').addEventListener('click', () => {
+      openSlideEditor(child.key, slide);
+    });
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      if (!confirm('Delete this slide?')) return;
+      const updates = { ['newsSlider/' + child.key]: null };
+      Audit.add(updates, 'content.slide_delete', 'newsSlider/' + child.key, slide, null);
+      db.ref().update(updates).then(() => {
+        UI.showToast('Slide deleted.');
+      });
+    });
+    list.appendChild(row);
+  });
+  clearInterval(slidesPreviewInterval);
+  slidesPreviewInterval = Content.autoPlay(preview);
+  preview.style.display = preview.children.length ? '' : 'none';
+}
+
+/**
+ * Returns a readable label for a slide's link target.
+ *
+ * @param {Object} slide
+ * @returns {string}
+ */
+function slideLinkLabel(slide) {
+  if (slide.linkType !== 'tournament') return slide.linkValue;
+  const t = adminTournaments[slide.linkValue];
+  return t ? t.title : slide.linkValue;
+}
+
+/**
+ * Opens the slide editor. When `slideId` is null the form is reset for
+ * a new slide, which is added at the end of the slider.
+ *
+ * @param {string|null} slideId
+ * @param {Object|null} slide
+ */
+function openSlideEditor(slideId, slide) {
+  const form = document.getElementById('slideEditorForm');
+  editingSlideId = slideId;
+  editingSlide = slide;
+  form.reset();
+  document.getElementById('slideEditorTitle').textContent = slideId ? 'Edit Slide' : 'New Slide';
+  const s = slide || { linkType: 'none', enabled: true };
+  form.imageUrl.value = s.imageUrl || '';
+  form.title.value = s.title || '';
+  form.linkType.value = s.linkType || 'none';
+  form.linkUrl.value = s.linkType === 'url' ? s.linkValue || '' : '';
+  fillTournamentSelect(form.linkTournament, s.linkType === 'tournament' ? s.linkValue || '' : '');
+  form.enabled.checked = !!s.enabled;
+  renderSlideEditorPreview();
+  UI.showModal('slideEditorModal');
+}
+
+/**
+ * Reads the slide editor form into a slide record (without `order`).
+ *
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+function readSlideForm(form) {
+  const linkType = form.linkType.value;
+  return {
+    imageUrl: form.imageUrl.value.trim(),
+    title: form.title.value.trim(),
+    linkType: linkType,
+    linkValue: linkType === 'url' ? form.linkUrl.value.trim()
+      : linkType === 'tournament' ? form.linkTournament.value : '',
+    enabled: form.enabled.checked
+  };
+}
+
+/**
+ * Shows the link field for the chosen link type and previews the slide
+ * being edited.
+ */
+function renderSlideEditorPreview() {
+  const form = document.getElementById('slideEditorForm');
+  const preview = document.getElementById('slideEditorPreview');
+  form.querySelectorAll('[data-link]').forEach(label => {
+    label.style.display = label.dataset.link === form.linkType.value ? '' : 'none';
+  });
+  const slide = Content.slideElement(readSlideForm(form));
+  slide.style.display = 'block';
+  preview.innerHTML = '';
+  preview.appendChild(slide);
+}
+
+/**
+ * Saves the slide editor form, creating the slide at the end of the
+ * slider or updating the one being edited.
+ *
+ * @param {HTMLFormElement} form
+ */
+function saveSlide(form) {
+  const slide = readSlideForm(form);
+  if (!/^https?:\/\//.test(slide.imageUrl)) {
+    UI.showToast('Image URL must start with http:// or https://');
+    return;
+  }
+  if (slide.linkType === 'url' && !/^https?:\/\//.test(slide.linkValue)) {
+    UI.showToast('Web address must start with http:// or https://');
+    return;
+  }
+  const fieldUpdates = {};
+  Object.keys(slide).forEach(key => {
+    fieldUpdates['newsSlider/' + editingSlideId + '/' + key] = slide[key];
+  });
+  const save = editingSlideId
+    ? db.ref().update(Audit.add(fieldUpdates, 'content.slide_update', 'newsSlider/' + editingSlideId, editingSlide, slide))
+    : db.ref('newsSlider').once('value').then(snap => {
+      const slideId = db.ref('newsSlider').push().key;
+      slide.order = nextContentOrder(snap);
+      return db.ref().update(Audit.add({ ['newsSlider/' + slideId]: slide },
+        'content.slide_create', 'newsSlider/' + slideId, null, slide));
+    });
+  save.then(() => {
+    UI.closeModal('slideEditorModal');
+    UI.showToast('Slide saved.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error saving slide.');
+  });
+}
+
+/**
+ * Renders the category list and the chip preview. Names are edited in
+ * place and saved when the field loses focus.
+ *
+ * @param {firebase.database.DataSnapshot} snap
+ */
+function renderAdminCategories(snap) {
+  const list = document.getElementById('adminCategoriesList');
+  const preview = document.getElementById('categoriesPreview');
+  list.innerHTML = snap.exists() ? '' : '<p>No categories yet.</p>';
+  preview.innerHTML = '';
+  snap.forEach(child => {
+    const cat = child.val();
+    if (cat.enabled) preview.appendChild(Content.categoryChip(cat.name));
+    const row = document.createElement('div');
+    row.className = 'card content-row';
+    row.draggable = true;
+    row.dataset.id = child.key;
+    row.innerHTML = `
+      <input type="text" maxlength="40">
+      <label><input type="checkbox" ${cat.enabled ? 'checked' : ''}> Enabled</label>
+      <button class="danger" data-action="delete">Delete</button>
+    `;
+    const nameInput = row.querySelector('input[type="text"]');
+    nameInput.value = cat.name || '';
+    nameInput.addEventListener('change', () => {
+      const name = nameInput.value.trim();
+      if (!name) {
+        nameInput.value = cat.name || '';
+        return;
+      }
+      const updates = { ['categories/' + child.key + '/name']: name };
+      Audit.add(updates, 'content.category_rename', 'categories/' + child.key, { name: cat.name }, { name: name });
+      db.ref().update(updates);
+    });
+    row.querySelector('input[type="checkbox"]').addEventListener('change', (e) => {
+      const updates = { ['categories/' + child.key + '/enabled']: e.target.checked };
+      Audit.add(updates, 'content.category_enable', 'categories/' + child.key,
+        { enabled: !!cat.enabled }, { enabled: e.target.checked });
+      db.ref().update(updates);
+    });
+    row.querySelector('[data-action="delete"]').addEventListener('click', () => {
+      if (!confirm('Delete the category "' + cat.name + '"? Tournaments keep their category id.')) return;
+      const updates = { ['categories/' + child.key]: null };
+      Audit.add(updates, 'content.category_delete', 'categories/' + child.key, cat, null);
+      db.ref().update(updates).then(() => {
+        UI.showToast('Category deleted.');
+      });
+    });
+    list.appendChild(row);
+  });
+}
+
+/**
+ * Adds an enabled category at the end of the list.
+ *
+ * @param {HTMLFormElement} form
+ */
+function addCategory(form) {
+  const name = form.name.value.trim();
+  if (!name) return;
+  db.ref('categories').once('value').then(snap => {
+    const categoryId = db.ref('categories').push().key;
+    const category = { name: name, enabled: true, order: nextContentOrder(snap) };
+    return db.ref().update(Audit.add({ ['categories/' + categoryId]: category },
+      'content.category_create', 'categories/' + categoryId, null, category));
+  }).then(() => {
+    form.reset();
+    UI.showToast('Category added.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error adding category.');
+  });
+}
+
+/**
+ * Previews the home card as it is being edited.
+ */
+function renderUpcomingPreview() {
+  const form = document.getElementById('upcomingForm');
+  Content.fillUpcomingCard(document.getElementById('upcomingPreview'), {
+    title: form.title.value,
+    subtitle: form.subtitle.value,
+    enabled: form.enabled.checked
+  });
+}
+
+/**
+ * Saves the home card. An empty target opens the tournament list.
+ *
+ * @param {HTMLFormElement} form
+ */
+function saveUpcoming(form) {
+  const data = {
+    title: form.title.value.trim(),
+    subtitle: form.subtitle.value.trim(),
+    target: form.tournamentId.value || null,
+    enabled: form.enabled.checked
+  };
+  if (data.enabled && !data.title) {
+    UI.showToast('Enter a title to show the card.');
+    return;
+  }
+  db.ref('homeUpcoming').once('value').then(snap => {
+    return db.ref().update(Audit.add({ homeUpcoming: data }, 'content.home_card', 'homeUpcoming', snap.val(), data));
+  }).then(() => {
+    UI.showToast('Home card saved.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error saving home card.');
+  });
+}
+
+/** Number of recent announcements listed on the Content page. */
+const ANNOUNCEMENT_LIST_SIZE = 20;
+
+/**
+ * Fills the announcement audience select with everyone and the upcoming
+ * and active tournaments, keeping the selection.
+ */
+function fillAnnouncementAudience() {
+  const select = document.getElementById('announcementForm').audience;
+  const selected = select.value;
+  fillTournamentSelect(select, selected);
+  select.options[0].textContent = 'Everyone';
+  select.value = selected;
+  if (select.value !== selected) select.value = '';
+}
+
+/**
+ * Sends an announcement. Announcements to everyone are stored once in
+ * `/announcements`; those to a tournament's players are added to each
+ * player's notification feed and open the tournament by default.
+ *
+ * @param {HTMLFormElement} form
+ */
+function sendAnnouncement(form) {
+  const tId = form.audience.value;
+  const t = adminTournaments[tId];
+  const announcement = {
+    title: form.title.value.trim(),
+    body: form.body.value.trim(),
+    link: form.link.value || (tId ? '/tournaments/' + tId : null)
+  };
+  if (!announcement.title) {
+    UI.showToast('Enter a title.');
+    return;
+  }
+  if (!confirm('Send "' + announcement.title + '" to ' + (t ? 'the players of ' + t.title : 'everyone') + '?')) return;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  const send = tId ? db.ref('tournamentJoins/' + tId).once('value').then(snap => {
+    const uids = Object.keys(snap.val() || {});
+    if (!uids.length) throw new Error('No players');
+    const updates = Notifications.addToMany({}, uids, Object.assign({ type: 'announcement' }, announcement));
+    Audit.add(updates, 'announcement.send', 'tournamentJoins/' + tId, null,
+      Object.assign({ recipients: uids.length }, announcement));
+    return db.ref().update(updates);
+  }) : db.ref().update(Audit.add(Notifications.addAnnouncement({}, announcement),
+    'announcement.send', 'announcements', null, announcement));
+  send.then(() => {
+    form.reset();
+    fillAnnouncementAudience();
+    UI.showToast('Announcement sent.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast(err.message === 'No players' ? 'This tournament has no players yet.' : 'Error sending announcement.');
+  }).then(() => {
+    submitBtn.disabled = false;
+  });
+}
+
+/**
+ * Renders the recent announcements to everyone, newest first, each
+ * with a button to delete it from every user's feed.
+ *
+ * @param {firebase.database.DataSnapshot} snap
+ */
+function renderAdminAnnouncements(snap) {
+  const list = document.getElementById('adminAnnouncementsList');
+  list.innerHTML = snap.exists() ? '' : '<p>No announcements to everyone yet.</p>';
+  snap.forEach(child => {
+    const a = child.val();
+    const item = document.createElement('div');
+    item.className = 'card';
+    item.innerHTML = `
+      <p><strong>${UI.escapeHtml(a.title)}</strong></p>
+      ${a.body ? `<p>${UI.escapeHtml(a.body)}</p>` : ''}
+      <p>${new Date(a.createdAt).toLocaleString()}</p>
+      <button class="danger">Delete</button>
+    `;
+    item.querySelector('button').addEventListener('click', () => {
+      if (!confirm('Delete this announcement for everyone?')) return;
+      const updates = { ['announcements/' + child.key]: null };
+      Audit.add(updates, 'announcement.delete', 'announcements/' + child.key, a, null);
+      db.ref().update(updates).then(() => {
+        UI.showToast('Announcement deleted.');
+      });
+    });
+    list.insertBefore(item, list.firstChild);
+  });
+}
+
+/**
+ * Loads withdrawals for admin review, newest first and a page at a
+ * time, filtered by status via the chips above the list (pending by
+ * default) or searched by user name or UID. Each withdrawal card
+ * displays the requesting user and amount; pending requests can be
+ * approved or rejected from the decision modal.
+ */
+function loadWithdrawals() {
+  const chips = document.querySelectorAll('#withdrawalFilters button');
+  const search = document.getElementById('withdrawalSearch');
+  const list = PagedList.create(document.getElementById('adminWithdrawalsList'), {
+    pageSize: ADMIN_PAGE_SIZE,
+    sortBy: 'createdAt',
+    emptyText: 'No withdrawals.',
+    render: renderAdminWithdrawal
+  });
+  let status = 'pending';
+  const show = () => {
+    const text = search.value.trim();
+    const ref = db.ref('withdrawals');
+    if (text) {
+      list.search(PagedList.prefixQueries(ref, ['name'], text, ADMIN_PAGE_SIZE)
+        .concat(ref.orderByChild('uid').equalTo(text).limitToLast(ADMIN_PAGE_SIZE)));
+    } else if (status) {
+      list.page(ref, 'status', status);
+    } else {
+      list.page(ref, 'createdAt');
+    }
+  };
+  chips.forEach(chip => {
+    chip.addEventListener('click', () => {
+      chips.forEach(c => c.classList.remove('active'));
+      chip.classList.add('active');
+      status = chip.dataset.status;
+      search.value = '';
+      show();
+    });
+  });
+  onSearchInput(search, show);
+  show();
+}
+
+/**
+ * Builds the admin card for a withdrawal request.
+ *
+ * @param {string} id
+ * @param {Object} w
+ * @returns {HTMLElement}
+ */
+function renderAdminWithdrawal(id, w) {
+  const item = document.createElement('div');
+  item.className = 'card';
+  item.innerHTML = `
+    <p>${UI.escapeHtml(w.name || w.uid)} requests ₹${w.amount} (fee: ₹${w.fee})</p>
+    <p>${UI.escapeHtml(w.method)}: ${UI.escapeHtml(w.accountInfo)}</p>
+    <p>Status: ${w.status}${w.transactionId ? ' • Txn: ' + UI.escapeHtml(w.transactionId) : ''}</p>
+    ${w.adminNote ? `<p>Note: ${UI.escapeHtml(w.adminNote)}</p>` : ''}
+  `;
+  if (w.status === 'pending') {
+    const approveBtn = document.createElement('button');
+    approveBtn.className = 'success';
+    approveBtn.textContent = 'Approve';
+    approveBtn.addEventListener('click', () => openWithdrawalDecision(id, w, 'approved'));
+    const rejectBtn = document.createElement('button');
+    rejectBtn.className = 'danger';
+    rejectBtn.textContent = 'Reject';
+    rejectBtn.addEventListener('click', () => openWithdrawalDecision(id, w, 'rejected'));
+    item.appendChild(approveBtn);
+    item.appendChild(rejectBtn);
+  }
+  return item;
+}
+
+/**
+ * Opens the decision modal for a pending withdrawal. Approving asks for
+ * the payout transaction ID; both decisions accept an admin note.
+ *
+ * @param {string} wId
+ * @param {Object} w
+ * @param {'approved'|'rejected'} decision
+ */
+function openWithdrawalDecision(wId, w, decision) {
+  const form = document.getElementById('withdrawalDecisionForm');
+  const approving = decision === 'approved';
+  document.getElementById('withdrawalDecisionTitle').textContent = approving ? 'Approve Withdrawal' : 'Reject Withdrawal';
+  document.getElementById('withdrawalDecisionInfo').textContent =
+    (w.name || w.uid) + ' • ₹' + w.amount + ' via ' + (w.method || '-') + ' (' + (w.accountInfo || '-') + ')' +
+    (approving ? ' • Pay out ₹' + (w.amount - (w.fee || 0)) : ' • ₹' + w.amount + ' will be refunded');
+  document.getElementById('withdrawalTxnLabel').style.display = approving ? '' : 'none';
+  form.transactionId.value = '';
+  form.adminNote.value = '';
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    decideWithdrawal(wId, decision, form.transactionId.value.trim(), form.adminNote.value.trim(), form);
+  };
+  UI.showModal('withdrawalDecisionModal');
+}
+
+/**
+ * Applies an admin decision to a withdrawal request. The request is
+ * re-read from the server and refused unless it is still pending. The
+ * status change is then committed together with a ledger entry:
+ * approving records the payout (bumping `wallet/totalWithdrawn`), while
+ * rejecting refunds the amount `requestWithdrawal()` deducted.
+ *
+ * @param {string} wId
+ * @param {'approved'|'rejected'} decision
+ * @param {string} transactionId Payout reference, required to approve.
+ * @param {string} adminNote
+ * @param {HTMLFormElement} form
+ */
+function decideWithdrawal(wId, decision, transactionId, adminNote, form) {
+  if (decision === 'approved' && !transactionId) {
+    UI.showToast('Enter the payout transaction ID.');
+    return;
+  }
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  const done = (message) => {
+    submitBtn.disabled = false;
+    UI.showToast(message);
+  };
+  db.ref('withdrawals/' + wId).once('value').then(snap => {
+    const w = snap.val();
+    if (!w || w.status !== 'pending') {
+      UI.closeModal('withdrawalDecisionModal');
+      done('This request is no longer pending.');
+      return;
+    }
+    const updates = {};
+    updates['withdrawals/' + wId + '/status'] = decision;
+    updates['withdrawals/' + wId + '/transactionId'] = transactionId;
+    updates['withdrawals/' + wId + '/adminNote'] = adminNote;
+    updates['withdrawals/' + wId + '/decidedBy'] = firebase.auth().currentUser.uid;
+    updates['withdrawals/' + wId + '/updatedAt'] = Date.now();
+    const entry = decision === 'approved' ? {
+      uid: w.uid,
+      type: 'withdrawal_approved',
+      amount: w.amount,
+      ref: { kind: 'withdrawal', id: wId },
+      note: 'Paid out (txn ' + transactionId + ')'
+    } : {
+      uid: w.uid,
+      type: 'withdrawal_refund',
+      amount: w.amount,
+      ref: { kind: 'withdrawal', id: wId },
+      note: adminNote ? 'Withdrawal rejected: ' + adminNote : 'Withdrawal rejected'
+    };
+    if (decision === 'approved') Analytics.add(updates, 'withdrawalFees', w.fee || 0);
+    Notifications.add(updates, w.uid, decision === 'approved' ? {
+      type: 'withdrawal',
+      title: 'Withdrawal approved',
+      body: '₹' + w.amount + ' has been paid out (txn ' + transactionId + ').',
+      link: '/wallet'
+    } : {
+      type: 'withdrawal',
+      title: 'Withdrawal rejected',
+      body: '₹' + w.amount + ' has been refunded to your wallet.' + (adminNote ? ' ' + adminNote : ''),
+      link: '/wallet'
+    });
+    Audit.add(updates, decision === 'approved' ? 'withdrawal.approve' : 'withdrawal.reject', 'withdrawals/' + wId,
+      { status: w.status, amount: w.amount, uid: w.uid }, { status: decision, transactionId: transactionId, adminNote: adminNote });
+    return Ledger.commit([entry], updates).then(() => {
+      UI.closeModal('withdrawalDecisionModal');
+      done(decision === 'approved' ? 'Withdrawal approved.' : 'Withdrawal rejected and refunded.');
+    });
+  }).catch((err) => {
+    console.error(err);
+    done('Error updating withdrawal.');
+  });
+}
+
+/**
+ * Loads deposits for the Financials page, filtered by status via the
+ * chips above the list (pending by default). Deposits are settled by
+ * the payment flow, so the list is read-only.
+ */
+function loadDeposits() {
+  const list = document.getElementById('adminDepositsList');
+  const chips = document.querySelectorAll('#depositFilters button');
+  let query = null;
+  const render = (snap) => {
+    list.innerHTML = '';
+    const items = [];
+    snap.forEach(child => {
+      items.push(child.val());
+    });
+    // Newest deposits first
+    items.reverse();
+    items.forEach((d) => {
+      const item = document.createElement('div');
+      item.className = 'card';
+      item.innerHTML = `
+        <p>${d.uid} • ₹${d.amount} via ${UI.escapeHtml(d.provider)}</p>
+        <p>Status: ${d.status}${d.providerOrderId ? ' • Order: ' + UI.escapeHtml(d.providerOrderId) : ''}</p>
+        ${d.failureReason ? `<p>${UI.escapeHtml(d.failureReason)}</p>` : ''}
+        <p>${new Date(d.createdAt).toLocaleString()}</p>
+      `;
+      list.appendChild(item);
+    });
+  };
+  const applyFilter = (status) => {
+    if (query) query.off('value', render);
+    query = status
+      ? db.ref('deposits').orderByChild('status').equalTo(status)
+      : db.ref('deposits').orderByChild('createdAt');
+    query.on('value', render);
+  };
+  chips.forEach(chip => {
+    chip.addEventListener('click', () => {
+      chips.forEach(c => c.classList.remove('active'));
+      chip.classList.add('active');
+      applyFilter(chip.dataset.status);
+    });
+  });
+  applyFilter('pending');
+}
+
+/**
+ * Wires up the ledger reconciliation report on the Financials page.
+ */
+function initReconciliation() {
+  document.getElementById('runReconciliationBtn').onclick = runReconciliation;
+}
+
+/**
+ * Builds the reconciliation report. Reads every wallet and ledger once
+ * and flags users whose stored `balance`, `totalEarned` or
+ * `totalWithdrawn` disagree with the sums derived from their ledger, or
+ * whose ledger chain is broken (an entry's `balanceBefore` does not
+ * follow from the entries before it). This scans the whole ledger, so
+ * it only runs on demand.
+ */
+function runReconciliation() {
+  const report = document.getElementById('reconciliationReport');
+  const btn = document.getElementById('runReconciliationBtn');
+  btn.disabled = true;
+  report.innerHTML = '<div class="skeleton"></div>';
+  Promise.all([
+    db.ref('users').once('value'),
+    db.ref('walletHistory').once('value')
+  ]).then(([usersSnap, historySnap]) => {
+    const rows = [];
+    let checked = 0;
+    usersSnap.forEach(child => {
+      const u = child.val();
+      const wallet = u.wallet || {};
+      const entries = [];
+      historySnap.child(child.key).forEach(entry => {
+        entries.push(Object.assign({ id: entry.key }, entry.val()));
+      });
+      const derived = Ledger.summarize(entries);
+      const problems = [];
+      if ((wallet.balance || 0) !== derived.balance) {
+        problems.push('balance ₹' + (wallet.balance || 0) + ' vs ledger ₹' + derived.balance);
+      }
+      if ((wallet.totalEarned || 0) !== derived.totalEarned) {
+        problems.push('earned ₹' + (wallet.totalEarned || 0) + ' vs ledger ₹' + derived.totalEarned);
+      }
+      if ((wallet.totalWithdrawn || 0) !== derived.totalWithdrawn) {
+        problems.push('withdrawn ₹' + (wallet.totalWithdrawn || 0) + ' vs ledger ₹' + derived.totalWithdrawn);
+      }
+      if (derived.brokenAt) {
+        problems.push('chain broken at entry ' + derived.brokenAt);
+      }
+      checked++;
+      if (problems.length) {
+        rows.push({ uid: child.key, name: u.name, problems: problems });
+      }
+    });
+    report.innerHTML = `<p>Checked ${checked} wallets • ${rows.length} mismatched</p>`;
+    rows.forEach(r => {
+      const item = document.createElement('div');
+      item.className = 'card';
+      item.innerHTML = `
+        <p><strong>${UI.escapeHtml(r.name || 'Unnamed')}</strong> (${r.uid})</p>
+        ${r.problems.map(p => `<p>${p}</p>`).join('')}
+      `;
+      report.appendChild(item);
+    });
+  }).catch((err) => {
+    console.error(err);
+    report.innerHTML = '';
+    UI.showToast('Error running reconciliation.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Loads users for admin management, newest first and a page at a time,
+ * or searched by name or phone prefix or exact UID. Each user card
+ * includes the user's name, current wallet balance and block status,
+ * with a button opening the user detail view.
+ */
+function loadUsersList() {
+  const list = PagedList.create(document.getElementById('adminUsersList'), {
+    pageSize: ADMIN_PAGE_SIZE,
+    sortBy: 'createdAt',
+    emptyText: 'No users.',
+    render: renderAdminUser
+  });
+  const show = (text) => {
+    const ref = db.ref('users');
+    if (!text) {
+      list.page(ref, 'createdAt');
+    } else if (/[.#$[\]/]/.test(text)) {
+      list.search(PagedList.prefixQueries(ref, ['name', 'phone'], text, ADMIN_PAGE_SIZE));
+    } else {
+      list.search(PagedList.prefixQueries(ref, ['name', 'phone'], text, ADMIN_PAGE_SIZE)
+        .concat(ref.orderByKey().equalTo(text)));
+    }
+  };
+  onSearchInput(document.getElementById('userSearch'), show);
+  show('');
+}
+
+/**
+ * Builds the admin card for a user.
+ *
+ * @param {string} uid
+ * @param {Object} u
+ * @returns {HTMLElement}
+ */
+function renderAdminUser(uid, u) {
+  const li = document.createElement('div');
+  li.className = 'card';
+  li.innerHTML = `
+    <p>${UI.escapeHtml(u.name || 'Unnamed')} (${uid})</p>
+    <p>${UI.escapeHtml(u.phone || '')} • Balance: ₹${u.wallet?.balance || 0}</p>
+    ${Blocks.isActive(u) ? `<p>${UI.escapeHtml(Blocks.describe(u))}</p>` : ''}
+    <button class="primary">View</button>
+  `;
+  li.querySelector('button').addEventListener('click', () => {
+    openUserDetailModal(uid);
+  });
+  return li;
+}
+
+/**
+ * User open in the user detail modal and its live listeners.
+ */
+let userDetailUid = null;
+let userDetailRefs = [];
+
+/**
+ * Opens the user detail modal: profile, game IDs, stats and wallet,
+ * joined tournaments, withdrawals and the wallet ledger. Moderators can
+ * block the user with a reason and an optional length, and finance can
+ * credit or debit the wallet with a reason, recorded as a ledger entry.
+ *
+ * @param {string} uid
+ */
+function openUserDetailModal(uid) {
+  closeUserDetailModal();
+  userDetailUid = uid;
+  const blockForm = document.getElementById('userBlockForm');
+  const adjustForm = document.getElementById('userAdjustForm');
+  blockForm.reset();
+  adjustForm.reset();
+  blockForm.days.innerHTML = Blocks.DURATIONS.map(d => `<option value="${d.days}">${d.label}</option>`).join('');
+  blockForm.style.display = hasRole('moderator') ? '' : 'none';
+  adjustForm.style.display = hasRole('finance') ? '' : 'none';
+  document.getElementById('userDetailProfile').innerHTML = '<div class="skeleton"></div>';
+  ['userDetailJoins', 'userDetailWithdrawals', 'userDetailLedger'].forEach(id => {
+    document.getElementById(id).innerHTML = '<div class="skeleton"></div>';
+  });
+  const userRef = db.ref('users/' + uid);
+  const ledgerRef = db.ref('walletHistory/' + uid).orderByChild('createdAt').limitToLast(50);
+  userDetailRefs = [userRef, ledgerRef];
+  let user = {};
+  userRef.on('value', snap => {
+    user = snap.val() || {};
+    renderUserDetailProfile(uid, user);
+  });
+  ledgerRef.on('value', renderUserDetailLedger);
+  loadUserDetailJoins(uid);
+  loadUserDetailWithdrawals(uid);
+  blockForm.onsubmit = (e) => {
+    e.preventDefault();
+    const reason = blockForm.reason.value.trim();
+    if (!reason) return;
+    setUserBlock(uid, user, { reason: reason, days: Number(blockForm.days.value) });
+  };
+  document.getElementById('userUnblockBtn').onclick = () => {
+    setUserBlock(uid, user, null);
+  };
+  adjustForm.onsubmit = (e) => {
+    e.preventDefault();
+    adjustUserWallet(uid, adjustForm);
+  };
+  UI.showModal('userDetailModal');
+}
+
+/**
+ * Closes the user detail modal and stops its listeners.
+ */
+function closeUserDetailModal() {
+  userDetailRefs.forEach(ref => ref.off());
+  userDetailRefs = [];
+  userDetailUid = null;
+  UI.closeModal('userDetailModal');
+}
+
+/**
+ * Renders the profile section of the user detail modal.
+ *
+ * @param {string} uid
+ * @param {Object} u
+ */
+function renderUserDetailProfile(uid, u) {
+  const games = Object.keys(u.gameProfiles || {}).map(game =>
+    `<p>${UI.escapeHtml(game.toUpperCase())}: ${UI.escapeHtml(u.gameProfiles[game])}</p>`).join('');
+  const stats = u.stats || {};
+  const wallet = u.wallet || {};
+  let status = 'Active';
+  if (Blocks.isActive(u)) {
+    status = Blocks.describe(u);
+  } else if (u.isBlocked) {
+    status = 'Active (block ended ' + new Date(u.blockedUntil).toLocaleString() + ')';
+  }
+  document.getElementById('userDetailProfile').innerHTML = `
+    <h2>${UI.escapeHtml(u.name || 'Unnamed')}</h2>
+    <p>${uid}</p>
+    <p>Phone: ${UI.escapeHtml(u.phone || '-')}</p>
+    <p>Joined: ${u.createdAt ? new Date(u.createdAt).toLocaleString() : '-'}</p>
+    ${games}
+    <p>Status: ${UI.escapeHtml(status)}</p>
+    <p>Matches: ${stats.matches || 0} • Wins: ${stats.wins || 0} • Points: ${stats.points || 0}</p>
+    <p>Balance: ₹${wallet.balance || 0} • Earned: ₹${wallet.totalEarned || 0} • Withdrawn: ₹${wallet.totalWithdrawn || 0}</p>
+  `;
+  document.getElementById('userUnblockBtn').style.display = Blocks.isActive(u) ? '' : 'none';
+}
+
+/**
+ * Loads the tournaments a user joined, newest first, with their status
+ * and result in each.
+ *
+ * @param {string} uid
+ */
+function loadUserDetailJoins(uid) {
+  const list = document.getElementById('userDetailJoins');
+  db.ref('userJoins/' + uid).once('value').then(snap => {
+    const tIds = [];
+    snap.forEach(child => {
+      tIds.unshift(child.key);
+    });
+    return Promise.all(tIds.map(tId => Promise.all([
+      db.ref('tournaments/' + tId).once('value'),
+      db.ref('tournamentJoins/' + tId + '/' + uid).once('value')
+    ]).then(([tSnap, jSnap]) => ({ tId: tId, t: tSnap.val() || {}, j: jSnap.val() || {} }))));
+  }).then(rows => {
+    if (userDetailUid !== uid) return;
+    rows.sort((a, b) => (b.t.startTime || 0) - (a.t.startTime || 0));
+    list.innerHTML = rows.length ? '' : '<p>No tournaments joined.</p>';
+    rows.forEach(({ tId, t, j }) => {
+      const item = document.createElement('div');
+      item.className = 'card';
+      item.innerHTML = `
+        <p><strong>${UI.escapeHtml(t.title || tId)}</strong> • ${t.startTime ? new Date(t.startTime).toLocaleString() : ''}</p>
+        <p>${j.status || 'left'}${j.placement ? ' • #' + j.placement : ''}${j.prize ? ' • Prize ₹' + j.prize : ''}${j.feePaid ? ' • Fee ₹' + j.feePaid : ''}</p>
+      `;
+      list.appendChild(item);
+    });
+  }).catch(err => {
+    console.error(err);
+    list.innerHTML = '<p>Error loading tournaments.</p>';
+  });
+}
+
+/**
+ * Loads a user's withdrawal requests, newest first.
+ *
+ * @param {string} uid
+ */
+function loadUserDetailWithdrawals(uid) {
+  const list = document.getElementById('userDetailWithdrawals');
+  db.ref('withdrawals').orderByChild('uid').equalTo(uid).once('value').then(snap => {
+    if (userDetailUid !== uid) return;
+    const items = [];
+    snap.forEach(child => {
+      items.push(child.val());
+    });
+    items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+    list.innerHTML = items.length ? '' : '<p>No withdrawals.</p>';
+    items.forEach(w => {
+      const item = document.createElement('div');
+      item.className = 'card';
+      item.innerHTML = `
+        <p><strong>₹${w.amount}</strong> • ${w.status} • ${new Date(w.createdAt).toLocaleString()}</p>
+        <p>${UI.escapeHtml(w.method || '')}${w.transactionId ? ' • Txn ' + UI.escapeHtml(w.transactionId) : ''}${w.adminNote ? ' • ' + UI.escapeHtml(w.adminNote) : ''}</p>
+      `;
+      list.appendChild(item);
+    });
+  }).catch(err => {
+    console.error(err);
+    list.innerHTML = '<p>Error loading withdrawals.</p>';
+  });
+}
+
+/**
+ * Renders the user's recent wallet ledger entries, newest first.
+ *
+ * @param {firebase.database.DataSnapshot} snap
+ */
+function renderUserDetailLedger(snap) {
+  const list = document.getElementById('userDetailLedger');
+  const items = [];
+  snap.forEach(child => {
+    items.unshift(child.val());
+  });
+  list.innerHTML = items.length ? '' : '<p>No wallet history.</p>';
+  items.forEach(tx => {
+    const delta = Ledger.deltaOf(tx);
+    const item = document.createElement('div');
+    item.className = 'card';
+    item.innerHTML = `
+      <p><strong>${Ledger.labelOf(tx.type)}</strong>: ${delta < 0 ? '-' : delta > 0 ? '+' : ''}₹${tx.amount}</p>
+      <p>${new Date(tx.createdAt).toLocaleString()}${typeof tx.balanceAfter === 'number' ? ' • Balance ₹' + tx.balanceAfter : ''}</p>
+      <p>${UI.escapeHtml(tx.note || '')}</p>
+    `;
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Blocks a user with a reason and optional length, or lifts their
+ * block when `block` is null.
+ *
+ * @param {string} uid
+ * @param {Object} user The user's current record.
+ * @param {{reason: string, days: number}|null} block
+ */
+function setUserBlock(uid, user, block) {
+  const updates = Blocks.updates(uid, block);
+  Audit.add(updates, block ? 'user.block' : 'user.unblock', 'users/' + uid, {
+    isBlocked: !!user.isBlocked,
+    blockReason: user.blockReason || null,
+    blockedUntil: user.blockedUntil || null
+  }, {
+    isBlocked: !!block,
+    blockReason: updates['users/' + uid + '/blockReason'],
+    blockedUntil: updates['users/' + uid + '/blockedUntil']
+  });
+  db.ref().update(updates).then(() => {
+    document.getElementById('userBlockForm').reset();
+    UI.showToast(block ? 'User blocked.' : 'User unblocked.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error updating user.');
+  });
+}
+
+/**
+ * Credits or debits a user's wallet from the adjustment form. The
+ * reason is required and becomes the ledger entry's note, which the
+ * player sees in their wallet history.
+ *
+ * @param {string} uid
+ * @param {HTMLFormElement} form
+ */
+function adjustUserWallet(uid, form) {
+  const type = form.type.value;
+  const amount = parseInt(form.amount.value, 10);
+  const reason = form.reason.value.trim();
+  if (!amount || amount <= 0) {
+    UI.showToast('Enter a valid amount.');
+    return;
+  }
+  if (!reason) {
+    UI.showToast('Enter a reason.');
+    return;
+  }
+  if (!confirm(Ledger.labelOf(type) + ' of ₹' + amount + '?')) return;
+  const submitBtn = form.querySelector('button[type="submit"]');
+  submitBtn.disabled = true;
+  const entry = { uid: uid, type: type, amount: amount, note: reason };
+  const updates = Audit.add({}, 'wallet.' + type, 'walletHistory/' + uid, null,
+    { type: type, amount: amount, note: reason });
+  Ledger.commit([entry], updates).then(() => {
+    form.reset();
+    UI.showToast('Wallet updated.');
+  }).catch(err => {
+    console.error(err);
+    UI.showToast(err.code === 'insufficient-funds' ? 'The balance cannot go below zero.' : 'Error updating wallet.');
+  }).then(() => {
+    submitBtn.disabled = false;
+  });
+}
+
+/**
+ * Latest `/supportTickets` values by id, kept by loadSupportInbox(),
+ * and the ticket open in the support modal with its message listener.
+ */
+let adminSupportTickets = {};
+let adminSupportTicketId = null;
+let adminSupportMessagesRef = null;
+
+/**
+ * Listens to all support tickets for the inbox. The inbox shows the
+ * tickets matching the status chip (and optionally only those assigned
+ * to the signed-in admin), most recently active first, and the nav
+ * button shows the total unread count across all tickets.
+ */
+function loadSupportInbox() {
+  const chips = document.querySelectorAll('#supportFilters button');
+  const mineOnly = document.getElementById('supportMineOnly');
+  chips.forEach(chip => {
+    chip.addEventListener('click', () => {
+      chips.forEach(c => c.classList.remove('active'));
+      chip.classList.add('active');
+      renderSupportInbox();
+    });
+  });
+  mineOnly.addEventListener('change', renderSupportInbox);
+  document.getElementById('supportAdminReplyBtn').onclick = sendSupportAdminReply;
+  db.ref('supportTickets').orderByChild('lastMessageAt').on('value', snap => {
+    adminSupportTickets = snap.val() || {};
+    renderSupportInbox();
+    renderSupportTicketInfo();
+  });
+}
+
+/**
+ * Renders the support inbox from the cached tickets.
+ */
+function renderSupportInbox() {
+  const list = document.getElementById('adminSupportList');
+  const badge = document.getElementById('adminSupportUnread');
+  const status = document.querySelector('#supportFilters button.active').dataset.status;
+  const mineOnly = document.getElementById('supportMineOnly').checked;
+  const me = firebase.auth().currentUser.uid;
+  const ids = Object.keys(adminSupportTickets).sort((a, b) =>
+    (adminSupportTickets[b].lastMessageAt || 0) - (adminSupportTickets[a].lastMessageAt || 0));
+  const unread = ids.reduce((sum, id) => sum + Support.unreadCount(adminSupportTickets[id], 'admin'), 0);
+  badge.textContent = unread;
+  badge.style.display = unread ? '' : 'none';
+  const shown = ids.filter(id => {
+    const ticket = adminSupportTickets[id];
+    return (!status || ticket.status === status) && (!mineOnly || ticket.assignedTo === me);
+  });
+  list.innerHTML = shown.length ? '' : '<p>No tickets.</p>';
+  shown.forEach(id => {
+    const ticket = adminSupportTickets[id];
+    const unreadCount = Support.unreadCount(ticket, 'admin');
+    const item = document.createElement('div');
+    item.className = 'card support-ticket';
+    item.innerHTML = `
+      <h4>${UI.escapeHtml(ticket.subject)}${unreadCount ? ` <span class="unread-badge">${unreadCount}</span>` : ''}</h4>
+      <p>${UI.escapeHtml(ticket.userName || ticket.uid)} • ${Support.STATUSES[ticket.status] || ticket.status} • ${ticket.assignedName ? 'Assigned to ' + UI.escapeHtml(ticket.assignedName) : 'Unassigned'}</p>
+      ${ticket.link ? `<p>${UI.escapeHtml(supportAdminLinkLabel(ticket.link))}</p>` : ''}
+      <p>Last message ${new Date(ticket.lastMessageAt).toLocaleString()} by ${ticket.lastMessageBy}</p>
+    `;
+    item.addEventListener('click', () => {
+      openSupportTicketModal(id);
+    });
+    list.appendChild(item);
+  });
+}
+
+/**
+ * Returns the label for a ticket's link, using the tournament title
+ * when it is known.
+ *
+ * @param {Object} link
+ * @returns {string}
+ */
+function supportAdminLinkLabel(link) {
+  const t = link.kind === 'tournament' ? adminTournaments[link.id] : null;
+  return Support.linkLabel(link, t ? t.title : null);
+}
+
+/**
+ * Opens a ticket in the support modal and starts listening to its
+ * messages.
+ *
+ * @param {string} ticketId
+ */
+function openSupportTicketModal(ticketId) {
+  closeSupportTicketModal();
+  adminSupportTicketId = ticketId;
+  const container = document.getElementById('supportTicketMessages');
+  container.innerHTML = '<div class="skeleton"></div>';
+  adminSupportMessagesRef = db.ref('supportMessages/' + ticketId);
+  adminSupportMessagesRef.on('value', snap => {
+    Support.renderMessages(container, snap, 'admin');
+  });
+  renderSupportTicketInfo();
+  UI.showModal('supportTicketModal');
+}
+
+/**
+ * Closes the support modal and stops listening to its messages.
+ */
+function closeSupportTicketModal() {
+  if (adminSupportMessagesRef) adminSupportMessagesRef.off();
+  adminSupportMessagesRef = null;
+  adminSupportTicketId = null;
+  UI.closeModal('supportTicketModal');
+}
+
+/**
+ * Renders the details and actions of the ticket open in the support
+ * modal: assigning it to the signed-in admin and resolving or
+ * reopening it. Viewing the ticket marks it read for admins.
+ */
+function renderSupportTicketInfo() {
+  const ticketId = adminSupportTicketId;
+  const ticket = ticketId ? adminSupportTickets[ticketId] : null;
+  if (!ticket) return;
+  const me = firebase.auth().currentUser;
+  const info = document.getElementById('supportTicketInfo');
+  info.innerHTML = `
+    <h2>${UI.escapeHtml(ticket.subject)}</h2>
+    <p>${UI.escapeHtml(ticket.userName || '')} • ${ticket.uid}</p>
+    ${ticket.link ? `<p>${UI.escapeHtml(supportAdminLinkLabel(ticket.link))}</p>` : ''}
+    <p>${Support.STATUSES[ticket.status] || ticket.status} • ${ticket.assignedName ? 'Assigned to ' + UI.escapeHtml(ticket.assignedName) : 'Unassigned'}</p>
+    ${ticket.assignedTo === me.uid ? '' : '<button class="primary" data-action="assign">Assign to Me</button>'}
+    ${ticket.status === 'open'
+      ? '<button class="success" data-action="resolve">Resolve</button>'
+      : '<button class="primary" data-action="reopen">Reopen</button>'}
+  `;
+  const update = (action, values, message) => {
+    const updates = {};
+    const before = {};
+    Object.keys(values).forEach(key => {
+      updates['supportTickets/' + ticketId + '/' + key] = values[key];
+      before[key] = ticket[key] === undefined ? null : ticket[key];
+    });
+    Audit.add(updates, action, 'supportTickets/' + ticketId, before, values);
+    db.ref().update(updates).then(() => {
+      UI.showToast(message);
+    }).catch(err => {
+      console.error(err);
+      UI.showToast('Error updating ticket.');
+    });
+  };
+  const assignBtn = info.querySelector('[data-action="assign"]');
+  if (assignBtn) {
+    assignBtn.addEventListener('click', () => {
+      update('support.assign', { assignedTo: me.uid, assignedName: me.email || me.uid }, 'Ticket assigned to you.');
+    });
+  }
+  info.querySelector('[data-action="resolve"], [data-action="reopen"]').addEventListener('click', () => {
+    const resolve = ticket.status === 'open';
+    update('support.status', { status: resolve ? 'resolved' : 'open' }, resolve ? 'Ticket resolved.' : 'Ticket reopened.');
+  });
+  if (Support.unreadCount(ticket, 'admin')) {
+    Support.markRead(ticketId, 'admin').catch(err => {
+      console.error(err);
+    });
+  }
+}
+
+/**
+ * Sends the reply typed in the support modal.
+ */
+function sendSupportAdminReply() {
+  const input = document.getElementById('supportAdminReply');
+  const btn = document.getElementById('supportAdminReplyBtn');
+  const text = input.value.trim();
+  if (!text || !adminSupportTicketId) return;
+  btn.disabled = true;
+  Support.sendMessage(adminSupportTicketId, 'admin', text).then(() => {
+    input.value = '';
+  }).catch(err => {
+    console.error(err);
+    UI.showToast('Error sending reply.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Loads the global app settings into the admin settings form and
+ * listens for changes to update the database. When the form is
+ * submitted, values are parsed and merged into `/appSettings`.
+ */
+function loadAppSettings() {
+  const form = document.getElementById('settingsForm');
+  let settings = {};
+  // the production rules refuse the mock provider
+  if (!USE_EMULATORS) form.paymentProvider.querySelector('option[value="mock"]').remove();
+  db.ref('appSettings').on('value', snap => {
+    settings = snap.val() || {};
+    form.minWithdraw.value = settings.minWithdraw || '';
+    form.withdrawFeePercent.value = settings.withdrawFeePercent || '';
+    form.maintenanceMode.checked = settings.maintenanceMode || false;
+    form.joinCooldownSec.value = settings.joinCooldownSec || '';
+    form.leaveCutoffMin.value = settings.leaveCutoffMin != null ? settings.leaveCutoffMin : '';
+    form.paymentProvider.value = settings.paymentProvider || '';
+    form.supportAutoMsg.value = settings.supportAutoMsg || '';
+  });
+  // Ensure we don't attach multiple submit handlers
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const payload = {
+      minWithdraw: parseInt(form.minWithdraw.value) || 0,
+      withdrawFeePercent: parseInt(form.withdrawFeePercent.value) || 0,
+      maintenanceMode: form.maintenanceMode.checked,
+      joinCooldownSec: parseInt(form.joinCooldownSec.value) || 0,
+      leaveCutoffMin: form.leaveCutoffMin.value === '' ? null : parseInt(form.leaveCutoffMin.value) || 0,
+      paymentProvider: form.paymentProvider.value || null,
+      supportAutoMsg: form.supportAutoMsg.value || ''
+    };
+    const updates = {};
+    const before = {};
+    Object.keys(payload).forEach(key => {
+      updates['appSettings/' + key] = payload[key];
+      before[key] = settings[key] === undefined ? null : settings[key];
+    });
+    Audit.add(updates, 'settings.update', 'appSettings', before, payload);
+    db.ref().update(updates).then(() => {
+      UI.showToast('Settings updated.');
+    }).catch(err => {
+      console.error(err);
+      UI.showToast('Error updating settings.');
+    });
+  };
+}
+/**
+ * Lists admins with their roles in the Settings page and saves role
+ * changes from the roles form. Saving a role for a UID also grants it
+ * admin access; removing an admin clears both. Admins cannot remove
+ * themselves, so a panel always keeps at least one super-admin.
+ */
+function loadAdminRoles() {
+  const list = document.getElementById('adminRolesList');
+  const form = document.getElementById('adminRoleForm');
+  form.role.innerHTML = Object.keys(ADMIN_ROLES).map(role =>
+    `<option value="${role}">${ADMIN_ROLES[role].label}</option>`).join('');
+  let uids = {};
+  let roles = {};
+  const render = () => {
+    list.innerHTML = Object.keys(uids).length ? '' : '<p>No admins.</p>';
+    Object.keys(uids).forEach(uid => {
+      const role = roles[uid] || null;
+      const row = document.createElement('div');
+      row.className = 'card';
+      row.innerHTML = `
+        <p><strong class="admin-role-name">${UI.escapeHtml(uid)}</strong></p>
+        <p>${role ? ADMIN_ROLES[role]?.label || UI.escapeHtml(role) : 'No role (no access)'}</p>
+        ${uid === firebase.auth().currentUser.uid ? '' : '<button class="danger" type="button">Remove Admin</button>'}
+      `;
+      db.ref('users/' + uid + '/name').once('value').then(snap => {
+        if (snap.val()) row.querySelector('.admin-role-name').textContent = snap.val() + ' (' + uid + ')';
+      });
+      const removeBtn = row.querySelector('button');
+      if (removeBtn) {
+        removeBtn.addEventListener('click', () => {
+          if (!confirm('Remove admin access for ' + uid + '?')) return;
+          const updates = { ['adminUids/' + uid]: null, ['adminRoles/' + uid]: null };
+          Audit.add(updates, 'admin.remove', 'adminUids/' + uid, { role: role }, null);
+          db.ref().update(updates).then(() => {
+            UI.showToast('Admin removed.');
+          }).catch(err => {
+            console.error(err);
+            UI.showToast('Error removing admin.');
+          });
+        });
+      }
+      list.appendChild(row);
+    });
+  };
+  db.ref('adminUids').on('value', snap => {
+    uids = snap.val() || {};
+    render();
+  });
+  db.ref('adminRoles').on('value', snap => {
+    roles = snap.val() || {};
+    render();
+  });
+  form.onsubmit = (e) => {
+    e.preventDefault();
+    const uid = form.uid.value.trim();
+    const role = form.role.value;
+    if (!uid || /[.#$[\]/]/.test(uid)) {
+      UI.showToast('Enter a valid UID.');
+      return;
+    }
+    if (uid === firebase.auth().currentUser.uid && role !== 'super-admin') {
+      UI.showToast('You cannot change your own role.');
+      return;
+    }
+    const updates = { ['adminUids/' + uid]: true, ['adminRoles/' + uid]: role };
+    Audit.add(updates, 'admin.role_set', 'adminRoles/' + uid,
+      uids[uid] ? { role: roles[uid] || null } : null, { role: role });
+    db.ref().update(updates).then(() => {
+      form.reset();
+      UI.showToast('Role saved.');
+    }).catch(err => {
+      console.error(err);
+      UI.showToast('Error saving role.');
+    });
+  };
+}
+
+/** Number of most recent audit entries loaded into the Audit page. */
+const AUDIT_LOG_LIMIT = 500;
+
+/**
+ * Loads the most recent audit entries into the Audit page, newest
+ * first, and filters them as the admin types in the search box.
+ */
+function initAuditLog() {
+  const search = document.getElementById('auditSearch');
+  let entries = [];
+  db.ref('auditLog').orderByChild('createdAt').limitToLast(AUDIT_LOG_LIMIT).on('value', snap => {
+    entries = [];
+    snap.forEach(child => {
+      entries.unshift(child.val());
+    });
+    renderAuditLog(entries, search.value);
+  });
+  search.addEventListener('input', () => {
+    renderAuditLog(entries, search.value);
+  });
+}
+
+/**
+ * Renders audit entries matching a search, with their before and after
+ * values in an expandable section.
+ *
+ * @param {Array<Object>} entries
+ * @param {string} query
+ */
+function renderAuditLog(entries, query) {
+  const list = document.getElementById('auditList');
+  const shown = entries.filter(entry => Audit.matches(entry, query));
+  list.innerHTML = shown.length ? '' : '<p>No audit entries.</p>';
+  const pretty = (json) => {
+    try {
+      return JSON.stringify(JSON.parse(json), null, 2);
+    } catch (err) {
+      return json; // truncated value
+    }
+  };
+  shown.forEach(entry => {
+    const card = document.createElement('div');
+    card.className = 'card';
+    card.innerHTML = `
+      <p><strong>${UI.escapeHtml(entry.action)}</strong> • ${UI.escapeHtml(entry.target)}</p>
+      <p>${UI.escapeHtml(entry.byName || entry.by)}${entry.role ? ' (' + UI.escapeHtml(ADMIN_ROLES[entry.role]?.label || entry.role) + ')' : ''} • ${entry.createdAt ? new Date(entry.createdAt).toLocaleString() : ''}</p>
+      <details>
+        <summary>Changes</summary>
+        <p>Before</p>
+        <pre class="audit-value">${UI.escapeHtml(pretty(entry.before))}</pre>
+        <p>After</p>
+        <pre class="audit-value">${UI.escapeHtml(pretty(entry.after))}</pre>
+      </details>
+    `;
+    list.appendChild(card);
+  });
+}
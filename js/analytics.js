@@ -0,0 +1,210 @@
+/**
+ * Precomputed analytics counters, kept up to date by the writes that
+ * change them so the admin dashboard never scans users, joins or the
+ * ledger. Counters live under `/analytics`:
+ *
+ *   daily/{YYYY-MM-DD}/{metric}              money and signups per UTC day
+ *   daily/{YYYY-MM-DD}/joinsByGame/{game}    joins per game per UTC day
+ *   totals/walletBalance                     sum of all wallet balances
+ *   totals/users                             number of user profiles
+ *
+ * Ledger.commit() adds the money counters for every entry it writes,
+ * joins and signups add theirs in the same update, and approving a
+ * withdrawal adds its fee. The database rules check that counters
+ * written by players match the ledger entry or profile in the same
+ * write. Totals start from zero, so a super-admin recounts them once
+ * after this is deployed.
+ */
+
+const Analytics = (() => {
+  /** Daily counter fed by each ledger entry type, summing entry amounts. */
+  const LEDGER_METRICS = {
+    join_fee: 'entryFees',
+    prize: 'prizes',
+    refund: 'refunds',
+    deposit: 'deposits',
+    withdrawal_approved: 'withdrawalsPaid',
+    adjustment_credit: 'adjustmentCredits',
+    adjustment_debit: 'adjustmentDebits'
+  };
+
+  /** Daily money counters with their display labels. */
+  const MONEY_METRICS = {
+    entryFees: 'Entry fees collected',
+    prizes: 'Prizes paid',
+    refunds: 'Refunds',
+    withdrawalFees: 'Withdrawal fees earned',
+    adjustmentCredits: 'Manual credits',
+    adjustmentDebits: 'Manual debits',
+    deposits: 'Deposits',
+    withdrawalsPaid: 'Withdrawals paid'
+  };
+
+  /**
+   * Returns the UTC day key of a time, such as '2024-05-31'.
+   *
+   * @param {number} [time]
+   * @returns {string}
+   */
+  function dayKey(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+
+  /**
+   * Returns a database-safe key for a game name.
+   *
+   * @param {string} name
+   * @returns {string}
+   */
+  function gameKey(name) {
+    return String(name || 'Other').trim().replace(/[.#$[\]/]/g, '_') || 'Other';
+  }
+
+  /**
+   * Adds an increment of a daily counter to a multi-path update, on top
+   * of any increment of the same counter already in it.
+   *
+   * @param {Object} updates
+   * @param {string} path Counter path below `analytics/`.
+   * @param {number} amount
+   */
+  function increment(updates, path, amount) {
+    const key = 'analytics/' + path;
+    const previous = updates[key] ? updates[key]['.sv'].increment : 0;
+    updates[key] = firebase.database.ServerValue.increment(previous + amount);
+  }
+
+  /**
+   * Adds to a daily counter for today.
+   *
+   * @param {Object} updates
+   * @param {string} metric
+   * @param {number} amount
+   */
+  function add(updates, metric, amount) {
+    if (amount) increment(updates, 'daily/' + dayKey() + '/' + metric, amount);
+  }
+
+  /**
+   * Adds the counters for ledger entries being committed: each type's
+   * daily total and the change to the sum of wallet balances.
+   *
+   * @param {Object} updates
+   * @param {Array<{type: string, amount: number, delta: number}>} entries
+   */
+  function addLedger(updates, entries) {
+    let delta = 0;
+    entries.forEach(entry => {
+      if (LEDGER_METRICS[entry.type]) add(updates, LEDGER_METRICS[entry.type], entry.amount);
+      delta += entry.delta;
+    });
+    if (delta) increment(updates, 'totals/walletBalance', delta);
+  }
+
+  /**
+   * Counts a tournament join for today.
+   *
+   * @param {Object} updates
+   * @param {string} gameName
+   */
+  function addJoin(updates, gameName) {
+    increment(updates, 'daily/' + dayKey() + '/joinsByGame/' + gameKey(gameName), 1);
+  }
+
+  /**
+   * Counts a new user profile.
+   *
+   * @param {Object} updates
+   */
+  function addSignup(updates) {
+    increment(updates, 'daily/' + dayKey() + '/signups', 1);
+    increment(updates, 'totals/users', 1);
+  }
+
+  /**
+   * Sums daily counters into totals, a per-day series and joins per game.
+   *
+   * @param {firebase.database.DataSnapshot} snap Snapshot of `analytics/daily` for a range.
+   * @returns {{totals: Object, days: Array<Object>, joinsByGame: Object}}
+   */
+  function summarize(snap) {
+    const totals = { signups: 0, joins: 0 };
+    Object.keys(MONEY_METRICS).forEach(metric => {
+      totals[metric] = 0;
+    });
+    const days = [];
+    const joinsByGame = {};
+    snap.forEach(child => {
+      const d = child.val() || {};
+      const day = { day: child.key, signups: d.signups || 0, joins: 0, revenue: netRevenue(d) };
+      Object.keys(MONEY_METRICS).forEach(metric => {
+        totals[metric] += d[metric] || 0;
+      });
+      Object.keys(d.joinsByGame || {}).forEach(game => {
+        joinsByGame[game] = (joinsByGame[game] || 0) + d.joinsByGame[game];
+        day.joins += d.joinsByGame[game];
+      });
+      totals.signups += day.signups;
+      totals.joins += day.joins;
+      days.push(day);
+    });
+    totals.revenue = netRevenue(totals);
+    return { totals: totals, days: days, joinsByGame: joinsByGame };
+  }
+
+  /**
+   * Returns net revenue from money counters: entry fees and withdrawal
+   * fees kept, less prizes, refunds and net manual credits.
+   *
+   * @param {Object} counters
+   * @returns {number}
+   */
+  function netRevenue(counters) {
+    return (counters.entryFees || 0) + (counters.withdrawalFees || 0) - (counters.prizes || 0) -
+      (counters.refunds || 0) - (counters.adjustmentCredits || 0) + (counters.adjustmentDebits || 0);
+  }
+
+  /**
+   * Renders a simple bar chart, one bar per point, scaled to the largest
+   * absolute value. Negative values are drawn in the danger colour.
+   *
+   * @param {HTMLElement} container
+   * @param {Array<{label: string, value: number}>} points
+   * @param {function(number): string} [format]
+   */
+  function barChart(container, points, format = String) {
+    container.innerHTML = '';
+    if (!points.length) {
+      container.innerHTML = '<p>No data for this range.</p>';
+      return;
+    }
+    const max = Math.max(1, ...points.map(p => Math.abs(p.value)));
+    points.forEach(p => {
+      const row = document.createElement('div');
+      row.className = 'chart-row';
+      row.innerHTML = `
+        <span class="chart-label"></span>
+        <span class="chart-track"><span class="chart-bar${p.value < 0 ? ' negative' : ''}"></span></span>
+        <span class="chart-value"></span>
+      `;
+      row.querySelector('.chart-label').textContent = p.label;
+      row.querySelector('.chart-bar').style.width = (Math.abs(p.value) / max * 100) + '%';
+      row.querySelector('.chart-value').textContent = format(p.value);
+      container.appendChild(row);
+    });
+  }
+
+  return {
+    LEDGER_METRICS,
+    MONEY_METRICS,
+    dayKey,
+    gameKey,
+    add,
+    addLedger,
+    addJoin,
+    addSignup,
+    summarize,
+    netRevenue,
+    barChart
+  };
+})();
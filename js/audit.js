@@ -0,0 +1,110 @@
+/**
+ * Admin audit log. Every admin change adds an entry under
+ * `/auditLog/{entryId}` as
+ * `{by, byName, role, action, target, before, after, createdAt}`:
+ *
+ *   action  what was done, as 'area.verb' (e.g. 'user.block')
+ *   target  database path of the record changed (e.g. 'users/abc')
+ *   before  JSON of the affected values before the change
+ *   after   JSON of the values written
+ *
+ * The database rules only allow new entries written by the signed-in
+ * admin, so the log is append-only. Entries are added to the same
+ * multi-path update as the change itself where possible, so a change
+ * cannot land without its entry. Each entry also moves the admin's
+ * `/auditHeads/{uid}` pointer to it, which is how the rules tell that
+ * a privileged write (roles, settings, blocks, adjustments, withdrawal
+ * decisions, results) carries its entry.
+ */
+
+const Audit = (() => {
+  /** Longest `before`/`after` JSON the rules accept. */
+  const MAX_VALUE_LENGTH = 10000;
+
+  /** The acting admin's display name and role, set by the admin panel. */
+  let actor = { name: '', role: '' };
+
+  /**
+   * Sets the acting admin's display name and role for later entries.
+   *
+   * @param {string} name
+   * @param {string} role
+   */
+  function setActor(name, role) {
+    actor = { name: name || '', role: role || '' };
+  }
+
+  /**
+   * Serializes a value for an entry, truncating very large values.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function serialize(value) {
+    const json = JSON.stringify(value === undefined ? null : value);
+    return json.length > MAX_VALUE_LENGTH ? json.slice(0, MAX_VALUE_LENGTH - 1) + '…' : json;
+  }
+
+  /**
+   * Adds an audit entry to a multi-path update.
+   *
+   * @param {Object} updates
+   * @param {string} action
+   * @param {string} target
+   * @param {*} before
+   * @param {*} after
+   * @returns {Object} The same updates object.
+   */
+  function add(updates, action, target, before, after) {
+    const uid = firebase.auth().currentUser.uid;
+    const entryId = db.ref('auditLog').push().key;
+    updates['auditLog/' + entryId] = {
+      by: uid,
+      byName: actor.name,
+      role: actor.role,
+      action: action,
+      target: target,
+      before: serialize(before),
+      after: serialize(after),
+      createdAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    updates['auditHeads/' + uid] = entryId;
+    return updates;
+  }
+
+  /**
+   * Writes an audit entry on its own, for changes made in a transaction
+   * that cannot carry other paths.
+   *
+   * @param {string} action
+   * @param {string} target
+   * @param {*} before
+   * @param {*} after
+   * @returns {Promise}
+   */
+  function record(action, target, before, after) {
+    return db.ref().update(add({}, action, target, before, after));
+  }
+
+  /**
+   * Returns whether an entry matches a search. Every word of the query
+   * must appear in the entry's admin, role, action, target or values.
+   *
+   * @param {Object} entry
+   * @param {string} query
+   * @returns {boolean}
+   */
+  function matches(entry, query) {
+    const text = [entry.byName, entry.by, entry.role, entry.action, entry.target, entry.before, entry.after]
+      .join(' ').toLowerCase();
+    return query.toLowerCase().split(/\s+/).filter(Boolean).every(word => text.includes(word));
+  }
+
+  return {
+    MAX_VALUE_LENGTH,
+    setActor,
+    add,
+    record,
+    matches
+  };
+})();
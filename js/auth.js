@@ -22,6 +22,27 @@ const Auth = (() => {
     });
   }
 
+  /**
+   * Resolves with the user restored from a previous session, or signs
+   * in anonymously when there is none. Restoring the session lets an
+   * admin who is signed in on the admin panel open the user app with
+   * the same identity, e.g. to test it during maintenance.
+   *
+   * @returns {Promise<firebase.User>}
+   */
+  function signInExistingOrAnon() {
+    return new Promise((resolve, reject) => {
+      const unsubscribe = firebase.auth().onAuthStateChanged((user) => {
+        unsubscribe();
+        if (user) {
+          resolve(user);
+        } else {
+          signInAnon().then(cred => resolve(cred.user), reject);
+        }
+      }, reject);
+    });
+  }
+
   /**
    * Signs in an admin using an email and password. This method is used
    * exclusively on the admin panel. It returns a promise that
@@ -48,6 +69,7 @@ const Auth = (() => {
 
   return {
     signInAnon,
+    signInExistingOrAnon,
     signInWithEmail,
     signOut
   };
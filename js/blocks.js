@@ -0,0 +1,70 @@
+/**
+ * Account blocks shared by the user and admin panels. A block is stored
+ * on the user record as `isBlocked`, with an optional `blockReason` and
+ * `blockedUntil` timestamp. A block with `blockedUntil` in the past has
+ * lifted: the database rules stop enforcing it at that moment, so no
+ * job has to clear the flag.
+ */
+
+const Blocks = (() => {
+  /** Block lengths offered to admins, in days; 0 blocks until lifted. */
+  const DURATIONS = [
+    { days: 1, label: '1 day' },
+    { days: 3, label: '3 days' },
+    { days: 7, label: '7 days' },
+    { days: 30, label: '30 days' },
+    { days: 0, label: 'Until unblocked' }
+  ];
+
+  /** Longest reason the rules accept. */
+  const MAX_REASON_LENGTH = 200;
+
+  /**
+   * Returns whether a user's block is in force.
+   *
+   * @param {Object|null} user
+   * @returns {boolean}
+   */
+  function isActive(user) {
+    return !!user && user.isBlocked === true && (!user.blockedUntil || user.blockedUntil > Date.now());
+  }
+
+  /**
+   * Returns a message describing a user's block, with its reason and
+   * end when set.
+   *
+   * @param {Object} user
+   * @returns {string}
+   */
+  function describe(user) {
+    let text = 'Blocked';
+    if (user.blockedUntil) text += ' until ' + new Date(user.blockedUntil).toLocaleString();
+    if (user.blockReason) text += ': ' + user.blockReason;
+    return text;
+  }
+
+  /**
+   * Returns the multi-path updates that block a user, or lift their
+   * block when `block` is null.
+   *
+   * @param {string} uid
+   * @param {{reason: string, days: number}|null} block
+   * @returns {Object}
+   */
+  function updates(uid, block) {
+    const path = 'users/' + uid + '/';
+    return {
+      [path + 'isBlocked']: !!block,
+      [path + 'blockReason']: block && block.reason ? block.reason : null,
+      [path + 'blockedUntil']: block && block.days ? Date.now() + block.days * 86400000 : null
+    };
+  }
+
+  return {
+    DURATIONS,
+    MAX_REASON_LENGTH,
+    isActive,
+    describe,
+    updates
+  };
+})();
@@ -0,0 +1,358 @@
+/**
+ * Knockout brackets shared by the user and admin panels. A bracket is
+ * stored under `/brackets/{tId}` and holds its entrants (players, or
+ * teams in duo and squad tournaments) and its matches:
+ *
+ *   format      'single' or 'double' elimination
+ *   entrants    {id: {name, seed}}
+ *   matches     {matchId: {section, round, index, a, b, scoreA, scoreB,
+ *                winner, loser, done, nextWin, nextWinSlot,
+ *                nextLose, nextLoseSlot, reset}}
+ *   finalMatch  id of the match that decides the champion
+ *   champion    id of the winning entrant once the final is played
+ *   status      'active' or 'completed'
+ *
+ * Sections are `W` (winners bracket), `L` (losers bracket, double
+ * elimination only) and `GF` (grand final). Each match points at the
+ * match its winner and loser move on to. In double elimination the
+ * grand final points at a `reset` match: the winners-bracket champion
+ * has not lost yet, so if the losers-bracket finalist wins the grand
+ * final the two play again. The bracket size is rounded up to a power
+ * of two and top seeds get byes; matches against a bye are settled
+ * automatically.
+ */
+
+const Bracket = (() => {
+  /** Placeholder entrant for an empty bracket slot. */
+  const BYE = '__bye__';
+
+  /**
+   * Returns the seed numbers in bracket slot order for a bracket of the
+   * given size, so that seed 1 meets the lowest seed first and seeds 1
+   * and 2 can only meet in the final.
+   *
+   * @param {number} size A power of two.
+   * @returns {Array<number>}
+   */
+  function seedOrder(size) {
+    let order = [1];
+    while (order.length < size) {
+      const n = order.length * 2;
+      order = order.reduce((acc, s) => acc.concat([s, n + 1 - s]), []);
+    }
+    return order;
+  }
+
+  /**
+   * Builds a new bracket. `entrants` are `{id, name}` objects in seed
+   * order (best seed first).
+   *
+   * @param {Array<{id: string, name: string}>} entrants
+   * @param {string} format 'single' or 'double'
+   * @returns {Object}
+   */
+  function generate(entrants, format) {
+    if (entrants.length < 2) throw new Error('At least 2 participants are needed.');
+    if (format === 'double' && entrants.length < 3) throw new Error('Double elimination needs at least 3 participants.');
+    let size = 2;
+    while (size < entrants.length) size *= 2;
+    const rounds = Math.log2(size);
+    const matches = {};
+    const add = (section, round, index) => {
+      const id = section + round + '-' + index;
+      matches[id] = { section: section, round: round, index: index, done: false };
+      return id;
+    };
+    const link = (fromId, kind, toId, slot) => {
+      matches[fromId][kind] = toId;
+      matches[fromId][kind + 'Slot'] = slot;
+    };
+
+    for (let r = 1; r <= rounds; r++) {
+      for (let i = 0; i < size / Math.pow(2, r); i++) {
+        const id = add('W', r, i);
+        if (r > 1) {
+          link('W' + (r - 1) + '-' + (2 * i), 'nextWin', id, 'a');
+          link('W' + (r - 1) + '-' + (2 * i + 1), 'nextWin', id, 'b');
+        }
+      }
+    }
+    const seeds = seedOrder(size);
+    const slotEntrant = (seed) => (seed <= entrants.length ? entrants[seed - 1].id : BYE);
+    for (let i = 0; i < size / 2; i++) {
+      matches['W1-' + i].a = slotEntrant(seeds[2 * i]);
+      matches['W1-' + i].b = slotEntrant(seeds[2 * i + 1]);
+    }
+
+    let finalMatch = 'W' + rounds + '-0';
+    if (format === 'double') {
+      // Odd losers rounds pair up survivors; even rounds bring in the
+      // losers of the next winners round, in reverse order to avoid
+      // early rematches.
+      const lbRounds = 2 * (rounds - 1);
+      for (let lr = 1; lr <= lbRounds; lr++) {
+        const count = size / Math.pow(2, Math.floor((lr + 1) / 2) + 1);
+        for (let i = 0; i < count; i++) {
+          const id = add('L', lr, i);
+          if (lr === 1) {
+            link('W1-' + (2 * i), 'nextLose', id, 'a');
+            link('W1-' + (2 * i + 1), 'nextLose', id, 'b');
+          } else if (lr % 2 === 0) {
+            link('L' + (lr - 1) + '-' + i, 'nextWin', id, 'a');
+            link('W' + (lr / 2 + 1) + '-' + (count - 1 - i), 'nextLose', id, 'b');
+          } else {
+            link('L' + (lr - 1) + '-' + (2 * i), 'nextWin', id, 'a');
+            link('L' + (lr - 1) + '-' + (2 * i + 1), 'nextWin', id, 'b');
+          }
+        }
+      }
+      const grandFinal = add('GF', 1, 0);
+      link('W' + rounds + '-0', 'nextWin', grandFinal, 'a');
+      link('L' + lbRounds + '-0', 'nextWin', grandFinal, 'b');
+      finalMatch = add('GF', 2, 0);
+      matches[grandFinal].reset = finalMatch;
+    }
+
+    const entrantMap = {};
+    entrants.forEach((e, i) => {
+      entrantMap[e.id] = { name: e.name, seed: i + 1 };
+    });
+    const bracket = {
+      format: format,
+      entrants: entrantMap,
+      matches: matches,
+      finalMatch: finalMatch,
+      champion: null,
+      status: 'active'
+    };
+    settleByes(bracket);
+    return bracket;
+  }
+
+  /**
+   * Returns whether a slot value is a real entrant.
+   *
+   * @param {string|undefined} slot
+   * @returns {boolean}
+   */
+  function isEntrant(slot) {
+    return slot != null && slot !== BYE;
+  }
+
+  /**
+   * Marks a match as decided and moves its winner and loser on to their
+   * next matches. A grand final won by the losers-bracket finalist sends
+   * both entrants on to the reset match; otherwise the reset match is
+   * dropped and the grand final becomes the final. Completes the
+   * bracket when the final is decided.
+   *
+   * @param {Object} bracket
+   * @param {string} matchId
+   * @param {string} winner
+   * @param {string} loser
+   */
+  function decide(bracket, matchId, winner, loser) {
+    const m = bracket.matches[matchId];
+    m.winner = winner;
+    m.loser = loser;
+    m.done = true;
+    if (m.nextWin) bracket.matches[m.nextWin][m.nextWinSlot] = winner;
+    if (m.nextLose) bracket.matches[m.nextLose][m.nextLoseSlot] = loser;
+    if (m.reset && winner === m.a) {
+      delete bracket.matches[m.reset];
+      bracket.finalMatch = matchId;
+    } else if (m.reset) {
+      bracket.matches[m.reset].a = m.a;
+      bracket.matches[m.reset].b = m.b;
+    }
+    if (matchId === bracket.finalMatch) {
+      bracket.champion = winner;
+      bracket.status = 'completed';
+    }
+  }
+
+  /**
+   * Settles every match that has both slots filled and at least one
+   * bye, repeating until nothing changes.
+   *
+   * @param {Object} bracket
+   */
+  function settleByes(bracket) {
+    let changed = true;
+    while (changed) {
+      changed = false;
+      Object.keys(bracket.matches).forEach(id => {
+        const m = bracket.matches[id];
+        if (!m || m.done || m.a == null || m.b == null) return; // a dropped reset match
+        if (m.a !== BYE && m.b !== BYE) return;
+        if (m.a === BYE) {
+          decide(bracket, id, m.b, BYE);
+        } else {
+          decide(bracket, id, m.a, BYE);
+        }
+        changed = true;
+      });
+    }
+  }
+
+  /**
+   * Checks a score report. Returns an error message, or null when the
+   * score can be recorded.
+   *
+   * @param {Object} bracket
+   * @param {string} matchId
+   * @param {number} scoreA
+   * @param {number} scoreB
+   * @returns {string|null}
+   */
+  function scoreError(bracket, matchId, scoreA, scoreB) {
+    const m = bracket && bracket.matches && bracket.matches[matchId];
+    if (!m) return 'Match not found.';
+    if (m.done) return 'This match already has a result.';
+    if (!isEntrant(m.a) || !isEntrant(m.b)) return 'This match is still waiting for its players.';
+    if (!Number.isInteger(scoreA) || !Number.isInteger(scoreB) || scoreA < 0 || scoreB < 0) {
+      return 'Scores must be whole numbers of 0 or more.';
+    }
+    if (scoreA === scoreB) return 'A knockout match needs a winner.';
+    return null;
+  }
+
+  /**
+   * Records a match score on a bracket and advances the winner (and the
+   * loser, in double elimination). Callers must check scoreError()
+   * first. Mutates and returns the bracket.
+   *
+   * @param {Object} bracket
+   * @param {string} matchId
+   * @param {number} scoreA
+   * @param {number} scoreB
+   * @returns {Object}
+   */
+  function reportScore(bracket, matchId, scoreA, scoreB) {
+    const m = bracket.matches[matchId];
+    m.scoreA = scoreA;
+    m.scoreB = scoreB;
+    if (scoreA > scoreB) {
+      decide(bracket, matchId, m.a, m.b);
+    } else {
+      decide(bracket, matchId, m.b, m.a);
+    }
+    settleByes(bracket);
+    return bracket;
+  }
+
+  /**
+   * Ranks the entrants of a completed bracket: the champion first, then
+   * everyone else by how late they were knocked out, with the better
+   * seed ahead when two were knocked out in the same round.
+   *
+   * @param {Object} bracket
+   * @returns {Array<string>} Entrant ids, best first.
+   */
+  function standings(bracket) {
+    if (!bracket || !bracket.champion) return [];
+    const lbRounds = Object.values(bracket.matches).filter(m => m.section === 'L').length ?
+      Math.max(...Object.values(bracket.matches).filter(m => m.section === 'L').map(m => m.round)) : 0;
+    const stage = {};
+    Object.values(bracket.matches).forEach(m => {
+      if (!m.done || !isEntrant(m.loser)) return;
+      if (bracket.format === 'double' && m.section === 'W') return; // drops to the losers bracket
+      if (m.reset && m.loser === m.a) return; // plays the reset match
+      stage[m.loser] = m.section === 'GF' ? lbRounds + 1 : m.round;
+    });
+    const seedOf = (id) => bracket.entrants[id].seed;
+    const others = Object.keys(stage).sort((x, y) => (stage[y] - stage[x]) || (seedOf(x) - seedOf(y)));
+    return [bracket.champion].concat(others);
+  }
+
+  /**
+   * Returns a display label for a round.
+   *
+   * @param {Object} bracket
+   * @param {string} section
+   * @param {number} round
+   * @param {number} lastRound The last round number in the section.
+   * @returns {string}
+   */
+  function roundLabel(bracket, section, round, lastRound) {
+    if (section === 'GF') return round === 2 ? 'Grand final reset' : 'Grand final';
+    if (section === 'L') return 'Losers round ' + round;
+    if (round === lastRound) return bracket.format === 'double' ? 'Winners final' : 'Final';
+    if (round === lastRound - 1) return 'Semi-finals';
+    return 'Round ' + round;
+  }
+
+  /**
+   * Renders a bracket into a container, one column per round. Entrants
+   * listed in `options.highlight` are marked as the viewer's own. When
+   * `options.onMatchClick` is given, matches that are ready to be
+   * played can be clicked.
+   *
+   * @param {HTMLElement} container
+   * @param {Object} bracket
+   * @param {{highlight?: Array<string>, onMatchClick?: function(string, Object)}} [options]
+   */
+  function render(container, bracket, options = {}) {
+    const highlight = options.highlight || [];
+    const matches = bracket.matches || {};
+    const nameOf = (slot) => {
+      if (slot == null) return 'TBD';
+      if (slot === BYE) return 'BYE';
+      return bracket.entrants[slot] ? bracket.entrants[slot].name : slot;
+    };
+    const entrantRow = (m, slot, score) => {
+      const classes = ['bracket-entrant'];
+      if (m.done && m.winner === m[slot] && isEntrant(m[slot])) classes.push('winner');
+      if (highlight.includes(m[slot])) classes.push('mine');
+      return `<div class="${classes.join(' ')}"><span>${UI.escapeHtml(nameOf(m[slot]))}</span><span>${score != null ? score : ''}</span></div>`;
+    };
+    container.innerHTML = '';
+    if (bracket.champion) {
+      const banner = document.createElement('p');
+      banner.className = 'bracket-champion';
+      banner.textContent = '🏆 Champion: ' + nameOf(bracket.champion);
+      container.appendChild(banner);
+    }
+    ['W', 'L', 'GF'].forEach(section => {
+      const ids = Object.keys(matches).filter(id => matches[id].section === section);
+      if (!ids.length) return;
+      const rounds = {};
+      ids.forEach(id => {
+        const r = matches[id].round;
+        (rounds[r] = rounds[r] || []).push(id);
+      });
+      const roundNums = Object.keys(rounds).map(Number).sort((x, y) => x - y);
+      const lastRound = roundNums[roundNums.length - 1];
+      const sectionEl = document.createElement('div');
+      sectionEl.className = 'bracket';
+      roundNums.forEach(r => {
+        const col = document.createElement('div');
+        col.className = 'bracket-round';
+        col.innerHTML = `<h4>${roundLabel(bracket, section, r, lastRound)}</h4>`;
+        rounds[r].sort((x, y) => matches[x].index - matches[y].index).forEach(id => {
+          const m = matches[id];
+          const el = document.createElement('div');
+          el.className = 'bracket-match';
+          el.innerHTML = entrantRow(m, 'a', m.scoreA) + entrantRow(m, 'b', m.scoreB);
+          if (options.onMatchClick && !m.done && isEntrant(m.a) && isEntrant(m.b)) {
+            el.classList.add('playable');
+            el.addEventListener('click', () => options.onMatchClick(id, m));
+          }
+          col.appendChild(el);
+        });
+        sectionEl.appendChild(col);
+      });
+      container.appendChild(sectionEl);
+    });
+  }
+
+  return {
+    BYE,
+    generate,
+    isEntrant,
+    scoreError,
+    reportScore,
+    standings,
+    render
+  };
+})();
@@ -0,0 +1,97 @@
+/**
+ * Home page content shared by the user app and the admin content
+ * editor: news slides (`/newsSlider`), category chips (`/categories`)
+ * and the upcoming card (`/homeUpcoming`). Both panels build their
+ * markup here, so the admin previews look exactly like the home page.
+ *
+ *   slide     {imageUrl, title, linkType, linkValue, enabled, order}
+ *   category  {name, enabled, order}
+ *   upcoming  {title, subtitle, target, enabled}
+ *
+ * `linkType` is 'none', 'url' (linkValue is a web address) or
+ * 'tournament' (linkValue is a tournament id, or empty for the list).
+ * The upcoming card's `target` is a tournament id.
+ */
+
+const Content = (() => {
+  /** Slide link types with their display labels. */
+  const LINK_TYPES = {
+    none: 'No link',
+    url: 'Web link',
+    tournament: 'Tournament'
+  };
+
+  /**
+   * Builds the element for one slide, without click handling.
+   *
+   * @param {Object} slide
+   * @returns {HTMLElement}
+   */
+  function slideElement(slide) {
+    const div = document.createElement('div');
+    div.className = 'slide';
+    div.style.backgroundImage = 'url("' + String(slide.imageUrl || '').replace(/["\\\n]/g, '\\$&') + '")';
+    div.innerHTML = `<div class="slide-content"><h3>${UI.escapeHtml(slide.title || '')}</h3></div>`;
+    return div;
+  }
+
+  /**
+   * Builds a category chip.
+   *
+   * @param {string} name
+   * @returns {HTMLButtonElement}
+   */
+  function categoryChip(name) {
+    const btn = document.createElement('button');
+    btn.className = 'category-chip';
+    btn.textContent = name;
+    return btn;
+  }
+
+  /**
+   * Fills an upcoming card (an element with an h3, a p and a button)
+   * and shows it, or hides it when the card is disabled.
+   *
+   * @param {HTMLElement} card
+   * @param {Object|null} data
+   */
+  function fillUpcomingCard(card, data) {
+    if (!data || !data.enabled) {
+      card.style.display = 'none';
+      return;
+    }
+    card.querySelector('h3').textContent = data.title || '';
+    card.querySelector('p').textContent = data.subtitle || '';
+    card.style.display = 'block';
+  }
+
+  /**
+   * Cycles the slides in a carousel container, showing one at a time.
+   * Returns the interval id so the caller can stop it.
+   *
+   * @param {HTMLElement} container
+   * @param {number} [delay]
+   * @returns {number|undefined}
+   */
+  function autoPlay(container, delay = 4000) {
+    const slides = container.querySelectorAll('.slide');
+    if (slides.length === 0) return undefined;
+    let active = 0;
+    slides.forEach((s, i) => {
+      s.style.display = i === 0 ? 'block' : 'none';
+    });
+    return setInterval(() => {
+      slides[active].style.display = 'none';
+      active = (active + 1) % slides.length;
+      slides[active].style.display = 'block';
+    }, delay);
+  }
+
+  return {
+    LINK_TYPES,
+    slideElement,
+    categoryChip,
+    fillUpcomingCard,
+    autoPlay
+  };
+})();
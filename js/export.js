@@ -0,0 +1,164 @@
+/**
+ * Participant export helpers for the admin panel: the exportable
+ * columns, CSV generation and download, and printable lobby sheets.
+ * Rows are plain objects keyed by column id; loading them from the
+ * database is left to admin.js.
+ */
+
+const Export = (() => {
+  /**
+   * Exportable columns in display order. `value(row, options)` returns
+   * the cell text; `bulk` columns only make sense when several
+   * tournaments are exported together.
+   */
+  const COLUMNS = [
+    { id: 'tournament', label: 'Tournament', bulk: true, value: r => r.tournament },
+    { id: 'startTime', label: 'Start time', bulk: true, value: r => formatTime(r.startTime) },
+    { id: 'name', label: 'Name', value: r => r.name },
+    { id: 'ign', label: 'IGN', value: r => r.ign },
+    { id: 'phone', label: 'Phone', value: (r, options) => (options.maskPhone ? maskPhone(r.phone) : r.phone) },
+    { id: 'joinedAt', label: 'Joined at', value: r => formatTime(r.joinedAt) },
+    { id: 'status', label: 'Status', value: r => r.status },
+    { id: 'team', label: 'Team', value: r => r.team },
+    { id: 'role', label: 'Team role', value: r => r.role },
+    { id: 'feePaid', label: 'Fee paid', value: r => r.feePaid },
+    { id: 'placement', label: 'Placement', value: r => r.placement },
+    { id: 'prize', label: 'Prize', value: r => r.prize }
+  ];
+
+  /** Columns selected by default for a single tournament export. */
+  const DEFAULT_COLUMNS = ['name', 'ign', 'phone', 'joinedAt', 'status', 'team'];
+
+  /**
+   * Formats a timestamp for export, or returns an empty string.
+   *
+   * @param {number} time
+   * @returns {string}
+   */
+  function formatTime(time) {
+    return time ? new Date(time).toLocaleString() : '';
+  }
+
+  /**
+   * Masks all but the last four digits of a phone number.
+   *
+   * @param {string} phone
+   * @returns {string}
+   */
+  function maskPhone(phone) {
+    const value = String(phone || '');
+    if (value.length <= 4) return value;
+    return '*'.repeat(value.length - 4) + value.slice(-4);
+  }
+
+  /**
+   * Returns the column definitions for a list of column ids, in the
+   * order of COLUMNS.
+   *
+   * @param {Array<string>} ids
+   * @returns {Array<Object>}
+   */
+  function columnsFor(ids) {
+    return COLUMNS.filter(c => ids.includes(c.id));
+  }
+
+  /**
+   * Returns the cell text for every row and column.
+   *
+   * @param {Array<Object>} rows
+   * @param {Array<Object>} columns
+   * @param {Object} options
+   * @returns {Array<Array<string>>}
+   */
+  function cells(rows, columns, options) {
+    return rows.map(r => columns.map(c => {
+      const value = c.value(r, options);
+      return value === undefined || value === null ? '' : String(value);
+    }));
+  }
+
+  /**
+   * Builds CSV text. Cells are quoted when needed, and cells starting
+   * with a formula character are prefixed with a quote so spreadsheet
+   * apps do not evaluate player-supplied names.
+   *
+   * @param {Array<Object>} rows
+   * @param {Array<string>} columnIds
+   * @param {{maskPhone?: boolean}} [options]
+   * @returns {string}
+   */
+  function toCsv(rows, columnIds, options = {}) {
+    const columns = columnsFor(columnIds);
+    const escape = (value) => {
+      let text = /^[=+\-@\t\r]/.test(value) ? "'" + value : value;
+      if (/[",\r\n]/.test(text)) text = '"' + text.replace(/"/g, '""') + '"';
+      return text;
+    };
+    const lines = [columns.map(c => escape(c.label)).join(',')];
+    cells(rows, columns, options).forEach(row => {
+      lines.push(row.map(escape).join(','));
+    });
+    return lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Downloads text as a file.
+   *
+   * @param {string} filename
+   * @param {string} text
+   * @param {string} [type]
+   */
+  function download(filename, text, type = 'text/csv;charset=utf-8') {
+    const url = URL.createObjectURL(new Blob(['\uFEFF' + text], { type: type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Opens a printable participant sheet in a new window and starts
+   * printing. Must be called from a click handler so the window is not
+   * blocked.
+   *
+   * @param {string} title
+   * @param {Array<Object>} rows
+   * @param {Array<string>} columnIds
+   * @param {{maskPhone?: boolean}} [options]
+   * @returns {boolean} False when the window could not be opened.
+   */
+  function printSheet(title, rows, columnIds, options = {}) {
+    const columns = columnsFor(columnIds);
+    const win = window.open('', '_blank');
+    if (!win) return false;
+    const head = '<tr><th>#</th>' + columns.map(c => `<th>${UI.escapeHtml(c.label)}</th>`).join('') + '</tr>';
+    const body = cells(rows, columns, options).map((row, i) =>
+      `<tr><td>${i + 1}</td>${row.map(v => `<td>${UI.escapeHtml(v)}</td>`).join('')}</tr>`).join('');
+    win.document.write(`<!DOCTYPE html><html><head><meta charset="UTF-8"><title>${UI.escapeHtml(title)}</title>
+      <style>
+        body { font-family: sans-serif; font-size: 12px; }
+        table { border-collapse: collapse; width: 100%; }
+        th, td { border: 1px solid #999; padding: 4px 6px; text-align: left; }
+      </style></head><body>
+      <h2>${UI.escapeHtml(title)}</h2>
+      <p>${rows.length} participants • Printed ${UI.escapeHtml(new Date().toLocaleString())}</p>
+      <table><thead>${head}</thead><tbody>${body}</tbody></table>
+      </body></html>`);
+    win.document.close();
+    win.focus();
+    win.print();
+    return true;
+  }
+
+  return {
+    COLUMNS,
+    DEFAULT_COLUMNS,
+    maskPhone,
+    toCsv,
+    download,
+    printSheet
+  };
+})();
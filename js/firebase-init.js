@@ -25,6 +25,17 @@ if (!firebase.apps.length) {
 // Realtime Database reference for convenience. Use db.ref() to access paths.
 const db = firebase.database();
 
+// Served from this machine, the apps talk to the local emulators started
+// with `firebase emulators:start --config firebase.dev.json`. Testing-only
+// features such as the mock payment provider are limited to this mode.
+const USE_EMULATORS = ['localhost', '127.0.0.1'].includes(window.location.hostname);
+if (USE_EMULATORS) {
+  firebase.auth().useEmulator('http://localhost:9099');
+  db.useEmulator('localhost', 9000);
+  // only the admin panel loads Cloud Functions
+  if (firebase.functions) firebase.functions().useEmulator('localhost', 5001);
+}
+
 /**
  * Listen to connection status changes. Useful for updating the UI when
  * the client goes offline or comes back online. The callback receives
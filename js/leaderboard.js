@@ -0,0 +1,101 @@
+/**
+ * Leaderboards shared by the user and admin panels. Standings are kept
+ * under `/leaderboards/{period}/{game}/{uid}` as
+ * `{name, matches, wins, points, earnings}`, where:
+ *
+ *   period  'all', an ISO week such as 'w2026-42' or a month such as
+ *           'm2026-10' (both in UTC)
+ *   game    'all' or a 'g_' key derived from the tournament's gameName
+ *
+ * Only admins write leaderboards, as part of publishing results, so the
+ * standings always follow published results rather than client writes.
+ */
+
+const Leaderboard = (() => {
+  /** Metrics players can be ranked by, with their display labels. */
+  const METRICS = {
+    points: 'Points',
+    wins: 'Wins',
+    earnings: 'Earnings'
+  };
+
+  /**
+   * Returns the database key for a game name.
+   *
+   * @param {string} gameName
+   * @returns {string}
+   */
+  function gameKey(gameName) {
+    return 'g_' + ((gameName || '').toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'other');
+  }
+
+  /**
+   * Returns the ISO week period key for a time.
+   *
+   * @param {number} time
+   * @returns {string}
+   */
+  function weekKey(time) {
+    const d = new Date(time);
+    const day = (d.getUTCDay() + 6) % 7; // Monday is 0
+    const thursday = Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate() - day + 3);
+    const year = new Date(thursday).getUTCFullYear();
+    const week = Math.floor((thursday - Date.UTC(year, 0, 1)) / (7 * 86400000)) + 1;
+    return 'w' + year + '-' + String(week).padStart(2, '0');
+  }
+
+  /**
+   * Returns the month period key for a time.
+   *
+   * @param {number} time
+   * @returns {string}
+   */
+  function monthKey(time) {
+    const d = new Date(time);
+    return 'm' + d.getUTCFullYear() + '-' + String(d.getUTCMonth() + 1).padStart(2, '0');
+  }
+
+  /**
+   * Returns the period key for a period name ('all', 'week' or 'month')
+   * at a given time.
+   *
+   * @param {string} period
+   * @param {number} time
+   * @returns {string}
+   */
+  function periodKey(period, time) {
+    if (period === 'week') return weekKey(time);
+    if (period === 'month') return monthKey(time);
+    return 'all';
+  }
+
+  /**
+   * Adds the leaderboard increments for one player's result to a
+   * multi-path update: the all-time, weekly and monthly boards, each
+   * overall and for the tournament's game.
+   *
+   * @param {Object} updates
+   * @param {string} uid
+   * @param {{name: string, gameName: string, time: number, won: boolean, points: number, prize: number}} result
+   */
+  function addResult(updates, uid, result) {
+    const inc = firebase.database.ServerValue.increment;
+    ['all', 'week', 'month'].forEach(period => {
+      ['all', gameKey(result.gameName)].forEach(game => {
+        const path = 'leaderboards/' + periodKey(period, result.time) + '/' + game + '/' + uid + '/';
+        updates[path + 'name'] = result.name || 'Player';
+        updates[path + 'matches'] = inc(1);
+        updates[path + 'wins'] = inc(result.won ? 1 : 0);
+        updates[path + 'points'] = inc(result.points || 0);
+        updates[path + 'earnings'] = inc(result.prize || 0);
+      });
+    });
+  }
+
+  return {
+    METRICS,
+    gameKey,
+    periodKey,
+    addResult
+  };
+})();
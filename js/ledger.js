@@ -0,0 +1,167 @@
+/**
+ * Wallet ledger shared by the user and admin panels. Every change to a
+ * user's wallet is recorded as an immutable entry under
+ * `/walletHistory/{uid}/{entryId}` and the wallet fields under
+ * `/users/{uid}/wallet` are derived from those entries:
+ *
+ *   balance        = sum of entry deltas
+ *   totalEarned    = sum of prize amounts
+ *   totalWithdrawn = sum of approved withdrawal amounts
+ *
+ * Entries carry the balance before and after they were applied, and the
+ * wallet keeps a `lastEntry` pointer to the newest entry. The database
+ * rules use these to check that each entry starts from the stored
+ * balance and that the wallet lands exactly on its `balanceAfter`, so a
+ * write computed from a stale balance is rejected and retried instead of
+ * silently overwriting a concurrent change.
+ */
+
+const Ledger = (() => {
+  /**
+   * Known entry types. `sign` is applied to the entry amount to get its
+   * effect on the balance; `earned` and `withdrawn` mark types counted
+   * towards `totalEarned` and `totalWithdrawn`.
+   */
+  const TYPES = {
+    join_fee: { sign: -1, label: 'Entry fee' },
+    prize: { sign: 1, earned: true, label: 'Prize' },
+    refund: { sign: 1, label: 'Refund' },
+    deposit: { sign: 1, label: 'Deposit' },
+    withdrawal: { sign: -1, label: 'Withdrawal' },
+    withdrawal_refund: { sign: 1, label: 'Withdrawal refund' },
+    withdrawal_approved: { sign: 0, withdrawn: true, label: 'Withdrawal paid' },
+    adjustment_credit: { sign: 1, label: 'Manual credit' },
+    adjustment_debit: { sign: -1, label: 'Manual debit' }
+  };
+
+  /** Number of times a commit is attempted before giving up. */
+  const MAX_ATTEMPTS = 3;
+
+  /**
+   * Returns the signed effect of an entry on the balance. Entries
+   * written before the ledger existed have no `delta`, so it is derived
+   * from the type.
+   *
+   * @param {Object} entry
+   * @returns {number}
+   */
+  function deltaOf(entry) {
+    if (typeof entry.delta === 'number') return entry.delta;
+    const type = TYPES[entry.type];
+    return type ? type.sign * (entry.amount || 0) : 0;
+  }
+
+  /**
+   * Returns a display label for an entry type.
+   *
+   * @param {string} type
+   * @returns {string}
+   */
+  function labelOf(type) {
+    return TYPES[type] ? TYPES[type].label : type;
+  }
+
+  /**
+   * Derives wallet totals from a list of entries in the order they were
+   * written. Also reports the first entry whose `balanceBefore` does not
+   * follow from the entries before it.
+   *
+   * @param {Array<Object>} entries
+   * @returns {{balance: number, totalEarned: number, totalWithdrawn: number, brokenAt: string|null}}
+   */
+  function summarize(entries) {
+    const result = { balance: 0, totalEarned: 0, totalWithdrawn: 0, brokenAt: null };
+    entries.forEach(entry => {
+      const type = TYPES[entry.type] || {};
+      if (result.brokenAt === null && typeof entry.balanceBefore === 'number' &&
+          entry.balanceBefore !== result.balance) {
+        result.brokenAt = entry.id || entry.createdAt;
+      }
+      result.balance += deltaOf(entry);
+      if (type.earned) result.totalEarned += entry.amount || 0;
+      if (type.withdrawn) result.totalWithdrawn += entry.amount || 0;
+    });
+    return result;
+  }
+
+  /**
+   * Writes ledger entries together with any other paths in a single
+   * multi-path update. Each entry is `{uid, type, amount, ref, note}`
+   * where `ref` is `{kind, id}` pointing at the tournament, withdrawal
+   * or other record that caused it. At most one entry per user can be
+   * written per commit.
+   *
+   * The analytics counters for the entries are added to the same update.
+   * Current wallets are read first to compute the new balances. If the
+   * write is rejected (for example because the balance changed in the
+   * meantime) it is retried with fresh values. Rejects with an error
+   * whose `code` is `insufficient-funds` when a debit would take a
+   * balance below zero.
+   *
+   * @param {Array<Object>} entries
+   * @param {Object} [extraUpdates] Additional paths to write atomically.
+   * @returns {Promise<Object>} Resolves with the new entry id per uid.
+   */
+  function commit(entries, extraUpdates = {}) {
+    const uids = entries.map(e => e.uid);
+    if (new Set(uids).size !== uids.length) {
+      return Promise.reject(new Error('Only one ledger entry per user can be committed at once.'));
+    }
+    const unknown = entries.find(e => !TYPES[e.type]);
+    if (unknown) {
+      return Promise.reject(new Error('Unknown ledger entry type: ' + unknown.type));
+    }
+    const attempt = (remaining) => {
+      return Promise.all(uids.map(uid => db.ref('users/' + uid + '/wallet').once('value'))).then(snaps => {
+        const updates = Object.assign({}, extraUpdates);
+        const entryIds = {};
+        const counted = [];
+        entries.forEach((e, i) => {
+          const wallet = snaps[i].val() || {};
+          const type = TYPES[e.type];
+          const before = wallet.balance || 0;
+          const delta = type.sign * e.amount;
+          const after = before + delta;
+          if (after < 0) {
+            const err = new Error('Insufficient wallet balance.');
+            err.code = 'insufficient-funds';
+            throw err;
+          }
+          const entryId = db.ref('walletHistory/' + e.uid).push().key;
+          const walletPath = 'users/' + e.uid + '/wallet/';
+          updates['walletHistory/' + e.uid + '/' + entryId] = {
+            type: e.type,
+            amount: e.amount,
+            delta: delta,
+            balanceBefore: before,
+            balanceAfter: after,
+            ref: e.ref || null,
+            note: e.note || '',
+            by: firebase.auth().currentUser.uid,
+            createdAt: firebase.database.ServerValue.TIMESTAMP
+          };
+          updates[walletPath + 'balance'] = after;
+          updates[walletPath + 'lastEntry'] = entryId;
+          if (type.earned) updates[walletPath + 'totalEarned'] = (wallet.totalEarned || 0) + e.amount;
+          if (type.withdrawn) updates[walletPath + 'totalWithdrawn'] = (wallet.totalWithdrawn || 0) + e.amount;
+          entryIds[e.uid] = entryId;
+          counted.push({ type: e.type, amount: e.amount, delta: delta });
+        });
+        Analytics.addLedger(updates, counted);
+        return db.ref().update(updates).then(() => entryIds);
+      }).catch(err => {
+        if (err.code === 'insufficient-funds' || remaining <= 1) throw err;
+        return attempt(remaining - 1);
+      });
+    };
+    return attempt(MAX_ATTEMPTS);
+  }
+
+  return {
+    TYPES,
+    deltaOf,
+    labelOf,
+    summarize,
+    commit
+  };
+})();
@@ -0,0 +1,162 @@
+/**
+ * In-app notifications shared by the user and admin panels. Each user
+ * has a feed under `/notifications/{uid}/{notificationId}` as
+ * `{type, title, body, link, read, createdAt}`, where `link` is an app
+ * route such as `/wallet` opened when the notification is tapped.
+ *
+ * Announcements to everyone are stored once under
+ * `/announcements/{announcementId}` as `{title, body, link, by,
+ * createdAt}` instead of being copied to every user; each user's read
+ * and cleared state for them is kept in
+ * `/announcementState/{uid}/{announcementId}`. Announcements to the
+ * players of one tournament are written to their feeds directly.
+ *
+ * Browser notifications are shown through the service worker in
+ * `sw.js`, so tapping one focuses the app at the notification's link.
+ * They are shown while the app is open in some tab; there is no push
+ * server to wake a closed app.
+ */
+
+const Notifications = (() => {
+  /** Notification types with their icons in the feed. */
+  const TYPES = {
+    withdrawal: '💸',
+    results: '🏆',
+    room: '🎮',
+    announcement: '📢'
+  };
+
+  /** Longest title and body the rules accept. */
+  const MAX_TITLE_LENGTH = 100;
+  const MAX_BODY_LENGTH = 500;
+
+  /**
+   * Adds a notification for one user to a multi-path update. Long
+   * titles and bodies are cut to what the rules accept.
+   *
+   * @param {Object} updates
+   * @param {string} uid
+   * @param {{type: string, title: string, body: string, link?: string}} notification
+   * @returns {Object} The same updates object.
+   */
+  function add(updates, uid, notification) {
+    const id = db.ref('notifications/' + uid).push().key;
+    updates['notifications/' + uid + '/' + id] = {
+      type: notification.type,
+      title: notification.title.slice(0, MAX_TITLE_LENGTH),
+      body: (notification.body || '').slice(0, MAX_BODY_LENGTH),
+      link: notification.link || null,
+      read: false,
+      createdAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    return updates;
+  }
+
+  /**
+   * Adds the same notification for several users to a multi-path update.
+   *
+   * @param {Object} updates
+   * @param {Array<string>} uids
+   * @param {Object} notification
+   * @returns {Object} The same updates object.
+   */
+  function addToMany(updates, uids, notification) {
+    new Set(uids).forEach(uid => add(updates, uid, notification));
+    return updates;
+  }
+
+  /**
+   * Adds an announcement to everyone to a multi-path update.
+   *
+   * @param {Object} updates
+   * @param {{title: string, body: string, link?: string}} announcement
+   * @returns {Object} The same updates object.
+   */
+  function addAnnouncement(updates, announcement) {
+    const id = db.ref('announcements').push().key;
+    updates['announcements/' + id] = {
+      title: announcement.title,
+      body: announcement.body || '',
+      link: announcement.link || null,
+      by: firebase.auth().currentUser.uid,
+      createdAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    return updates;
+  }
+
+  /**
+   * Registers the service worker used to show browser notifications.
+   * `onNavigate` is called with a notification's link when the worker
+   * asks this tab to open it. Resolves with the registration, or null
+   * when unsupported.
+   *
+   * @param {function(string)} onNavigate
+   * @returns {Promise<ServiceWorkerRegistration|null>}
+   */
+  function registerWorker(onNavigate) {
+    if (!('serviceWorker' in navigator) || !('Notification' in window)) return Promise.resolve(null);
+    navigator.serviceWorker.addEventListener('message', event => {
+      if (event.data && event.data.type === 'navigate') onNavigate(event.data.link);
+    });
+    return navigator.serviceWorker.register('sw.js').catch(err => {
+      console.error(err);
+      return null;
+    });
+  }
+
+  /**
+   * Returns whether browser notifications can be shown, or 'default'
+   * when the user has not been asked yet.
+   *
+   * @returns {boolean|string}
+   */
+  function browserPermission() {
+    if (!('Notification' in window)) return false;
+    return Notification.permission === 'default' ? 'default' : Notification.permission === 'granted';
+  }
+
+  /**
+   * Asks the user to allow browser notifications. Resolves true when
+   * they are allowed.
+   *
+   * @returns {Promise<boolean>}
+   */
+  function requestBrowserPermission() {
+    if (!('Notification' in window)) return Promise.resolve(false);
+    return Promise.resolve(Notification.requestPermission()).then(result => result === 'granted');
+  }
+
+  /**
+   * Shows a browser notification through the service worker when
+   * allowed. `tag` keeps the same notification from showing twice when
+   * the app is open in several tabs.
+   *
+   * @param {{title: string, body: string, link?: string}} notification
+   * @param {string} tag
+   */
+  function showInBrowser(notification, tag) {
+    if (browserPermission() !== true || !('serviceWorker' in navigator)) return;
+    navigator.serviceWorker.ready.then(registration => {
+      return registration.showNotification(notification.title, {
+        body: notification.body || '',
+        tag: tag,
+        data: { link: notification.link || '/notifications' }
+      });
+    }).catch(err => {
+      console.error(err);
+    });
+  }
+
+  return {
+    TYPES,
+    MAX_TITLE_LENGTH,
+    MAX_BODY_LENGTH,
+    add,
+    addToMany,
+    addAnnouncement,
+    registerWorker,
+    browserPermission,
+    requestBrowserPermission,
+    showInBrowser
+  };
+})();
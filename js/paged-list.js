@@ -0,0 +1,274 @@
+/**
+ * Live, paginated lists for the admin panel. Instead of listening to a
+ * whole node and rebuilding the list on every change, a list loads one
+ * page of the newest records at a time and patches its rows as records
+ * are added, changed or removed.
+ *
+ * Pages are contiguous ranges of an indexed query. Loading a page first
+ * fetches the next `pageSize` records older than the current cursor to
+ * find where the page ends, then listens to exactly that range with
+ * `child_added`, `child_changed` and `child_removed`. The first page's
+ * range has no upper end, so new records show up at the top. Searches
+ * listen to a few limited queries instead and show their union.
+ *
+ * Rows are kept sorted newest first by the `sortBy` child, then by key.
+ */
+
+const PagedList = (() => {
+  /**
+   * Returns the position of a value's type in the database sort order:
+   * null, false, true, numbers, strings, then objects.
+   *
+   * @param {*} value
+   * @returns {number}
+   */
+  function typeRank(value) {
+    if (value === null || value === undefined) return 0;
+    if (value === false) return 1;
+    if (value === true) return 2;
+    if (typeof value === 'number') return 3;
+    if (typeof value === 'string') return 4;
+    return 5;
+  }
+
+  /**
+   * Compares two (value, key) pairs in database order.
+   *
+   * @param {{value: *, key: string}} a
+   * @param {{value: *, key: string}} b
+   * @returns {number}
+   */
+  function compare(a, b) {
+    const ra = typeRank(a.value);
+    const rb = typeRank(b.value);
+    if (ra !== rb) return ra - rb;
+    if (ra >= 3 && ra <= 4 && a.value !== b.value) return a.value < b.value ? -1 : 1;
+    return a.key < b.key ? -1 : a.key > b.key ? 1 : 0;
+  }
+
+  /**
+   * Creates a list in a container. A "Load more" button is added after
+   * the container.
+   *
+   * @param {HTMLElement} container
+   * @param {{pageSize?: number, sortBy: string, render: function(string, Object): HTMLElement, emptyText?: string}} options
+   * @returns {{page: function, search: function, stop: function}}
+   */
+  function create(container, options) {
+    const pageSize = options.pageSize || 25;
+    const emptyText = options.emptyText || 'Nothing to show.';
+    const moreBtn = document.createElement('button');
+    moreBtn.className = 'primary paged-more';
+    moreBtn.type = 'button';
+    moreBtn.textContent = 'Load more';
+    moreBtn.style.display = 'none';
+    container.after(moreBtn);
+
+    let rows = new Map();
+    let listeners = [];
+    let source = null;
+    let cursor = null;
+    let generation = 0;
+
+    /**
+     * Shows the empty message when there are no rows.
+     */
+    function updateEmpty() {
+      const empty = container.querySelector('.paged-empty');
+      if (rows.size && empty) empty.remove();
+      if (!rows.size && !empty) {
+        const p = document.createElement('p');
+        p.className = 'paged-empty';
+        p.textContent = emptyText;
+        container.appendChild(p);
+      }
+    }
+
+    /**
+     * Adds or re-renders a row, keeping rows sorted newest first.
+     *
+     * @param {firebase.database.DataSnapshot} snap
+     * @param {string} from Id of the listener that reported the record.
+     */
+    function upsert(snap, from) {
+      const data = snap.val();
+      const existing = rows.get(snap.key);
+      const el = options.render(snap.key, data);
+      el.dataset.id = snap.key;
+      const row = {
+        key: snap.key,
+        value: data[options.sortBy] === undefined ? null : data[options.sortBy],
+        el: el,
+        sources: existing ? existing.sources : new Set()
+      };
+      row.sources.add(from);
+      if (existing) existing.el.remove();
+      rows.set(snap.key, row);
+      // insert before the newest row that sorts below this one
+      let before = null;
+      rows.forEach(other => {
+        if (other !== row && compare(other, row) < 0 && (!before || compare(other, before) > 0)) before = other;
+      });
+      if (before) {
+        container.insertBefore(el, before.el);
+      } else {
+        container.appendChild(el);
+      }
+      updateEmpty();
+    }
+
+    /**
+     * Removes a row once no listener reports its record any more.
+     *
+     * @param {firebase.database.DataSnapshot} snap
+     * @param {string} from
+     */
+    function remove(snap, from) {
+      const row = rows.get(snap.key);
+      if (!row) return;
+      row.sources.delete(from);
+      if (row.sources.size) return;
+      row.el.remove();
+      rows.delete(snap.key);
+      updateEmpty();
+    }
+
+    /**
+     * Patches rows from a query's child events until the list is stopped.
+     *
+     * @param {firebase.database.Query} query
+     */
+    function listen(query) {
+      const from = String(listeners.length);
+      const handlers = {
+        child_added: snap => upsert(snap, from),
+        child_changed: snap => upsert(snap, from),
+        child_removed: snap => remove(snap, from)
+      };
+      Object.keys(handlers).forEach(event => query.on(event, handlers[event]));
+      listeners.push({ query: query, handlers: handlers });
+    }
+
+    /**
+     * Stops every listener and clears the rows.
+     */
+    function stop() {
+      generation++;
+      listeners.forEach(({ query, handlers }) => {
+        Object.keys(handlers).forEach(event => query.off(event, handlers[event]));
+      });
+      listeners = [];
+      rows = new Map();
+      source = null;
+      cursor = null;
+      container.innerHTML = '';
+      moreBtn.style.display = 'none';
+    }
+
+    /**
+     * Loads the page older than the cursor and listens to its range.
+     */
+    function loadPage() {
+      const current = generation;
+      const { query, equalTo } = source;
+      let fetch = equalTo !== undefined ? query.startAt(equalTo) : query;
+      if (cursor) {
+        fetch = fetch.endBefore(cursor.value, cursor.key);
+      } else if (equalTo !== undefined) {
+        fetch = fetch.endAt(equalTo);
+      }
+      moreBtn.disabled = true;
+      return fetch.limitToLast(pageSize).once('value').then(snap => {
+        if (current !== generation) return;
+        const skeleton = container.querySelector('.skeleton');
+        if (skeleton) skeleton.remove();
+        let oldest = null;
+        snap.forEach(child => {
+          if (!oldest) {
+            oldest = { key: child.key, value: equalTo !== undefined ? equalTo : child.child(source.orderBy).val() };
+          }
+        });
+        const full = snap.numChildren() >= pageSize;
+        let range = query;
+        if (full) {
+          range = range.startAt(oldest.value, oldest.key);
+        } else if (equalTo !== undefined) {
+          range = range.startAt(equalTo);
+        }
+        if (cursor) {
+          range = range.endBefore(cursor.value, cursor.key);
+        } else if (equalTo !== undefined) {
+          range = range.endAt(equalTo);
+        }
+        listen(range);
+        cursor = full ? oldest : null;
+        moreBtn.style.display = full ? '' : 'none';
+        moreBtn.disabled = false;
+        updateEmpty();
+      }).catch(err => {
+        console.error(err);
+        moreBtn.disabled = false;
+        UI.showToast('Error loading list.');
+      });
+    }
+
+    /**
+     * Shows records of a node newest first by an indexed child, a page
+     * at a time, optionally only those whose child equals a value.
+     *
+     * @param {firebase.database.Reference} ref
+     * @param {string} orderBy Indexed child to page by.
+     * @param {*} [equalTo]
+     */
+    function page(ref, orderBy, equalTo) {
+      stop();
+      source = { query: ref.orderByChild(orderBy), orderBy: orderBy, equalTo: equalTo };
+      container.innerHTML = '<div class="skeleton"></div>';
+      loadPage();
+    }
+
+    /**
+     * Shows the union of a few limited queries, such as the matches of a
+     * search on several indexed children.
+     *
+     * @param {Array<firebase.database.Query>} queries
+     */
+    function search(queries) {
+      stop();
+      const current = generation;
+      queries.forEach(listen);
+      Promise.all(queries.map(q => q.once('value'))).then(() => {
+        if (current === generation) updateEmpty();
+      }, err => {
+        console.error(err);
+        UI.showToast('Error searching.');
+      });
+    }
+
+    moreBtn.addEventListener('click', loadPage);
+
+    return {
+      page,
+      search,
+      stop
+    };
+  }
+
+  /**
+   * Returns the queries matching a search prefix on indexed children.
+   *
+   * @param {firebase.database.Reference} ref
+   * @param {Array<string>} children
+   * @param {string} text
+   * @param {number} [limit]
+   * @returns {Array<firebase.database.Query>}
+   */
+  function prefixQueries(ref, children, text, limit = 25) {
+    return children.map(child => ref.orderByChild(child).startAt(text).endAt(text + '\uf8ff').limitToFirst(limit));
+  }
+
+  return {
+    create,
+    prefixQueries
+  };
+})();
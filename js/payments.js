@@ -0,0 +1,245 @@
+/**
+ * Deposit flow and payment provider adapters. A deposit moves through
+ * `/deposits/{depositId}` as follows:
+ *
+ *   1. A `pending` deposit record is written for the user.
+ *   2. The provider creates an order and either redirects the browser to
+ *      its checkout or collects the payment in place.
+ *   3. The provider's signed callback is sent to the payments backend
+ *      (functions/payments.js), which verifies the signature with a
+ *      secret only it holds. Only then is the wallet credited (through
+ *      the ledger) and the deposit marked `success`; anything else marks
+ *      it `failed`. The app waits for the deposit to leave `pending`.
+ *
+ * Providers are plain objects registered with registerProvider():
+ *
+ *   createOrder(deposit)      -> Promise<{providerOrderId, redirectUrl?}>
+ *   collect(deposit, order)   -> Promise<callback>  (in-place providers)
+ *
+ * A callback is `{depositId, providerOrderId, status, amount, signature}`.
+ * Redirect providers send the user back to the app with the callback in
+ * the `paymentCallback` query parameter (base64 JSON).
+ *
+ * Deposits are off until a super-admin picks a provider in
+ * `appSettings/paymentProvider`. The bundled `mock` provider signs its
+ * callbacks with a secret that ships in this file and settles them in
+ * the app through its `verifyCallback()`, so it is only registered when
+ * running against the emulators, whose rules are the only ones that let
+ * users credit themselves from mock deposits.
+ */
+
+const Payments = (() => {
+  const providers = {};
+
+  /**
+   * Registers a payment provider under a name.
+   *
+   * @param {string} name
+   * @param {Object} provider
+   */
+  function registerProvider(name, provider) {
+    providers[name] = provider;
+  }
+
+  /**
+   * Computes a hex HMAC-SHA256 signature using the Web Crypto API.
+   *
+   * @param {string} secret
+   * @param {string} message
+   * @returns {Promise<string>}
+   */
+  function hmacHex(secret, message) {
+    const enc = new TextEncoder();
+    return crypto.subtle.importKey('raw', enc.encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign'])
+      .then(key => crypto.subtle.sign('HMAC', key, enc.encode(message)))
+      .then(sig => Array.from(new Uint8Array(sig)).map(b => b.toString(16).padStart(2, '0')).join(''));
+  }
+
+  /**
+   * Returns the string a callback signature covers.
+   *
+   * @param {Object} callback
+   * @returns {string}
+   */
+  function signedFields(callback) {
+    return [callback.depositId, callback.providerOrderId, callback.status, callback.amount].join('|');
+  }
+
+  /** How long the app waits for the backend to settle a deposit. */
+  const SETTLE_TIMEOUT_MS = 60 * 1000;
+
+  /**
+   * Local mock gateway. Collects payment through the mock checkout modal
+   * in index.html where the tester chooses to pay or fail.
+   */
+  const MOCK_SECRET = 'mock-gateway-secret';
+  if (USE_EMULATORS) registerProvider('mock', {
+    createOrder(deposit) {
+      return Promise.resolve({ providerOrderId: 'mock_' + deposit.id });
+    },
+    collect(deposit, order) {
+      return new Promise(resolve => {
+        document.getElementById('mockGatewayAmount').textContent = '₹' + deposit.amount;
+        const finish = (status) => {
+          UI.closeModal('mockGatewayModal');
+          const callback = {
+            depositId: deposit.id,
+            providerOrderId: order.providerOrderId,
+            status: status,
+            amount: deposit.amount
+          };
+          hmacHex(MOCK_SECRET, signedFields(callback)).then(signature => {
+            resolve(Object.assign(callback, { signature: signature }));
+          });
+        };
+        document.getElementById('mockGatewayPayBtn').onclick = () => finish('success');
+        document.getElementById('mockGatewayFailBtn').onclick = () => finish('failed');
+        UI.showModal('mockGatewayModal');
+      });
+    },
+    verifyCallback(callback) {
+      return hmacHex(MOCK_SECRET, signedFields(callback)).then(expected => expected === callback.signature);
+    }
+  });
+
+  /**
+   * Starts a deposit for the signed-in user with the provider configured
+   * in `appSettings/paymentProvider`. Resolves with the deposit status
+   * (`success`, `failed`, or `pending` while the backend has not settled
+   * it yet), or never resolves if the provider redirects the browser
+   * away. Rejects with an error whose `code` is `deposits-unavailable`
+   * when no provider is set or it is not available in this app.
+   *
+   * @param {number} amount
+   * @returns {Promise<string>}
+   */
+  function startDeposit(amount) {
+    const uid = firebase.auth().currentUser.uid;
+    return db.ref('appSettings/paymentProvider').once('value').then(snap => {
+      const providerName = snap.val();
+      const provider = providerName ? providers[providerName] : null;
+      if (!provider) {
+        const err = new Error(providerName ? 'Unknown payment provider: ' + providerName : 'Deposits are turned off.');
+        err.code = 'deposits-unavailable';
+        throw err;
+      }
+      const ref = db.ref('deposits').push();
+      const deposit = { id: ref.key, uid: uid, amount: amount, provider: providerName };
+      return ref.set({
+        uid: uid,
+        amount: amount,
+        provider: providerName,
+        status: 'pending',
+        providerOrderId: '',
+        createdAt: Date.now(),
+        updatedAt: Date.now()
+      }).then(() => provider.createOrder(deposit)).then(order => {
+        return ref.update({ providerOrderId: order.providerOrderId, updatedAt: Date.now() }).then(() => {
+          if (order.redirectUrl) {
+            window.location.assign(order.redirectUrl);
+            return new Promise(() => {});
+          }
+          return provider.collect(deposit, order).then(handleCallback);
+        });
+      });
+    });
+  }
+
+  /**
+   * Resolves with the status of a deposit once it is no longer pending,
+   * or with `pending` if that takes longer than SETTLE_TIMEOUT_MS.
+   *
+   * @param {string} depositId
+   * @returns {Promise<string>}
+   */
+  function waitForSettlement(depositId) {
+    const ref = db.ref('deposits/' + depositId + '/status');
+    return new Promise(resolve => {
+      let timer = null;
+      let listener = null;
+      const finish = (status) => {
+        clearTimeout(timer);
+        ref.off('value', listener);
+        resolve(status);
+      };
+      timer = setTimeout(() => finish('pending'), SETTLE_TIMEOUT_MS);
+      listener = ref.on('value', snap => {
+        if (snap.val() !== 'pending') finish(snap.val());
+      }, () => finish('pending'));
+    });
+  }
+
+  /**
+   * Settles a deposit from a provider callback. Deposits of providers
+   * settled by the backend are only waited on; the mock provider's
+   * callbacks are verified and credited here. Callbacks for deposits
+   * that are no longer pending are ignored, so a replayed or duplicated
+   * callback cannot credit twice (the rules enforce the same
+   * pending-to-success transition). Resolves with the deposit status.
+   *
+   * @param {Object} callback
+   * @returns {Promise<string>}
+   */
+  function handleCallback(callback) {
+    const ref = db.ref('deposits/' + callback.depositId);
+    return ref.once('value').then(snap => {
+      const deposit = snap.val();
+      if (!deposit) throw new Error('Unknown deposit: ' + callback.depositId);
+      if (deposit.status !== 'pending') return deposit.status;
+      const provider = providers[deposit.provider];
+      if (!provider || !provider.verifyCallback) return waitForSettlement(snap.key);
+      return provider.verifyCallback(callback).then(valid => {
+        const matches = valid &&
+          callback.providerOrderId === deposit.providerOrderId &&
+          Number(callback.amount) === deposit.amount;
+        if (!matches || callback.status !== 'success') {
+          return ref.update({
+            status: 'failed',
+            failureReason: matches ? 'Payment ' + callback.status : 'Callback verification failed',
+            updatedAt: Date.now()
+          }).then(() => 'failed');
+        }
+        const updates = {};
+        updates['deposits/' + snap.key + '/status'] = 'success';
+        updates['deposits/' + snap.key + '/updatedAt'] = Date.now();
+        return Ledger.commit([{
+          uid: deposit.uid,
+          type: 'deposit',
+          amount: deposit.amount,
+          ref: { kind: 'deposit', id: snap.key },
+          note: 'Added money via ' + deposit.provider
+        }], updates).then(() => 'success');
+      });
+    });
+  }
+
+  /**
+   * Settles a deposit when the app is loaded from a provider redirect.
+   * Reads the `paymentCallback` query parameter, removes it from the URL
+   * and resolves with the deposit status, or null when there is none.
+   *
+   * @returns {Promise<string|null>}
+   */
+  function resumeFromRedirect() {
+    const params = new URLSearchParams(window.location.search);
+    const encoded = params.get('paymentCallback');
+    if (!encoded) return Promise.resolve(null);
+    params.delete('paymentCallback');
+    const query = params.toString();
+    history.replaceState(null, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+    let callback;
+    try {
+      callback = JSON.parse(atob(encoded));
+    } catch (err) {
+      return Promise.reject(err);
+    }
+    return handleCallback(callback);
+  }
+
+  return {
+    registerProvider,
+    startDeposit,
+    handleCallback,
+    resumeFromRedirect
+  };
+})();
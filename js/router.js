@@ -0,0 +1,112 @@
+/**
+ * Minimal hash router for the user app. Routes are paths such as
+ * `/tournaments/:id` matched against `location.hash` (`#/tournaments/abc`),
+ * so the browser back and forward buttons move between pages and any
+ * page can be linked to directly. The query string is left alone, which
+ * keeps the tournament filters in the URL when navigating.
+ */
+
+const Router = (() => {
+  const routes = [];
+  let fallback = null;
+  let currentPath = null;
+
+  /**
+   * Registers a route. `:name` segments match any single path segment
+   * and are passed to the handler as params.
+   *
+   * @param {string} pattern
+   * @param {function(Object)} handler
+   */
+  function add(pattern, handler) {
+    const keys = [];
+    const source = pattern.split('/').map(part => {
+      if (part.startsWith(':')) {
+        keys.push(part.slice(1));
+        return '([^/]+)';
+      }
+      return part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }).join('/');
+    routes.push({ regex: new RegExp('^' + source + '$'), keys: keys, handler: handler });
+  }
+
+  /**
+   * Sets the path to show when the hash matches no route.
+   *
+   * @param {string} path
+   */
+  function otherwise(path) {
+    fallback = path;
+  }
+
+  /**
+   * Returns the path in the current hash, or `/` when there is none.
+   *
+   * @returns {string}
+   */
+  function currentHashPath() {
+    return window.location.hash.replace(/^#/, '') || '/';
+  }
+
+  /**
+   * Runs the handler for the current hash.
+   */
+  function resolve() {
+    const path = currentHashPath();
+    for (const route of routes) {
+      const match = route.regex.exec(path);
+      if (match) {
+        const params = {};
+        route.keys.forEach((key, i) => {
+          params[key] = decodeURIComponent(match[i + 1]);
+        });
+        currentPath = path;
+        route.handler(params);
+        return;
+      }
+    }
+    if (fallback !== null && fallback !== path) {
+      history.replaceState(history.state, '', '#' + fallback);
+      resolve();
+    }
+  }
+
+  /**
+   * Navigates to a path, adding a history entry. Navigating to the
+   * current path re-runs its handler.
+   *
+   * @param {string} path
+   */
+  function navigate(path) {
+    if (path === currentHashPath()) {
+      resolve();
+    } else {
+      window.location.hash = '#' + path;
+    }
+  }
+
+  /**
+   * Returns the path of the route currently shown.
+   *
+   * @returns {string|null}
+   */
+  function current() {
+    return currentPath;
+  }
+
+  /**
+   * Starts listening for hash changes and shows the current route.
+   */
+  function start() {
+    window.addEventListener('hashchange', resolve);
+    resolve();
+  }
+
+  return {
+    add,
+    otherwise,
+    navigate,
+    current,
+    start
+  };
+})();
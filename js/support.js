@@ -0,0 +1,177 @@
+/**
+ * Support tickets shared by the user and admin panels. A ticket lives
+ * under `/supportTickets/{ticketId}` as
+ * `{uid, userName, subject, link, status, assignedTo, assignedName,
+ * createdAt, lastMessageAt, lastMessageBy, unreadByUser, unreadByAdmin}`
+ * and its chat under `/supportMessages/{ticketId}/{messageId}` as
+ * `{from, role, text, createdAt}`, where role is 'user', 'admin' or
+ * 'auto' for the configured auto-reply. `link` optionally points at the
+ * tournament or withdrawal the ticket is about as `{kind, id}`.
+ *
+ * Each side keeps an unread counter for the other: sending a message
+ * bumps the other side's counter and opening the ticket resets one's
+ * own. Blocked users can still open and answer tickets.
+ */
+
+const Support = (() => {
+  /** Display labels for ticket statuses. */
+  const STATUSES = {
+    open: 'Open',
+    resolved: 'Resolved'
+  };
+
+  /** Longest message the rules accept. */
+  const MAX_MESSAGE_LENGTH = 1000;
+
+  /**
+   * Returns the unread counter field read by the given side.
+   *
+   * @param {string} role 'user' or 'admin'
+   * @returns {string}
+   */
+  function unreadField(role) {
+    return role === 'admin' ? 'unreadByAdmin' : 'unreadByUser';
+  }
+
+  /**
+   * Builds a message record.
+   *
+   * @param {string} role
+   * @param {string} text
+   * @returns {Object}
+   */
+  function message(role, text) {
+    return {
+      from: firebase.auth().currentUser.uid,
+      role: role,
+      text: text,
+      createdAt: firebase.database.ServerValue.TIMESTAMP
+    };
+  }
+
+  /**
+   * Opens a ticket for the signed-in user with its first message. When
+   * an auto-reply is configured it is added after the first message in
+   * the same write. Resolves with the new ticket id.
+   *
+   * @param {{userName: string, subject: string, text: string, link?: Object, autoReply?: string}} ticket
+   * @returns {Promise<string>}
+   */
+  function openTicket(ticket) {
+    const uid = firebase.auth().currentUser.uid;
+    const ticketId = db.ref('supportTickets').push().key;
+    const messagesPath = 'supportMessages/' + ticketId + '/';
+    const updates = {};
+    updates['supportTickets/' + ticketId] = {
+      uid: uid,
+      userName: ticket.userName || 'Player',
+      subject: ticket.subject,
+      link: ticket.link || null,
+      status: 'open',
+      createdAt: firebase.database.ServerValue.TIMESTAMP,
+      lastMessageAt: firebase.database.ServerValue.TIMESTAMP,
+      lastMessageBy: 'user',
+      unreadByUser: 0,
+      unreadByAdmin: 1
+    };
+    updates[messagesPath + db.ref(messagesPath).push().key] = message('user', ticket.text);
+    if (ticket.autoReply) {
+      updates[messagesPath + db.ref(messagesPath).push().key] = message('auto', ticket.autoReply);
+    }
+    return db.ref().update(updates).then(() => ticketId);
+  }
+
+  /**
+   * Sends a message on a ticket and bumps the other side's unread
+   * counter. A user writing on a resolved ticket reopens it.
+   *
+   * @param {string} ticketId
+   * @param {string} role 'user' or 'admin'
+   * @param {string} text
+   * @returns {Promise}
+   */
+  function sendMessage(ticketId, role, text) {
+    const ticketPath = 'supportTickets/' + ticketId + '/';
+    const messagesPath = 'supportMessages/' + ticketId + '/';
+    const updates = {};
+    updates[messagesPath + db.ref(messagesPath).push().key] = message(role, text);
+    updates[ticketPath + 'lastMessageAt'] = firebase.database.ServerValue.TIMESTAMP;
+    updates[ticketPath + 'lastMessageBy'] = role;
+    updates[ticketPath + unreadField(role === 'admin' ? 'user' : 'admin')] = firebase.database.ServerValue.increment(1);
+    if (role === 'user') updates[ticketPath + 'status'] = 'open';
+    return db.ref().update(updates);
+  }
+
+  /**
+   * Resets the unread counter of one side of a ticket.
+   *
+   * @param {string} ticketId
+   * @param {string} role 'user' or 'admin'
+   * @returns {Promise}
+   */
+  function markRead(ticketId, role) {
+    return db.ref('supportTickets/' + ticketId + '/' + unreadField(role)).set(0);
+  }
+
+  /**
+   * Returns the number of unread messages for one side of a ticket.
+   *
+   * @param {Object} ticket
+   * @param {string} role 'user' or 'admin'
+   * @returns {number}
+   */
+  function unreadCount(ticket, role) {
+    return ticket[unreadField(role)] || 0;
+  }
+
+  /**
+   * Returns a display label for a ticket's linked record.
+   *
+   * @param {Object|null} link
+   * @param {string} [title] Name of the linked record, when known.
+   * @returns {string}
+   */
+  function linkLabel(link, title) {
+    if (!link) return '';
+    const kind = link.kind === 'withdrawal' ? 'Withdrawal' : 'Tournament';
+    return kind + ': ' + (title || link.id);
+  }
+
+  /**
+   * Renders a ticket's messages into a container, oldest first, and
+   * scrolls to the newest. Messages from the viewing side are aligned
+   * to the right.
+   *
+   * @param {HTMLElement} container
+   * @param {firebase.database.DataSnapshot} snap Snapshot of the ticket's messages.
+   * @param {string} viewerRole 'user' or 'admin'
+   */
+  function renderMessages(container, snap, viewerRole) {
+    container.innerHTML = '';
+    snap.forEach(child => {
+      const m = child.val();
+      const own = m.role === viewerRole;
+      const sender = m.role === 'auto' ? 'Auto-reply' : m.role === 'admin' ? 'Support' : 'User';
+      const item = document.createElement('div');
+      item.className = 'support-message' + (own ? ' own' : '') + (m.role === 'auto' ? ' auto' : '');
+      item.innerHTML = `
+        <p class="support-message-meta">${own ? 'You' : sender} • ${m.createdAt ? new Date(m.createdAt).toLocaleString() : ''}</p>
+        <p class="support-message-text">${UI.escapeHtml(m.text)}</p>
+      `;
+      container.appendChild(item);
+    });
+    if (!container.children.length) container.innerHTML = '<p>No messages yet.</p>';
+    container.scrollTop = container.scrollHeight;
+  }
+
+  return {
+    STATUSES,
+    MAX_MESSAGE_LENGTH,
+    openTicket,
+    sendMessage,
+    markRead,
+    unreadCount,
+    linkLabel,
+    renderMessages
+  };
+})();
@@ -77,12 +77,30 @@ const UI = (() => {
     if (overlay) overlay.classList.remove('show');
   }
 
+  /**
+   * Escapes a value for safe interpolation into an HTML template. Use
+   * this for any user-supplied text (names, IGNs, notes) rendered via
+   * innerHTML.
+   *
+   * @param {*} value
+   * @returns {string}
+   */
+  function escapeHtml(value) {
+    return String(value == null ? '' : value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+
   return {
     init,
     showToast,
     openBottomSheet,
     closeBottomSheet,
     showModal,
-    closeModal
+    closeModal,
+    escapeHtml
   };
 })();
\ No newline at end of file
@@ -12,9 +12,9 @@
 document.addEventListener('DOMContentLoaded', () => {
   // Initialize UI helpers (toast etc.).
   UI.init();
-  // Sign in anonymously and then initialize the app.
-  Auth.signInAnon().then(() => {
-    const user = firebase.auth().currentUser;
+  // Reuse an existing session (e.g. an admin testing) or sign in
+  // anonymously, then initialize the app.
+  Auth.signInExistingOrAnon().then((user) => {
     initUserApp(user);
   }).catch((err) => {
     console.error(err);
@@ -29,35 +29,198 @@ document.addEventListener('DOMContentLoaded', () => {
  * @param {firebase.User} user The currently signed-in Firebase user.
  */
 function initUserApp(user) {
-  // Set up bottom navigation switching.
-  const navButtons = document.querySelectorAll('.bottom-nav button');
-  navButtons.forEach(btn => {
+  // Set up bottom navigation and routes; the page shown follows the
+  // URL hash so back/forward and shared links work.
+  document.querySelectorAll('.bottom-nav button').forEach(btn => {
     btn.addEventListener('click', () => {
-      navButtons.forEach(b => b.classList.remove('active'));
-      btn.classList.add('active');
-      const target = btn.getAttribute('data-target');
-      document.querySelectorAll('.page').forEach(pg => {
-        pg.classList.remove('active');
-      });
-      document.getElementById(target).classList.add('active');
-      // update title in app bar
-      document.getElementById('app-title').textContent = btn.dataset.title;
+      Router.navigate(btn.dataset.route);
     });
   });
-  // Activate home by default
-  document.querySelector('.bottom-nav button[data-target="homePage"]').click();
+  initRoutes();
 
+  // Watch maintenance mode and the join cooldown.
+  loadAppSettings(user.uid);
+  loadJoinCooldown(user.uid);
   // Load user profile and show setup modal if needed.
   loadUserProfile(user);
   // Load home page data: slider, categories, upcoming card.
   loadSlider();
   loadCategories();
   loadUpcoming();
-  // Load tournaments list.
+  // Restore tournament filters from the URL.
+  initFilters();
+  // Load tournaments list and the user's own joins.
   loadTournaments();
+  loadMyTournaments(user.uid);
+  // Wire up the leaderboard filters.
+  initLeaderboard();
   // Load wallet info.
   loadWallet(user.uid);
   loadWalletHistory(user.uid);
+  // Load the user's support tickets and notifications.
+  loadSupportTickets(user.uid);
+  loadNotifications(user.uid);
+  // Settle a deposit if we are returning from a payment gateway.
+  Payments.resumeFromRedirect().then((status) => {
+    if (status) showDepositResult(status);
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast('Unable to verify payment.');
+  });
+}
+
+/**
+ * Registers the app's routes with the router and shows the page for
+ * the current URL. Unknown paths fall back to the home page.
+ */
+function initRoutes() {
+  Router.add('/', () => showPage('homePage', 'Home'));
+  Router.add('/tournaments', () => showPage('tournamentsPage', 'Tournaments'));
+  Router.add('/tournaments/:id', (params) => openTournamentDetail(params.id));
+  Router.add('/my-tournaments', () => showPage('myTournamentsPage', 'My Tournaments'));
+  Router.add('/wallet', () => showPage('walletPage', 'Wallet'));
+  Router.add('/profile', () => showPage('profilePage', 'Profile'));
+  Router.add('/leaderboard', () => showPage('leaderboardPage', 'Leaderboard'));
+  Router.add('/support', () => openSupport());
+  Router.add('/support/:id', (params) => openSupportTicket(params.id));
+  Router.add('/notifications', () => openNotifications());
+  Router.otherwise('/');
+  Router.start();
+}
+
+/**
+ * Shows a page and updates the app bar title. The bottom nav button for
+ * the page (or for `navTarget`, for pages reached from another tab) is
+ * marked active. Called by the route handlers; use Router.navigate() to
+ * change pages.
+ *
+ * @param {string} target Id of the page section.
+ * @param {string} title
+ * @param {string} [navTarget]
+ */
+function showPage(target, title, navTarget = target) {
+  if (target !== 'tournamentDetailPage') closeTournamentDetail();
+  if (target !== 'supportTicketPage') closeSupportTicket();
+  document.querySelectorAll('.bottom-nav button').forEach(b => {
+    b.classList.toggle('active', b.getAttribute('data-target') === navTarget);
+  });
+  document.querySelectorAll('.page').forEach(pg => {
+    pg.classList.remove('active');
+  });
+  document.getElementById(target).classList.add('active');
+  // update title in app bar
+  document.getElementById('app-title').textContent = title;
+  if (target === 'leaderboardPage') openLeaderboard();
+}
+
+/**
+ * Latest `/appSettings` values, kept in sync by loadAppSettings().
+ */
+let appSettings = {};
+
+/**
+ * Whether the signed-in user is listed in `/adminUids` with a role in
+ * `/adminRoles`. Admins bypass the maintenance screen so they can test
+ * the app.
+ */
+let isAdminUser = false;
+
+/**
+ * Listens to `/appSettings` and shows or hides the maintenance screen
+ * live. Admins see a banner instead so they can keep testing.
+ *
+ * @param {string} uid
+ */
+function loadAppSettings(uid) {
+  Promise.all([
+    db.ref('adminUids/' + uid).once('value'),
+    db.ref('adminRoles/' + uid).once('value')
+  ]).then(([snap, roleSnap]) => {
+    isAdminUser = snap.val() === true && roleSnap.exists();
+    applyMaintenanceMode();
+  });
+  db.ref('appSettings').on('value', (snap) => {
+    appSettings = snap.val() || {};
+    applyMaintenanceMode();
+    updateJoinButtons();
+  });
+}
+
+/**
+ * Shows the maintenance screen (or the admin banner) according to the
+ * current settings.
+ */
+function applyMaintenanceMode() {
+  const on = !!appSettings.maintenanceMode;
+  document.getElementById('maintenanceScreen').classList.toggle('show', on && !isAdminUser);
+  document.getElementById('maintenanceBanner').style.display = on && isAdminUser ? 'block' : 'none';
+}
+
+/**
+ * Returns true when maintenance mode blocks money actions for this
+ * user, showing a toast if so.
+ *
+ * @returns {boolean}
+ */
+function blockedByMaintenance() {
+  if (appSettings.maintenanceMode && !isAdminUser) {
+    UI.showToast('The app is under maintenance.');
+    return true;
+  }
+  return false;
+}
+
+/**
+ * Server time of the user's last join (`/users/{uid}/lastJoinAt`) and
+ * the offset between the local clock and the server clock, used to
+ * count down the join cooldown.
+ */
+let lastJoinAt = 0;
+let serverTimeOffset = 0;
+let cooldownInterval;
+
+/**
+ * Listens to the user's last join time and the server clock offset,
+ * and ticks the cooldown countdown on the Join buttons once a second.
+ *
+ * @param {string} uid
+ */
+function loadJoinCooldown(uid) {
+  db.ref('.info/serverTimeOffset').on('value', (snap) => {
+    serverTimeOffset = snap.val() || 0;
+  });
+  db.ref('users/' + uid + '/lastJoinAt').on('value', (snap) => {
+    lastJoinAt = snap.val() || 0;
+    updateJoinButtons();
+  });
+  clearInterval(cooldownInterval);
+  cooldownInterval = setInterval(updateJoinButtons, 1000);
+}
+
+/**
+ * Returns the number of whole seconds left before the user may join
+ * another tournament, or 0 when there is no cooldown.
+ *
+ * @returns {number}
+ */
+function joinCooldownRemaining() {
+  const cooldownMs = (appSettings.joinCooldownSec || 0) * 1000;
+  if (!cooldownMs || !lastJoinAt) return 0;
+  const remaining = lastJoinAt + cooldownMs - (Date.now() + serverTimeOffset);
+  return remaining > 0 ? Math.ceil(remaining / 1000) : 0;
+}
+
+/**
+ * Updates every Join button with the cooldown countdown, disabling it
+ * until the cooldown has passed.
+ */
+function updateJoinButtons() {
+  const remaining = joinCooldownRemaining();
+  document.querySelectorAll('.join-btn').forEach(btn => {
+    if (btn.dataset.busy) return;
+    btn.disabled = remaining > 0;
+    btn.textContent = remaining > 0 ? 'Join in ' + remaining + 's' : 'Join';
+  });
 }
 
 /**
@@ -78,14 +241,18 @@ function loadUserProfile(user) {
       // Hide modal if open and update displayed name
       UI.closeModal('profileSetupModal');
       document.getElementById('userNameDisplay').textContent = data.name || 'User';
+      const stats = data.stats || {};
+      document.getElementById('userStatsDisplay').textContent =
+        'Matches: ' + (stats.matches || 0) + ' • Wins: ' + (stats.wins || 0) + ' • Points: ' + (stats.points || 0);
     }
   });
 }
 
 /**
- * Saves the user profile information entered in the setup modal. It
- * creates or overwrites the `/users/{uid}` node with the provided
- * details and initializes wallet and stats if they don't exist.
+ * Saves the user profile information entered in the setup modal. On
+ * first run it creates the `/users/{uid}` node with an empty wallet and
+ * stats, counting the signup for analytics; afterwards only the profile
+ * fields are updated.
  */
 function saveUserProfile() {
   const name = document.getElementById('setupName').value.trim();
@@ -97,24 +264,37 @@ function saveUserProfile() {
   }
   const uid = firebase.auth().currentUser.uid;
   const ref = db.ref('users/' + uid);
-  ref.set({
-    name: name,
-    phone: phone,
-    createdAt: Date.now(),
-    isBlocked: false,
-    gameProfiles: {
-      ign: ign
-    },
-    wallet: {
-      balance: 0,
-      totalEarned: 0,
-      totalWithdrawn: 0
-    },
-    stats: {
-      matches: 0,
-      wins: 0,
-      points: 0
+  ref.once('value').then((snap) => {
+    if (snap.exists()) {
+      // Editing an existing profile must never touch wallet or stats.
+      return ref.update({
+        name: name,
+        phone: phone,
+        'gameProfiles/ign': ign
+      });
     }
+    const updates = {};
+    updates['users/' + uid] = {
+      name: name,
+      phone: phone,
+      createdAt: Date.now(),
+      isBlocked: false,
+      gameProfiles: {
+        ign: ign
+      },
+      wallet: {
+        balance: 0,
+        totalEarned: 0,
+        totalWithdrawn: 0
+      },
+      stats: {
+        matches: 0,
+        wins: 0,
+        points: 0
+      }
+    };
+    Analytics.addSignup(updates);
+    return db.ref().update(updates);
   }).then(() => {
     UI.closeModal('profileSetupModal');
     UI.showToast('Profile saved!');
@@ -156,10 +336,7 @@ function renderSlider(slides) {
   const container = document.getElementById('sliderContainer');
   container.innerHTML = '';
   slides.forEach((slide) => {
-    const div = document.createElement('div');
-    div.className = 'slide';
-    div.style.backgroundImage = `url(${slide.imageUrl})`;
-    div.innerHTML = `<div class="slide-content"><h3>${slide.title}</h3></div>`;
+    const div = Content.slideElement(slide);
     div.addEventListener('click', () => {
       handleSlideClick(slide);
     });
@@ -177,17 +354,7 @@ let sliderInterval;
  */
 function startAutoPlay() {
   clearInterval(sliderInterval);
-  const slides = document.querySelectorAll('#sliderContainer .slide');
-  if (slides.length === 0) return;
-  let active = 0;
-  slides.forEach((s, i) => {
-    s.style.display = i === 0 ? 'block' : 'none';
-  });
-  sliderInterval = setInterval(() => {
-    slides[active].style.display = 'none';
-    active = (active + 1) % slides.length;
-    slides[active].style.display = 'block';
-  }, 4000);
+  sliderInterval = Content.autoPlay(document.getElementById('sliderContainer'));
 }
 
 /**
@@ -202,73 +369,268 @@ function handleSlideClick(slide) {
   if (slide.linkType === 'url') {
     window.open(slide.linkValue, '_blank');
   } else if (slide.linkType === 'tournament') {
-    document.querySelector('.bottom-nav button[data-target="tournamentsPage"]').click();
-    // Additional logic to focus on a tournament could go here
+    Router.navigate(slide.linkValue ? '/tournaments/' + slide.linkValue : '/tournaments');
   }
 }
 
 /**
  * Loads categories from the `/categories` path and renders them as
- * clickable chips. Only enabled categories are shown. When a chip
- * is clicked, the tournaments list is filtered by that category.
+ * clickable chips. Only enabled categories are shown. Chips on the home
+ * page open the tournament list filtered by that category; the chips in
+ * the filter bar toggle categories on and off, with "All" clearing them.
  */
 function loadCategories() {
   const catContainer = document.getElementById('categoriesContainer');
   db.ref('categories').orderByChild('order').on('value', (snap) => {
     catContainer.innerHTML = '';
+    categoriesCache = [];
     snap.forEach(child => {
       const cat = child.val();
       if (!cat.enabled) return;
-      const btn = document.createElement('button');
-      btn.className = 'category-chip';
-      btn.textContent = cat.name;
+      categoriesCache.push({ id: child.key, name: cat.name });
+      const btn = Content.categoryChip(cat.name);
       btn.addEventListener('click', () => {
         filterByCategory(child.key);
       });
       catContainer.appendChild(btn);
     });
+    renderFilterCategories();
   });
 }
 
+/** Enabled categories in display order, kept by loadCategories(). */
+let categoriesCache = [];
+
 /**
- * Stores the current filter state for tournaments. Category and search
- * are the two supported filters. When these values change, call
- * refreshTournamentList() to apply the filters.
+ * Stores the current filter state for tournaments. An empty
+ * `categories` list means all categories. When these values change,
+ * call applyFilters() to refresh the list and the URL.
  */
 const currentFilters = {
-  category: null,
-  search: ''
+  categories: [],
+  search: '',
+  feeMin: null,
+  feeMax: null,
+  freeOnly: false,
+  slotsAvailable: false,
+  status: '',
+  sort: 'start'
 };
 
 /**
- * Applies a category filter to the tournaments list and refreshes
- * the view. Passing null clears the filter.
+ * Query parameter names used to keep the filter state in the URL.
+ */
+const FILTER_PARAMS = {
+  categories: 'cat',
+  search: 'q',
+  feeMin: 'feeMin',
+  feeMax: 'feeMax',
+  freeOnly: 'free',
+  slotsAvailable: 'open',
+  status: 'status',
+  sort: 'sort'
+};
+
+/**
+ * Applies a single category filter from the home page chips and opens
+ * the tournaments page. Passing null clears the filter.
  *
  * @param {string|null} catId
  */
 function filterByCategory(catId) {
-  currentFilters.category = catId;
+  currentFilters.categories = catId ? [catId] : [];
+  applyFilters();
+  Router.navigate('/tournaments');
+}
+
+/**
+ * Renders the category chips in the filter bar, including "All".
+ */
+function renderFilterCategories() {
+  const container = document.getElementById('filterCategories');
+  container.innerHTML = '';
+  const chips = [{ id: null, name: 'All' }].concat(categoriesCache);
+  chips.forEach(cat => {
+    const btn = document.createElement('button');
+    const active = cat.id ? currentFilters.categories.includes(cat.id) : !currentFilters.categories.length;
+    btn.className = 'category-chip' + (active ? ' active' : '');
+    btn.textContent = cat.name;
+    btn.addEventListener('click', () => {
+      if (!cat.id) {
+        currentFilters.categories = [];
+      } else if (currentFilters.categories.includes(cat.id)) {
+        currentFilters.categories = currentFilters.categories.filter(id => id !== cat.id);
+      } else {
+        currentFilters.categories = currentFilters.categories.concat(cat.id);
+      }
+      applyFilters();
+    });
+    container.appendChild(btn);
+  });
+}
+
+/**
+ * Reads the filter state from the URL query string. Unknown or invalid
+ * values fall back to the defaults.
+ */
+function readFiltersFromUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const num = (value) => (value !== null && value !== '' && !isNaN(Number(value)) ? Number(value) : null);
+  const cat = params.get(FILTER_PARAMS.categories);
+  currentFilters.categories = cat ? cat.split(',').filter(Boolean) : [];
+  currentFilters.search = params.get(FILTER_PARAMS.search) || '';
+  currentFilters.feeMin = num(params.get(FILTER_PARAMS.feeMin));
+  currentFilters.feeMax = num(params.get(FILTER_PARAMS.feeMax));
+  currentFilters.freeOnly = params.get(FILTER_PARAMS.freeOnly) === '1';
+  currentFilters.slotsAvailable = params.get(FILTER_PARAMS.slotsAvailable) === '1';
+  const status = params.get(FILTER_PARAMS.status) || '';
+  currentFilters.status = ['upcoming', 'active', 'completed'].includes(status) ? status : '';
+  const sort = params.get(FILTER_PARAMS.sort) || 'start';
+  currentFilters.sort = TOURNAMENT_SORTS[sort] ? sort : 'start';
+}
+
+/**
+ * Writes the filter state to the URL query string without adding a
+ * history entry, leaving other parameters alone. Default values are
+ * left out so an unfiltered list keeps a clean URL.
+ */
+function writeFiltersToUrl() {
+  const params = new URLSearchParams(window.location.search);
+  const values = {
+    categories: currentFilters.categories.join(','),
+    search: currentFilters.search,
+    feeMin: currentFilters.feeMin === null ? '' : String(currentFilters.feeMin),
+    feeMax: currentFilters.feeMax === null ? '' : String(currentFilters.feeMax),
+    freeOnly: currentFilters.freeOnly ? '1' : '',
+    slotsAvailable: currentFilters.slotsAvailable ? '1' : '',
+    status: currentFilters.status,
+    sort: currentFilters.sort === 'start' ? '' : currentFilters.sort
+  };
+  Object.keys(FILTER_PARAMS).forEach(key => {
+    if (values[key]) {
+      params.set(FILTER_PARAMS[key], values[key]);
+    } else {
+      params.delete(FILTER_PARAMS[key]);
+    }
+  });
+  const query = params.toString();
+  history.replaceState(history.state, '', window.location.pathname + (query ? '?' + query : '') + window.location.hash);
+}
+
+/**
+ * Copies the filter state into the filter bar inputs.
+ */
+function syncFilterInputs() {
+  document.getElementById('filterSearch').value = currentFilters.search;
+  document.getElementById('filterFeeMin').value = currentFilters.feeMin === null ? '' : currentFilters.feeMin;
+  document.getElementById('filterFeeMax').value = currentFilters.feeMax === null ? '' : currentFilters.feeMax;
+  document.getElementById('filterFree').checked = currentFilters.freeOnly;
+  document.getElementById('filterOpen').checked = currentFilters.slotsAvailable;
+  document.getElementById('filterStatus').value = currentFilters.status;
+  document.getElementById('filterSort').value = currentFilters.sort;
+  renderFilterCategories();
+}
+
+/**
+ * Restores filters from the URL and wires up the filter bar. Called
+ * once from initUserApp() before the tournaments load.
+ */
+function initFilters() {
+  readFiltersFromUrl();
+  syncFilterInputs();
+  const num = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : Number(value);
+  };
+  const onChange = () => {
+    currentFilters.search = document.getElementById('filterSearch').value.trim();
+    currentFilters.feeMin = num('filterFeeMin');
+    currentFilters.feeMax = num('filterFeeMax');
+    currentFilters.freeOnly = document.getElementById('filterFree').checked;
+    currentFilters.slotsAvailable = document.getElementById('filterOpen').checked;
+    currentFilters.status = document.getElementById('filterStatus').value;
+    currentFilters.sort = document.getElementById('filterSort').value;
+    applyFilters();
+  };
+  document.getElementById('filterSearch').addEventListener('input', onChange);
+  ['filterFeeMin', 'filterFeeMax'].forEach(id => {
+    document.getElementById(id).addEventListener('input', onChange);
+  });
+  ['filterFree', 'filterOpen', 'filterStatus', 'filterSort'].forEach(id => {
+    document.getElementById(id).addEventListener('change', onChange);
+  });
+  document.getElementById('clearFiltersBtn').addEventListener('click', () => {
+    Object.assign(currentFilters, {
+      categories: [],
+      search: '',
+      feeMin: null,
+      feeMax: null,
+      freeOnly: false,
+      slotsAvailable: false,
+      status: '',
+      sort: 'start'
+    });
+    syncFilterInputs();
+    applyFilters();
+  });
+}
+
+/**
+ * Refreshes the tournament list, the category chips and the URL after
+ * the filter state changed.
+ */
+function applyFilters() {
+  renderFilterCategories();
+  writeFiltersToUrl();
   refreshTournamentList();
 }
 
+/**
+ * Comparators for the sort options, by option value.
+ */
+const TOURNAMENT_SORTS = {
+  start: (a, b) => (a.startTime || Infinity) - (b.startTime || Infinity),
+  start_desc: (a, b) => (b.startTime || 0) - (a.startTime || 0),
+  fee_asc: (a, b) => (a.entryFee || 0) - (b.entryFee || 0),
+  fee_desc: (a, b) => (b.entryFee || 0) - (a.entryFee || 0),
+  prize_desc: (a, b) => (b.prizePool || 0) - (a.prizePool || 0)
+};
+
+/**
+ * Returns the cached tournaments that match the current filters, in the
+ * selected sort order.
+ *
+ * @returns {Array<{id: string, data: Object}>}
+ */
+function filterTournaments() {
+  const f = currentFilters;
+  const search = f.search.toLowerCase();
+  return tournamentsCache.filter(({ data: t }) => {
+    const fee = t.entryFee || 0;
+    if (f.categories.length && !f.categories.includes(t.categoryId)) return false;
+    if (search && !((t.title || '') + ' ' + (t.gameName || '')).toLowerCase().includes(search)) return false;
+    if (f.feeMin !== null && fee < f.feeMin) return false;
+    if (f.feeMax !== null && fee > f.feeMax) return false;
+    if (f.freeOnly && fee > 0) return false;
+    if (f.slotsAvailable && (t.joinedCount || 0) >= t.maxSlots) return false;
+    if (f.status && t.status !== f.status) return false;
+    return true;
+  }).sort((a, b) => TOURNAMENT_SORTS[f.sort](a.data, b.data));
+}
+
 /**
  * Loads the upcoming notification from `/homeUpcoming` and displays
- * it if enabled. Clicking the button navigates to tournaments page.
+ * it if enabled. Clicking the button opens the tournament whose id is
+ * in `target`, or the tournaments page when no target is set.
  */
 function loadUpcoming() {
   db.ref('homeUpcoming').on('value', (snap) => {
     const data = snap.val();
     const card = document.getElementById('upcomingCard');
-    if (data && data.enabled) {
-      card.querySelector('h3').textContent = data.title;
-      card.querySelector('p').textContent = data.subtitle || '';
-      card.querySelector('button').onclick = () => {
-        document.querySelector('.bottom-nav button[data-target="tournamentsPage"]').click();
-      };
-      card.style.display = 'block';
-    } else {
-      card.style.display = 'none';
-    }
+    Content.fillUpcomingCard(card, data);
+    card.querySelector('button').onclick = () => {
+      Router.navigate(data && data.target ? '/tournaments/' + data.target : '/tournaments');
+    };
   });
 }
 
@@ -286,12 +648,15 @@ function loadTournaments() {
       const t = child.val();
       tournamentsCache.push({ id: child.key, data: t });
     });
+    tournamentsLoaded = true;
     refreshTournamentList();
+    renderMyTournaments();
   });
 }
 
 // In-memory cache of tournaments to facilitate filtering without hitting Firebase repeatedly.
 let tournamentsCache = [];
+let tournamentsLoaded = false;
 
 /**
  * Renders the tournaments list based on cached data and current filters.
@@ -299,18 +664,27 @@ let tournamentsCache = [];
 function refreshTournamentList() {
   const list = document.getElementById('tournamentsList');
   list.innerHTML = '';
-  tournamentsCache.forEach(({ id, data }) => {
-    if (currentFilters.category && data.categoryId !== currentFilters.category) return;
-    if (currentFilters.search && !data.title.toLowerCase().includes(currentFilters.search.toLowerCase())) return;
+  const matches = filterTournaments();
+  document.getElementById('filterSummary').textContent =
+    matches.length + ' of ' + tournamentsCache.length + ' tournaments';
+  if (!matches.length && tournamentsCache.length) {
+    list.innerHTML = '<p>No tournaments match these filters.</p>';
+  }
+  matches.forEach(({ id, data }) => {
     renderTournamentCard(id, data);
   });
+  watchMyWaitlists();
+  renderTournamentDetail();
+  updateJoinButtons();
+  scheduleRoomReveal();
 }
 
 /**
  * Renders a single tournament card with join functionality. The join
- * button triggers a transaction that checks for slot availability,
- * user block status, wallet balance, and other constraints before
- * deducting the entry fee and adding the user to the tournament.
+ * button triggers joinTournament(), which performs the whole join as
+ * one atomic, rules-checked write. Room credentials are shown on the
+ * card once they have been revealed to this user. The title opens the
+ * tournament's detail page.
  *
  * @param {string} tId
  * @param {Object} t
@@ -320,197 +694,1705 @@ function renderTournamentCard(tId, t) {
   const card = document.createElement('div');
   card.className = 'card tournament-card';
   card.innerHTML = `
-    <h3>${t.title}</h3>
-    <p>${t.gameName} • Fee: ₹${t.entryFee}</p>
-    <p>${(t.joinedCount || 0)}/${t.maxSlots} joined</p>
-    <button class="primary join-btn">Join</button>
+    <h3><a href="#/tournaments/${encodeURIComponent(tId)}">${UI.escapeHtml(t.title)}</a></h3>
+    <p>${UI.escapeHtml(t.gameName)} • ${t.type || 'solo'} • Fee: ₹${t.entryFee}${(TEAM_SIZES[t.type] || 1) > 1 ? ' per player' : ''}</p>
+    <p>${(t.joinedCount || 0)}/${t.maxSlots} ${(TEAM_SIZES[t.type] || 1) > 1 ? 'teams' : 'joined'}${t.waitlistCount ? ' • ' + t.waitlistCount + ' waitlisted' : ''}</p>
+    <div class="room-details"></div>
+    <div class="tournament-actions"></div>
   `;
-  card.querySelector('.join-btn').addEventListener('click', () => {
-    joinTournament(tId, t);
-  });
+  renderTournamentActions(card.querySelector('.tournament-actions'), tId, t);
+  renderRoomDetails(card.querySelector('.room-details'), tId, t);
   list.appendChild(card);
 }
 
 /**
- * Handles joining a tournament using Firebase transactions to prevent
- * race conditions. It first checks whether the user is blocked and
- * has sufficient wallet balance. If checks pass, it increments the
- * `joinedCount` atomically and deducts the entry fee from the user's
- * wallet in separate transactions. The user is then recorded in
- * `/tournamentJoins/{tId}/{uid}`.
+ * Renders the join (or "Joined"), waitlist, check-in and bracket buttons
+ * for a tournament into a container, shared by the tournament cards and
+ * detail page. Full solo tournaments offer the waitlist instead of Join.
  *
+ * @param {HTMLElement} container
  * @param {string} tId
  * @param {Object} t
  */
-function joinTournament(tId, t) {
-  const uid = firebase.auth().currentUser.uid;
-  // Retrieve user data to perform checks before starting transactions
-  db.ref('users/' + uid).once('value').then((snapshot) => {
-    const userData = snapshot.val();
-    if (!userData) {
-      UI.showToast('Profile not set up.');
-      return;
-    }
-    if (userData.isBlocked) {
-      UI.showToast('You are blocked.');
-      return;
-    }
-    const balance = userData.wallet?.balance || 0;
-    if (balance < t.entryFee) {
-      UI.showToast('Insufficient wallet balance.');
-      return;
-    }
-    // First transaction: update joinedCount atomically
-    const tournamentRef = db.ref('tournaments/' + tId);
-    tournamentRef.transaction((curr) => {
-      if (curr) {
-        // Abort if slots are full or tournament not joinable
-        if (curr.joinedCount >= curr.maxSlots) {
-          return; // abort the transaction
-        }
-        curr.joinedCount = (curr.joinedCount || 0) + 1;
-      }
-      return curr;
-    }, (error, committed) => {
-      if (error) {
-        console.error(error);
-        UI.showToast('Error joining tournament.');
-      } else if (!committed) {
-        UI.showToast('Slots are full.');
-      } else {
-        // Second transaction: deduct fee from wallet
-        const walletRef = db.ref('users/' + uid + '/wallet/balance');
-        walletRef.transaction((bal) => {
-          if ((bal || 0) >= t.entryFee) {
-            return (bal || 0) - t.entryFee;
-          }
-          return; // abort
-        }, (err, committed2) => {
-          if (err || !committed2) {
-            // Failed to deduct fee: revert joinedCount by decrementing once
-            tournamentRef.child('joinedCount').transaction((c) => {
-              return (c || 1) - 1;
-            });
-            UI.showToast('Unable to deduct fee.');
-          } else {
-            // Record the join under tournamentJoins
-            const joinPath = db.ref('tournamentJoins/' + tId + '/' + uid);
-            joinPath.set({
-              uid: uid,
-              userName: userData.name,
-              gameUidOrIgn: userData.gameProfiles?.ign || '',
-              phone: userData.phone,
-              joinedAt: Date.now(),
-              status: 'joined'
-            });
-            UI.showToast('Joined successfully!');
-          }
-        });
-      }
+function renderTournamentActions(container, tId, t) {
+  const joined = !!myJoinIds[tId];
+  const checkInOpen = joined && canCheckIn(tId, t);
+  const waiting = !joined && myWaitlist[tId] && myWaitlist[tId].status !== 'skipped';
+  const skipped = !joined && myWaitlist[tId] && myWaitlist[tId].status === 'skipped';
+  const waitlist = !joined && !waiting && waitlistOpen(t);
+  let joinButton = '<button class="primary join-btn">Join</button>';
+  if (joined) joinButton = '<button class="success joined-btn">Joined ✓</button>';
+  else if (waiting) joinButton = '<button class="success waitlist-leave-btn">On Waitlist ✓</button>';
+  else if (waitlist) joinButton = '<button class="primary waitlist-btn">Join Waitlist</button>';
+  container.innerHTML = `
+    ${skipped ? `<p class="waitlist-note">You were skipped on the waitlist: ${UI.escapeHtml(myWaitlist[tId].skipReason || 'not eligible')}.</p>` : ''}
+    ${joinButton}
+    ${checkInOpen ? '<button class="primary checkin-btn">Check In</button>' : ''}
+    ${t.hasBracket ? '<button class="primary bracket-btn">View Bracket</button>' : ''}
+  `;
+  if (checkInOpen) {
+    container.querySelector('.checkin-btn').addEventListener('click', (e) => {
+      checkIn(tId, e.currentTarget);
+    });
+  }
+  if (joined) {
+    container.querySelector('.joined-btn').addEventListener('click', () => {
+      Router.navigate('/my-tournaments');
+    });
+  } else if (waiting) {
+    container.querySelector('.waitlist-leave-btn').addEventListener('click', (e) => {
+      leaveWaitlist(tId, t, e.currentTarget);
+    });
+  } else if (waitlist) {
+    container.querySelector('.waitlist-btn').addEventListener('click', (e) => {
+      joinWaitlist(tId, t, e.currentTarget);
+    });
+  } else {
+    container.querySelector('.join-btn').addEventListener('click', (e) => {
+      joinTournament(tId, t, e.currentTarget);
     });
+  }
+  if (t.hasBracket) {
+    container.querySelector('.bracket-btn').addEventListener('click', () => {
+      openBracketView(tId, t);
+    });
+  }
+}
+
+/**
+ * Id of the tournament shown on the detail page and the live listener
+ * for its participant list.
+ */
+let detailTournamentId = null;
+let detailParticipantsRef = null;
+
+/**
+ * Shows the detail page for a tournament and starts listening to its
+ * public participant list. Called by the `/tournaments/:id` route.
+ *
+ * @param {string} tId
+ */
+function openTournamentDetail(tId) {
+  showPage('tournamentDetailPage', 'Tournament', 'tournamentsPage');
+  if (detailTournamentId === tId) {
+    renderTournamentDetail();
+    return;
+  }
+  closeTournamentDetail();
+  detailTournamentId = tId;
+  renderTournamentDetail();
+  const list = document.getElementById('tournamentParticipants');
+  list.innerHTML = '<div class="skeleton"></div>';
+  detailParticipantsRef = db.ref('tournamentParticipants/' + tId).orderByChild('joinedAt');
+  detailParticipantsRef.on('value', (snap) => {
+    renderParticipants(list, snap);
+  }, (err) => {
+    console.error(err);
+    list.innerHTML = '<p>Participants are not available.</p>';
   });
 }
 
 /**
- * Listens for changes to the user's wallet balance and updates the UI
- * accordingly. Displays ₹0 if no wallet exists yet.
+ * Stops listening to the participant list of the detail page.
+ */
+function closeTournamentDetail() {
+  if (detailParticipantsRef) detailParticipantsRef.off();
+  detailParticipantsRef = null;
+  detailTournamentId = null;
+}
+
+/**
+ * Renders the detail page for the tournament in detailTournamentId
+ * from the tournament cache: overview, schedule, prize breakdown,
+ * rules, join actions and room details. Called again whenever the
+ * tournament or the user's joins change.
+ */
+function renderTournamentDetail() {
+  const el = document.getElementById('tournamentDetail');
+  if (!detailTournamentId) return;
+  const entry = tournamentsCache.find(({ id }) => id === detailTournamentId);
+  if (!entry) {
+    el.innerHTML = tournamentsLoaded ? '<p>This tournament could not be found.</p>' : '<div class="skeleton"></div>';
+    return;
+  }
+  const tId = entry.id;
+  const t = entry.data;
+  const teamSize = TEAM_SIZES[t.type] || 1;
+  const prizes = t.prizes || {};
+  const ranks = (prizes.ranks || []).map((v, i) => `<li>#${i + 1}: ₹${v}</li>`).join('');
+  const when = (time) => (time ? new Date(time).toLocaleString() : 'TBA');
+  document.getElementById('app-title').textContent = t.title;
+  el.innerHTML = `
+    <div class="card">
+      <h2>${UI.escapeHtml(t.title)}</h2>
+      <p>${UI.escapeHtml(t.gameName)} • ${t.type || 'solo'} • <span class="status-badge">${TOURNAMENT_STATUS_LABELS[t.status] || t.status}</span></p>
+      <p>Entry fee: ₹${t.entryFee || 0}${teamSize > 1 ? ' per player (₹' + (t.entryFee || 0) * teamSize + ' per team)' : ''}</p>
+      <p>${t.joinedCount || 0}/${t.maxSlots} ${teamSize > 1 ? 'teams' : 'players'} joined</p>
+      <div class="room-details"></div>
+      <div class="tournament-actions"></div>
+      <button class="primary share-btn">Share</button>
+    </div>
+    <div class="card">
+      <h4>Schedule</h4>
+      <p>Starts: ${when(t.startTime)}</p>
+      ${t.startTime ? `<p>Leave deadline: ${when(leaveDeadline(t))}</p>` : ''}
+      ${t.hasRoom && t.startTime ? `<p>Room details from: ${when(roomRevealAt(t))}</p>` : ''}
+    </div>
+    <div class="card">
+      <h4>Prizes</h4>
+      ${t.prizePool ? `<p>Prize pool: ₹${t.prizePool}</p>` : ''}
+      ${ranks ? `<ul>${ranks}</ul>` : '<p>No rank prizes.</p>'}
+      ${prizes.perKill ? `<p>Per kill: ₹${prizes.perKill}</p>` : ''}
+    </div>
+    <div class="card">
+      <h4>Rules</h4>
+      <p class="tournament-rules">${t.rules ? UI.escapeHtml(t.rules) : 'No rules posted.'}</p>
+    </div>
+  `;
+  renderTournamentActions(el.querySelector('.tournament-actions'), tId, t);
+  renderRoomDetails(el.querySelector('.room-details'), tId, t);
+  el.querySelector('.share-btn').addEventListener('click', () => {
+    shareTournament(tId, t);
+  });
+  updateJoinButtons();
+}
+
+/**
+ * Display labels for tournament statuses.
+ */
+const TOURNAMENT_STATUS_LABELS = {
+  upcoming: 'Upcoming',
+  active: 'Live',
+  completed: 'Completed',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * Renders the public participant list of a tournament, grouped by team
+ * for duo and squad tournaments.
  *
- * @param {string} uid
+ * @param {HTMLElement} list
+ * @param {firebase.database.DataSnapshot} snap
  */
-function loadWallet(uid) {
-  const balanceEl = document.getElementById('walletBalance');
-  db.ref('users/' + uid + '/wallet/balance').on('value', (snap) => {
-    const bal = snap.val() || 0;
-    balanceEl.textContent = '₹' + bal;
+function renderParticipants(list, snap) {
+  const teams = {};
+  const rows = [];
+  snap.forEach(child => {
+    const p = child.val();
+    if (p.team) {
+      if (!teams[p.team]) {
+        teams[p.team] = [];
+        rows.push({ team: p.team, members: teams[p.team] });
+      }
+      teams[p.team].push(p.name);
+    } else {
+      rows.push({ name: p.name });
+    }
   });
+  if (!rows.length) {
+    list.innerHTML = '<p>No one has joined yet.</p>';
+    return;
+  }
+  list.innerHTML = rows.map((row, i) => row.team
+    ? `<div class="participant-row">${i + 1}. <strong>${UI.escapeHtml(row.team)}</strong>: ${row.members.map(UI.escapeHtml).join(', ')}</div>`
+    : `<div class="participant-row">${i + 1}. ${UI.escapeHtml(row.name)}</div>`).join('');
 }
 
 /**
- * Loads the most recent 20 wallet transactions for the user and
- * displays them in the wallet history section. Each entry shows the
- * type, amount, and date. Newest items appear first.
+ * Shares a link to a tournament's detail page using the Web Share API
+ * where available, or copies it to the clipboard.
  *
- * @param {string} uid
+ * @param {string} tId
+ * @param {Object} t
  */
-function loadWalletHistory(uid) {
-  const list = document.getElementById('walletHistory');
-  db.ref('walletHistory/' + uid).limitToLast(20).on('value', (snap) => {
-    list.innerHTML = '';
-    const items = [];
-    snap.forEach(child => {
-      items.push(child.val());
-    });
-    // Reverse order so the latest transaction appears on top
-    items.reverse();
-    items.forEach((tx) => {
-      const item = document.createElement('div');
-      item.className = 'card';
-      item.innerHTML = `
-        <p><strong>${tx.type}</strong>: ₹${tx.amount}</p>
-        <p>${new Date(tx.createdAt).toLocaleString()}</p>
-        <p>${tx.note || ''}</p>
-      `;
-      list.appendChild(item);
+function shareTournament(tId, t) {
+  const url = window.location.origin + window.location.pathname + '#/tournaments/' + encodeURIComponent(tId);
+  if (navigator.share) {
+    navigator.share({ title: t.title, url: url }).catch(() => {});
+  } else if (navigator.clipboard) {
+    navigator.clipboard.writeText(url).then(() => {
+      UI.showToast('Link copied.');
+    }).catch(() => {
+      UI.showToast(url);
     });
+  } else {
+    UI.showToast(url);
+  }
+}
+
+/** Live listener for the bracket open in the bracket view, if any. */
+let bracketViewRef = null;
+
+/**
+ * Opens a read-only, live view of a tournament's knockout bracket. The
+ * user's own entry (or their team) is highlighted.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ */
+function openBracketView(tId, t) {
+  closeBracketView();
+  const uid = firebase.auth().currentUser.uid;
+  const body = document.getElementById('bracketViewBody');
+  document.getElementById('bracketViewTitle').textContent = t.title;
+  body.innerHTML = '<div class="skeleton"></div>';
+  bracketViewRef = db.ref('brackets/' + tId);
+  bracketViewRef.on('value', (snap) => {
+    const bracket = snap.val();
+    if (!bracket) {
+      body.innerHTML = '<p>The bracket has not been drawn yet.</p>';
+      return;
+    }
+    const mine = [uid];
+    if (myJoinRecords[tId] && myJoinRecords[tId].teamId) mine.push(myJoinRecords[tId].teamId);
+    Bracket.render(body, bracket, { highlight: mine });
   });
+  UI.showModal('bracketViewModal');
 }
 
 /**
- * Handles withdrawal requests. Validates against minimum withdrawal
- * settings and deducts the requested amount (plus fee) from the user's
- * wallet using a transaction. Creates a record in `/withdrawals`
- * describing the request.
+ * Closes the bracket view and stops listening to its bracket.
  */
-function requestWithdrawal() {
-  const amount = parseFloat(document.getElementById('withdrawAmount').value);
-  const method = document.getElementById('withdrawMethod').value || 'upi';
-  const account = document.getElementById('withdrawAccount').value || '';
-  if (!amount || amount <= 0) {
-    UI.showToast('Enter valid amount.');
+function closeBracketView() {
+  if (bracketViewRef) bracketViewRef.off();
+  bracketViewRef = null;
+  UI.closeModal('bracketViewModal');
+}
+
+/**
+ * Room credentials per tournament id. A value is the room object once
+ * it could be read, or `false` while the rules deny access (the user
+ * has not joined). Listeners stay attached so later edits by the admin
+ * show up live.
+ */
+const roomCache = {};
+let roomRevealTimer;
+
+/**
+ * Returns the time at which a tournament's room credentials become
+ * readable, or 0 when it has none.
+ *
+ * @param {Object} t
+ * @returns {number}
+ */
+function roomRevealAt(t) {
+  if (!t.hasRoom || !t.startTime) return 0;
+  const revealMin = t.roomRevealMin != null ? t.roomRevealMin : 15;
+  return t.startTime - revealMin * 60000;
+}
+
+/**
+ * Fills a card's room section. Once the reveal time has passed the
+ * credentials are requested; the database rules only allow this for
+ * players in `/tournamentJoins/{tId}`, so other users simply see
+ * nothing. Before the reveal time a hint is shown instead.
+ *
+ * @param {HTMLElement} el
+ * @param {string} tId
+ * @param {Object} t
+ */
+function renderRoomDetails(el, tId, t) {
+  const revealAt = roomRevealAt(t);
+  if (!revealAt || t.status === 'completed' || t.status === 'cancelled') return;
+  if (Date.now() + serverTimeOffset < revealAt) {
+    el.innerHTML = `<p>Room details at ${new Date(revealAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}</p>`;
     return;
   }
-  // Fetch global app settings for withdrawal constraints
-  db.ref('appSettings').once('value').then((snap) => {
-    const settings = snap.val() || {};
-    const min = settings.minWithdraw || 0;
-    const feePercent = settings.withdrawFeePercent || 0;
-    if (amount < min) {
-      UI.showToast('Minimum withdraw is ₹' + min);
-      return;
-    }
-    const fee = Math.ceil(amount * feePercent / 100);
-    const uid = firebase.auth().currentUser.uid;
-    // Deduct the amount from wallet in a transaction
-    db.ref('users/' + uid + '/wallet/balance').transaction((bal) => {
-      if ((bal || 0) >= amount) {
-        return (bal || 0) - amount;
-      }
-      return; // abort
-    }, (err, committed, snapBal) => {
-      if (err || !committed) {
-        UI.showToast('Insufficient balance.');
-      } else {
-        // Create a withdrawal record
-        const ref = db.ref('withdrawals').push();
-        ref.set({
-          uid: uid,
-          name: '',
-          method: method,
-          accountInfo: account,
-          amount: amount,
-          fee: fee,
-          status: 'pending',
-          adminNote: '',
-          transactionId: '',
-          createdAt: Date.now(),
-          updatedAt: Date.now()
-        });
-        // Clear form
-        document.getElementById('withdrawAmount').value = '';
-        document.getElementById('withdrawMethod').value = '';
-        document.getElementById('withdrawAccount').value = '';
-        UI.showToast('Withdraw requested.');
-      }
-    });
+  const room = roomCache[tId];
+  if (room) {
+    el.innerHTML = `
+      <p><strong>Room ID:</strong> ${UI.escapeHtml(room.roomId)}</p>
+      <p><strong>Password:</strong> ${UI.escapeHtml(room.password)}</p>
+    `;
+  } else if (room === undefined) {
+    watchRoom(tId);
+  }
+}
+
+/**
+ * Starts listening to a tournament's room node. Permission errors mean
+ * the user is not a participant and are cached as `false`.
+ *
+ * @param {string} tId
+ */
+function watchRoom(tId) {
+  roomCache[tId] = false;
+  db.ref('tournamentRooms/' + tId).on('value', (snap) => {
+    roomCache[tId] = snap.val() || false;
+    refreshTournamentList();
+    renderMyTournaments();
+  }, () => {
+    roomCache[tId] = false;
   });
-}
\ No newline at end of file
+}
+
+/**
+ * Clears a denied room lookup so it is retried, e.g. after the user
+ * joins the tournament.
+ *
+ * @param {string} tId
+ */
+function resetRoomAccess(tId) {
+  if (roomCache[tId] === false) delete roomCache[tId];
+}
+
+/**
+ * Re-renders the lists when the next room reveal time or check-in
+ * window boundary is reached so credentials and the check-in button
+ * appear (and disappear) without a reload.
+ */
+function scheduleRoomReveal() {
+  clearTimeout(roomRevealTimer);
+  const now = Date.now() + serverTimeOffset;
+  const next = tournamentsCache
+    .reduce((times, { data }) => times.concat(roomRevealAt(data), checkInWindow(data) || []), [])
+    .filter(at => at > now)
+    .sort((a, b) => a - b)[0];
+  if (next) {
+    roomRevealTimer = setTimeout(() => {
+      refreshTournamentList();
+      renderMyTournaments();
+    }, next - now + 1000);
+  }
+}
+
+/**
+ * Returns the `[opens, closes]` times of a tournament's check-in
+ * window, or null when the tournament has no check-in. The window
+ * closes at the start time.
+ *
+ * @param {Object} t
+ * @returns {Array<number>|null}
+ */
+function checkInWindow(t) {
+  if (!t.checkInMin || !t.startTime) return null;
+  return [t.startTime - t.checkInMin * 60000, t.startTime];
+}
+
+/**
+ * Returns whether the user can check in to a tournament right now.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @returns {boolean}
+ */
+function canCheckIn(tId, t) {
+  const times = checkInWindow(t);
+  const j = myJoinRecords[tId];
+  const now = Date.now() + serverTimeOffset;
+  return !!(times && j && j.status === 'joined' && (t.status === 'upcoming' || t.status === 'active') &&
+    now >= times[0] && now < times[1]);
+}
+
+/**
+ * Confirms the user's attendance during the check-in window. Players
+ * (or teams with no member) who have not checked in when the window
+ * closes are marked as no-shows and lose their slot.
+ *
+ * @param {string} tId
+ * @param {HTMLButtonElement} button
+ */
+function checkIn(tId, button) {
+  const uid = firebase.auth().currentUser.uid;
+  button.disabled = true;
+  db.ref('tournamentJoins/' + tId + '/' + uid).update({
+    status: 'checked_in',
+    checkedInAt: firebase.database.ServerValue.TIMESTAMP
+  }).then(() => {
+    UI.showToast('Checked in. Good luck!');
+  }).catch((err) => {
+    console.error(err);
+    button.disabled = false;
+    UI.showToast('Unable to check in. The check-in window may have closed.');
+  });
+}
+
+/**
+ * Number of players per team for each tournament type. Each team takes
+ * one slot in `maxSlots`.
+ */
+const TEAM_SIZES = { solo: 1, duo: 2, squad: 4 };
+
+/**
+ * Joins a tournament. Solo tournaments are joined directly; duo and
+ * squad tournaments open the team registration modal instead.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {HTMLButtonElement} [button] Disabled while the join is in flight.
+ */
+function joinTournament(tId, t, button) {
+  if ((TEAM_SIZES[t.type] || 1) > 1) {
+    openTeamJoin(tId, t);
+    return;
+  }
+  submitJoin(tId, t, button, () => {
+    const updates = {};
+    updates['tournaments/' + tId + '/joinedCount'] = firebase.database.ServerValue.increment(1);
+    return { fee: t.entryFee || 0, record: {}, updates: updates };
+  });
+}
+
+/**
+ * Performs a join with a single ledger commit. Reserving the slot
+ * (`joinedCount`), recording the join in `/tournamentJoins/{tId}/{uid}`
+ * and the entry fee debit either all succeed or all fail. The database
+ * rules re-check every constraint server side: the tournament is open,
+ * the slot count stays within `maxSlots`, the user is not blocked, has
+ * not already joined and is debited exactly the fee due without going
+ * negative. Concurrent joins for the last slot therefore cannot both
+ * succeed. The rules also refuse joins during maintenance and within
+ * `joinCooldownSec` of the user's previous join (`lastJoinAt`).
+ *
+ * `buildJoin(userData)` supplies what differs between solo, captain and
+ * teammate joins: `{fee, record, teamName, updates}` where `record`
+ * holds extra join record fields and `updates` extra paths to write.
+ * The public entry in `/tournamentParticipants` is written alongside.
+ *
+ * The checks below only exist to give a friendly message up front; when
+ * the write is rejected the latest state is re-read to explain why.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {HTMLButtonElement|null} button Disabled while the join is in flight.
+ * @param {(userData: Object) => {fee: number, record: Object, teamName?: string, updates: Object}} buildJoin
+ * @returns {Promise<boolean>} Resolves true when the join succeeded.
+ */
+function submitJoin(tId, t, button, buildJoin) {
+  const uid = firebase.auth().currentUser.uid;
+  if (blockedByMaintenance()) return Promise.resolve(false);
+  if (joinCooldownRemaining() > 0) {
+    UI.showToast('Please wait ' + joinCooldownRemaining() + 's before joining again.');
+    return Promise.resolve(false);
+  }
+  if (button) {
+    button.disabled = true;
+    button.dataset.busy = '1';
+  }
+  const done = (message) => {
+    if (button) {
+      delete button.dataset.busy;
+      button.disabled = false;
+    }
+    updateJoinButtons();
+    UI.showToast(message);
+  };
+  return Promise.all([
+    db.ref('users/' + uid).once('value'),
+    db.ref('tournamentJoins/' + tId + '/' + uid).once('value')
+  ]).then(([userSnap, joinSnap]) => {
+    const userData = userSnap.val();
+    if (!userData) {
+      done('Profile not set up.');
+      return false;
+    }
+    if (Blocks.isActive(userData)) {
+      done(Blocks.describe(userData));
+      return false;
+    }
+    if (joinSnap.exists()) {
+      done('You have already joined.');
+      return false;
+    }
+    const join = buildJoin(userData);
+    if ((userData.wallet?.balance || 0) < join.fee) {
+      done('Insufficient wallet balance.');
+      return false;
+    }
+    const updates = Object.assign({}, join.updates);
+    updates['users/' + uid + '/lastJoinAt'] = firebase.database.ServerValue.TIMESTAMP;
+    updates['userJoins/' + uid + '/' + tId] = firebase.database.ServerValue.TIMESTAMP;
+    Analytics.addJoin(updates, t.gameName);
+    const record = Object.assign({
+      uid: uid,
+      userName: userData.name,
+      gameUidOrIgn: userData.gameProfiles?.ign || '',
+      phone: userData.phone,
+      joinedAt: firebase.database.ServerValue.TIMESTAMP,
+      status: 'joined',
+      feePaid: join.fee
+    }, join.record);
+    updates['tournamentJoins/' + tId + '/' + uid] = record;
+    updates['tournamentParticipants/' + tId + '/' + uid] = {
+      name: record.gameUidOrIgn || userData.name,
+      team: join.teamName || null,
+      joinedAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    const entries = join.fee > 0 ? [{
+      uid: uid,
+      type: 'join_fee',
+      amount: join.fee,
+      ref: { kind: 'tournament', id: tId },
+      note: 'Entry fee for ' + t.title
+    }] : [];
+    return Ledger.commit(entries, updates).then(() => {
+      resetRoomAccess(tId);
+      refreshTournamentList();
+      done('Joined successfully!');
+      return true;
+    }).catch((err) => {
+      console.error(err);
+      return explainJoinFailure(tId, uid, join.fee).then(done).then(() => false);
+    });
+  }).catch((err) => {
+    console.error(err);
+    done('Error joining tournament.');
+    return false;
+  });
+}
+
+/**
+ * Opens the team registration modal for a duo or squad tournament. The
+ * player can create a team as captain or join one with an invite code.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ */
+function openTeamJoin(tId, t) {
+  const size = TEAM_SIZES[t.type];
+  document.getElementById('teamJoinTitle').textContent = t.title;
+  document.getElementById('teamJoinInfo').textContent =
+    t.type + ' • ' + size + ' players per team • ₹' + (t.entryFee || 0) + ' per player (₹' + (t.entryFee || 0) * size + ' per team)';
+  document.getElementById('teamName').value = '';
+  document.getElementById('teamIgn').value = '';
+  document.getElementById('createTeamBtn').onclick = (e) => {
+    createTeam(tId, t, e.currentTarget);
+  };
+  UI.showModal('teamJoinModal');
+}
+
+/**
+ * Generates a short invite code from characters that are hard to
+ * confuse when read aloud.
+ *
+ * @returns {string}
+ */
+function generateInviteCode() {
+  const chars = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  let code = '';
+  for (let i = 0; i < 6; i++) {
+    code += chars[Math.floor(Math.random() * chars.length)];
+  }
+  return code;
+}
+
+/**
+ * Creates a team as captain. The team takes one tournament slot and
+ * gets an invite code in `/teamInvites/{code}`; the code is also kept on
+ * the captain's own join record, which only they can read, so it can
+ * be shared again later. With the "captain pays"
+ * option the captain is charged the fee for the whole team; otherwise
+ * each member pays their own share when joining.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {HTMLButtonElement} button
+ */
+function createTeam(tId, t, button) {
+  const name = document.getElementById('teamName').value.trim();
+  const ign = document.getElementById('teamIgn').value.trim();
+  const payMode = document.getElementById('teamPayMode').value;
+  if (!name) {
+    UI.showToast('Enter a team name.');
+    return;
+  }
+  const size = TEAM_SIZES[t.type];
+  const uid = firebase.auth().currentUser.uid;
+  const teamId = db.ref('tournamentTeams/' + tId).push().key;
+  const code = generateInviteCode();
+  submitJoin(tId, t, button, (userData) => {
+    const memberIgn = ign || userData.gameProfiles?.ign || '';
+    const updates = {};
+    updates['tournaments/' + tId + '/joinedCount'] = firebase.database.ServerValue.increment(1);
+    updates['tournamentTeams/' + tId + '/' + teamId] = {
+      name: name,
+      captainUid: uid,
+      size: size,
+      payMode: payMode,
+      memberCount: 1,
+      members: {
+        [uid]: { name: userData.name, ign: memberIgn }
+      },
+      createdAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    updates['teamInvites/' + code] = { tId: tId, teamId: teamId };
+    return {
+      fee: (t.entryFee || 0) * (payMode === 'captain' ? size : 1),
+      record: { teamId: teamId, role: 'captain', inviteCode: code, gameUidOrIgn: memberIgn },
+      teamName: name,
+      updates: updates
+    };
+  }).then((joined) => {
+    if (joined) {
+      UI.closeModal('teamJoinModal');
+      UI.showToast('Team created. Share invite code ' + code + ' with your teammates.', 6000);
+    }
+  });
+}
+
+/**
+ * Joins a team using an invite code and the player's IGN. Looks up the
+ * team via `/teamInvites/{code}`, then joins the tournament as a team
+ * member without taking another slot. Members pay their share only when
+ * the team uses split payment.
+ *
+ * @param {string} codeInput Id of the invite code input.
+ * @param {string} ignInput Id of the IGN input.
+ * @param {HTMLButtonElement} button
+ */
+function joinTeamWithCode(codeInput, ignInput, button) {
+  const code = document.getElementById(codeInput).value.trim().toUpperCase();
+  const ign = document.getElementById(ignInput).value.trim();
+  if (!code || !ign) {
+    UI.showToast('Enter the invite code and your IGN.');
+    return;
+  }
+  const uid = firebase.auth().currentUser.uid;
+  db.ref('teamInvites/' + code).once('value').then((inviteSnap) => {
+    const invite = inviteSnap.val();
+    if (!invite) {
+      UI.showToast('Invalid invite code.');
+      return;
+    }
+    const entry = tournamentsCache.find(({ id }) => id === invite.tId);
+    return db.ref('tournamentTeams/' + invite.tId + '/' + invite.teamId).once('value').then((teamSnap) => {
+      const team = teamSnap.val();
+      if (!entry || !team) {
+        UI.showToast('This team is no longer available.');
+        return;
+      }
+      const t = entry.data;
+      const teamPath = 'tournamentTeams/' + invite.tId + '/' + invite.teamId;
+      return submitJoin(invite.tId, t, button, (userData) => {
+        const updates = {};
+        updates[teamPath + '/memberCount'] = firebase.database.ServerValue.increment(1);
+        updates[teamPath + '/members/' + uid] = { name: userData.name, ign: ign };
+        return {
+          fee: team.payMode === 'split' ? (t.entryFee || 0) : 0,
+          record: { teamId: invite.teamId, role: 'member', gameUidOrIgn: ign },
+          teamName: team.name,
+          updates: updates
+        };
+      }).then((joined) => {
+        if (joined) {
+          document.getElementById(codeInput).value = '';
+          document.getElementById(ignInput).value = '';
+          UI.closeModal('teamJoinModal');
+        }
+      });
+    });
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast('Unable to join team. It may be full.');
+  });
+}
+
+/**
+ * Works out why a join write was rejected by re-reading the tournament,
+ * the user's join record and balance. Resolves with a toast message.
+ *
+ * @param {string} tId
+ * @param {string} uid
+ * @param {number} fee
+ * @returns {Promise<string>}
+ */
+function explainJoinFailure(tId, uid, fee) {
+  return Promise.all([
+    db.ref('tournaments/' + tId).once('value'),
+    db.ref('tournamentJoins/' + tId + '/' + uid).once('value'),
+    db.ref('users/' + uid + '/wallet/balance').once('value')
+  ]).then(([tSnap, joinSnap, balSnap]) => {
+    const t = tSnap.val();
+    if (!t || t.status !== 'upcoming') return 'This tournament is closed.';
+    if (joinSnap.exists()) return 'You have already joined.';
+    if ((t.joinedCount || 0) >= t.maxSlots) return waitlistOpen(t) ? 'Slots are full. Join the waitlist instead.' : 'Slots are full.';
+    if (waitlistOpen(t)) return 'Players are waiting for a slot. Join the waitlist instead.';
+    if ((balSnap.val() || 0) < fee) return 'Insufficient wallet balance.';
+    return 'Error joining tournament.';
+  }).catch(() => 'Error joining tournament.');
+}
+
+/**
+ * The user's own entries in `/tournamentWaitlist/{tId}/{uid}` by
+ * tournament id and the listeners keeping them live.
+ */
+const myWaitlist = {};
+const myWaitlistListeners = {};
+
+/** Tournaments the user is leaving the waitlist of, so it is not mistaken for a promotion. */
+const leavingWaitlist = {};
+
+/**
+ * Returns whether new players should join a tournament's waitlist
+ * rather than join it: the tournament is an open solo event that is
+ * either full or already has players waiting. Duo and squad events
+ * have no waitlist.
+ *
+ * @param {Object} t
+ * @returns {boolean}
+ */
+function waitlistOpen(t) {
+  return t.status === 'upcoming' && (t.type || 'solo') === 'solo' &&
+    ((t.joinedCount || 0) >= t.maxSlots || (t.waitlistCount || 0) > 0);
+}
+
+/**
+ * Starts listening to the user's waitlist entry in every tournament
+ * that has a waitlist. When an entry the user did not remove disappears
+ * and the tournament shows up in their joins, they were promoted and
+ * are told so; they are also told when they were skipped.
+ */
+function watchMyWaitlists() {
+  const uid = firebase.auth().currentUser.uid;
+  tournamentsCache.forEach(({ id: tId, data: t }) => {
+    if (myWaitlistListeners[tId] || !t.waitlistCount) return;
+    myWaitlistListeners[tId] = db.ref('tournamentWaitlist/' + tId + '/' + uid).on('value', (snap) => {
+      const previous = myWaitlist[tId];
+      const entry = snap.val();
+      if (entry) myWaitlist[tId] = entry;
+      else delete myWaitlist[tId];
+      const title = (tournamentsCache.find(({ id }) => id === tId) || { data: t }).data.title;
+      if (previous && previous.status !== 'skipped') {
+        if (!entry && !leavingWaitlist[tId]) {
+          UI.showToast('A slot opened up! You have joined ' + title + '.');
+        } else if (entry && entry.status === 'skipped') {
+          UI.showToast('You were skipped on the waitlist for ' + title + ': ' + (entry.skipReason || 'not eligible') + '.');
+        }
+      }
+      delete leavingWaitlist[tId];
+      refreshTournamentList();
+    }, () => {
+      delete myWaitlistListeners[tId];
+    });
+  });
+}
+
+/**
+ * Adds the user to a full tournament's waitlist. Nothing is charged
+ * until the scheduled backend job promotes them into a freed slot. A
+ * previous skipped entry is replaced, putting the user at the back of
+ * the line.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {HTMLButtonElement} button
+ */
+function joinWaitlist(tId, t, button) {
+  const uid = firebase.auth().currentUser.uid;
+  if (blockedByMaintenance()) return;
+  button.disabled = true;
+  db.ref('users/' + uid).once('value').then((userSnap) => {
+    const userData = userSnap.val();
+    if (!userData) throw new Error('Profile not set up.');
+    if (Blocks.isActive(userData)) throw new Error(Blocks.describe(userData));
+    if ((userData.wallet?.balance || 0) < (t.entryFee || 0)) {
+      UI.showToast('Keep ₹' + t.entryFee + ' in your wallet to be promoted from the waitlist.');
+    }
+    const updates = {};
+    updates['tournamentWaitlist/' + tId + '/' + uid] = {
+      name: userData.name || 'Player',
+      ign: userData.gameProfiles?.ign || '',
+      status: 'waiting',
+      joinedAt: firebase.database.ServerValue.TIMESTAMP
+    };
+    updates['tournaments/' + tId + '/waitlistCount'] = firebase.database.ServerValue.increment(1);
+    return db.ref().update(updates);
+  }).then(() => {
+    watchMyWaitlists();
+    UI.showToast('You are on the waitlist. You will be charged only if a slot opens.');
+  }).catch((err) => {
+    console.error(err);
+    button.disabled = false;
+    UI.showToast(err.message && !err.code ? err.message : 'Unable to join the waitlist.');
+  });
+}
+
+/**
+ * Removes the user from a tournament's waitlist.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {HTMLButtonElement} button
+ */
+function leaveWaitlist(tId, t, button) {
+  const uid = firebase.auth().currentUser.uid;
+  const entry = myWaitlist[tId];
+  if (!entry || !confirm('Leave the waitlist for ' + t.title + '?')) return;
+  button.disabled = true;
+  const updates = {};
+  updates['tournamentWaitlist/' + tId + '/' + uid] = null;
+  if (entry.status === 'waiting') {
+    updates['tournaments/' + tId + '/waitlistCount'] = firebase.database.ServerValue.increment(-1);
+  }
+  leavingWaitlist[tId] = true;
+  db.ref().update(updates).then(() => {
+    UI.showToast('Left the waitlist.');
+  }).catch((err) => {
+    console.error(err);
+    delete leavingWaitlist[tId];
+    button.disabled = false;
+    UI.showToast('Unable to leave the waitlist. You may be getting a slot right now.');
+  });
+}
+
+/**
+ * Ids of tournaments the user has joined (from `/userJoins/{uid}`) and
+ * the user's own join record for each, kept live by
+ * loadMyTournaments().
+ */
+let myJoinIds = {};
+const myJoinRecords = {};
+const myJoinListeners = {};
+const myTeams = {};
+
+/**
+ * Default minutes before start after which players can no longer leave
+ * a tournament, used when neither the tournament nor `/appSettings`
+ * sets `leaveCutoffMin`.
+ */
+const DEFAULT_LEAVE_CUTOFF_MIN = 30;
+
+/**
+ * Display labels for join statuses.
+ */
+const JOIN_STATUS_LABELS = {
+  joined: 'Joined',
+  checked_in: 'Checked in',
+  no_show: 'No-show',
+  played: 'Played',
+  won: 'Won'
+};
+
+/**
+ * Listens to the user's join index and, for each joined tournament,
+ * to the user's record in `/tournamentJoins/{tId}/{uid}` so status and
+ * results stay live in the My Tournaments view.
+ *
+ * @param {string} uid
+ */
+function loadMyTournaments(uid) {
+  db.ref('userJoins/' + uid).on('value', (snap) => {
+    myJoinIds = snap.val() || {};
+    Object.keys(myJoinListeners).forEach(tId => {
+      if (myJoinIds[tId]) return;
+      db.ref('tournamentJoins/' + tId + '/' + uid).off('value', myJoinListeners[tId]);
+      delete myJoinListeners[tId];
+      delete myJoinRecords[tId];
+    });
+    Object.keys(myJoinIds).forEach(tId => {
+      if (myJoinListeners[tId]) return;
+      myJoinListeners[tId] = db.ref('tournamentJoins/' + tId + '/' + uid).on('value', (joinSnap) => {
+        myJoinRecords[tId] = joinSnap.val();
+        watchMyTeam(tId, myJoinRecords[tId]);
+        refreshTournamentList();
+        renderMyTournaments();
+      });
+    });
+    refreshTournamentList();
+    renderMyTournaments();
+  });
+}
+
+/**
+ * Starts listening to the team of a team join so the roster shows up
+ * in My Tournaments. Does nothing for solo joins or when the team is
+ * already being watched.
+ *
+ * @param {string} tId
+ * @param {Object|null} j The user's join record.
+ */
+function watchMyTeam(tId, j) {
+  if (!j || !j.teamId || (myTeams[tId] && myTeams[tId].id === j.teamId)) return;
+  myTeams[tId] = { id: j.teamId, data: null };
+  db.ref('tournamentTeams/' + tId + '/' + j.teamId).on('value', (snap) => {
+    if (!myTeams[tId] || myTeams[tId].id !== j.teamId) return;
+    myTeams[tId].data = snap.val();
+    renderMyTournaments();
+  }, () => {
+    // Access is lost once the user leaves the team.
+    delete myTeams[tId];
+  });
+}
+
+/**
+ * Returns the time after which the user can no longer leave a
+ * tournament, from the tournament's `leaveCutoffMin`, the global
+ * setting, or the default.
+ *
+ * @param {Object} t
+ * @returns {number}
+ */
+function leaveDeadline(t) {
+  const cutoff = t.leaveCutoffMin != null ? t.leaveCutoffMin
+    : appSettings.leaveCutoffMin != null ? appSettings.leaveCutoffMin
+    : DEFAULT_LEAVE_CUTOFF_MIN;
+  return (t.startTime || 0) - cutoff * 60000;
+}
+
+/**
+ * Renders the My Tournaments view from the joined tournaments, newest
+ * start time first. Each card shows the join status, results once
+ * published, revealed room details and a Leave button until the leave
+ * deadline.
+ */
+function renderMyTournaments() {
+  const list = document.getElementById('myTournamentsList');
+  list.innerHTML = '';
+  const items = tournamentsCache
+    .filter(({ id }) => myJoinIds[id] && myJoinRecords[id])
+    .sort((a, b) => (b.data.startTime || 0) - (a.data.startTime || 0));
+  if (!items.length) {
+    list.innerHTML = '<p>You have not joined any tournaments yet.</p>';
+    return;
+  }
+  const now = Date.now() + serverTimeOffset;
+  items.forEach(({ id, data: t }) => {
+    const j = myJoinRecords[id];
+    const team = j.teamId && myTeams[id] ? myTeams[id].data : null;
+    const canLeave = t.status === 'upcoming' && (j.status === 'joined' || j.status === 'checked_in') && now < leaveDeadline(t);
+    const checkInTimes = checkInWindow(t);
+    const checkInOpen = canCheckIn(id, t);
+    const card = document.createElement('div');
+    card.className = 'card tournament-card';
+    card.innerHTML = `
+      <h3>${UI.escapeHtml(t.title)}</h3>
+      <p>${UI.escapeHtml(t.gameName)} • ${t.startTime ? new Date(t.startTime).toLocaleString() : 'TBA'}</p>
+      <p><span class="status-badge ${j.status}">${JOIN_STATUS_LABELS[j.status] || j.status}</span></p>
+      ${team ? `<p>Team: <strong>${UI.escapeHtml(team.name)}</strong> (${team.memberCount}/${team.size})${j.inviteCode ? ' • Invite code: <strong>' + j.inviteCode + '</strong>' : ''}</p>
+        <p>${Object.values(team.members || {}).map(m => UI.escapeHtml(m.name) + ' (' + UI.escapeHtml(m.ign) + ')').join(', ')}</p>` : ''}
+      ${checkInTimes && j.status === 'joined' && now < checkInTimes[0] ? `<p>Check in between ${new Date(checkInTimes[0]).toLocaleString()} and the start time to keep your slot.</p>` : ''}
+      ${checkInOpen ? '<button class="primary checkin-btn">Check In</button>' : ''}
+      ${j.status === 'no_show' ? `<p>You did not check in, so your slot was released.${j.refunded ? ' Your entry fee was refunded.' : ''}</p>` : ''}
+      ${j.placement ? `<p>Placement: #${j.placement} • Kills: ${j.kills || 0} • Points: ${j.points || 0}</p>` : ''}
+      ${j.prize ? `<p>Prize: ₹${j.prize}</p>` : ''}
+      <div class="room-details"></div>
+      ${canLeave ? `<p>Leave before ${new Date(leaveDeadline(t)).toLocaleString()} for a full refund.</p>
+        <button class="danger leave-btn">Leave</button>` : ''}
+      ${t.hasBracket ? '<button class="primary bracket-btn">View Bracket</button>' : ''}
+    `;
+    renderRoomDetails(card.querySelector('.room-details'), id, t);
+    if (checkInOpen) {
+      card.querySelector('.checkin-btn').addEventListener('click', (e) => {
+        checkIn(id, e.currentTarget);
+      });
+    }
+    if (t.hasBracket) {
+      card.querySelector('.bracket-btn').addEventListener('click', () => {
+        openBracketView(id, t);
+      });
+    }
+    if (canLeave) {
+      card.querySelector('.leave-btn').addEventListener('click', (e) => {
+        leaveTournament(id, t, j, e.currentTarget);
+      });
+    }
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Leaves a tournament before its leave deadline. Removing the join
+ * record and index, releasing the slot and refunding the fee paid
+ * through the ledger happen in one commit; the rules check the deadline
+ * and that the refund matches the fee paid.
+ *
+ * Team members leave their team without releasing the team's slot. A
+ * captain can only leave once the rest of the team has left, which
+ * removes the team, its invite code and its slot.
+ *
+ * @param {string} tId
+ * @param {Object} t
+ * @param {Object} j The user's join record.
+ * @param {HTMLButtonElement} button
+ */
+function leaveTournament(tId, t, j, button) {
+  const uid = firebase.auth().currentUser.uid;
+  const team = j.teamId && myTeams[tId] ? myTeams[tId].data : null;
+  if (j.role === 'captain' && (!team || team.memberCount > 1)) {
+    UI.showToast('Your teammates must leave before you can leave.');
+    return;
+  }
+  if (!confirm('Leave ' + t.title + '?' + (j.feePaid ? ' Your entry fee will be refunded.' : ''))) return;
+  button.disabled = true;
+  const updates = {};
+  updates['tournamentJoins/' + tId + '/' + uid] = null;
+  updates['userJoins/' + uid + '/' + tId] = null;
+  updates['tournamentParticipants/' + tId + '/' + uid] = null;
+  if (j.role === 'member') {
+    const teamPath = 'tournamentTeams/' + tId + '/' + j.teamId;
+    updates[teamPath + '/memberCount'] = firebase.database.ServerValue.increment(-1);
+    updates[teamPath + '/members/' + uid] = null;
+  } else {
+    updates['tournaments/' + tId + '/joinedCount'] = firebase.database.ServerValue.increment(-1);
+    if (j.role === 'captain') {
+      updates['tournamentTeams/' + tId + '/' + j.teamId] = null;
+      updates['teamInvites/' + j.inviteCode] = null;
+    }
+  }
+  const fee = j.feePaid || 0;
+  const entries = fee > 0 ? [{
+    uid: uid,
+    type: 'refund',
+    amount: fee,
+    ref: { kind: 'tournament', id: tId },
+    note: 'Left ' + t.title
+  }] : [];
+  Ledger.commit(entries, updates).then(() => {
+    UI.showToast(fee > 0 ? 'Left tournament. ₹' + fee + ' refunded.' : 'Left tournament.');
+  }).catch((err) => {
+    console.error(err);
+    button.disabled = false;
+    UI.showToast('Unable to leave. The leave deadline may have passed.');
+  });
+}
+
+/** Number of players shown on a leaderboard. */
+const LEADERBOARD_SIZE = 50;
+
+/**
+ * Most players counted above the current user when looking up a rank
+ * outside the top list. Lower ranks are shown as beyond this, so the
+ * lookup never downloads a whole board.
+ */
+const LEADERBOARD_RANK_LIMIT = 500;
+
+/** Live query for the leaderboard being shown, if any. */
+let leaderboardQuery = null;
+
+/**
+ * Wires up the leaderboard filter selects. Called once from
+ * initUserApp().
+ */
+function initLeaderboard() {
+  ['lbMetric', 'lbPeriod', 'lbGame'].forEach(id => {
+    document.getElementById(id).addEventListener('change', loadLeaderboard);
+  });
+}
+
+/**
+ * Fills the game filter from the games in the tournament list and
+ * loads the leaderboard. Called whenever the leaderboard page opens.
+ */
+function openLeaderboard() {
+  const select = document.getElementById('lbGame');
+  const selected = select.value;
+  const games = {};
+  tournamentsCache.forEach(({ data }) => {
+    if (data.gameName) games[Leaderboard.gameKey(data.gameName)] = data.gameName;
+  });
+  select.innerHTML = '<option value="all">All games</option>';
+  Object.keys(games).sort().forEach(key => {
+    const opt = document.createElement('option');
+    opt.value = key;
+    opt.textContent = games[key];
+    select.appendChild(opt);
+  });
+  select.value = games[selected] ? selected : 'all';
+  loadLeaderboard();
+}
+
+/**
+ * Shows the top players for the selected metric, period and game, live.
+ * The current user's row is highlighted; when they are outside the top
+ * list their rank is looked up separately, counting at most
+ * LEADERBOARD_RANK_LIMIT players above them.
+ */
+function loadLeaderboard() {
+  const uid = firebase.auth().currentUser.uid;
+  const metric = document.getElementById('lbMetric').value;
+  const period = Leaderboard.periodKey(document.getElementById('lbPeriod').value, Date.now() + serverTimeOffset);
+  const game = document.getElementById('lbGame').value;
+  const list = document.getElementById('leaderboardList');
+  const myRank = document.getElementById('lbMyRank');
+  const boardRef = db.ref('leaderboards/' + period + '/' + game);
+  const format = (value) => (metric === 'earnings' ? '₹' + value : String(value));
+  if (leaderboardQuery) leaderboardQuery.off();
+  leaderboardQuery = boardRef.orderByChild(metric).limitToLast(LEADERBOARD_SIZE);
+  list.innerHTML = '<div class="skeleton"></div>';
+  leaderboardQuery.on('value', (snap) => {
+    const rows = [];
+    snap.forEach(child => {
+      rows.unshift({ uid: child.key, data: child.val() });
+    });
+    list.innerHTML = rows.length ? '' : '<p>No results yet.</p>';
+    let mine = 0;
+    rows.forEach(({ uid: rowUid, data }, i) => {
+      const row = document.createElement('div');
+      row.className = 'leaderboard-row' + (rowUid === uid ? ' mine' : '');
+      row.innerHTML = `<span>#${i + 1} ${UI.escapeHtml(data.name || 'Player')}</span><span>${format(data[metric] || 0)}</span>`;
+      list.appendChild(row);
+      if (rowUid === uid) mine = i + 1;
+    });
+    if (mine) {
+      myRank.textContent = 'Your rank: #' + mine;
+      return;
+    }
+    boardRef.child(uid).once('value').then((meSnap) => {
+      if (!meSnap.exists()) {
+        myRank.textContent = 'Play a tournament to get ranked.';
+        return;
+      }
+      const value = meSnap.val()[metric] || 0;
+      return boardRef.orderByChild(metric).startAt(value + 1).limitToFirst(LEADERBOARD_RANK_LIMIT).once('value').then((above) => {
+        const count = above.numChildren();
+        myRank.textContent = (count < LEADERBOARD_RANK_LIMIT ? 'Your rank: #' + (count + 1) : 'Your rank: below #' + LEADERBOARD_RANK_LIMIT) +
+          ' (' + format(value) + ')';
+      });
+    }).catch((err) => {
+      console.error(err);
+      myRank.textContent = '';
+    });
+  });
+}
+
+/**
+ * The user's support tickets by id, kept live by loadSupportTickets(),
+ * and the ticket open on the support ticket page with its message
+ * listener.
+ */
+let supportTickets = {};
+let supportTicketId = null;
+let supportMessagesRef = null;
+
+/**
+ * Withdrawal entries from the recent wallet history, offered as links
+ * when opening a support ticket.
+ */
+let recentWithdrawals = [];
+
+/**
+ * Listens to the user's support tickets, keeping the ticket list, the
+ * open ticket and the unread badge on the profile page current.
+ *
+ * @param {string} uid
+ */
+function loadSupportTickets(uid) {
+  db.ref('supportTickets').orderByChild('uid').equalTo(uid).on('value', (snap) => {
+    supportTickets = snap.val() || {};
+    renderSupportTickets();
+    renderSupportTicket();
+  });
+}
+
+/**
+ * Renders the user's tickets, most recently active first, and the total
+ * unread count.
+ */
+function renderSupportTickets() {
+  const list = document.getElementById('supportTicketsList');
+  const badge = document.getElementById('supportUnread');
+  const ids = Object.keys(supportTickets).sort((a, b) =>
+    (supportTickets[b].lastMessageAt || 0) - (supportTickets[a].lastMessageAt || 0));
+  const unread = ids.reduce((sum, id) => sum + Support.unreadCount(supportTickets[id], 'user'), 0);
+  badge.textContent = unread;
+  badge.style.display = unread ? '' : 'none';
+  list.innerHTML = ids.length ? '' : '<p>You have no support tickets.</p>';
+  ids.forEach(id => {
+    const ticket = supportTickets[id];
+    const unreadCount = Support.unreadCount(ticket, 'user');
+    const card = document.createElement('div');
+    card.className = 'card support-ticket';
+    card.innerHTML = `
+      <h4>${UI.escapeHtml(ticket.subject)}${unreadCount ? ` <span class="unread-badge">${unreadCount}</span>` : ''}</h4>
+      <p><span class="status-badge">${Support.STATUSES[ticket.status] || ticket.status}</span> • ${new Date(ticket.lastMessageAt).toLocaleString()}</p>
+      ${ticket.link ? `<p>${UI.escapeHtml(supportLinkLabel(ticket.link))}</p>` : ''}
+    `;
+    card.addEventListener('click', () => {
+      Router.navigate('/support/' + id);
+    });
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Returns the label for a ticket's link, using the tournament title
+ * when it is known.
+ *
+ * @param {Object} link
+ * @returns {string}
+ */
+function supportLinkLabel(link) {
+  const entry = link.kind === 'tournament' ? tournamentsCache.find(({ id }) => id === link.id) : null;
+  return Support.linkLabel(link, entry ? entry.data.title : null);
+}
+
+/**
+ * Shows the support page and fills the link options with the user's
+ * joined tournaments and recent withdrawals.
+ */
+function openSupport() {
+  showPage('supportPage', 'Support', 'profilePage');
+  const select = document.getElementById('supportLink');
+  const current = select.value;
+  select.innerHTML = '<option value="">Not about a specific tournament or withdrawal</option>';
+  Object.keys(myJoinIds).forEach(tId => {
+    const option = document.createElement('option');
+    option.value = 'tournament:' + tId;
+    option.textContent = supportLinkLabel({ kind: 'tournament', id: tId });
+    select.appendChild(option);
+  });
+  recentWithdrawals.forEach(tx => {
+    const option = document.createElement('option');
+    option.value = 'withdrawal:' + tx.ref.id;
+    option.textContent = 'Withdrawal: ₹' + tx.amount + ' on ' + new Date(tx.createdAt).toLocaleDateString();
+    select.appendChild(option);
+  });
+  select.value = current;
+  if (select.value !== current) select.value = '';
+}
+
+/**
+ * Opens a support ticket from the support form. The configured
+ * auto-reply is posted with the first message.
+ */
+function submitSupportTicket() {
+  const subject = document.getElementById('supportSubject').value.trim();
+  const text = document.getElementById('supportText').value.trim();
+  const linkValue = document.getElementById('supportLink').value;
+  const btn = document.getElementById('supportSubmitBtn');
+  if (!subject || !text) {
+    UI.showToast('Enter a subject and a message.');
+    return;
+  }
+  const uid = firebase.auth().currentUser.uid;
+  btn.disabled = true;
+  db.ref('users/' + uid + '/name').once('value').then((nameSnap) => {
+    const [kind, id] = linkValue.split(':');
+    return Support.openTicket({
+      userName: nameSnap.val() || '',
+      subject: subject,
+      text: text,
+      link: linkValue ? { kind: kind, id: id } : null,
+      autoReply: appSettings.supportAutoMsg || ''
+    });
+  }).then((ticketId) => {
+    document.getElementById('supportSubject').value = '';
+    document.getElementById('supportText').value = '';
+    document.getElementById('supportLink').value = '';
+    Router.navigate('/support/' + ticketId);
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast('Unable to open the ticket.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Shows a support ticket and starts listening to its messages.
+ *
+ * @param {string} ticketId
+ */
+function openSupportTicket(ticketId) {
+  showPage('supportTicketPage', 'Support', 'profilePage');
+  if (supportTicketId === ticketId) return;
+  closeSupportTicket();
+  supportTicketId = ticketId;
+  const container = document.getElementById('supportMessages');
+  container.innerHTML = '<div class="skeleton"></div>';
+  supportMessagesRef = db.ref('supportMessages/' + ticketId);
+  supportMessagesRef.on('value', (snap) => {
+    Support.renderMessages(container, snap, 'user');
+  }, () => {
+    container.innerHTML = '<p>This ticket could not be found.</p>';
+  });
+  renderSupportTicket();
+}
+
+/**
+ * Stops listening to the open ticket's messages.
+ */
+function closeSupportTicket() {
+  if (supportMessagesRef) supportMessagesRef.off();
+  supportMessagesRef = null;
+  supportTicketId = null;
+}
+
+/**
+ * Renders the header of the open ticket and marks it read.
+ */
+function renderSupportTicket() {
+  const header = document.getElementById('supportTicketHeader');
+  const ticket = supportTicketId ? supportTickets[supportTicketId] : null;
+  if (!supportTicketId) return;
+  if (!ticket) {
+    header.innerHTML = '<p>Loading ticket…</p>';
+    return;
+  }
+  document.getElementById('app-title').textContent = ticket.subject;
+  header.innerHTML = `
+    <h4>${UI.escapeHtml(ticket.subject)}</h4>
+    <p><span class="status-badge">${Support.STATUSES[ticket.status] || ticket.status}</span>${ticket.assignedName ? ' • Handled by support' : ''}</p>
+    ${ticket.link ? `<p>${UI.escapeHtml(supportLinkLabel(ticket.link))}</p>` : ''}
+    ${ticket.status === 'open' ? '<button class="success">Mark Resolved</button>' : '<p>This ticket is resolved. Reply to reopen it.</p>'}
+  `;
+  if (ticket.status === 'open') {
+    const ticketId = supportTicketId;
+    header.querySelector('button').addEventListener('click', () => {
+      db.ref('supportTickets/' + ticketId + '/status').set('resolved').catch((err) => {
+        console.error(err);
+        UI.showToast('Unable to update the ticket.');
+      });
+    });
+  }
+  if (Support.unreadCount(ticket, 'user')) {
+    Support.markRead(supportTicketId, 'user').catch((err) => {
+      console.error(err);
+    });
+  }
+}
+
+/**
+ * Sends the reply typed on the support ticket page.
+ */
+function sendSupportReply() {
+  const input = document.getElementById('supportReply');
+  const btn = document.getElementById('supportReplyBtn');
+  const text = input.value.trim();
+  if (!text || !supportTicketId) return;
+  btn.disabled = true;
+  Support.sendMessage(supportTicketId, 'user', text).then(() => {
+    input.value = '';
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast('Unable to send the message.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/** Number of recent notifications and announcements in the feed. */
+const NOTIFICATION_FEED_SIZE = 50;
+const ANNOUNCEMENT_FEED_SIZE = 20;
+
+/**
+ * The user's notifications and the recent announcements with the
+ * user's read or cleared state for each, kept live by
+ * loadNotifications(). Ids in `shownNotifications` are not shown as
+ * browser notifications; it starts with everything already there when
+ * the app opens.
+ */
+let myNotifications = {};
+let recentAnnouncements = {};
+let myAnnouncementState = {};
+const shownNotifications = new Set();
+
+/**
+ * Listens to the user's notifications and the recent announcements,
+ * keeping the feed and the unread badge in the app bar current, and
+ * registers the service worker that shows browser notifications.
+ *
+ * @param {string} uid
+ */
+function loadNotifications(uid) {
+  Notifications.registerWorker(link => Router.navigate(link));
+  let notificationsLoaded = false;
+  let announcementsLoaded = false;
+  db.ref('notifications/' + uid).orderByChild('createdAt').limitToLast(NOTIFICATION_FEED_SIZE).on('value', (snap) => {
+    myNotifications = snap.val() || {};
+    if (!notificationsLoaded) Object.keys(myNotifications).forEach(id => shownNotifications.add(id));
+    notificationsLoaded = true;
+    renderNotifications();
+  });
+  db.ref('announcements').orderByChild('createdAt').limitToLast(ANNOUNCEMENT_FEED_SIZE).on('value', (snap) => {
+    recentAnnouncements = snap.val() || {};
+    if (!announcementsLoaded) Object.keys(recentAnnouncements).forEach(id => shownNotifications.add(id));
+    announcementsLoaded = true;
+    renderNotifications();
+  });
+  db.ref('announcementState/' + uid).on('value', (snap) => {
+    myAnnouncementState = snap.val() || {};
+    renderNotifications();
+  });
+}
+
+/**
+ * Returns the feed: the user's notifications and the announcements they
+ * have not cleared, newest first.
+ *
+ * @returns {Array<Object>}
+ */
+function notificationFeed() {
+  const items = Object.keys(myNotifications).map(id => Object.assign({}, myNotifications[id], {
+    id: id,
+    path: 'notifications/' + firebase.auth().currentUser.uid + '/' + id
+  }));
+  Object.keys(recentAnnouncements).forEach(id => {
+    const state = myAnnouncementState[id];
+    if (state === 'cleared') return;
+    items.push(Object.assign({}, recentAnnouncements[id], {
+      id: id,
+      type: 'announcement',
+      shared: true,
+      read: state === 'read',
+      path: 'announcementState/' + firebase.auth().currentUser.uid + '/' + id
+    }));
+  });
+  return items.sort((a, b) => (b.createdAt || 0) - (a.createdAt || 0));
+}
+
+/**
+ * Returns the update that marks a feed item read.
+ *
+ * @param {Object} item
+ * @returns {Object}
+ */
+function markReadUpdate(item) {
+  return item.shared ? { [item.path]: 'read' } : { [item.path + '/read']: true };
+}
+
+/**
+ * Returns the update that clears a feed item. Notifications are
+ * deleted; announcements are only hidden for this user.
+ *
+ * @param {Object} item
+ * @returns {Object}
+ */
+function clearUpdate(item) {
+  return { [item.path]: item.shared ? 'cleared' : null };
+}
+
+/**
+ * Renders the feed and the unread badge, and shows new unread items as
+ * browser notifications.
+ */
+function renderNotifications() {
+  const list = document.getElementById('notificationsList');
+  const badge = document.getElementById('notifUnread');
+  const items = notificationFeed();
+  const unread = items.filter(item => !item.read).length;
+  badge.textContent = unread > 99 ? '99+' : unread;
+  badge.style.display = unread ? '' : 'none';
+  items.forEach(item => {
+    if (item.read || shownNotifications.has(item.id)) return;
+    shownNotifications.add(item.id);
+    Notifications.showInBrowser(item, item.id);
+  });
+  renderNotificationPermission();
+  list.innerHTML = items.length ? '' : '<p>You have no notifications.</p>';
+  items.forEach(item => {
+    const card = document.createElement('div');
+    card.className = 'card notification' + (item.read ? '' : ' unread');
+    card.innerHTML = `
+      <button class="notification-clear" title="Clear">&times;</button>
+      <h4>${Notifications.TYPES[item.type] || '🔔'} ${UI.escapeHtml(item.title)}</h4>
+      ${item.body ? `<p>${UI.escapeHtml(item.body)}</p>` : ''}
+      <small>${new Date(item.createdAt).toLocaleString()}</small>
+    `;
+    card.querySelector('.notification-clear').addEventListener('click', (e) => {
+      e.stopPropagation();
+      updateNotifications(clearUpdate(item));
+    });
+    card.addEventListener('click', () => {
+      if (!item.read) updateNotifications(markReadUpdate(item));
+      if (item.link) Router.navigate(item.link);
+    });
+    list.appendChild(card);
+  });
+}
+
+/**
+ * Shows the button asking for browser notifications while the user has
+ * not been asked yet.
+ */
+function renderNotificationPermission() {
+  document.getElementById('notifPermissionBtn').style.display =
+    Notifications.browserPermission() === 'default' ? '' : 'none';
+}
+
+/**
+ * Applies a multi-path update to the feed.
+ *
+ * @param {Object} updates
+ * @returns {Promise}
+ */
+function updateNotifications(updates) {
+  return db.ref().update(updates).catch((err) => {
+    console.error(err);
+    UI.showToast('Unable to update notifications.');
+  });
+}
+
+/**
+ * Shows the notifications page.
+ */
+function openNotifications() {
+  showPage('notificationsPage', 'Notifications');
+  renderNotificationPermission();
+}
+
+/**
+ * Marks every item in the feed read.
+ */
+function markAllNotificationsRead() {
+  const updates = {};
+  notificationFeed().filter(item => !item.read).forEach(item => Object.assign(updates, markReadUpdate(item)));
+  if (Object.keys(updates).length) updateNotifications(updates);
+}
+
+/**
+ * Clears every item in the feed.
+ */
+function clearAllNotifications() {
+  const updates = {};
+  notificationFeed().forEach(item => Object.assign(updates, clearUpdate(item)));
+  if (Object.keys(updates).length) updateNotifications(updates);
+}
+
+/**
+ * Asks the user to allow browser notifications.
+ */
+function enableBrowserNotifications() {
+  Notifications.requestBrowserPermission().then((granted) => {
+    renderNotificationPermission();
+    UI.showToast(granted ? 'Browser notifications are on.' : 'Browser notifications are blocked.');
+  });
+}
+
+/**
+ * Listens for changes to the user's wallet balance and updates the UI
+ * accordingly. Displays ₹0 if no wallet exists yet.
+ *
+ * @param {string} uid
+ */
+function loadWallet(uid) {
+  const balanceEl = document.getElementById('walletBalance');
+  db.ref('users/' + uid + '/wallet/balance').on('value', (snap) => {
+    const bal = snap.val() || 0;
+    balanceEl.textContent = '₹' + bal;
+  });
+}
+
+/**
+ * Loads the most recent 20 wallet transactions for the user and
+ * displays them in the wallet history section. Each entry shows the
+ * type, signed amount, date and resulting balance. Newest items appear
+ * first.
+ *
+ * @param {string} uid
+ */
+function loadWalletHistory(uid) {
+  const list = document.getElementById('walletHistory');
+  db.ref('walletHistory/' + uid).limitToLast(20).on('value', (snap) => {
+    list.innerHTML = '';
+    const items = [];
+    snap.forEach(child => {
+      items.push(child.val());
+    });
+    // Reverse order so the latest transaction appears on top
+    items.reverse();
+    recentWithdrawals = items.filter(tx => tx.type === 'withdrawal' && tx.ref);
+    items.forEach((tx) => {
+      const delta = Ledger.deltaOf(tx);
+      const item = document.createElement('div');
+      item.className = 'card';
+      item.innerHTML = `
+        <p><strong>${Ledger.labelOf(tx.type)}</strong>: ${delta < 0 ? '-' : delta > 0 ? '+' : ''}₹${tx.amount}</p>
+        <p>${new Date(tx.createdAt).toLocaleString()}${typeof tx.balanceAfter === 'number' ? ' • Balance ₹' + tx.balanceAfter : ''}</p>
+        <p>${UI.escapeHtml(tx.note || '')}</p>
+      `;
+      list.appendChild(item);
+    });
+  });
+}
+
+/**
+ * Starts an add-money deposit for the amount in the wallet form using
+ * the configured payment provider. The wallet is only credited after
+ * the provider's callback has been verified.
+ */
+function addMoney() {
+  const input = document.getElementById('depositAmount');
+  const btn = document.getElementById('depositBtn');
+  const amount = parseInt(input.value, 10);
+  if (!amount || amount <= 0) {
+    UI.showToast('Enter valid amount.');
+    return;
+  }
+  btn.disabled = true;
+  Payments.startDeposit(amount).then((status) => {
+    input.value = '';
+    showDepositResult(status);
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast(err.code === 'deposits-unavailable' ? 'Adding money is not available right now.' : 'Error adding money.');
+  }).then(() => {
+    btn.disabled = false;
+  });
+}
+
+/**
+ * Shows a toast describing the outcome of a deposit.
+ *
+ * @param {string} status
+ */
+function showDepositResult(status) {
+  const messages = {
+    success: 'Money added to wallet.',
+    pending: 'Payment is being confirmed. Your wallet will update shortly.'
+  };
+  UI.showToast(messages[status] || 'Payment failed.');
+}
+
+/**
+ * Handles withdrawal requests. Validates a whole rupee amount against
+ * the minimum withdrawal settings, then commits the withdrawal debit together with the new
+ * `/withdrawals` record so the amount is never deducted without a
+ * request for the admins to review.
+ */
+function requestWithdrawal() {
+  const amount = Number(document.getElementById('withdrawAmount').value);
+  const method = document.getElementById('withdrawMethod').value || 'upi';
+  const account = document.getElementById('withdrawAccount').value || '';
+  if (!Number.isInteger(amount) || amount <= 0) {
+    UI.showToast('Enter a whole rupee amount.');
+    return;
+  }
+  if (blockedByMaintenance()) return;
+  const uid = firebase.auth().currentUser.uid;
+  // Fetch global app settings for withdrawal constraints
+  Promise.all([
+    db.ref('appSettings').once('value'),
+    db.ref('users/' + uid + '/name').once('value')
+  ]).then(([snap, nameSnap]) => {
+    const settings = snap.val() || {};
+    const min = settings.minWithdraw || 0;
+    const feePercent = settings.withdrawFeePercent || 0;
+    if (amount < min) {
+      UI.showToast('Minimum withdraw is ₹' + min);
+      return;
+    }
+    const fee = Math.ceil(amount * feePercent / 100);
+    const wId = db.ref('withdrawals').push().key;
+    const updates = {};
+    updates['withdrawals/' + wId] = {
+      uid: uid,
+      name: nameSnap.val() || '',
+      method: method,
+      accountInfo: account,
+      amount: amount,
+      fee: fee,
+      status: 'pending',
+      adminNote: '',
+      transactionId: '',
+      createdAt: Date.now(),
+      updatedAt: Date.now()
+    };
+    return Ledger.commit([{
+      uid: uid,
+      type: 'withdrawal',
+      amount: amount,
+      ref: { kind: 'withdrawal', id: wId },
+      note: 'Withdrawal via ' + method
+    }], updates).then(() => {
+      // Clear form
+      document.getElementById('withdrawAmount').value = '';
+      document.getElementById('withdrawMethod').value = '';
+      document.getElementById('withdrawAccount').value = '';
+      UI.showToast('Withdraw requested.');
+    });
+  }).catch((err) => {
+    console.error(err);
+    UI.showToast(err.code === 'insufficient-funds' ? 'Insufficient balance.' : 'Error requesting withdrawal.');
+  });
+}
@@ -0,0 +1,28 @@
+/**
+ * Writes the rules from rules/index.js to database.rules.json and the
+ * emulator rules to database.rules.dev.json.
+ *
+ *   node rules/build.js          rebuild both files
+ *   node rules/build.js --check  fail if either file is out of date
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { build, format } = require('./index');
+
+const OUTPUTS = {
+  'database.rules.json': {},
+  'database.rules.dev.json': { dev: true }
+};
+
+const check = process.argv.includes('--check');
+Object.keys(OUTPUTS).forEach(name => {
+  const file = path.join(__dirname, '..', name);
+  const text = format(build(OUTPUTS[name]));
+  if (!check) {
+    fs.writeFileSync(file, text);
+  } else if (!fs.existsSync(file) || fs.readFileSync(file, 'utf8') !== text) {
+    console.error(name + ' is out of date, run `npm run build:rules`.');
+    process.exitCode = 1;
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * Building blocks for the Realtime Database rules in rules/index.js.
+ * Rules are plain expression strings; these helpers name the role
+ * checks and the expressions that repeat across nodes so each rule
+ * reads as what it allows rather than as the expanded expression.
+ */
+
+/**
+ * The signed-in user is listed in `/adminUids` and has a role in
+ * `/adminRoles`; an admin without a role has no admin access.
+ */
+const ADMIN = "(root.child('adminUids').child(auth.uid).val() === true && root.child('adminRoles').child(auth.uid).exists())";
+
+/** Any signed-in user, anonymous or not. */
+const AUTH = 'auth != null';
+
+/** The signed-in admin's role in `/adminRoles`. */
+const ROLE = "root.child('adminRoles').child(auth.uid).val()";
+
+/** Admin roles, see ADMIN_ROLES in js/admin.js. */
+const ROLES = ['super-admin', 'finance', 'tournament-ops', 'moderator'];
+
+/** A super-admin, which must be granted like any other role. */
+const SUPER = `(${ADMIN} && ${ROLE} === 'super-admin')`;
+
+/**
+ * An admin with one of the roles, or a super-admin.
+ *
+ * @param {...string} roles
+ * @returns {string}
+ */
+function hasRole(...roles) {
+  return '(' + [SUPER].concat(roles.map(r => `(${ADMIN} && ${ROLE} === '${r}')`)).join(' || ') + ')';
+}
+
+const FINANCE = hasRole('finance');
+const OPS = hasRole('tournament-ops');
+const MOD = hasRole('moderator');
+
+/**
+ * The signed-in admin adds an audit entry in the same write: their
+ * `/auditHeads` pointer moves to it, and the pointer's own rule only
+ * accepts a new `/auditLog` entry.
+ *
+ * @param {string} nr The new root seen from the node, see newRoot().
+ * @returns {string}
+ */
+function audited(nr) {
+  return `(${nr}.child('auditHeads').child(auth.uid).val() !== root.child('auditHeads').child(auth.uid).val())`;
+}
+
+/**
+ * Value of a rule snapshot expression, or 0 when it is missing.
+ *
+ * @param {string} node
+ * @returns {string}
+ */
+function ex(node) {
+  return `(${node}.exists() ? ${node}.val() : 0)`;
+}
+
+/**
+ * @param {...string} xs
+ * @returns {string} The expressions joined with `||`.
+ */
+function anyOf(...xs) {
+  return '(' + xs.join(' || ') + ')';
+}
+
+/**
+ * @param {...string} xs
+ * @returns {string} The expressions joined with `&&`.
+ */
+function allOf(...xs) {
+  return '(' + xs.join(' && ') + ')';
+}
+
+/**
+ * An expression equal to one of the string values.
+ *
+ * @param {string} expr
+ * @param {Array<string>} values
+ * @returns {string}
+ */
+function oneOf(expr, values) {
+  return '(' + values.map(v => `${expr} === '${v}'`).join(' || ') + ')';
+}
+
+/**
+ * A user is blocked while isBlocked is set and blockedUntil, if any, is
+ * in the future.
+ *
+ * @param {string} user Rule snapshot expression of a `/users/{uid}` node.
+ * @returns {string}
+ */
+function notBlocked(user) {
+  return `(${user}.child('isBlocked').val() !== true` +
+    ` || (${user}.child('blockedUntil').exists() && ${user}.child('blockedUntil').val() <= now))`;
+}
+
+/**
+ * `newData.parent()` applied `levels` times, the new root seen from a
+ * node that many levels deep.
+ *
+ * @param {number} levels
+ * @returns {string}
+ */
+function newRoot(levels) {
+  return 'newData' + '.parent()'.repeat(levels);
+}
+
+module.exports = {
+  ADMIN,
+  AUTH,
+  ROLE,
+  ROLES,
+  SUPER,
+  FINANCE,
+  OPS,
+  MOD,
+  hasRole,
+  audited,
+  ex,
+  anyOf,
+  allOf,
+  oneOf,
+  notBlocked,
+  newRoot
+};
@@ -0,0 +1,840 @@
+/**
+ * Source of the Realtime Database rules. `npm run build:rules` writes
+ * them to database.rules.json, which is what gets deployed; edit this
+ * file and rebuild instead of editing the JSON. Role checks and shared
+ * expressions come from rules/helpers.js.
+ *
+ * Rules that check a multi-path write look at the new root through
+ * `newData.parent()...` from the node being written, named `*_NR`
+ * below, so a write is only allowed together with the records it must
+ * land with (a join with its fee, a wallet with its ledger entry).
+ *
+ * The same source also builds database.rules.dev.json, used by the
+ * emulators through firebase.dev.json. It differs only in letting
+ * players settle deposits of the `mock` payment provider themselves,
+ * which must never be possible in production.
+ */
+
+const {
+  ADMIN, AUTH, ROLE, ROLES, SUPER, FINANCE, OPS, MOD,
+  audited, ex, anyOf, allOf, oneOf, notBlocked, newRoot
+} = require('./helpers');
+
+/**
+ * Builds the rules.
+ *
+ * @param {{dev?: boolean}} [options] `dev` builds the emulator rules.
+ * @returns {{rules: Object}}
+ */
+function build(options = {}) {
+  const R = {};
+  // granting and revoking admin access is audited, like the other
+  // privileged changes marked below
+  R['adminUids'] = {
+    '.read': SUPER,
+    '$uid': {
+      '.read': `${AUTH} && auth.uid === $uid`,
+      '.write': `${SUPER} && ${audited(newRoot(2))}`,
+      '.validate': 'newData.val() === true'
+    }
+  };
+  R['adminRoles'] = {
+    '.read': SUPER,
+    '$uid': {
+      '.read': `${AUTH} && auth.uid === $uid`,
+      '.write': `${SUPER} && ${audited(newRoot(2))}`,
+      '.validate': oneOf('newData.val()', ROLES)
+    }
+  };
+
+  // append-only log of admin changes, see js/audit.js
+  R['auditLog'] = {
+    '.read': SUPER,
+    '.indexOn': ['createdAt'],
+    '$entryId': {
+      '.write': `${ADMIN} && !data.exists()`,
+      '.validate': "newData.hasChildren(['by', 'action', 'target', 'before', 'after', 'createdAt'])",
+      'by': { '.validate': 'newData.val() === auth.uid' },
+      'byName': { '.validate': 'newData.isString() && newData.val().length <= 100' },
+      'role': { '.validate': 'newData.isString() && newData.val().length <= 30' },
+      'action': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 50' },
+      'target': { '.validate': 'newData.isString() && newData.val().length <= 200' },
+      'before': { '.validate': 'newData.isString() && newData.val().length <= 10000' },
+      'after': { '.validate': 'newData.isString() && newData.val().length <= 10000' },
+      'createdAt': { '.validate': 'newData.val() === now' },
+      '$other': { '.validate': false }
+    }
+  };
+  // id of each admin's latest audit entry, see audited() in rules/helpers.js
+  R['auditHeads'] = {
+    '$uid': {
+      '.write': `${ADMIN} && auth.uid === $uid && newData.exists()`,
+      '.validate': `newData.isString() && !root.child('auditLog').child(newData.val()).exists() && ${newRoot(2)}.child('auditLog').child(newData.val()).exists()`
+    }
+  };
+
+  // precomputed dashboard counters, see js/analytics.js
+  /**
+   * The signed-in user's ledger entry written in the same update, and
+   * whether it is new.
+   */
+  const ledgerEntry = (nr) => {
+    const last = `${nr}.child('users').child(auth.uid).child('wallet/lastEntry').val()`;
+    const entry = `${nr}.child('walletHistory').child(auth.uid).child(${last})`;
+    return [entry, `${entry}.exists() && !root.child('walletHistory').child(auth.uid).child(${last}).exists()`];
+  };
+  const signup = (nr) => allOf(AUTH, "!root.child('users').child(auth.uid).exists()",
+    `${nr}.child('users').child(auth.uid).exists()`,
+    `newData.val() === ${ex('data')} + 1`);
+  const D_NR = newRoot(4);
+  const [dEntry, dNew] = ledgerEntry(D_NR);
+  const userMoney = allOf(AUTH, dNew,
+    `newData.val() === ${ex('data')} + ${dEntry}.child('amount').val()`,
+    anyOf(`($metric === 'entryFees' && ${dEntry}.child('type').val() === 'join_fee')`,
+      `($metric === 'refunds' && ${dEntry}.child('type').val() === 'refund')`,
+      `($metric === 'deposits' && ${dEntry}.child('type').val() === 'deposit')`));
+  const G_NR = newRoot(5);
+  const T_TOT_NR = newRoot(3);
+  const [tEntry, tNew] = ledgerEntry(T_TOT_NR);
+  R['analytics'] = {
+    '.read': ADMIN,
+    'daily': {
+      '$day': {
+        '.validate': '$day.matches(/^[0-9][0-9][0-9][0-9]-[0-9][0-9]-[0-9][0-9]$/)',
+        'signups': {
+          '.write': signup(D_NR),
+          '.validate': 'newData.isNumber()'
+        },
+        'joinsByGame': {
+          '$game': {
+            '.write': `${OPS} || (${AUTH} && ${G_NR}.child('users').child(auth.uid).child('lastJoinAt').val() === now && newData.val() === ${ex('data')} + 1)`,
+            '.validate': 'newData.isNumber()'
+          }
+        },
+        '$metric': {
+          '.write': `${FINANCE} || ${OPS} || ${userMoney}`,
+          '.validate': 'newData.isNumber()'
+        }
+      }
+    },
+    'totals': {
+      'walletBalance': {
+        '.write': `${FINANCE} || ${OPS} || (${AUTH} && ${tNew} && newData.val() === ${ex('data')} + ${tEntry}.child('delta').val())`,
+        '.validate': 'newData.isNumber()'
+      },
+      'users': {
+        '.write': `${SUPER} || ${signup(T_TOT_NR)}`,
+        '.validate': 'newData.isNumber()'
+      },
+      '$other': { '.validate': false }
+    },
+    '$other': { '.validate': false }
+  };
+
+  R['appSettings'] = {
+    '.read': AUTH,
+    '.write': `${SUPER} && ${audited(newRoot(1))}`,
+    'minWithdraw': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+    'withdrawFeePercent': { '.validate': 'newData.isNumber() && newData.val() >= 0 && newData.val() <= 100' },
+    'maintenanceMode': { '.validate': 'newData.isBoolean()' },
+    'joinCooldownSec': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+    'leaveCutoffMin': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+    // unset turns deposits off; the mock provider only exists in the emulators
+    'paymentProvider': { '.validate': options.dev ? 'newData.isString()' : "newData.isString() && newData.val() !== 'mock'" },
+    'supportAutoMsg': { '.validate': 'newData.isString() && newData.val().length <= 500' },
+    '$other': { '.validate': false }
+  };
+  // home page content, edited from the admin Content page
+  const order = { '.validate': 'newData.isNumber()' };
+  const enabled = { '.validate': 'newData.isBoolean()' };
+  R['newsSlider'] = {
+    '.read': AUTH,
+    '.write': OPS,
+    '.indexOn': ['order'],
+    '$slideId': {
+      '.validate': "newData.hasChildren(['imageUrl', 'order'])",
+      'imageUrl': { '.validate': 'newData.isString() && newData.val().matches(/^https?:\\/\\//)' },
+      'title': { '.validate': 'newData.isString() && newData.val().length <= 100' },
+      'linkType': { '.validate': oneOf('newData.val()', ['none', 'url', 'tournament']) },
+      'linkValue': { '.validate': "newData.isString() && (newData.parent().child('linkType').val() !== 'url' || newData.val().matches(/^https?:\\/\\//))" },
+      'enabled': enabled,
+      'order': order,
+      '$other': { '.validate': false }
+    }
+  };
+  R['categories'] = {
+    '.read': AUTH,
+    '.write': OPS,
+    '.indexOn': ['order'],
+    '$catId': {
+      '.validate': "newData.hasChildren(['name', 'order'])",
+      'name': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 40' },
+      'enabled': enabled,
+      'order': order,
+      '$other': { '.validate': false }
+    }
+  };
+  R['homeUpcoming'] = {
+    '.read': AUTH,
+    '.write': OPS,
+    '.validate': "newData.hasChildren(['title', 'enabled'])",
+    'title': { '.validate': 'newData.isString() && newData.val().length <= 100' },
+    'subtitle': { '.validate': 'newData.isString() && newData.val().length <= 200' },
+    'target': { '.validate': "newData.isString() && root.child('tournaments').child(newData.val()).exists()" },
+    'enabled': enabled,
+    '$other': { '.validate': false }
+  };
+
+  // deposits
+  const D = newRoot(2);
+  const depUid = "newData.child('uid').val()";
+  const depEntry = `${D}.child('walletHistory').child(${depUid}).child(${D}.child('users').child(${depUid}).child('wallet/lastEntry').val())`;
+  R['deposits'] = {
+    '.read': ADMIN,
+    '.indexOn': ['status', 'uid', 'createdAt'],
+    '$depositId': {
+      '.read': `${AUTH} && data.child('uid').val() === auth.uid`,
+      '.write': `${AUTH} && (${FINANCE} || (!data.exists() && newData.child('uid').val() === auth.uid && newData.child('status').val() === 'pending') || (data.child('uid').val() === auth.uid && data.child('status').val() === 'pending' && newData.exists()))`,
+      '.validate': "newData.hasChildren(['uid', 'amount', 'provider', 'status', 'createdAt']) && newData.child('amount').isNumber() && newData.child('amount').val() > 0" +
+        " && (!data.exists() || (newData.child('uid').val() === data.child('uid').val() && newData.child('amount').val() === data.child('amount').val() && newData.child('provider').val() === data.child('provider').val()))" +
+        ` && (newData.child('status').val() !== 'success' || data.child('status').val() === 'success' || (${depEntry}.child('type').val() === 'deposit' && ${depEntry}.child('ref/id').val() === $depositId && ${depEntry}.child('amount').val() === newData.child('amount').val()))`,
+      'status': {
+        '.validate': "(newData.val() === 'pending' || newData.val() === 'success' || newData.val() === 'failed') && (!data.exists() || newData.val() === data.val() || data.val() === 'pending')"
+      },
+      'providerOrderId': { '.validate': 'newData.isString()' },
+      'failureReason': { '.validate': 'newData.isString()' }
+    }
+  };
+
+  // tournaments
+  const T_NR = newRoot(3); // from tournaments/$tId/joinedCount
+  R['tournaments'] = {
+    '.read': AUTH,
+    '.indexOn': ['status', 'startTime', 'title'],
+    '$tId': {
+      '.write': OPS,
+      '.validate': "newData.hasChildren(['title', 'gameName', 'type', 'entryFee', 'maxSlots', 'status'])",
+      'title': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 100' },
+      'gameName': { '.validate': 'newData.isString() && newData.val().length > 0' },
+      'categoryId': { '.validate': 'newData.isString()' },
+      'type': { '.validate': oneOf('newData.val()', ['solo', 'duo', 'squad']) },
+      'entryFee': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+      'maxSlots': { '.validate': 'newData.isNumber() && newData.val() >= 1' },
+      'startTime': { '.validate': 'newData.isNumber()' },
+      'rules': { '.validate': 'newData.isString()' },
+      'prizePool': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+      'status': { '.validate': oneOf('newData.val()', ['upcoming', 'active', 'completed', 'cancelled']) },
+      'leaveCutoffMin': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+      'hasRoom': { '.validate': 'newData.isBoolean()' },
+      'hasBracket': { '.validate': 'newData.isBoolean()' },
+      'checkInMin': { '.validate': 'newData.isNumber() && newData.val() >= 1' },
+      'refundNoShows': { '.validate': 'newData.isBoolean()' },
+      'noShowSweptAt': { '.validate': 'newData.isNumber()' },
+      // written with the sweep itself, so a second sweep is refused
+      'noShowSweepId': { '.validate': 'newData.isString() && (!data.exists() || newData.val() === data.val())' },
+      'roomNotifiedAt': { '.validate': 'newData.isNumber()' },
+      // written with the room notifications, so they are sent once
+      'roomNotifyId': { '.validate': 'newData.isString() && (!data.exists() || newData.val() === data.val())' },
+      'waitlistCount': {
+        '.write': `${AUTH} && ((newData.val() === ${ex('data')} + 1 && (!root.child('tournamentWaitlist').child($tId).child(auth.uid).exists() || root.child('tournamentWaitlist').child($tId).child(auth.uid).child('status').val() === 'skipped')` +
+          ` && ${T_NR}.child('tournamentWaitlist').child($tId).child(auth.uid).child('status').val() === 'waiting')` +
+          ` || (newData.val() === data.val() - 1 && root.child('tournamentWaitlist').child($tId).child(auth.uid).child('status').val() === 'waiting' && !${T_NR}.child('tournamentWaitlist').child($tId).child(auth.uid).exists()))`,
+        '.validate': 'newData.isNumber() && newData.val() >= 0'
+      },
+      'roomRevealMin': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+      // results are published once, in the same write as their payouts;
+      // 'publishing' is only left over from the older two-step publish
+      'resultsStatus': {
+        '.validate': `(newData.val() === 'published' && ((data.val() !== 'published' && ${audited(newRoot(3))}) || newData.parent().child('resultsPublishId').val() === data.parent().child('resultsPublishId').val()))` +
+          " || (newData.val() === 'publishing' && data.val() === 'publishing')"
+      },
+      'resultsPublishId': { '.validate': 'newData.isString()' },
+      'joinedCount': {
+        '.write': `${AUTH} && ((newData.val() === ${ex('data')} + 1 && !root.child('tournamentJoins').child($tId).child(auth.uid).exists() && ${T_NR}.child('tournamentJoins').child($tId).child(auth.uid).exists())` +
+          ` || (newData.val() === data.val() - 1 && root.child('tournamentJoins').child($tId).child(auth.uid).exists() && !${T_NR}.child('tournamentJoins').child($tId).child(auth.uid).exists()))`,
+        '.validate': "newData.isNumber() && newData.val() >= 0 && newData.val() <= newData.parent().child('maxSlots').val()"
+      }
+    }
+  };
+
+  // knockout brackets, see js/bracket.js
+  R['brackets'] = {
+    '.read': AUTH,
+    '$tId': {
+      '.write': OPS,
+      '.validate': "newData.hasChildren(['format', 'entrants', 'matches', 'finalMatch', 'status'])",
+      'format': { '.validate': oneOf('newData.val()', ['single', 'double']) },
+      'status': { '.validate': oneOf('newData.val()', ['active', 'completed']) }
+    }
+  };
+
+  // leaderboards, see js/leaderboard.js; written only when results are published
+  R['leaderboards'] = {
+    '.read': AUTH,
+    '.write': OPS,
+    '$period': {
+      '$game': {
+        '.indexOn': ['points', 'wins', 'earnings'],
+        '$uid': {
+          '.validate': "newData.hasChildren(['name', 'matches', 'wins', 'points', 'earnings'])",
+          'name': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+          'matches': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+          'wins': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+          'points': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+          'earnings': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+          '$other': { '.validate': false }
+        }
+      }
+    }
+  };
+
+  // room credentials, readable by participants from the reveal time on
+  const tOf = "root.child('tournaments').child($tId)";
+  R['tournamentRooms'] = {
+    '$tId': {
+      '.read': `${ADMIN} || (${AUTH} && root.child('tournamentJoins').child($tId).child(auth.uid).exists()` +
+        " && root.child('tournamentJoins').child($tId).child(auth.uid).child('status').val() !== 'no_show'" +
+        ` && now >= ${tOf}.child('startTime').val() - (${tOf}.child('roomRevealMin').exists() ? ${tOf}.child('roomRevealMin').val() : 15) * 60000)`,
+      '.write': OPS,
+      '.validate': "newData.hasChildren(['roomId', 'password'])",
+      'roomId': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+      'password': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+      'updatedAt': { '.validate': 'newData.isNumber()' },
+      '$other': { '.validate': false }
+    }
+  };
+
+  // tournament joins
+  const J_NR = newRoot(3);
+  const tourn = "root.child('tournaments').child($tId)";
+  const oldBal = "root.child('users').child($uid).child('wallet/balance')";
+  const newBal = `${J_NR}.child('users').child($uid).child('wallet/balance')`;
+  const newT = `${J_NR}.child('tournaments').child($tId)`;
+  const teamId = "newData.child('teamId').val()";
+  const oldTeam = `root.child('tournamentTeams').child($tId).child(${teamId})`;
+  const newTeam = `${J_NR}.child('tournamentTeams').child($tId).child(${teamId})`;
+  const slotTaken = `${newT}.child('joinedCount').val() === ${ex(tourn + ".child('joinedCount')")} + 1`;
+  const soloJoin = allOf(
+    `${tourn}.child('type').val() === 'solo'`,
+    "!newData.hasChild('teamId') && !newData.hasChild('role')",
+    `newData.child('feePaid').val() === ${tourn}.child('entryFee').val()`,
+    slotTaken
+  );
+  const captainJoin = allOf(
+    "newData.child('role').val() === 'captain'",
+    `!${oldTeam}.exists()`,
+    `${newTeam}.child('captainUid').val() === $uid`,
+    `${newTeam}.child('memberCount').val() === 1`,
+    `${newTeam}.child('members').child($uid).exists()`,
+    `newData.child('feePaid').val() === ${tourn}.child('entryFee').val() * (${newTeam}.child('payMode').val() === 'captain' ? ${newTeam}.child('size').val() : 1)`,
+    "!root.child('teamInvites').child(newData.child('inviteCode').val()).exists()",
+    `${J_NR}.child('teamInvites').child(newData.child('inviteCode').val()).child('teamId').val() === ${teamId}`,
+    slotTaken
+  );
+  const memberJoin = allOf(
+    "newData.child('role').val() === 'member' && !newData.hasChild('inviteCode')",
+    `${oldTeam}.exists()`,
+    `${newTeam}.child('memberCount').val() === ${oldTeam}.child('memberCount').val() + 1`,
+    `${newTeam}.child('members').child($uid).exists()`,
+    `newData.child('feePaid').val() === (${oldTeam}.child('payMode').val() === 'split' ? ${tourn}.child('entryFee').val() : 0)`,
+    `${newT}.child('joinedCount').val() === ${tourn}.child('joinedCount').val()`
+  );
+  const joinCreate = allOf(
+    "newData.child('uid').val() === $uid",
+    "newData.child('status').val() === 'joined'",
+    `${tourn}.child('status').val() === 'upcoming'`,
+    notBlocked("root.child('users').child($uid)"),
+    anyOf(soloJoin, allOf(`${tourn}.child('type').val() !== 'solo'`, anyOf(captainJoin, memberJoin))),
+    `${ex(newBal)} === ${ex(oldBal)} - newData.child('feePaid').val()`,
+    `${J_NR}.child('userJoins').child($uid).child($tId).exists()`,
+    // admins promoting from the waitlist skip the user-facing limits
+    anyOf(OPS, allOf(
+      "root.child('appSettings/maintenanceMode').val() !== true",
+      `${J_NR}.child('users').child($uid).child('lastJoinAt').val() === now`,
+      "(!root.child('users').child($uid).child('lastJoinAt').exists() || now - root.child('users').child($uid).child('lastJoinAt').val() >= " +
+        ex("root.child('appSettings/joinCooldownSec')") + ' * 1000)',
+      `!(${ex(tourn + ".child('waitlistCount')")} > 0)`
+    ))
+  );
+  const cutoff = `(${tourn}.child('leaveCutoffMin').exists() ? ${tourn}.child('leaveCutoffMin').val()` +
+    " : root.child('appSettings/leaveCutoffMin').exists() ? root.child('appSettings/leaveCutoffMin').val() : 30)";
+  const leftTeam = `${J_NR}.child('tournamentTeams').child($tId).child(data.child('teamId').val())`;
+  const hadTeam = "root.child('tournamentTeams').child($tId).child(data.child('teamId').val())";
+  const slotReleased = `${newT}.child('joinedCount').val() === ${tourn}.child('joinedCount').val() - 1`;
+  const joinLeave = allOf(
+    `${AUTH} && auth.uid === $uid`,
+    'data.exists() && !newData.exists()',
+    oneOf("data.child('status').val()", ['joined', 'checked_in']),
+    `${tourn}.child('status').val() === 'upcoming'`,
+    `now < ${tourn}.child('startTime').val() - ${cutoff} * 60000`,
+    anyOf(
+      allOf("!data.hasChild('role')", slotReleased),
+      allOf("data.child('role').val() === 'captain'",
+        `${hadTeam}.child('memberCount').val() === 1`,
+        `!${leftTeam}.exists()`,
+        `!${J_NR}.child('teamInvites').child(data.child('inviteCode').val()).exists()`,
+        slotReleased),
+      allOf("data.child('role').val() === 'member'",
+        `${leftTeam}.child('memberCount').val() === ${hadTeam}.child('memberCount').val() - 1`,
+        `!${leftTeam}.child('members').child($uid).exists()`,
+        `${newT}.child('joinedCount').val() === ${tourn}.child('joinedCount').val()`)
+    ),
+    `!${J_NR}.child('userJoins').child($uid).child($tId).exists()`,
+    `${ex(newBal)} === ${ex(oldBal)} + ${ex("data.child('feePaid')")}`
+  );
+  // checking in only flips the status during the check-in window
+  const joinCheckIn = allOf(
+    `${AUTH} && auth.uid === $uid`,
+    "data.child('status').val() === 'joined'",
+    "newData.child('status').val() === 'checked_in'",
+    "newData.child('checkedInAt').val() === now",
+    oneOf(`${tourn}.child('status').val()`, ['upcoming', 'active']),
+    `${tourn}.child('checkInMin').val() > 0`,
+    `now >= ${tourn}.child('startTime').val() - ${tourn}.child('checkInMin').val() * 60000`,
+    `now < ${tourn}.child('startTime').val()`,
+    ...['uid', 'userName', 'gameUidOrIgn', 'phone', 'feePaid', 'teamId', 'role', 'inviteCode',
+      'placement', 'kills', 'points', 'prize', 'refunded', 'fromWaitlist']
+      .map(k => `newData.child('${k}').val() === data.child('${k}').val()`)
+  );
+  R['tournamentJoins'] = {
+    '.read': ADMIN,
+    '$tId': {
+      '.read': ADMIN,
+      '.indexOn': ['joinedAt', 'teamId'],
+      '$uid': {
+        '.read': `${AUTH} && auth.uid === $uid`,
+        '.write': `${OPS} || (${AUTH} && auth.uid === $uid && !data.exists() && newData.exists()) || ${joinLeave} || ${joinCheckIn}`,
+        '.validate': `newData.hasChildren(['uid', 'status', 'joinedAt']) && (data.exists() || ${joinCreate})`,
+        'userName': { '.validate': 'newData.isString()' },
+        'gameUidOrIgn': { '.validate': 'newData.isString()' },
+        'phone': { '.validate': 'newData.isString()' },
+        'status': { '.validate': oneOf('newData.val()', ['joined', 'checked_in', 'no_show', 'played', 'won']) },
+        'checkedInAt': { '.validate': 'newData.isNumber()' },
+        'refunded': { '.validate': 'newData.isBoolean()' },
+        'fromWaitlist': { '.validate': 'newData.isBoolean()' },
+        'feePaid': { '.validate': 'newData.isNumber() && newData.val() >= 0' },
+        'teamId': { '.validate': 'newData.isString()' },
+        'role': { '.validate': oneOf('newData.val()', ['captain', 'member']) },
+        'inviteCode': { '.validate': 'newData.isString()' },
+        'joinedAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' }
+      }
+    }
+  };
+
+  // duo/squad teams; the captain's and members' join records are checked
+  // against these in the tournamentJoins rules above
+  const TM_NR = newRoot(3);
+  const myNewJoin = `${TM_NR}.child('tournamentJoins').child($tId).child(auth.uid)`;
+  const myOldJoin = "root.child('tournamentJoins').child($tId).child(auth.uid)";
+  const MC_NR = newRoot(4);
+  const mcNewJoin = `${MC_NR}.child('tournamentJoins').child($tId).child(auth.uid)`;
+  const MB_NR = newRoot(5);
+  const mbNewJoin = `${MB_NR}.child('tournamentJoins').child($tId).child($uid)`;
+  R['tournamentTeams'] = {
+    '$tId': {
+      '.read': ADMIN,
+      '.indexOn': ['createdAt'],
+      '$teamId': {
+        '.read': AUTH,
+        '.write': `${OPS} || (${AUTH} && ((!data.exists() && newData.child('captainUid').val() === auth.uid && ${myNewJoin}.child('role').val() === 'captain' && ${myNewJoin}.child('teamId').val() === $teamId)` +
+          ` || (!newData.exists() && data.child('captainUid').val() === auth.uid && !${myNewJoin}.exists())))`,
+        '.validate': "newData.hasChildren(['name', 'captainUid', 'size', 'payMode', 'memberCount', 'createdAt'])" +
+          " && newData.child('size').val() === (root.child('tournaments').child($tId).child('type').val() === 'duo' ? 2 : 4)" +
+          " && (!data.exists() || (newData.child('captainUid').val() === data.child('captainUid').val() && newData.child('size').val() === data.child('size').val() && newData.child('payMode').val() === data.child('payMode').val()))",
+        'name': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 30' },
+        'captainUid': { '.validate': 'newData.isString()' },
+        'payMode': { '.validate': oneOf('newData.val()', ['captain', 'split']) },
+        'createdAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' },
+        'memberCount': {
+          '.write': `${AUTH} && ((newData.val() === data.val() + 1 && !${myOldJoin}.exists() && ${mcNewJoin}.child('role').val() === 'member' && ${mcNewJoin}.child('teamId').val() === $teamId)` +
+            ` || (newData.val() === data.val() - 1 && ${myOldJoin}.child('role').val() === 'member' && ${myOldJoin}.child('teamId').val() === $teamId && !${mcNewJoin}.exists()))`,
+          '.validate': "newData.isNumber() && newData.val() >= 1 && newData.val() <= newData.parent().child('size').val()"
+        },
+        'members': {
+          '$uid': {
+            '.write': `${AUTH} && auth.uid === $uid && ((!data.exists() && ${mbNewJoin}.child('teamId').val() === $teamId) || (!newData.exists() && !${mbNewJoin}.exists()))`,
+            '.validate': "newData.hasChildren(['name', 'ign'])",
+            'name': { '.validate': 'newData.isString()' },
+            'ign': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+            '$other': { '.validate': false }
+          }
+        },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+
+  // invite codes, resolvable by anyone signed in
+  const I_NR = newRoot(2);
+  const invTeam = `${I_NR}.child('tournamentTeams').child(newData.child('tId').val()).child(newData.child('teamId').val())`;
+  const oldInvTeam = "root.child('tournamentTeams').child(data.child('tId').val()).child(data.child('teamId').val())";
+  R['teamInvites'] = {
+    '$code': {
+      '.read': AUTH,
+      '.write': `${OPS} || (${AUTH} && ((!data.exists() && ${invTeam}.child('captainUid').val() === auth.uid && ${I_NR}.child('tournamentJoins').child(newData.child('tId').val()).child(auth.uid).child('inviteCode').val() === $code)` +
+        ` || (!newData.exists() && ${oldInvTeam}.child('captainUid').val() === auth.uid && !${I_NR}.child('tournamentTeams').child(data.child('tId').val()).child(data.child('teamId').val()).exists())))`,
+      '.validate': "newData.hasChildren(['tId', 'teamId'])",
+      'tId': { '.validate': 'newData.isString()' },
+      'teamId': { '.validate': 'newData.isString()' },
+      '$other': { '.validate': false }
+    }
+  };
+
+  // public participant list, kept in step with tournamentJoins
+  const P_NR = newRoot(3);
+  R['tournamentParticipants'] = {
+    '$tId': {
+      '.read': AUTH,
+      '.indexOn': ['joinedAt'],
+      '$uid': {
+        '.write': `${OPS} || (${AUTH} && auth.uid === $uid && ((newData.exists() && !data.exists() && ${P_NR}.child('tournamentJoins').child($tId).child($uid).exists())` +
+          ` || (!newData.exists() && !${P_NR}.child('tournamentJoins').child($tId).child($uid).exists())))`,
+        '.validate': "newData.hasChildren(['name', 'joinedAt'])",
+        'name': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+        'team': { '.validate': 'newData.isString() && newData.val().length <= 30' },
+        'joinedAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+
+  // waitlist for full solo tournaments; admins promote entries in order
+  const WL_NR = newRoot(3);
+  const wlT = "root.child('tournaments').child($tId)";
+  const wlCount = ex(wlT + ".child('waitlistCount')");
+  const wlNewCount = ex(`${WL_NR}.child('tournaments').child($tId).child('waitlistCount')`);
+  const wlJoin = allOf(
+    "newData.child('status').val() === 'waiting'",
+    "(!data.exists() || data.child('status').val() === 'skipped')",
+    "newData.child('joinedAt').val() === now",
+    `${wlT}.child('status').val() === 'upcoming'`,
+    `${wlT}.child('type').val() === 'solo'`,
+    `(${ex(wlT + ".child('joinedCount')")} >= ${wlT}.child('maxSlots').val() || ${wlCount} > 0)`,
+    "!root.child('tournamentJoins').child($tId).child($uid).exists()",
+    notBlocked("root.child('users').child($uid)"),
+    "root.child('appSettings/maintenanceMode').val() !== true",
+    `${wlNewCount} === ${wlCount} + 1`
+  );
+  const wlLeave = allOf(
+    '!newData.exists()',
+    anyOf("data.child('status').val() === 'skipped'",
+      allOf("data.child('status').val() === 'waiting'", `${wlNewCount} === ${wlCount} - 1`))
+  );
+  R['tournamentWaitlist'] = {
+    '$tId': {
+      '.read': ADMIN,
+      '.indexOn': ['joinedAt'],
+      '$uid': {
+        '.read': `${AUTH} && auth.uid === $uid`,
+        '.write': `${OPS} || (${AUTH} && auth.uid === $uid && (${wlJoin} || ${wlLeave}))`,
+        '.validate': "newData.hasChildren(['name', 'status', 'joinedAt'])",
+        'name': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+        'ign': { '.validate': 'newData.isString() && newData.val().length <= 50' },
+        'status': { '.validate': oneOf('newData.val()', ['waiting', 'promoting', 'skipped']) },
+        'skipReason': { '.validate': 'newData.isString()' },
+        'promotingAt': { '.validate': 'newData.isNumber()' },
+        'joinedAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+
+  // per-user index of joined tournaments, kept in step with tournamentJoins
+  const U_NR = newRoot(3);
+  R['userJoins'] = {
+    '$uid': {
+      '.read': `${AUTH} && (auth.uid === $uid || ${ADMIN})`,
+      '$tId': {
+        '.write': `${OPS} || (${AUTH} && auth.uid === $uid && ((newData.exists() && !data.exists() && ${U_NR}.child('tournamentJoins').child($tId).child($uid).exists())` +
+          ` || (!newData.exists() && !${U_NR}.child('tournamentJoins').child($tId).child($uid).exists())))`,
+        '.validate': 'newData.isNumber()'
+      }
+    }
+  };
+
+  // users
+  const W_NR = newRoot(4);
+  const last = "newData.parent().child('lastEntry').val()";
+  const newEntry = `${W_NR}.child('walletHistory').child($uid).child(${last})`;
+  const entryIsNew = `${last} !== data.parent().child('lastEntry').val() && !root.child('walletHistory').child($uid).child(${last}).exists() && ${newEntry}.exists()`;
+  /** A wallet total that only grows by the amount of a new entry of a type. */
+  const total = (type) => 'newData.isNumber() && (newData.val() === data.val() || (!data.exists() && newData.val() === 0)' +
+    ` || (${entryIsNew} && ${newEntry}.child('type').val() === '${type}' && newData.val() === ${ex('data')} + ${newEntry}.child('amount').val()))`;
+  R['users'] = {
+    '.read': ADMIN,
+    '.indexOn': ['createdAt', 'name', 'phone'],
+    '$uid': {
+      '.read': `${AUTH} && (auth.uid === $uid || ${ADMIN})`,
+      '.write': `${SUPER} || (${AUTH} && auth.uid === $uid && !data.exists())`,
+      '.validate': "newData.hasChildren(['name', 'phone', 'wallet', 'stats'])" +
+        " && (data.exists() || (newData.child('isBlocked').val() === false && newData.child('stats/matches').val() === 0 && newData.child('stats/wins').val() === 0 && newData.child('stats/points').val() === 0))",
+      'name': {
+        '.write': `${AUTH} && auth.uid === $uid`,
+        '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 50'
+      },
+      'phone': {
+        '.write': `${AUTH} && auth.uid === $uid`,
+        '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 20'
+      },
+      'gameProfiles': {
+        '.write': `${AUTH} && auth.uid === $uid`,
+        '$game': { '.validate': 'newData.isString() && newData.val().length <= 50' }
+      },
+      'createdAt': { '.validate': 'newData.isNumber()' },
+      // blocks are audited
+      'isBlocked': { '.write': MOD, '.validate': `newData.isBoolean() && (newData.val() === (data.val() === true) || ${audited(newRoot(3))})` },
+      'blockReason': { '.write': MOD, '.validate': `newData.isString() && newData.val().length <= 200 && (newData.val() === data.val() || ${audited(newRoot(3))})` },
+      'blockedUntil': { '.write': MOD, '.validate': `newData.isNumber() && newData.val() > now && (newData.val() === data.val() || ${audited(newRoot(3))})` },
+      'lastJoinAt': {
+        '.write': `${AUTH} && auth.uid === $uid && newData.val() === now`
+      },
+      'stats': {
+        '.write': OPS,
+        '.validate': "newData.hasChildren(['matches', 'wins', 'points'])",
+        '$stat': { '.validate': 'newData.isNumber() && newData.val() >= 0' }
+      },
+      'wallet': {
+        '.write': `(${AUTH} && auth.uid === $uid) || ${FINANCE} || ${OPS}`,
+        '.validate': "newData.hasChildren(['balance', 'totalEarned', 'totalWithdrawn'])",
+        'balance': {
+          '.validate': 'newData.isNumber() && newData.val() >= 0 && (newData.val() === data.val() || (!data.exists() && newData.val() === 0)' +
+            ` || (${entryIsNew}))`
+        },
+        'totalEarned': { '.validate': total('prize') },
+        'totalWithdrawn': { '.validate': total('withdrawal_approved') },
+        'lastEntry': {
+          '.validate': `newData.isString() && (newData.val() === data.val() || (!root.child('walletHistory').child($uid).child(newData.val()).exists() && ${W_NR}.child('walletHistory').child($uid).child(newData.val()).exists()))`
+        },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+
+  // wallet ledger
+  const L_NR = newRoot(3);
+  const ref = "newData.child('ref/id').val()";
+  const etype = "newData.child('type').val()";
+  const userEntry = anyOf(
+    allOf(`${etype} === 'join_fee'`,
+      `!root.child('tournamentJoins').child(${ref}).child($uid).exists()`,
+      `${L_NR}.child('tournamentJoins').child(${ref}).child($uid).child('feePaid').val() === newData.child('amount').val()`),
+    allOf(`${etype} === 'refund'`,
+      `root.child('tournamentJoins').child(${ref}).child($uid).exists()`,
+      `!${L_NR}.child('tournamentJoins').child(${ref}).child($uid).exists()`,
+      `root.child('tournamentJoins').child(${ref}).child($uid).child('feePaid').val() === newData.child('amount').val()`),
+    allOf(`${etype} === 'withdrawal'`,
+      `!root.child('withdrawals').child(${ref}).exists()`,
+      `${L_NR}.child('withdrawals').child(${ref}).child('uid').val() === $uid`,
+      `${L_NR}.child('withdrawals').child(${ref}).child('amount').val() === newData.child('amount').val()`),
+    // only the emulators let players credit deposits; real ones are
+    // credited by the payments backend after verifying the provider
+    ...(options.dev ? [allOf(`${etype} === 'deposit'`,
+      "root.child('appSettings/paymentProvider').val() === 'mock'",
+      `root.child('deposits').child(${ref}).child('provider').val() === 'mock'`,
+      `root.child('deposits').child(${ref}).child('uid').val() === $uid`,
+      `root.child('deposits').child(${ref}).child('status').val() === 'pending'`,
+      `${L_NR}.child('deposits').child(${ref}).child('status').val() === 'success'`,
+      `root.child('deposits').child(${ref}).child('amount').val() === newData.child('amount').val()`)] : [])
+  );
+  const delta = "newData.child('delta').val()";
+  const amount = "newData.child('amount').val()";
+  R['walletHistory'] = {
+    '$uid': {
+      '.read': `${AUTH} && (auth.uid === $uid || ${ADMIN})`,
+      '.indexOn': ['createdAt'],
+      '$entryId': {
+        // finance may write any entry; tournament ops only tournament money
+        '.write': `!data.exists() && ${AUTH} && (${FINANCE} || (${OPS} && ${oneOf(etype, ['join_fee', 'prize', 'refund'])}) || (auth.uid === $uid && ${userEntry}))`,
+        '.validate': [
+          "newData.hasChildren(['type', 'amount', 'delta', 'balanceBefore', 'balanceAfter', 'by', 'createdAt'])",
+          "newData.child('amount').isNumber() && newData.child('amount').val() >= 0",
+          "newData.child('by').val() === auth.uid",
+          "newData.child('createdAt').val() === now",
+          // manual adjustments must say why and are audited
+          `(!${oneOf(etype, ['adjustment_credit', 'adjustment_debit'])} || (newData.child('note').isString() && newData.child('note').val().length > 0 && newData.child('note').val().length <= 200 && ${audited(L_NR)}))`,
+          // a deposit is credited once, as its deposit changes from pending to success
+          `(${etype} !== 'deposit' || (root.child('deposits').child(${ref}).child('uid').val() === $uid && root.child('deposits').child(${ref}).child('status').val() === 'pending'` +
+            ` && ${L_NR}.child('deposits').child(${ref}).child('status').val() === 'success' && root.child('deposits').child(${ref}).child('amount').val() === ${amount}))`,
+          `newData.child('balanceAfter').val() === newData.child('balanceBefore').val() + ${delta}`,
+          `newData.child('balanceBefore').val() === ${ex(oldBal)}`,
+          `${L_NR}.child('users').child($uid).child('wallet/balance').val() === newData.child('balanceAfter').val()`,
+          `${L_NR}.child('users').child($uid).child('wallet/lastEntry').val() === $entryId`,
+          anyOf(
+            `(${oneOf(etype, ['join_fee', 'withdrawal', 'adjustment_debit'])} && ${delta} + ${amount} === 0)`,
+            `(${oneOf(etype, ['prize', 'refund', 'deposit', 'withdrawal_refund', 'adjustment_credit'])} && ${delta} === ${amount})`,
+            `(${etype} === 'withdrawal_approved' && ${delta} === 0)`
+          )
+        ].join(' && ')
+      }
+    }
+  };
+
+  // withdrawals
+  const WD = newRoot(2);
+  const wdUid = "newData.child('uid').val()";
+  const wdLast = `${WD}.child('users').child(${wdUid}).child('wallet/lastEntry').val()`;
+  const wdEntry = `${WD}.child('walletHistory').child(${wdUid}).child(${wdLast})`;
+  /** The withdrawal's new ledger entry of a type, written in the same update. */
+  const wdEntryIs = (type) => `(${wdEntry}.child('type').val() === '${type}' && ${wdEntry}.child('ref/id').val() === $wId && ${wdEntry}.child('amount').val() === newData.child('amount').val() && !root.child('walletHistory').child(${wdUid}).child(${wdLast}).exists())`;
+  R['withdrawals'] = {
+    '.read': ADMIN,
+    '.indexOn': ['status', 'uid', 'createdAt', 'name'],
+    '$wId': {
+      '.read': `${AUTH} && (data.child('uid').val() === auth.uid || ${ADMIN})`,
+      '.write': `${FINANCE} || (${AUTH} && !data.exists() && newData.child('uid').val() === auth.uid)`,
+      '.validate': [
+        "newData.hasChildren(['uid', 'method', 'accountInfo', 'amount', 'fee', 'status', 'createdAt'])",
+        // whole rupees only
+        "newData.child('amount').isNumber() && newData.child('amount').val() > 0 && newData.child('amount').val() % 1 === 0",
+        "newData.child('fee').isNumber() && newData.child('fee').val() >= 0",
+        anyOf(
+          allOf('!data.exists()',
+            "newData.child('status').val() === 'pending'",
+            notBlocked("root.child('users').child(newData.child('uid').val())"),
+            `(root.child('appSettings/maintenanceMode').val() !== true || ${ADMIN})`,
+            `newData.child('amount').val() >= ${ex("root.child('appSettings/minWithdraw')")}`,
+            `newData.child('fee').val() >= newData.child('amount').val() * ${ex("root.child('appSettings/withdrawFeePercent')")} / 100`,
+            `newData.child('fee').val() < newData.child('amount').val() * ${ex("root.child('appSettings/withdrawFeePercent')")} / 100 + 1`,
+            wdEntryIs('withdrawal')),
+          allOf('data.exists()',
+            "newData.child('uid').val() === data.child('uid').val()",
+            "newData.child('amount').val() === data.child('amount').val()",
+            "newData.child('fee').val() === data.child('fee').val()",
+            anyOf(
+              "newData.child('status').val() === data.child('status').val()",
+              // decisions are audited
+              allOf("data.child('status').val() === 'pending'",
+                audited(WD),
+                anyOf(
+                  allOf("newData.child('status').val() === 'approved'",
+                    "newData.child('transactionId').val().length > 0",
+                    wdEntryIs('withdrawal_approved')),
+                  allOf("newData.child('status').val() === 'rejected'",
+                    wdEntryIs('withdrawal_refund'))))))
+        )
+      ].join(' && '),
+      'status': { '.validate': oneOf('newData.val()', ['pending', 'approved', 'rejected']) },
+      'method': { '.validate': 'newData.isString() && newData.val().length <= 30' },
+      'accountInfo': { '.validate': 'newData.isString() && newData.val().length <= 100' },
+      'transactionId': { '.validate': 'newData.isString()' },
+      'adminNote': { '.validate': 'newData.isString()' }
+    }
+  };
+
+  // support tickets; users see and answer their own tickets, blocked or not
+  const ST = "root.child('supportTickets').child($ticketId)";
+  const stNew = `${newRoot(3)}.child('supportTickets').child($ticketId)`;
+  const stUserFixed = `(${ADMIN} || !${ST}.exists() || newData.val() === data.val())`;
+  R['supportTickets'] = {
+    '.read': `${ADMIN} || (${AUTH} && query.orderByChild === 'uid' && query.equalTo === auth.uid)`,
+    '.indexOn': ['uid', 'status', 'lastMessageAt'],
+    '$ticketId': {
+      '.read': `${AUTH} && (data.child('uid').val() === auth.uid || ${ADMIN})`,
+      '.write': `${ADMIN} || (${AUTH} && newData.exists() && (data.exists() ? data.child('uid').val() === auth.uid : newData.child('uid').val() === auth.uid))`,
+      '.validate': "newData.hasChildren(['uid', 'userName', 'subject', 'status', 'createdAt', 'lastMessageAt', 'lastMessageBy'])",
+      'uid': { '.validate': 'newData.isString() && (!data.exists() || newData.val() === data.val())' },
+      'userName': { '.validate': `newData.isString() && newData.val().length <= 50 && ${stUserFixed}` },
+      'subject': { '.validate': `newData.isString() && newData.val().length > 0 && newData.val().length <= 100 && ${stUserFixed}` },
+      'link': {
+        '.validate': `newData.hasChildren(['kind', 'id']) && (${ADMIN} || !${ST}.exists())`,
+        'kind': { '.validate': oneOf('newData.val()', ['tournament', 'withdrawal']) },
+        'id': { '.validate': 'newData.isString()' },
+        '$other': { '.validate': false }
+      },
+      'status': { '.validate': oneOf('newData.val()', ['open', 'resolved']) },
+      'assignedTo': { '.validate': `newData.isString() && ${ADMIN}` },
+      'assignedName': { '.validate': `newData.isString() && ${ADMIN}` },
+      'createdAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' },
+      'lastMessageAt': { '.validate': 'newData.val() === now || newData.val() === data.val()' },
+      'lastMessageBy': { '.validate': `${oneOf('newData.val()', ['user', 'admin'])} && (${ADMIN} || newData.val() === 'user')` },
+      'unreadByAdmin': { '.validate': `newData.isNumber() && newData.val() >= 0 && (${ADMIN} || newData.val() === ${ex('data')} + 1)` },
+      'unreadByUser': { '.validate': `newData.isNumber() && newData.val() >= 0 && (${ADMIN} || newData.val() === 0)` },
+      '$other': { '.validate': false }
+    }
+  };
+  R['supportMessages'] = {
+    '$ticketId': {
+      '.read': `${AUTH} && (${ST}.child('uid').val() === auth.uid || ${ADMIN})`,
+      '$msgId': {
+        '.write': `${AUTH} && !data.exists() && (${ADMIN} || ${stNew}.child('uid').val() === auth.uid)`,
+        // every message bumps its ticket so unread counts stay in step
+        '.validate': `newData.hasChildren(['from', 'role', 'text', 'createdAt']) && ${stNew}.child('lastMessageAt').val() === now`,
+        'from': { '.validate': 'newData.val() === auth.uid' },
+        'role': {
+          '.validate': anyOf(
+            `(newData.val() === 'user' && ${stNew}.child('uid').val() === auth.uid)`,
+            `(newData.val() === 'admin' && ${ADMIN})`,
+            `(newData.val() === 'auto' && !${ST}.exists() && newData.parent().child('text').val() === root.child('appSettings/supportAutoMsg').val())`
+          )
+        },
+        'text': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 1000' },
+        'createdAt': { '.validate': 'newData.val() === now' },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+
+  // notification feeds, see js/notifications.js; admins add, owners mark read or clear
+  const OWNER = `${AUTH} && auth.uid === $uid`;
+  R['notifications'] = {
+    '$uid': {
+      '.read': OWNER,
+      '.indexOn': ['createdAt'],
+      '$id': {
+        '.write': `(${ADMIN} && !data.exists()) || (${OWNER} && data.exists() && !newData.exists())`,
+        '.validate': "newData.hasChildren(['type', 'title', 'read', 'createdAt'])",
+        'type': { '.validate': 'newData.isString() && newData.val().length <= 30' },
+        'title': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 100' },
+        'body': { '.validate': 'newData.isString() && newData.val().length <= 500' },
+        'link': { '.validate': "newData.isString() && newData.val().beginsWith('/') && newData.val().length <= 200" },
+        'read': {
+          '.write': `${OWNER} && data.exists()`,
+          '.validate': 'newData.isBoolean() && (newData.val() === true || !data.exists())'
+        },
+        'createdAt': { '.validate': 'data.exists() ? newData.val() === data.val() : newData.val() === now' },
+        '$other': { '.validate': false }
+      }
+    }
+  };
+  R['announcements'] = {
+    '.read': AUTH,
+    '.indexOn': ['createdAt'],
+    '$id': {
+      '.write': `${OPS} && (!data.exists() || !newData.exists())`,
+      '.validate': "newData.hasChildren(['title', 'by', 'createdAt'])",
+      'title': { '.validate': 'newData.isString() && newData.val().length > 0 && newData.val().length <= 100' },
+      'body': { '.validate': 'newData.isString() && newData.val().length <= 500' },
+      'link': { '.validate': "newData.isString() && newData.val().beginsWith('/') && newData.val().length <= 200" },
+      'by': { '.validate': 'newData.val() === auth.uid' },
+      'createdAt': { '.validate': 'newData.val() === now' },
+      '$other': { '.validate': false }
+    }
+  };
+  R['announcementState'] = {
+    '$uid': {
+      '.read': OWNER,
+      '$id': {
+        '.write': OWNER,
+        '.validate': `${oneOf('newData.val()', ['read', 'cleared'])} && root.child('announcements').child($id).exists()`
+      }
+    }
+  };
+  return { rules: R };
+}
+
+/**
+ * Serializes the rules as they are checked in: two-space JSON with
+ * lists of strings kept on one line.
+ *
+ * @param {Object} rules
+ * @returns {string}
+ */
+function format(rules) {
+  return JSON.stringify(rules, null, 2)
+    .replace(/\[\s*((?:"[^"]*",?\s*)+)\]/g, (m, items) => '[' + items.match(/"[^"]*"/g).join(', ') + ']') + '\n';
+}
+
+module.exports = {
+  build,
+  format
+};
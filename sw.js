@@ -0,0 +1,28 @@
+/**
+ * Service worker for the user app. It shows the browser notifications
+ * posted by js/notifications.js and, when one is tapped, focuses an
+ * open app tab and asks it to show the notification's link, or opens
+ * a new tab there.
+ */
+
+self.addEventListener('install', () => {
+  self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const link = (event.notification.data && event.notification.data.link) || '/notifications';
+  event.waitUntil(self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((clients) => {
+    // the admin panel shares the scope but has no user routes
+    const client = clients.find(c => !new URL(c.url).pathname.endsWith('admin.html'));
+    if (client) {
+      client.postMessage({ type: 'navigate', link: link });
+      return client.focus();
+    }
+    return self.clients.openWindow(new URL('index.html#' + link, self.registration.scope).href);
+  }));
+});
@@ -0,0 +1,136 @@
+/**
+ * Admin-only nodes: admin membership and roles, app settings, the
+ * audit log and notifications.
+ */
+
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { TIMESTAMP, setup, seed, profile, audit } = require('./support');
+
+describe('admin nodes', () => {
+  let env;
+
+  before(() => setup('rules-admin').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  beforeEach(() => seed(env, { users: { alice: profile('alice', 0) } }));
+  afterEach(() => env.clearDatabase());
+
+  it('does not let a player make themselves an admin', () => {
+    const db = env.authenticatedContext('alice').database();
+    return assertFails(db.ref('adminUids/alice').set(true));
+  });
+
+  it('does not let a finance admin change roles', () => {
+    const db = env.authenticatedContext('finance').database();
+    return assertFails(db.ref('adminRoles/finance').set('super-admin'));
+  });
+
+  it('lets a super-admin add an admin with a role', () => {
+    const db = env.authenticatedContext('super').database();
+    return assertSucceeds(db.ref().update(audit({ 'adminUids/alice': true, 'adminRoles/alice': 'moderator' }, db, 'super')));
+  });
+
+  it('does not give an admin without a role any access', () => {
+    const db = env.authenticatedContext('alice').database();
+    return env.withSecurityRulesDisabled(ctx => ctx.database().ref('adminUids/alice').set(true))
+      .then(() => assertFails(db.ref().update(audit({ 'appSettings/minWithdraw': 0 }, db, 'alice'))))
+      .then(() => assertFails(db.ref('auditLog').once('value')))
+      .then(() => assertFails(db.ref('adminRoles/alice').set('super-admin')));
+  });
+
+  it('refuses privileged changes without an audit entry', () => {
+    const db = env.authenticatedContext('super').database();
+    return assertFails(db.ref().update({ 'adminUids/alice': true, 'adminRoles/alice': 'moderator' }))
+      .then(() => assertFails(db.ref('appSettings/minWithdraw').set(100)))
+      .then(() => assertFails(env.authenticatedContext('mod').database().ref('users/alice/isBlocked').set(true)));
+  });
+
+  it('only accepts an audit head pointing at a new entry', () => {
+    const db = env.authenticatedContext('super').database();
+    const entry = {
+      by: 'super', action: 'settings.update', target: 'appSettings', before: '{}', after: '{}', createdAt: TIMESTAMP
+    };
+    return assertSucceeds(db.ref('auditLog/a1').set(entry))
+      .then(() => assertFails(db.ref().update({ 'appSettings/minWithdraw': 100, 'auditHeads/super': 'a1' })))
+      .then(() => assertFails(db.ref().update({ 'appSettings/minWithdraw': 100, 'auditHeads/super': 'missing' })))
+      .then(() => assertFails(db.ref().update(Object.assign(audit({ 'appSettings/minWithdraw': 100 }, db, 'super'),
+        { 'auditHeads/finance': 'a1' }))));
+  });
+
+  it('rejects unknown roles', () => {
+    const db = env.authenticatedContext('super').database();
+    return assertFails(db.ref('adminRoles/alice').set('owner'));
+  });
+
+  it('lets an admin read only their own admin record', () => {
+    const db = env.authenticatedContext('finance').database();
+    return assertSucceeds(db.ref('adminRoles/finance').once('value'))
+      .then(() => assertFails(db.ref('adminRoles').once('value')));
+  });
+
+  it('does not let a player or finance change app settings', () => {
+    return assertFails(env.authenticatedContext('alice').database().ref('appSettings/minWithdraw').set(0))
+      .then(() => assertFails(env.authenticatedContext('finance').database().ref('appSettings/withdrawFeePercent').set(0)));
+  });
+
+  it('lets a super-admin change app settings', () => {
+    const db = env.authenticatedContext('super').database();
+    return assertSucceeds(db.ref().update(audit({ 'appSettings/minWithdraw': 100, 'appSettings/withdrawFeePercent': 5 }, db, 'super')));
+  });
+
+  it('does not let a moderator change a wallet', () => {
+    const db = env.authenticatedContext('mod').database();
+    return assertFails(db.ref('users/alice/wallet/balance').set(1000));
+  });
+
+  it('lets a moderator block a player', () => {
+    const db = env.authenticatedContext('mod').database();
+    return assertSucceeds(db.ref().update(audit({ 'users/alice/isBlocked': true, 'users/alice/blockReason': 'Cheating' }, db, 'mod')));
+  });
+
+  it('does not let a player unblock themselves', () => {
+    const db = env.authenticatedContext('alice').database();
+    return assertFails(db.ref('users/alice/isBlocked').set(false));
+  });
+
+  it('keeps the audit log append-only', () => {
+    const db = env.authenticatedContext('finance').database();
+    const entry = {
+      by: 'finance', action: 'settings', target: 'appSettings', before: '{}', after: '{}', createdAt: TIMESTAMP
+    };
+    return assertSucceeds(db.ref('auditLog/a1').set(entry))
+      .then(() => assertFails(db.ref('auditLog/a1').set(Object.assign({}, entry, { action: 'other' }))))
+      .then(() => assertFails(db.ref('auditLog/a1').remove()));
+  });
+
+  it('sends room notifications once', () => {
+    const db = env.authenticatedContext('ops').database();
+    const notify = (notifyId) => ({
+      'tournaments/t1/roomNotifiedAt': TIMESTAMP,
+      'tournaments/t1/roomNotifyId': notifyId,
+      ['notifications/alice/' + notifyId]: {
+        type: 'room', title: 'Room details are ready', body: '', read: false, createdAt: TIMESTAMP
+      }
+    });
+    return env.withSecurityRulesDisabled(ctx => ctx.database().ref('tournaments/t1').set({
+      title: 'Sunday Cup', gameName: 'BGMI', type: 'solo', entryFee: 0, maxSlots: 10, joinedCount: 1,
+      status: 'upcoming', startTime: Date.now() + 60000, hasRoom: true
+    }))
+      .then(() => assertSucceeds(db.ref().update(notify('n1'))))
+      .then(() => assertFails(db.ref().update(notify('n2'))));
+  });
+
+  it('does not let a player send notifications', () => {
+    const db = env.authenticatedContext('alice').database();
+    return assertFails(db.ref('notifications/alice/n1').set({
+      type: 'room', title: 'Room details are ready', read: false, createdAt: TIMESTAMP
+    }));
+  });
+
+  it('hides the audit log from players and non-super admins', () => {
+    return assertFails(env.authenticatedContext('alice').database().ref('auditLog').once('value'))
+      .then(() => assertFails(env.authenticatedContext('finance').database().ref('auditLog').once('value')))
+      .then(() => assertSucceeds(env.authenticatedContext('super').database().ref('auditLog').once('value')));
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Deposits: players may open pending deposits but only finance, which
+ * includes the payments backend, credits them. The emulator rules also
+ * let players settle deposits of the mock provider. The backend's
+ * provider callback is run as `svc-payments`.
+ */
+
+const crypto = require('crypto');
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { DEV_RULES_FILE, TIMESTAMP, setup, backend, seed, read, profile, addEntry } = require('./support');
+const payments = require('../functions/payments');
+
+const PAYMENTS_UID = 'svc-payments';
+const SECRET = 'test-webhook-secret';
+
+/**
+ * Data with alice's pending deposit d1 of 100.
+ *
+ * @param {Object} [appSettings]
+ * @returns {Object}
+ */
+function pending(appSettings = {}) {
+  return {
+    appSettings: appSettings,
+    users: { alice: profile('alice', 0) },
+    deposits: { d1: { uid: 'alice', amount: 100, provider: 'mock', status: 'pending', createdAt: 1 } }
+  };
+}
+
+/**
+ * The update that marks d1 paid and credits it.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} by
+ * @returns {Object}
+ */
+function creditUpdates(db, by) {
+  const updates = { 'deposits/d1/status': 'success' };
+  addEntry(updates, db, by, 'alice', { balance: 0 }, { type: 'deposit', amount: 100, ref: { kind: 'deposit', id: 'd1' } });
+  return updates;
+}
+
+/**
+ * A provider callback for d1, signed with `secret`.
+ *
+ * @param {Object} [fields]
+ * @param {string} [secret]
+ * @returns {Object}
+ */
+function callback(fields = {}, secret = SECRET) {
+  const body = Object.assign({ depositId: 'd1', providerOrderId: 'order_1', status: 'success', amount: 100 }, fields);
+  body.signature = crypto.createHmac('sha256', secret)
+    .update([body.depositId, body.providerOrderId, body.status, body.amount].join('|')).digest('hex');
+  return body;
+}
+
+describe('deposits', () => {
+  let env;
+
+  before(() => setup('rules-deposits').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets a player open a pending deposit', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertSucceeds(db.ref('deposits/d1').set({
+        uid: 'alice', amount: 100, provider: 'mock', status: 'pending', createdAt: TIMESTAMP
+      })));
+  });
+
+  it('does not let a player open a deposit that is already paid', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref('deposits/d1').set({
+        uid: 'alice', amount: 100, provider: 'mock', status: 'success', createdAt: TIMESTAMP
+      })));
+  });
+
+  it('does not let a player credit their own deposit', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref().update(creditUpdates(db, 'alice'))));
+  });
+
+  it('does not let a player credit their own deposit through a real provider', () => {
+    const db = env.authenticatedContext('alice').database();
+    const data = pending({ paymentProvider: 'razorpay' });
+    data.deposits.d1.provider = 'razorpay';
+    return seed(env, data)
+      .then(() => assertFails(db.ref().update(creditUpdates(db, 'alice'))));
+  });
+
+  it('does not let a player credit a mock deposit', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending())
+      .then(() => env.withSecurityRulesDisabled(ctx => ctx.database().ref('appSettings/paymentProvider').set('mock')))
+      .then(() => assertFails(db.ref().update(creditUpdates(db, 'alice'))));
+  });
+
+  it('does not let a super-admin turn on the mock provider', () => {
+    const db = env.authenticatedContext('super').database();
+    return seed(env, {})
+      .then(() => assertFails(db.ref('appSettings/paymentProvider').set('mock')));
+  });
+
+  it('does not let a player raise a pending deposit', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref('deposits/d1/amount').set(1000)));
+  });
+
+  it('lets finance credit a deposit with its ledger entry', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, pending())
+      .then(() => assertSucceeds(db.ref().update(creditUpdates(db, 'finance'))))
+      .then(() => read(env, 'users/alice/wallet/balance'))
+      .then(balance => {
+        if (balance !== 100) throw new Error('Unexpected balance: ' + balance);
+      });
+  });
+
+  it('rejects crediting a deposit twice', () => {
+    const db = env.authenticatedContext('finance').database();
+    const data = pending();
+    data.deposits.d1.status = 'success';
+    return seed(env, data)
+      .then(() => assertFails(db.ref().update(creditUpdates(db, 'finance'))));
+  });
+
+  it('rejects marking a deposit paid without crediting it', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref('deposits/d1/status').set('success')));
+  });
+
+  it('does not let a player credit their wallet directly', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref('users/alice/wallet/balance').set(1000)));
+  });
+});
+
+describe('deposits in the emulators', () => {
+  let env;
+
+  before(() => setup('rules-deposits-dev', DEV_RULES_FILE).then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets a player complete a mock deposit while the mock provider is on', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending({ paymentProvider: 'mock' }))
+      .then(() => assertSucceeds(db.ref().update(creditUpdates(db, 'alice'))));
+  });
+
+  it('does not let a player complete a mock deposit while deposits are off', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref().update(creditUpdates(db, 'alice'))));
+  });
+});
+
+describe('payment callbacks', () => {
+  let env;
+  let db;
+
+  before(() => setup('payments-callback').then(e => {
+    env = e;
+    db = backend(env, PAYMENTS_UID);
+  }));
+  after(() => db.app.delete().then(() => env.cleanup()));
+  beforeEach(() => {
+    const data = pending({ paymentProvider: 'razorpay' });
+    Object.assign(data.deposits.d1, { provider: 'razorpay', providerOrderId: 'order_1' });
+    return seed(env, data);
+  });
+  afterEach(() => env.clearDatabase());
+
+  /**
+   * Resolves with d1's status, alice's balance and the number of
+   * ledger entries in alice's wallet.
+   *
+   * @returns {Promise<Array>}
+   */
+  function state() {
+    return Promise.all([
+      read(env, 'deposits/d1/status'),
+      read(env, 'users/alice/wallet/balance'),
+      read(env, 'walletHistory/alice').then(history => Object.keys(history || {}).length)
+    ]);
+  }
+
+  /**
+   * Throws unless the state is as expected.
+   *
+   * @param {Array} actual
+   * @param {Array} expected
+   */
+  function expectState(actual, expected) {
+    if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+      throw new Error('State is ' + JSON.stringify(actual) + ', expected ' + JSON.stringify(expected));
+    }
+  }
+
+  it('rejects a callback with a bad signature', () => {
+    return payments.handleCallback(db, PAYMENTS_UID, SECRET, callback({}, 'wrong-secret'))
+      .then(result => {
+        if (result.code !== 401) throw new Error('Answered ' + result.code);
+        return state();
+      })
+      .then(actual => expectState(actual, ['pending', 0, 0]));
+  });
+
+  it('rejects a callback whose amount was changed after signing', () => {
+    return payments.handleCallback(db, PAYMENTS_UID, SECRET, Object.assign(callback(), { amount: 1000 }))
+      .then(result => {
+        if (result.code !== 401) throw new Error('Answered ' + result.code);
+        return state();
+      })
+      .then(actual => expectState(actual, ['pending', 0, 0]));
+  });
+
+  it('credits a valid callback once', () => {
+    return payments.handleCallback(db, PAYMENTS_UID, SECRET, callback())
+      .then(result => {
+        if (result.code !== 200 || result.body.status !== 'success') throw new Error('Answered ' + JSON.stringify(result));
+        return state();
+      })
+      .then(actual => expectState(actual, ['success', 100, 1]));
+  });
+
+  it('does not credit a replayed callback twice', () => {
+    return payments.handleCallback(db, PAYMENTS_UID, SECRET, callback())
+      .then(() => payments.handleCallback(db, PAYMENTS_UID, SECRET, callback()))
+      .then(result => {
+        if (result.code !== 200 || result.body.status !== 'success') throw new Error('Answered ' + JSON.stringify(result));
+        return state();
+      })
+      .then(actual => expectState(actual, ['success', 100, 1]));
+  });
+
+  it('does not credit simultaneous copies of a callback twice', () => {
+    return Promise.all([1, 2, 3].map(() => payments.handleCallback(db, PAYMENTS_UID, SECRET, callback())))
+      .then(() => state())
+      .then(actual => expectState(actual, ['success', 100, 1]));
+  });
+
+  it('marks a failed payment failed without crediting it', () => {
+    return payments.handleCallback(db, PAYMENTS_UID, SECRET, callback({ status: 'failed' }))
+      .then(() => state())
+      .then(actual => expectState(actual, ['failed', 0, 0]));
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Tournament jobs in functions/tournaments.js, run through the Admin
+ * SDK as the `svc-scheduler` service uid, or as the admin for jobs the
+ * panel asks for, so the rules check their writes like the deployed
+ * functions'.
+ */
+
+const { setup, backend, seed, read, profile } = require('./support');
+const tournaments = require('../functions/tournaments');
+
+const SCHEDULER_UID = 'svc-scheduler';
+const MINUTE = 60 * 1000;
+
+/**
+ * An upcoming solo tournament with one of two slots taken.
+ *
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function tournament(fields = {}) {
+  return Object.assign({
+    title: 'Sunday Cup',
+    gameName: 'BGMI',
+    type: 'solo',
+    entryFee: 50,
+    maxSlots: 2,
+    joinedCount: 1,
+    status: 'upcoming',
+    startTime: Date.now() + 120 * MINUTE
+  }, fields);
+}
+
+/**
+ * A waitlist entry.
+ *
+ * @param {string} name
+ * @param {number} joinedAt
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function entry(name, joinedAt, fields = {}) {
+  return Object.assign({ name: name, status: 'waiting', joinedAt: joinedAt }, fields);
+}
+
+/**
+ * Data with alice and bob, 100 each, on the waitlist of t1 in that
+ * order.
+ *
+ * @param {Object} [t] Tournament fields.
+ * @param {Object} [entries] Waitlist entry fields by uid.
+ * @param {Object} [users] Profile fields by uid.
+ * @returns {Object}
+ */
+function waitlist(t = {}, entries = {}, users = {}) {
+  return {
+    users: {
+      alice: Object.assign(profile('alice', 100), users.alice),
+      bob: Object.assign(profile('bob', 100), users.bob)
+    },
+    tournaments: { t1: tournament(Object.assign({ waitlistCount: 2 }, t)) },
+    tournamentWaitlist: {
+      t1: {
+        bob: entry('bob', 2, entries.bob),
+        alice: entry('alice', 1, entries.alice)
+      }
+    }
+  };
+}
+
+/**
+ * Throws unless every value matches the expected one.
+ *
+ * @param {Object} actual
+ * @param {Object} expected
+ */
+function expectValues(actual, expected) {
+  Object.keys(expected).forEach(key => {
+    if (JSON.stringify(actual[key]) !== JSON.stringify(expected[key])) {
+      throw new Error(key + ' is ' + JSON.stringify(actual[key]) + ', expected ' + JSON.stringify(expected[key]));
+    }
+  });
+}
+
+/**
+ * Reads several paths, bypassing the rules.
+ *
+ * @param {RulesTestEnvironment} env
+ * @param {Object} paths Paths by name.
+ * @returns {Promise<Object>} Values by name.
+ */
+function readAll(env, paths) {
+  const names = Object.keys(paths);
+  return Promise.all(names.map(name => read(env, paths[name]))).then(values => {
+    const result = {};
+    names.forEach((name, i) => {
+      result[name] = values[i];
+    });
+    return result;
+  });
+}
+
+describe('waitlist promotion job', () => {
+  let env;
+  let db;
+
+  before(() => setup('jobs-waitlist').then(e => {
+    env = e;
+    db = backend(env, SCHEDULER_UID);
+  }));
+  after(() => db.app.delete().then(() => env.cleanup()));
+  afterEach(() => env.clearDatabase());
+
+  it('promotes a waitlisted player into a free slot and charges the fee', () => {
+    const data = waitlist({ waitlistCount: 1 });
+    delete data.tournamentWaitlist.t1.bob;
+    return seed(env, data)
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', Date.now()))
+      .then(promoted => {
+        if (promoted !== 1) throw new Error('Promoted ' + promoted + ' players');
+        return readAll(env, {
+          status: 'tournamentJoins/t1/alice/status',
+          fromWaitlist: 'tournamentJoins/t1/alice/fromWaitlist',
+          feePaid: 'tournamentJoins/t1/alice/feePaid',
+          balance: 'users/alice/wallet/balance',
+          joinedCount: 'tournaments/t1/joinedCount',
+          waitlistCount: 'tournaments/t1/waitlistCount',
+          entry: 'tournamentWaitlist/t1/alice'
+        });
+      })
+      .then(values => expectValues(values, {
+        status: 'joined',
+        fromWaitlist: true,
+        feePaid: 50,
+        balance: 50,
+        joinedCount: 2,
+        waitlistCount: 0,
+        entry: null
+      }));
+  });
+
+  it('promotes the oldest entry first', () => {
+    return seed(env, waitlist())
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', Date.now()))
+      .then(() => readAll(env, {
+        alice: 'tournamentJoins/t1/alice/status',
+        bob: 'tournamentJoins/t1/bob',
+        bobEntry: 'tournamentWaitlist/t1/bob/status',
+        bobBalance: 'users/bob/wallet/balance',
+        waitlistCount: 'tournaments/t1/waitlistCount'
+      }))
+      .then(values => expectValues(values, {
+        alice: 'joined',
+        bob: null,
+        bobEntry: 'waiting',
+        bobBalance: 100,
+        waitlistCount: 1
+      }));
+  });
+
+  it('skips a blocked player and promotes the next one', () => {
+    return seed(env, waitlist({}, {}, { alice: { isBlocked: true } }))
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', Date.now()))
+      .then(() => readAll(env, {
+        status: 'tournamentWaitlist/t1/alice/status',
+        skipReason: 'tournamentWaitlist/t1/alice/skipReason',
+        aliceBalance: 'users/alice/wallet/balance',
+        bob: 'tournamentJoins/t1/bob/status',
+        waitlistCount: 'tournaments/t1/waitlistCount'
+      }))
+      .then(values => expectValues(values, {
+        status: 'skipped',
+        skipReason: 'Account blocked',
+        aliceBalance: 100,
+        bob: 'joined',
+        waitlistCount: 0
+      }));
+  });
+
+  it('skips a player who cannot pay the entry fee', () => {
+    return seed(env, waitlist({}, {}, { alice: { wallet: { balance: 20, totalEarned: 0, totalWithdrawn: 0 } } }))
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', Date.now()))
+      .then(() => readAll(env, {
+        status: 'tournamentWaitlist/t1/alice/status',
+        skipReason: 'tournamentWaitlist/t1/alice/skipReason',
+        balance: 'users/alice/wallet/balance',
+        bob: 'tournamentJoins/t1/bob/status'
+      }))
+      .then(values => expectValues(values, {
+        status: 'skipped',
+        skipReason: 'Insufficient wallet balance',
+        balance: 20,
+        bob: 'joined'
+      }));
+  });
+
+  it('skips an entry whose promotion was interrupted', () => {
+    const now = Date.now();
+    return seed(env, waitlist({}, { alice: { status: 'promoting', promotingAt: now - 10 * MINUTE } }))
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', now))
+      .then(() => readAll(env, {
+        status: 'tournamentWaitlist/t1/alice/status',
+        skipReason: 'tournamentWaitlist/t1/alice/skipReason',
+        promotingAt: 'tournamentWaitlist/t1/alice/promotingAt',
+        balance: 'users/alice/wallet/balance',
+        bob: 'tournamentJoins/t1/bob/status',
+        waitlistCount: 'tournaments/t1/waitlistCount'
+      }))
+      .then(values => expectValues(values, {
+        status: 'skipped',
+        skipReason: 'Promotion interrupted',
+        promotingAt: null,
+        balance: 100,
+        bob: 'joined',
+        waitlistCount: 0
+      }));
+  });
+
+  it('leaves an entry being promoted alone until it times out', () => {
+    const now = Date.now();
+    return seed(env, waitlist({}, { alice: { status: 'promoting', promotingAt: now - MINUTE } }))
+      .then(() => tournaments.promoteWaitlist(db, SCHEDULER_UID, 't1', now))
+      .then(() => readAll(env, {
+        alice: 'tournamentWaitlist/t1/alice/status',
+        bob: 'tournamentJoins/t1/bob/status'
+      }))
+      .then(values => expectValues(values, { alice: 'promoting', bob: 'joined' }));
+  });
+
+  it('stops when there are no free slots', () => {
+    return seed(env, waitlist({ joinedCount: 2 }))
+      .then(() => tournaments.promoteDueWaitlists(db, SCHEDULER_UID, { t1: tournament({ joinedCount: 2, waitlistCount: 2 }) }, Date.now()))
+      .then(failed => {
+        if (failed) throw new Error(failed + ' tournaments failed');
+        return readAll(env, {
+          alice: 'tournamentWaitlist/t1/alice/status',
+          bob: 'tournamentWaitlist/t1/bob/status',
+          balance: 'users/alice/wallet/balance',
+          joins: 'tournamentJoins/t1',
+          waitlistCount: 'tournaments/t1/waitlistCount'
+        });
+      })
+      .then(values => expectValues(values, {
+        alice: 'waiting',
+        bob: 'waiting',
+        balance: 100,
+        joins: null,
+        waitlistCount: 2
+      }));
+  });
+});
+
+/**
+ * Data for t1 after its start: alice joined and paid 50 but did not
+ * check in, bob checked in.
+ *
+ * @returns {Object}
+ */
+function checkInClosed() {
+  const join = (uid, status) => ({ uid: uid, userName: uid, status: status, joinedAt: 1, feePaid: 50 });
+  return {
+    users: { alice: profile('alice', 50), bob: profile('bob', 50) },
+    tournaments: { t1: tournament({ joinedCount: 2, checkInMin: 10, refundNoShows: true, startTime: Date.now() - MINUTE }) },
+    tournamentJoins: { t1: { alice: join('alice', 'joined'), bob: join('bob', 'checked_in') } },
+    tournamentParticipants: { t1: { alice: { name: 'alice', joinedAt: 1 }, bob: { name: 'bob', joinedAt: 1 } } },
+    userJoins: { alice: { t1: 1 }, bob: { t1: 1 } }
+  };
+}
+
+describe('no-show release job', () => {
+  let env;
+  let db;
+  let opsDb;
+  let modDb;
+
+  before(() => setup('jobs-no-shows').then(e => {
+    env = e;
+    db = backend(env, SCHEDULER_UID);
+    opsDb = backend(env, 'ops');
+    modDb = backend(env, 'mod');
+  }));
+  after(() => Promise.all([db, opsDb, modDb].map(d => d.app.delete())).then(() => env.cleanup()));
+  afterEach(() => env.clearDatabase());
+
+  it('sweeps once, refunds once and sets noShowSweepId once', () => {
+    const data = checkInClosed();
+    const open = { t1: data.tournaments.t1 };
+    let sweepId = null;
+    return seed(env, data)
+      .then(() => tournaments.sweepDueNoShows(db, SCHEDULER_UID, open, Date.now()))
+      .then(failed => {
+        if (failed) throw new Error(failed + ' tournaments failed');
+        return readAll(env, {
+          alice: 'tournamentJoins/t1/alice/status',
+          refunded: 'tournamentJoins/t1/alice/refunded',
+          participant: 'tournamentParticipants/t1/alice',
+          bob: 'tournamentJoins/t1/bob/status',
+          balance: 'users/alice/wallet/balance',
+          joinedCount: 'tournaments/t1/joinedCount',
+          sweepId: 'tournaments/t1/noShowSweepId'
+        });
+      })
+      .then(values => {
+        expectValues(values, {
+          alice: 'no_show',
+          refunded: true,
+          participant: null,
+          bob: 'checked_in',
+          balance: 100,
+          joinedCount: 1
+        });
+        sweepId = values.sweepId;
+        if (typeof sweepId !== 'string') throw new Error('noShowSweepId was not set');
+        // an overlapping run that read the tournament before the sweep
+        return tournaments.sweepDueNoShows(db, SCHEDULER_UID, open, Date.now());
+      })
+      .then(failed => {
+        if (failed !== 1) throw new Error('Expected the second sweep to be refused');
+        return readAll(env, {
+          balance: 'users/alice/wallet/balance',
+          joinedCount: 'tournaments/t1/joinedCount',
+          sweepId: 'tournaments/t1/noShowSweepId',
+          history: 'walletHistory/alice'
+        });
+      })
+      .then(values => {
+        expectValues(values, { balance: 100, joinedCount: 1, sweepId: sweepId });
+        if (Object.keys(values.history).length !== 1) throw new Error('Refunded more than once');
+      });
+  });
+
+  it('lets tournament ops release no-shows as themselves', () => {
+    return seed(env, checkInClosed())
+      .then(() => tournaments.releaseNoShows(opsDb, 'ops', 'ops@example.com', 't1'))
+      .then(freed => {
+        if (freed !== 1) throw new Error('Freed ' + freed + ' slots');
+        return readAll(env, { balance: 'users/alice/wallet/balance', audit: 'auditLog' });
+      })
+      .then(values => {
+        const entries = Object.values(values.audit || {});
+        expectValues(values, { balance: 100 });
+        if (!entries.some(e => e.by === 'ops' && e.byName === 'ops@example.com' && e.role === 'tournament-ops')) {
+          throw new Error('No audit entry by ops');
+        }
+      });
+  });
+
+  it('refuses releasing no-shows twice', () => {
+    return seed(env, checkInClosed())
+      .then(() => tournaments.releaseNoShows(opsDb, 'ops', 'ops@example.com', 't1'))
+      .then(() => tournaments.releaseNoShows(opsDb, 'ops', 'ops@example.com', 't1'))
+      .then(() => {
+        throw new Error('Released twice');
+      }, err => {
+        if (err.code !== 'already-swept') throw err;
+      });
+  });
+
+  it('does not let a moderator release no-shows', () => {
+    return seed(env, checkInClosed())
+      .then(() => tournaments.releaseNoShows(modDb, 'mod', 'mod@example.com', 't1'))
+      .then(() => {
+        throw new Error('A moderator released no-shows');
+      }, err => {
+        if (err.code !== 'PERMISSION_DENIED') throw err;
+      })
+      .then(() => read(env, 'users/alice/wallet/balance'))
+      .then(balance => {
+        if (balance !== 50) throw new Error('Unexpected balance: ' + balance);
+      });
+  });
+});
+
+describe('room notification job', () => {
+  let env;
+  let db;
+
+  before(() => setup('jobs-rooms').then(e => {
+    env = e;
+    db = backend(env, SCHEDULER_UID);
+  }));
+  after(() => db.app.delete().then(() => env.cleanup()));
+  afterEach(() => env.clearDatabase());
+
+  it('notifies each player except no-shows once', () => {
+    const join = (uid, status) => ({ uid: uid, userName: uid, status: status, joinedAt: 1, feePaid: 50 });
+    const t = tournament({ joinedCount: 2, maxSlots: 3, hasRoom: true, roomRevealMin: 15, startTime: Date.now() + 10 * MINUTE });
+    const open = { t1: t };
+    let notifyId = null;
+    return seed(env, {
+      tournaments: { t1: t },
+      tournamentJoins: { t1: { alice: join('alice', 'joined'), bob: join('bob', 'checked_in'), carol: join('carol', 'no_show') } }
+    })
+      .then(() => tournaments.notifyDueRooms(db, open, Date.now()))
+      .then(failed => {
+        if (failed) throw new Error(failed + ' tournaments failed');
+        return readAll(env, { notifications: 'notifications', notifyId: 'tournaments/t1/roomNotifyId' });
+      })
+      .then(values => {
+        const feeds = values.notifications || {};
+        if (Object.keys(feeds).sort().join() !== 'alice,bob') throw new Error('Notified ' + Object.keys(feeds));
+        Object.keys(feeds).forEach(uid => {
+          const items = Object.values(feeds[uid]);
+          if (items.length !== 1 || items[0].type !== 'room') throw new Error(uid + ' got ' + JSON.stringify(items));
+        });
+        notifyId = values.notifyId;
+        if (typeof notifyId !== 'string') throw new Error('roomNotifyId was not set');
+        // an overlapping run that read the tournament before the first
+        return tournaments.notifyDueRooms(db, open, Date.now());
+      })
+      .then(failed => {
+        if (failed !== 1) throw new Error('Expected the second run to be refused');
+        return readAll(env, { alice: 'notifications/alice', notifyId: 'tournaments/t1/roomNotifyId' });
+      })
+      .then(values => {
+        expectValues(values, { notifyId: notifyId });
+        if (Object.keys(values.alice).length !== 1) throw new Error('alice was notified twice');
+      });
+  });
+
+  it('waits for the reveal time', () => {
+    const t = tournament({ hasRoom: true, roomRevealMin: 15, startTime: Date.now() + 60 * MINUTE });
+    return seed(env, {
+      tournaments: { t1: t },
+      tournamentJoins: { t1: { alice: { uid: 'alice', userName: 'alice', status: 'joined', joinedAt: 1, feePaid: 50 } } }
+    })
+      .then(() => tournaments.notifyDueRooms(db, { t1: t }, Date.now()))
+      .then(() => readAll(env, { notifications: 'notifications', notifiedAt: 'tournaments/t1/roomNotifiedAt' }))
+      .then(values => expectValues(values, { notifications: null, notifiedAt: null }));
+  });
+});
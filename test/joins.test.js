@@ -0,0 +1,338 @@
+/**
+ * Joining and leaving tournaments: the slot, the join records and the
+ * entry fee or refund must be written together and add up.
+ */
+
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { TIMESTAMP, increment, setup, seed, read, profile, addEntry } = require('./support');
+
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * An upcoming solo tournament.
+ *
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+function tournament(fields = {}) {
+  return Object.assign({
+    title: 'Sunday Cup',
+    gameName: 'BGMI',
+    type: 'solo',
+    entryFee: 50,
+    maxSlots: 10,
+    joinedCount: 0,
+    status: 'upcoming',
+    startTime: Date.now() + 2 * HOUR
+  }, fields);
+}
+
+/**
+ * The update submitJoin() writes for a solo join.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} uid
+ * @param {{balance: number}} wallet
+ * @param {number} fee
+ * @returns {Object}
+ */
+function joinUpdates(db, uid, wallet, fee) {
+  const updates = {};
+  updates['tournaments/t1/joinedCount'] = increment(1);
+  updates['users/' + uid + '/lastJoinAt'] = TIMESTAMP;
+  updates['userJoins/' + uid + '/t1'] = TIMESTAMP;
+  updates['tournamentJoins/t1/' + uid] = {
+    uid: uid,
+    userName: uid,
+    gameUidOrIgn: '',
+    phone: '9000000000',
+    joinedAt: TIMESTAMP,
+    status: 'joined',
+    feePaid: fee
+  };
+  updates['tournamentParticipants/t1/' + uid] = { name: uid, joinedAt: TIMESTAMP };
+  if (fee > 0) addEntry(updates, db, uid, uid, wallet, { type: 'join_fee', amount: fee, ref: { kind: 'tournament', id: 't1' } });
+  return updates;
+}
+
+/**
+ * The update leaveTournament() writes for a solo player.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} uid
+ * @param {{balance: number}} wallet
+ * @param {number} refund
+ * @returns {Object}
+ */
+function leaveUpdates(db, uid, wallet, refund) {
+  const updates = {};
+  updates['tournamentJoins/t1/' + uid] = null;
+  updates['userJoins/' + uid + '/t1'] = null;
+  updates['tournamentParticipants/t1/' + uid] = null;
+  updates['tournaments/t1/joinedCount'] = increment(-1);
+  if (refund > 0) addEntry(updates, db, uid, uid, wallet, { type: 'refund', amount: refund, ref: { kind: 'tournament', id: 't1' } });
+  return updates;
+}
+
+/**
+ * Data for a player who joined t1 and paid the fee.
+ *
+ * @param {string} uid
+ * @param {number} balance Balance left after paying.
+ * @param {Object} [fields] Tournament fields.
+ * @returns {Object}
+ */
+function joined(uid, balance, fields = {}) {
+  return {
+    users: { [uid]: profile(uid, balance) },
+    tournaments: { t1: tournament(Object.assign({ joinedCount: 1 }, fields)) },
+    tournamentJoins: { t1: { [uid]: { uid: uid, userName: uid, status: 'joined', joinedAt: 1, feePaid: 50 } } },
+    tournamentParticipants: { t1: { [uid]: { name: uid, joinedAt: 1 } } },
+    userJoins: { [uid]: { t1: 1 } }
+  };
+}
+
+/**
+ * Data with alice on the waitlist of a t1 with a free slot.
+ *
+ * @param {string} status Status of the waitlist entry.
+ * @returns {Object}
+ */
+function waitlisted(status) {
+  return {
+    users: { alice: profile('alice', 100) },
+    tournaments: { t1: tournament({ maxSlots: 2, joinedCount: 1, waitlistCount: 1 }) },
+    tournamentWaitlist: { t1: { alice: { name: 'alice', status: status, joinedAt: 1 } } }
+  };
+}
+
+describe('tournament joins', () => {
+  let env;
+
+  before(() => setup('rules-joins').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets a player join by paying the entry fee', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 100) }, tournaments: { t1: tournament() } })
+      .then(() => assertSucceeds(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 50))))
+      .then(() => Promise.all([read(env, 'users/alice/wallet/balance'), read(env, 'tournaments/t1/joinedCount')]))
+      .then(([balance, joinedCount]) => {
+        if (balance !== 50 || joinedCount !== 1) throw new Error('Unexpected state: ' + balance + ', ' + joinedCount);
+      });
+  });
+
+  it('rejects a join that pays less than the entry fee', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 100) }, tournaments: { t1: tournament() } })
+      .then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 10))));
+  });
+
+  it('rejects a join without the fee debit', () => {
+    const db = env.authenticatedContext('alice').database();
+    const updates = joinUpdates(db, 'alice', { balance: 100 }, 0);
+    updates['tournamentJoins/t1/alice'].feePaid = 50;
+    return seed(env, { users: { alice: profile('alice', 100) }, tournaments: { t1: tournament() } })
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('rejects a join the wallet cannot pay for', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 20) }, tournaments: { t1: tournament() } })
+      .then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 20 }, 50))));
+  });
+
+  it('rejects a join into a full tournament', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 100) }, tournaments: { t1: tournament({ maxSlots: 2, joinedCount: 2 }) } })
+      .then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 50))));
+  });
+
+  it('rejects a join by a blocked player', () => {
+    const db = env.authenticatedContext('alice').database();
+    const alice = Object.assign(profile('alice', 100), { isBlocked: true });
+    return seed(env, { users: { alice: alice }, tournaments: { t1: tournament() } })
+      .then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 50))));
+  });
+
+  it('rejects a join during maintenance', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, {
+      appSettings: { maintenanceMode: true },
+      users: { alice: profile('alice', 100) },
+      tournaments: { t1: tournament() }
+    }).then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 50))));
+  });
+
+  it('does not let a player join for someone else', () => {
+    const db = env.authenticatedContext('mallory').database();
+    return seed(env, { users: { alice: profile('alice', 100) }, tournaments: { t1: tournament() } })
+      .then(() => assertFails(db.ref().update(joinUpdates(db, 'alice', { balance: 100 }, 50))));
+  });
+});
+
+describe('concurrent joins', () => {
+  const PLAYERS = ['alice', 'bob', 'carol', 'dave'];
+  let env;
+
+  before(() => setup('rules-concurrent-joins').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('gives the last slot to exactly one of several simultaneous joins', () => {
+    const users = {};
+    PLAYERS.forEach(uid => {
+      users[uid] = profile(uid, 100);
+    });
+    return seed(env, { users: users, tournaments: { t1: tournament({ maxSlots: 5, joinedCount: 4 }) } })
+      .then(() => Promise.allSettled(PLAYERS.map(uid => {
+        const db = env.authenticatedContext(uid).database();
+        return db.ref().update(joinUpdates(db, uid, { balance: 100 }, 50));
+      })))
+      .then(results => {
+        const winners = PLAYERS.filter((uid, i) => results[i].status === 'fulfilled');
+        if (winners.length !== 1) throw new Error('Expected one join to succeed, got ' + winners.length);
+        return Promise.all([
+          read(env, 'tournaments/t1/joinedCount'),
+          read(env, 'tournamentJoins/t1'),
+          Promise.all(PLAYERS.map(uid => read(env, 'users/' + uid + '/wallet/balance')))
+        ]).then(([joinedCount, joins, balances]) => {
+          if (joinedCount !== 5) throw new Error('joinedCount is ' + joinedCount + ', not maxSlots');
+          if (Object.keys(joins || {}).join() !== winners[0]) throw new Error('Unexpected joins: ' + Object.keys(joins || {}));
+          PLAYERS.forEach((uid, i) => {
+            const expected = uid === winners[0] ? 50 : 100;
+            if (balances[i] !== expected) throw new Error(uid + ' has balance ' + balances[i] + ', expected ' + expected);
+          });
+        });
+      });
+  });
+});
+
+describe('waitlist promotion', () => {
+  let env;
+
+  before(() => setup('rules-waitlist').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets tournament ops claim an entry for promotion', () => {
+    const db = env.authenticatedContext('ops').database();
+    return seed(env, waitlisted('waiting'))
+      .then(() => assertSucceeds(db.ref('tournamentWaitlist/t1/alice').update({ status: 'promoting', promotingAt: Date.now() })));
+  });
+
+  it('lets tournament ops join a claimed player and charge the fee', () => {
+    const db = env.authenticatedContext('ops').database();
+    const updates = joinUpdates(db, 'alice', { balance: 100 }, 50);
+    delete updates['users/alice/lastJoinAt'];
+    updates['tournamentJoins/t1/alice'].fromWaitlist = true;
+    updates['tournamentWaitlist/t1/alice'] = null;
+    updates['tournaments/t1/waitlistCount'] = increment(-1);
+    return seed(env, waitlisted('promoting'))
+      .then(() => assertSucceeds(db.ref().update(updates)))
+      .then(() => Promise.all([read(env, 'users/alice/wallet/balance'), read(env, 'tournaments/t1/waitlistCount')]))
+      .then(([balance, waitlistCount]) => {
+        if (balance !== 50 || waitlistCount !== 0) throw new Error('Unexpected state: ' + balance + ', ' + waitlistCount);
+      });
+  });
+
+  it('lets tournament ops skip an entry whose promotion failed', () => {
+    const db = env.authenticatedContext('ops').database();
+    return seed(env, waitlisted('promoting'))
+      .then(() => assertSucceeds(db.ref().update({
+        'tournamentWaitlist/t1/alice/status': 'skipped',
+        'tournamentWaitlist/t1/alice/skipReason': 'Promotion failed',
+        'tournamentWaitlist/t1/alice/promotingAt': null,
+        'tournaments/t1/waitlistCount': increment(-1)
+      })));
+  });
+
+  it('does not let a player promote themselves', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, waitlisted('waiting'))
+      .then(() => assertFails(db.ref('tournamentWaitlist/t1/alice/status').set('promoting')));
+  });
+});
+
+describe('leaving and refunds', () => {
+  let env;
+
+  before(() => setup('rules-refunds').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('refunds the fee paid when a player leaves', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, joined('alice', 50))
+      .then(() => assertSucceeds(db.ref().update(leaveUpdates(db, 'alice', { balance: 50 }, 50))))
+      .then(() => Promise.all([read(env, 'users/alice/wallet/balance'), read(env, 'tournaments/t1/joinedCount')]))
+      .then(([balance, joinedCount]) => {
+        if (balance !== 100 || joinedCount !== 0) throw new Error('Unexpected state: ' + balance + ', ' + joinedCount);
+      });
+  });
+
+  it('rejects a refund larger than the fee paid', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, joined('alice', 50))
+      .then(() => assertFails(db.ref().update(leaveUpdates(db, 'alice', { balance: 50 }, 80))));
+  });
+
+  it('rejects a refund without leaving', () => {
+    const db = env.authenticatedContext('alice').database();
+    const updates = {};
+    addEntry(updates, db, 'alice', 'alice', { balance: 50 }, { type: 'refund', amount: 50, ref: { kind: 'tournament', id: 't1' } });
+    return seed(env, joined('alice', 50))
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('rejects leaving after the leave cutoff', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, joined('alice', 50, { startTime: Date.now() + 10 * 60 * 1000 }))
+      .then(() => assertFails(db.ref().update(leaveUpdates(db, 'alice', { balance: 50 }, 50))));
+  });
+
+  it('refunds a no-show once', () => {
+    const db = env.authenticatedContext('ops').database();
+    const sweep = (sweepId, balance) => {
+      const updates = {
+        'tournamentJoins/t1/alice/status': 'no_show',
+        'tournamentJoins/t1/alice/refunded': true,
+        'tournamentParticipants/t1/alice': null,
+        'tournaments/t1/joinedCount': increment(-1),
+        'tournaments/t1/noShowSweptAt': TIMESTAMP,
+        'tournaments/t1/noShowSweepId': sweepId
+      };
+      addEntry(updates, db, 'ops', 'alice', { balance: balance }, { type: 'refund', amount: 50, ref: { kind: 'tournament', id: 't1' } });
+      return updates;
+    };
+    return seed(env, joined('alice', 50, { checkInMin: 10, refundNoShows: true, startTime: Date.now() - 60000 }))
+      .then(() => assertSucceeds(db.ref().update(sweep('s1', 50))))
+      .then(() => env.withSecurityRulesDisabled(ctx => ctx.database().ref('tournaments/t1/joinedCount').set(1)))
+      .then(() => assertFails(db.ref().update(sweep('s2', 100))));
+  });
+
+  it('lets tournament ops refund a player', () => {
+    const db = env.authenticatedContext('ops').database();
+    const updates = { 'tournamentJoins/t1/alice/refunded': true };
+    addEntry(updates, db, 'ops', 'alice', { balance: 50 }, { type: 'refund', amount: 50, ref: { kind: 'tournament', id: 't1' } });
+    return seed(env, joined('alice', 50))
+      .then(() => assertSucceeds(db.ref().update(updates)));
+  });
+
+  it('does not let a moderator refund a player', () => {
+    const db = env.authenticatedContext('mod').database();
+    const updates = {};
+    addEntry(updates, db, 'mod', 'alice', { balance: 50 }, { type: 'refund', amount: 50, ref: { kind: 'tournament', id: 't1' } });
+    return seed(env, joined('alice', 50))
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+});
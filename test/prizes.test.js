@@ -0,0 +1,111 @@
+/**
+ * Prizes are paid by tournament ops or finance, never by players, and
+ * a tournament's results are paid out once.
+ */
+
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { setup, seed, read, profile, addEntry, audit } = require('./support');
+
+/**
+ * The ledger update paying alice a prize of 500.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} by
+ * @returns {Object}
+ */
+function prizeUpdates(db, by) {
+  const updates = {};
+  addEntry(updates, db, by, 'alice', { balance: 0, totalEarned: 0 }, { type: 'prize', amount: 500, ref: { kind: 'tournament', id: 't1' } });
+  return updates;
+}
+
+/**
+ * A completed tournament, published with `publishId` when given.
+ *
+ * @param {string} [publishId]
+ * @returns {Object}
+ */
+function completed(publishId) {
+  const t = {
+    title: 'Sunday Cup', gameName: 'BGMI', type: 'solo', entryFee: 50, maxSlots: 10, joinedCount: 1, status: 'completed'
+  };
+  if (publishId) Object.assign(t, { resultsStatus: 'published', resultsPublishId: publishId });
+  return t;
+}
+
+describe('prizes', () => {
+  let env;
+
+  before(() => setup('rules-prizes').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets tournament ops pay a prize', () => {
+    const db = env.authenticatedContext('ops').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertSucceeds(db.ref().update(prizeUpdates(db, 'ops'))))
+      .then(() => read(env, 'users/alice/wallet'))
+      .then(wallet => {
+        if (wallet.balance !== 500 || wallet.totalEarned !== 500) throw new Error('Unexpected wallet: ' + JSON.stringify(wallet));
+      });
+  });
+
+  it('lets finance pay a prize', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertSucceeds(db.ref().update(prizeUpdates(db, 'finance'))));
+  });
+
+  it('does not let a player pay themselves a prize', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref().update(prizeUpdates(db, 'alice'))));
+  });
+
+  it('does not let a moderator pay a prize', () => {
+    const db = env.authenticatedContext('mod').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref().update(prizeUpdates(db, 'mod'))));
+  });
+
+  it('rejects a prize recorded without its balance change', () => {
+    const db = env.authenticatedContext('ops').database();
+    const updates = prizeUpdates(db, 'ops');
+    delete updates['users/alice/wallet/balance'];
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('does not let a player raise their total earned', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { users: { alice: profile('alice', 0) } })
+      .then(() => assertFails(db.ref('users/alice/wallet/totalEarned').set(500)));
+  });
+
+  it('lets tournament ops publish results with their payouts', () => {
+    const db = env.authenticatedContext('ops').database();
+    const updates = prizeUpdates(db, 'ops');
+    updates['tournaments/t1/resultsStatus'] = 'published';
+    updates['tournaments/t1/resultsPublishId'] = 'p1';
+    audit(updates, db, 'ops');
+    return seed(env, { users: { alice: profile('alice', 0) }, tournaments: { t1: completed() } })
+      .then(() => assertSucceeds(db.ref().update(updates)));
+  });
+
+  it('refuses to publish results a second time', () => {
+    const db = env.authenticatedContext('ops').database();
+    const updates = prizeUpdates(db, 'ops');
+    updates['tournaments/t1/resultsStatus'] = 'published';
+    updates['tournaments/t1/resultsPublishId'] = 'p2';
+    return seed(env, { users: { alice: profile('alice', 0) }, tournaments: { t1: completed('p1') } })
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('still lets tournament ops edit a published tournament', () => {
+    const db = env.authenticatedContext('ops').database();
+    return seed(env, { tournaments: { t1: completed('p1') } })
+      .then(() => assertSucceeds(db.ref('tournaments/t1').set(Object.assign(completed('p1'), { title: 'Sunday Cup Final' }))));
+  });
+});
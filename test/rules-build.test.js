@@ -0,0 +1,31 @@
+/**
+ * database.rules.json and database.rules.dev.json are generated from
+ * rules/index.js; fail when they have drifted apart. Needs no emulator.
+ */
+
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const { build, format } = require('../rules');
+
+/**
+ * @param {string} name
+ * @returns {string}
+ */
+function checkedIn(name) {
+  return fs.readFileSync(path.join(__dirname, '..', name), 'utf8');
+}
+
+describe('database rules files', () => {
+  it('database.rules.json is up to date with rules/index.js', () => {
+    assert.strictEqual(checkedIn('database.rules.json'), format(build()), 'Run `npm run build:rules` and commit the result.');
+  });
+
+  it('database.rules.dev.json is up to date with rules/index.js', () => {
+    assert.strictEqual(checkedIn('database.rules.dev.json'), format(build({ dev: true })), 'Run `npm run build:rules` and commit the result.');
+  });
+
+  it('production rules do not let players credit deposits', () => {
+    assert.ok(!checkedIn('database.rules.json').includes("provider').val() === 'mock'"));
+  });
+});
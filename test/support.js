@@ -0,0 +1,200 @@
+/**
+ * Shared setup for the database rules tests. The tests run against the
+ * Realtime Database emulator started by `npm test` and write the same
+ * multi-path updates the apps write, built here the way js/ledger.js
+ * builds them.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { initializeTestEnvironment } = require('@firebase/rules-unit-testing');
+const admin = require('firebase-admin');
+
+const RULES_FILE = path.join(__dirname, '..', 'database.rules.json');
+const DEV_RULES_FILE = path.join(__dirname, '..', 'database.rules.dev.json');
+
+/** Server value placeholders, as written by firebase.database.ServerValue. */
+const TIMESTAMP = { '.sv': 'timestamp' };
+const increment = (delta) => ({ '.sv': { increment: delta } });
+
+/** Effect of each ledger entry type on the balance, see Ledger.TYPES. */
+const SIGNS = {
+  join_fee: -1,
+  prize: 1,
+  refund: 1,
+  deposit: 1,
+  withdrawal: -1,
+  withdrawal_refund: 1,
+  withdrawal_approved: 0,
+  adjustment_credit: 1,
+  adjustment_debit: -1
+};
+
+/**
+ * Admins used by the tests, by uid, with their role, including the
+ * backend's service uids.
+ */
+const ADMINS = {
+  super: 'super-admin',
+  finance: 'finance',
+  ops: 'tournament-ops',
+  mod: 'moderator',
+  'svc-payments': 'finance',
+  'svc-scheduler': 'tournament-ops'
+};
+
+/**
+ * Starts a test environment with the checked-in rules. Each test file
+ * uses its own project id so files do not share data.
+ *
+ * @param {string} projectId
+ * @param {string} [rulesFile] Rules to load instead of database.rules.json.
+ * @returns {Promise<RulesTestEnvironment>}
+ */
+function setup(projectId, rulesFile = RULES_FILE) {
+  return initializeTestEnvironment({
+    projectId: projectId,
+    database: { rules: fs.readFileSync(rulesFile, 'utf8') }
+  });
+}
+
+/**
+ * Returns a test environment's database as a backend service uid sees
+ * it, through the Admin SDK like functions/backend.js, for running the
+ * backend jobs in functions/ against the rules. Delete the app with
+ * `db.app.delete()` when done.
+ *
+ * @param {RulesTestEnvironment} env
+ * @param {string} uid
+ * @returns {admin.database.Database}
+ */
+function backend(env, uid) {
+  const { host, port } = env.emulators.database;
+  const app = admin.initializeApp({
+    projectId: env.projectId,
+    databaseURL: 'http://' + host + ':' + port + '?ns=' + env.projectId,
+    databaseAuthVariableOverride: { uid: uid }
+  }, env.projectId + '/' + uid);
+  return app.database();
+}
+
+/**
+ * Replaces the whole database, bypassing the rules. The admins in
+ * ADMINS are always added.
+ *
+ * @param {RulesTestEnvironment} env
+ * @param {Object} data
+ * @returns {Promise<void>}
+ */
+function seed(env, data) {
+  const admins = { adminUids: {}, adminRoles: {} };
+  Object.keys(ADMINS).forEach(uid => {
+    admins.adminUids[uid] = true;
+    admins.adminRoles[uid] = ADMINS[uid];
+  });
+  return env.withSecurityRulesDisabled(ctx => ctx.database().ref().set(Object.assign(admins, data)));
+}
+
+/**
+ * Reads a value, bypassing the rules.
+ *
+ * @param {RulesTestEnvironment} env
+ * @param {string} path
+ * @returns {Promise<*>}
+ */
+function read(env, path) {
+  let value = null;
+  return env.withSecurityRulesDisabled(ctx => ctx.database().ref(path).once('value').then(snap => {
+    value = snap.val();
+  })).then(() => value);
+}
+
+/**
+ * A user profile as created on sign-up, with a wallet balance.
+ *
+ * @param {string} name
+ * @param {number} [balance]
+ * @returns {Object}
+ */
+function profile(name, balance = 0) {
+  return {
+    name: name,
+    phone: '9000000000',
+    isBlocked: false,
+    createdAt: 1,
+    stats: { matches: 0, wins: 0, points: 0 },
+    wallet: { balance: balance, totalEarned: 0, totalWithdrawn: 0 }
+  };
+}
+
+/**
+ * Adds a ledger entry to a multi-path update the way Ledger.commit()
+ * does, starting from a known wallet.
+ *
+ * @param {Object} updates
+ * @param {firebase.database.Database} db Database of the writing user.
+ * @param {string} by Uid of the writing user.
+ * @param {string} uid Owner of the wallet.
+ * @param {{balance: number, totalEarned?: number, totalWithdrawn?: number}} wallet
+ * @param {{type: string, amount: number, ref?: Object}} entry
+ * @returns {string} The new entry id.
+ */
+function addEntry(updates, db, by, uid, wallet, entry) {
+  const delta = SIGNS[entry.type] * entry.amount;
+  const entryId = db.ref('walletHistory/' + uid).push().key;
+  const walletPath = 'users/' + uid + '/wallet/';
+  updates['walletHistory/' + uid + '/' + entryId] = {
+    type: entry.type,
+    amount: entry.amount,
+    delta: delta,
+    balanceBefore: wallet.balance,
+    balanceAfter: wallet.balance + delta,
+    ref: entry.ref || null,
+    note: '',
+    by: by,
+    createdAt: TIMESTAMP
+  };
+  updates[walletPath + 'balance'] = wallet.balance + delta;
+  updates[walletPath + 'lastEntry'] = entryId;
+  if (entry.type === 'prize') updates[walletPath + 'totalEarned'] = (wallet.totalEarned || 0) + entry.amount;
+  if (entry.type === 'withdrawal_approved') updates[walletPath + 'totalWithdrawn'] = (wallet.totalWithdrawn || 0) + entry.amount;
+  return entryId;
+}
+
+/**
+ * Adds an audit entry to a multi-path update the way Audit.add() does,
+ * moving the admin's `/auditHeads` pointer to it.
+ *
+ * @param {Object} updates
+ * @param {firebase.database.Database} db Database of the writing admin.
+ * @param {string} by Uid of the writing admin.
+ * @returns {Object} The same updates object.
+ */
+function audit(updates, db, by) {
+  const entryId = db.ref('auditLog').push().key;
+  updates['auditLog/' + entryId] = {
+    by: by,
+    byName: by,
+    role: ADMINS[by],
+    action: 'test.change',
+    target: '',
+    before: 'null',
+    after: 'null',
+    createdAt: TIMESTAMP
+  };
+  updates['auditHeads/' + by] = entryId;
+  return updates;
+}
+
+module.exports = {
+  DEV_RULES_FILE,
+  TIMESTAMP,
+  increment,
+  setup,
+  backend,
+  seed,
+  read,
+  profile,
+  addEntry,
+  audit
+};
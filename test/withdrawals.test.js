@@ -0,0 +1,176 @@
+/**
+ * Withdrawals: players request them by debiting their wallet, finance
+ * pays or rejects them with the matching ledger entry.
+ */
+
+const { assertFails, assertSucceeds } = require('@firebase/rules-unit-testing');
+const { setup, seed, read, profile, addEntry, audit } = require('./support');
+
+const SETTINGS = { minWithdraw: 100, withdrawFeePercent: 10 };
+
+/**
+ * The update requestWithdrawal() writes.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} uid
+ * @param {{balance: number}} wallet
+ * @param {number} amount
+ * @param {number} fee
+ * @returns {Object}
+ */
+function requestUpdates(db, uid, wallet, amount, fee) {
+  const wId = db.ref('withdrawals').push().key;
+  const updates = {};
+  updates['withdrawals/' + wId] = {
+    uid: uid,
+    name: uid,
+    method: 'upi',
+    accountInfo: uid + '@upi',
+    amount: amount,
+    fee: fee,
+    status: 'pending',
+    adminNote: '',
+    transactionId: '',
+    createdAt: Date.now(),
+    updatedAt: Date.now()
+  };
+  addEntry(updates, db, uid, uid, wallet, { type: 'withdrawal', amount: amount, ref: { kind: 'withdrawal', id: wId } });
+  return updates;
+}
+
+/** Data with alice's pending withdrawal w1 of 200, already debited. */
+function pending() {
+  return {
+    appSettings: SETTINGS,
+    users: { alice: profile('alice', 300) },
+    withdrawals: {
+      w1: { uid: 'alice', method: 'upi', accountInfo: 'alice@upi', amount: 200, fee: 20, status: 'pending', createdAt: 1 }
+    }
+  };
+}
+
+/**
+ * The update an admin writes to settle w1, with its audit entry.
+ *
+ * @param {firebase.database.Database} db
+ * @param {string} by
+ * @param {string} status 'approved' or 'rejected'.
+ * @returns {Object}
+ */
+function settleUpdates(db, by, status) {
+  const updates = { 'withdrawals/w1/status': status };
+  if (status === 'approved') updates['withdrawals/w1/transactionId'] = 'TX1';
+  addEntry(updates, db, by, 'alice', { balance: 300, totalWithdrawn: 0 }, {
+    type: status === 'approved' ? 'withdrawal_approved' : 'withdrawal_refund',
+    amount: 200,
+    ref: { kind: 'withdrawal', id: 'w1' }
+  });
+  return audit(updates, db, by);
+}
+
+describe('withdrawals', () => {
+  let env;
+
+  before(() => setup('rules-withdrawals').then(e => {
+    env = e;
+  }));
+  after(() => env.cleanup());
+  afterEach(() => env.clearDatabase());
+
+  it('lets a player request a withdrawal from their balance', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 500) } })
+      .then(() => assertSucceeds(db.ref().update(requestUpdates(db, 'alice', { balance: 500 }, 200, 20))))
+      .then(() => read(env, 'users/alice/wallet/balance'))
+      .then(balance => {
+        if (balance !== 300) throw new Error('Unexpected balance: ' + balance);
+      });
+  });
+
+  it('rejects a withdrawal without the wallet debit', () => {
+    const db = env.authenticatedContext('alice').database();
+    const updates = requestUpdates(db, 'alice', { balance: 500 }, 200, 20);
+    Object.keys(updates).filter(path => !path.startsWith('withdrawals/')).forEach(path => {
+      delete updates[path];
+    });
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 500) } })
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('rejects a withdrawal above the balance', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 150) } })
+      .then(() => assertFails(db.ref().update(requestUpdates(db, 'alice', { balance: 150 }, 200, 20))));
+  });
+
+  it('rejects a withdrawal below the minimum', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 500) } })
+      .then(() => assertFails(db.ref().update(requestUpdates(db, 'alice', { balance: 500 }, 50, 5))));
+  });
+
+  it('rejects a fractional withdrawal amount', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 500) } })
+      .then(() => assertFails(db.ref().update(requestUpdates(db, 'alice', { balance: 500 }, 200.5, 21))));
+  });
+
+  it('rejects a withdrawal that skips the fee', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, { appSettings: SETTINGS, users: { alice: profile('alice', 500) } })
+      .then(() => assertFails(db.ref().update(requestUpdates(db, 'alice', { balance: 500 }, 200, 0))));
+  });
+
+  it('rejects a withdrawal by a blocked player', () => {
+    const db = env.authenticatedContext('alice').database();
+    const alice = Object.assign(profile('alice', 500), { isBlocked: true });
+    return seed(env, { appSettings: SETTINGS, users: { alice: alice } })
+      .then(() => assertFails(db.ref().update(requestUpdates(db, 'alice', { balance: 500 }, 200, 20))));
+  });
+
+  it('lets finance pay a withdrawal', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, pending())
+      .then(() => assertSucceeds(db.ref().update(settleUpdates(db, 'finance', 'approved'))))
+      .then(() => read(env, 'users/alice/wallet'))
+      .then(wallet => {
+        if (wallet.balance !== 300 || wallet.totalWithdrawn !== 200) throw new Error('Unexpected wallet: ' + JSON.stringify(wallet));
+      });
+  });
+
+  it('lets finance reject a withdrawal with a refund', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, pending())
+      .then(() => assertSucceeds(db.ref().update(settleUpdates(db, 'finance', 'rejected'))))
+      .then(() => read(env, 'users/alice/wallet/balance'))
+      .then(balance => {
+        if (balance !== 500) throw new Error('Unexpected balance: ' + balance);
+      });
+  });
+
+  it('rejects paying a withdrawal without its ledger entry', () => {
+    const db = env.authenticatedContext('finance').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref('withdrawals/w1').update({ status: 'approved', transactionId: 'TX1' })));
+  });
+
+  it('rejects a decision without its audit entry', () => {
+    const db = env.authenticatedContext('finance').database();
+    const updates = settleUpdates(db, 'finance', 'rejected');
+    Object.keys(updates).filter(path => /^audit/.test(path)).forEach(path => delete updates[path]);
+    return seed(env, pending())
+      .then(() => assertFails(db.ref().update(updates)));
+  });
+
+  it('does not let a player settle their own withdrawal', () => {
+    const db = env.authenticatedContext('alice').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref().update(settleUpdates(db, 'alice', 'rejected'))));
+  });
+
+  it('does not let tournament ops settle a withdrawal', () => {
+    const db = env.authenticatedContext('ops').database();
+    return seed(env, pending())
+      .then(() => assertFails(db.ref().update(settleUpdates(db, 'ops', 'approved'))));
+  });
+});